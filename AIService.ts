@@ -1,7 +1,11 @@
 import * as vscode from 'vscode';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { GitRepositoryData } from './GitService';
+import { LLMProvider, LLMProviderId, createLLMProvider } from './LLMProviders';
+import { GitRepositoryData, CommitCategory, rankSkillsByLanguageProfile, describeCommitStats } from './GitService';
 import { ProjectFileData } from './FileService';
+import { describeFinding } from './InfrastructureDetectors';
+import { BulletEvidenceList, mentions } from './ClaimVerifier';
+import { JobPosting, MatchReport } from './JobTailoring';
+import { AIContentSection, ContentSources, resumeContentSchema, validateAgainstSchema, parseJSONReply } from './ResumeSchema';
 
 /**
  * Interface for resume data structure
@@ -12,6 +16,9 @@ export interface ResumeData {
         title: string;
         email: string;
         github: string;
+        location?: string;
+        phone?: string;
+        website?: string;
     };
     summary: string;
     skills: {
@@ -26,6 +33,8 @@ export interface ResumeData {
         achievements: string[];
         technologies: string[];
         duration: string;
+        /** Verification result of each achievement, in the same order */
+        evidence?: BulletEvidenceList;
     }[];
     projects: {
         name: string;
@@ -33,85 +42,192 @@ export interface ResumeData {
         technologies: string[];
         highlights: string[];
         url?: string;
+        /** Verification result of each highlight, in the same order */
+        evidence?: BulletEvidenceList;
     }[];
+    education?: {
+        institution: string;
+        degree: string;
+        field?: string;
+        startDate?: string;
+        endDate?: string;
+        details?: string[];
+    }[];
+    workHistory?: {
+        company: string;
+        position: string;
+        location?: string;
+        startDate: string;
+        endDate?: string;
+        summary?: string;
+        highlights: string[];
+    }[];
+    certifications?: {
+        name: string;
+        issuer?: string;
+        date?: string;
+        url?: string;
+    }[];
+    links?: {
+        label: string;
+        url: string;
+    }[];
+    /** Section display order (see RESUME_SECTIONS in PDFService) */
+    sectionOrder?: string[];
+    hiddenSections?: string[];
+}
+
+/**
+ * Interface for generated resume content with the origin of each section
+ */
+export interface GeneratedResumeContent {
+    resumeData: ResumeData;
+    sources: ContentSources;
+}
+
+/**
+ * Interface for a parsed model reply and its schema validation errors
+ */
+interface ModelReply {
+    content: unknown;
+    errors: string[];
+}
+
+/**
+ * How many repair prompts are sent for a reply that does not match the schema
+ */
+const MAX_REPAIR_ATTEMPTS = 1;
+
+const FALLBACK_SUMMARY = 'Experienced software developer with expertise in modern web technologies and a passion for creating efficient, scalable solutions.';
+
+const isPresent = <T>(item: T | null): item is T => item !== null;
+
+/**
+ * JSON path of a validation error, e.g. "$.experience[0].achievements"
+ */
+const errorPath = (error: string) => error.slice(0, error.indexOf(': '));
+
+/**
+ * Check whether a JSON path is the given path or below it
+ */
+const isWithin = (path: string, parent: string) =>
+    path === parent || path.startsWith(`${parent}.`) || path.startsWith(`${parent}[`);
+
+/**
+ * Interface for the analysis of one repository
+ */
+export interface RepositoryAnalysis {
+    gitData: GitRepositoryData;
+    projectData: ProjectFileData;
 }
 
 /**
- * Service for AI-powered resume content generation using Google Gemini
+ * Service for AI-powered resume content generation through a configurable LLM provider
  */
 export class AIService {
-    private genAI: GoogleGenerativeAI | null = null;
-    private model: any = null;
+    private provider: LLMProvider | null = null;
 
-    constructor() {
-        this.initializeAI();
+    /**
+     * @param provider Provider to use instead of the one configured in settings (e.g. a mock in tests)
+     */
+    constructor(provider?: LLMProvider) {
+        if (provider) {
+            this.provider = provider;
+        } else {
+            this.initializeAI();
+        }
     }
 
     /**
-     * Initialize Google Generative AI
+     * Create the LLM provider selected in the VS Code settings
      */
-    private async initializeAI(): Promise<void> {
+    private initializeAI(): void {
         try {
-            // Get API key from VS Code settings or environment
             const config = vscode.workspace.getConfiguration('resumeGenerator');
-            let apiKey = config.get<string>('geminiApiKey');
+            const providerId = config.get<LLMProviderId>('aiProvider') || 'gemini';
 
+            // Gemini keeps its own key setting; other providers share aiApiKey
+            let apiKey = providerId === 'gemini' ? config.get<string>('geminiApiKey') : config.get<string>('aiApiKey');
             if (!apiKey) {
                 // Fallback to environment variable
-                apiKey = process.env.GEMINI_API_KEY;
+                apiKey = providerId === 'gemini' ? process.env.GEMINI_API_KEY : process.env.OPENAI_API_KEY;
             }
 
-            if (!apiKey) {
-                vscode.window.showWarningMessage(
-                    'Gemini API key not found. Please set it in VS Code settings or environment variables.'
-                );
-                return;
-            }
+            this.provider = createLLMProvider({
+                provider: providerId,
+                model: config.get<string>('aiModel'),
+                // Only the user setting counts, so a workspace cannot send the API key to its own server
+                baseUrl: config.inspect<string>('aiBaseUrl')?.globalValue || undefined,
+                apiKey,
+                timeout: (config.get<number>('aiTimeoutSeconds') || 120) * 1000
+            });
 
-            this.genAI = new GoogleGenerativeAI(apiKey);
-            this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-            
         } catch (error) {
             console.error('Error initializing AI service:', error);
-            vscode.window.showErrorMessage(`Failed to initialize AI service: ${error}`);
+            vscode.window.showWarningMessage(
+                `AI provider not available: ${error instanceof Error ? error.message : error}. Please check the Resume Generator AI settings.`
+            );
+        }
+    }
+
+    /**
+     * Send a prompt to the configured provider
+     * @param prompt Prompt text
+     * @param json Ask for a JSON-only reply where the provider supports it
+     * @returns Promise<string> Trimmed reply text
+     */
+    private async complete(prompt: string, json: boolean = false): Promise<string> {
+        if (!this.provider) {
+            throw new Error('AI service not initialized. Please check your AI provider settings.');
         }
+        return (await this.provider.generate(prompt, { json })).trim();
     }
 
     /**
-     * Generate resume content from Git and project data
+     * Generate resume content from Git and project data with a single structured model call
      * @param gitData Git repository data
      * @param projectData Project file data
      * @param userInfo Optional user information
-     * @returns Promise<ResumeData>
+     * @returns Promise<GeneratedResumeContent> Resume data and which sections came from the model
      */
     async generateResumeContent(
         gitData: GitRepositoryData,
         projectData: ProjectFileData,
         userInfo?: { name?: string; email?: string; title?: string }
-    ): Promise<ResumeData> {
+    ): Promise<GeneratedResumeContent> {
         try {
-            if (!this.model) {
-                throw new Error('AI service not initialized. Please check your Gemini API key.');
+            if (!this.provider) {
+                throw new Error('AI service not initialized. Please check your AI provider settings.');
             }
 
             // Prepare context for AI
             const context = this.prepareContext(gitData, projectData);
-            
-            // Generate different sections
-            const summary = await this.generateSummary(context);
-            const skills = await this.extractSkills(context);
-            const experience = await this.generateExperience(context, gitData);
-            const projects = await this.generateProjects(context, projectData);
+            const reply = await this.requestResumeContent(context, `
+Write 2-3 experience entries and 1-2 project entries for this project.
+            `);
+
+            const summary = this.readSection<string>(reply, 'summary');
+            const skills = this.readSection<ResumeData['skills']>(reply, 'skills');
+            const experience = this.readItems<ResumeData['experience'][0]>(reply, 'experience').filter(isPresent);
+            const projects = this.readItems<ResumeData['projects'][0]>(reply, 'projects').filter(isPresent);
 
-            // Extract personal info
-            const personalInfo = this.extractPersonalInfo(gitData, projectData, userInfo);
+            const mergedSkills = this.mergeDetectedStack(skills || this.extractSkillsFallback(context), [projectData]);
+            mergedSkills.technical = rankSkillsByLanguageProfile(mergedSkills.technical || [], gitData);
 
             return {
-                personalInfo,
-                summary,
-                skills,
-                experience,
-                projects
+                resumeData: {
+                    personalInfo: this.extractPersonalInfo(gitData, projectData, userInfo),
+                    summary: summary || FALLBACK_SUMMARY,
+                    skills: mergedSkills,
+                    experience: experience.length > 0 ? experience : this.generateExperienceFallback(gitData, projectData),
+                    projects: projects.length > 0 ? projects : this.generateProjectsFallback(projectData)
+                },
+                sources: {
+                    summary: summary ? 'model' : 'fallback',
+                    skills: skills ? 'model' : 'fallback',
+                    experience: experience.length > 0 ? 'model' : 'fallback',
+                    projects: projects.length > 0 ? 'model' : 'fallback'
+                }
             };
 
         } catch (error) {
@@ -120,6 +236,89 @@ export class AIService {
         }
     }
 
+    /**
+     * Generate resume content for several repositories, with one experience and project entry per repository
+     * @param repositories Per-repository Git and project data
+     * @param combinedGitData Git data of all repositories merged into one timeline
+     * @param userInfo Optional user information
+     * @returns Promise<GeneratedResumeContent> Resume data and which sections came from the model
+     */
+    async generateMultiRepositoryContent(
+        repositories: RepositoryAnalysis[],
+        combinedGitData: GitRepositoryData,
+        userInfo?: { name?: string; email?: string; title?: string }
+    ): Promise<GeneratedResumeContent> {
+        try {
+            if (!this.provider) {
+                throw new Error('AI service not initialized. Please check your AI provider settings.');
+            }
+
+            const contexts = repositories.map(repository => this.prepareContext(repository.gitData, repository.projectData));
+            const breakdown = describeCommitStats(combinedGitData.commitStats);
+            const names = repositories.map(repository => repository.projectData.projectName);
+            const combinedContext = contexts
+                .map((context, index) => `=== Repository ${index + 1}: ${names[index]} ===\n${context}`)
+                .join('\n') +
+                `\n=== Overall ===\nTotal Commits: ${combinedGitData.totalCommits}${breakdown ? ` (${breakdown})` : ''}\n` +
+                `Development Period: ${combinedGitData.dateRange.from} to ${combinedGitData.dateRange.to}\n`;
+
+            const reply = await this.requestResumeContent(combinedContext, `
+Write exactly one experience entry and one project entry per repository, in repository order.
+Use these exact names for projectName and name: ${names.map(name => JSON.stringify(name)).join(', ')}.
+The summary and skills describe all repositories together.
+            `);
+
+            const summary = this.readSection<string>(reply, 'summary');
+            const skills = this.readSection<ResumeData['skills']>(reply, 'skills');
+            const mergedSkills = this.mergeDetectedStack(
+                skills || this.extractSkillsFallback(combinedContext),
+                repositories.map(repository => repository.projectData)
+            );
+            mergedSkills.technical = rankSkillsByLanguageProfile(mergedSkills.technical || [], combinedGitData);
+
+            // One entry per repository, matched by name and then by position; names and dates come from the repository, not the model
+            const modelExperience = this.matchItems(this.readItems<ResumeData['experience'][0]>(reply, 'experience'), names, entry => entry.projectName);
+            const modelProjects = this.matchItems(this.readItems<ResumeData['projects'][0]>(reply, 'projects'), names, project => project.name);
+
+            const experience: ResumeData['experience'] = repositories.map(({ gitData, projectData }, i) => ({
+                ...(modelExperience[i] || this.generateExperienceFallback(gitData, projectData)[0]),
+                projectName: projectData.projectName,
+                duration: `${gitData.dateRange.from} - ${gitData.dateRange.to}`
+            }));
+            const projects: ResumeData['projects'] = repositories.map(({ projectData }, i) => ({
+                ...(modelProjects[i] || this.generateProjectsFallback(projectData)[0]),
+                name: projectData.projectName
+            }));
+
+            // Most recent activity first
+            experience.sort((a, b) => b.duration.split(' - ')[1].localeCompare(a.duration.split(' - ')[1]));
+
+            const source = (items: unknown[]) => {
+                const found = items.filter(item => item !== null).length;
+                return found === items.length ? 'model' : found > 0 ? 'mixed' : 'fallback';
+            };
+            return {
+                resumeData: {
+                    personalInfo: this.extractPersonalInfo(combinedGitData, repositories[0].projectData, userInfo),
+                    summary: summary || FALLBACK_SUMMARY,
+                    skills: mergedSkills,
+                    experience,
+                    projects
+                },
+                sources: {
+                    summary: summary ? 'model' : 'fallback',
+                    skills: skills ? 'model' : 'fallback',
+                    experience: source(modelExperience),
+                    projects: source(modelProjects)
+                }
+            };
+
+        } catch (error) {
+            console.error('Error generating multi-repository resume content:', error);
+            throw new Error(`Failed to generate resume content: ${error}`);
+        }
+    }
+
     /**
      * Prepare context string for AI prompts
      * @param gitData Git repository data
@@ -136,105 +335,183 @@ export class AIService {
             context += `Dependencies: ${Object.keys(projectData.packageJson.dependencies).join(', ')}\n`;
         }
 
+        const otherManifests = (projectData.manifests || []).filter(manifest => manifest.file !== 'package.json');
+        if (otherManifests.length > 0) {
+            context += `Manifests: ${otherManifests.map(manifest => `${manifest.file} (${manifest.ecosystem}, ${manifest.packageManager})`).join(', ')}\n`;
+            context += `Manifest Dependencies: ${[...new Set(otherManifests.flatMap(manifest => manifest.dependencies))].slice(0, 40).join(', ')}\n`;
+        }
+        if (projectData.stack) {
+            context += `Detected Frameworks: ${projectData.stack.frameworks.join(', ')}\n`;
+            context += `Detected Databases: ${projectData.stack.databases.join(', ')}\n`;
+            context += `Detected Tools: ${projectData.stack.tools.join(', ')}\n`;
+        }
+
+        const findings = projectData.infrastructure?.findings || [];
+        if (findings.length > 0) {
+            context += `Infrastructure Evidence:\n`;
+            findings.forEach(finding => {
+                context += `- ${describeFinding(finding)}\n`;
+            });
+        }
+
         if (projectData.readme) {
             context += `README Title: ${projectData.readme.title}\n`;
+            if (projectData.readme.tagline) {
+                context += `README Tagline: ${projectData.readme.tagline}\n`;
+            }
             context += `README Description: ${projectData.readme.description}\n`;
             context += `Technologies: ${projectData.readme.technologies.join(', ')}\n`;
             context += `Features: ${projectData.readme.features.join(', ')}\n`;
         }
 
-        // Add Git information
-        context += `Programming Languages: ${gitData.languages.join(', ')}\n`;
-        context += `Total Commits: ${gitData.totalCommits}\n`;
+        // Add Git information, languages weighted by the lines changed in them
+        const weightedLanguages = (gitData.languageProfile || [])
+            .filter(stat => gitData.languages.includes(stat.language))
+            .map(stat => `${stat.language} (${stat.percentage}% of changed lines, ${stat.firstSeen} to ${stat.lastSeen})`);
+        context += `Programming Languages (by share): ${weightedLanguages.length > 0 ? weightedLanguages.join(', ') : gitData.languages.join(', ')}\n`;
+        context += `Total Commits: ${gitData.totalCommits}${gitData.authorFiltered ? '' : ' (all contributors, not only the user)'}\n`;
         context += `Development Period: ${gitData.dateRange.from} to ${gitData.dateRange.to}\n`;
 
-        // Add recent commit messages (sample)
-        const recentCommits = gitData.commits.slice(0, 10);
-        context += `Recent Commit Messages:\n`;
-        recentCommits.forEach(commit => {
-            context += `- ${commit.message}\n`;
-        });
+        // Add the commit breakdown and a few recent subjects per category
+        const breakdown = describeCommitStats(gitData.commitStats);
+        if (breakdown) {
+            context += `Commit Breakdown: ${breakdown}\n`;
+        }
+        context += `Representative Commits by Category:\n`;
+        for (const category of Object.values(CommitCategory)) {
+            if (category === CommitCategory.CHORE) continue;
+            const samples = gitData.commits.filter(commit => commit.category === category).slice(0, 5);
+            samples.forEach(commit => {
+                context += `- [${category}] ${commit.message}\n`;
+            });
+        }
 
         return context;
     }
 
     /**
-     * Generate professional summary
+     * Ask the model once for the full resume content as JSON, validate it against the schema,
+     * and send a repair prompt listing the validation errors when it does not match
      * @param context Project context
-     * @returns Promise<string>
+     * @param instructions Instructions specific to the kind of resume
+     * @returns Promise<ModelReply> Parsed content (null when unparseable) and remaining validation errors
      */
-    private async generateSummary(context: string): Promise<string> {
+    private async requestResumeContent(context: string, instructions: string): Promise<ModelReply> {
+        const schema = JSON.stringify(resumeContentSchema, null, 2);
         const prompt = `
-Based on the following project information, generate a professional summary for a developer's resume. 
-The summary should be 2-3 sentences, highlighting key skills and experience.
+Based on the following project information and Git history, write the content of a developer's resume.
 
 Project Information:
 ${context}
 
-Generate a professional summary that:
-1. Highlights the developer's technical expertise
-2. Mentions key technologies and frameworks
-3. Emphasizes problem-solving and development skills
-4. Is concise and impactful
+${instructions.trim()}
+The summary is 2-3 concise sentences on technical expertise, key technologies and problem solving.
+Only include skills that are clearly evident from the project data, listing programming languages in the order of their share.
+Achievements focus on quantifiable results (use the commit breakdown for the numbers), technical contributions and impact.
 
-Return only the summary text, no additional formatting.
+Return only a JSON object matching this JSON schema, with no Markdown or commentary:
+${schema}
         `;
 
+        let text = await this.complete(prompt, true);
+        let reply = this.checkReply(text);
+
+        for (let attempt = 0; attempt < MAX_REPAIR_ATTEMPTS && reply.errors.length > 0; attempt++) {
+            console.warn(`AI reply failed validation (attempt ${attempt + 1}):`, reply.errors);
+            const repairPrompt = `
+Your previous reply does not match the required JSON schema.
+
+Validation errors:
+${reply.errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+${text.slice(0, 12000)}
+
+Fix only these errors and keep everything else unchanged.
+Return only the corrected JSON object matching this JSON schema:
+${schema}
+            `;
+            try {
+                text = await this.complete(repairPrompt, true);
+            } catch (error) {
+                // A failed repair (timeout, network) must not cost the sections that already passed validation
+                console.warn('AI repair request failed, keeping the valid sections of the previous reply:', error);
+                break;
+            }
+            const repaired = this.checkReply(text);
+            // Keep the repaired reply unless it made things worse
+            if (repaired.content !== null && repaired.errors.length <= reply.errors.length) {
+                reply = repaired;
+            }
+        }
+
+        return reply;
+    }
+
+    /**
+     * Parse and validate a model reply
+     * @param text Reply text
+     * @returns ModelReply
+     */
+    private checkReply(text: string): ModelReply {
         try {
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            return response.text().trim();
+            const content = parseJSONReply(text);
+            return { content, errors: validateAgainstSchema(content, resumeContentSchema) };
         } catch (error) {
-            console.error('Error generating summary:', error);
-            return 'Experienced software developer with expertise in modern web technologies and a passion for creating efficient, scalable solutions.';
+            return { content: null, errors: [`$: ${error instanceof Error ? error.message : error}`] };
         }
     }
 
     /**
-     * Extract and categorize skills
-     * @param context Project context
-     * @returns Promise<ResumeData['skills']>
+     * Get a section of a reply if it passed validation
+     * @param reply Model reply
+     * @param section Top-level property
+     * @returns T | null
      */
-    private async extractSkills(context: string): Promise<ResumeData['skills']> {
-        const prompt = `
-Based on the following project information, extract and categorize technical skills into:
-1. Programming Languages
-2. Frameworks & Libraries
-3. Tools & Technologies
-4. Databases & Storage
-
-Project Information:
-${context}
-
-Return the response in JSON format:
-{
-  "technical": ["language1", "language2"],
-  "frameworks": ["framework1", "framework2"],
-  "tools": ["tool1", "tool2"],
-  "databases": ["db1", "db2"]
-}
-
-Only include skills that are clearly evident from the project data.
-        `;
+    private readSection<T>(reply: ModelReply, section: AIContentSection): T | null {
+        if (!reply.content || reply.errors.some(error => errorPath(error) === '$' || isWithin(errorPath(error), `$.${section}`))) {
+            return null;
+        }
+        return (reply.content as any)[section] ?? null;
+    }
 
-        try {
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text().trim();
-            
-            // Try to parse JSON response
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            // Fallback if JSON parsing fails
-            return this.extractSkillsFallback(context);
-            
-        } catch (error) {
-            console.error('Error extracting skills:', error);
-            return this.extractSkillsFallback(context);
+    /**
+     * Get the items of an array section, with null for items that failed validation
+     * @param reply Model reply
+     * @param section Top-level array property
+     * @returns (T | null)[]
+     */
+    private readItems<T>(reply: ModelReply, section: AIContentSection): (T | null)[] {
+        const items = reply.content && Array.isArray((reply.content as any)[section]) ? (reply.content as any)[section] as T[] : [];
+        if (reply.errors.some(error => errorPath(error) === '$')) {
+            return [];
         }
+        return items.map((item, index) =>
+            reply.errors.some(error => isWithin(errorPath(error), `$.${section}[${index}]`)) ? null : item
+        );
+    }
+
+    /**
+     * Assign model entries to repositories, by name first and then by position
+     * @param items Valid model entries (null for invalid ones)
+     * @param names Repository names
+     * @param nameOf Name of a model entry
+     * @returns (T | null)[] One slot per repository
+     */
+    private matchItems<T>(items: (T | null)[], names: string[], nameOf: (item: T) => string): (T | null)[] {
+        const unclaimed = new Set(items.map((_, index) => index));
+        const byName = names.map(name => {
+            const index = items.findIndex((item, i) => item && unclaimed.has(i) && nameOf(item).trim().toLowerCase() === name.toLowerCase());
+            if (index === -1) return null;
+            unclaimed.delete(index);
+            return items[index];
+        });
+        return byName.map((item, i) => {
+            if (item) return item;
+            const byPosition = unclaimed.has(i) ? items[i] : null;
+            if (byPosition) unclaimed.delete(i);
+            return byPosition;
+        });
     }
 
     /**
@@ -283,122 +560,43 @@ Only include skills that are clearly evident from the project data.
     }
 
     /**
-     * Generate experience section
-     * @param context Project context
-     * @param gitData Git data for duration calculation
-     * @returns Promise<ResumeData['experience']>
+     * Add frameworks, databases and tools detected from manifests and infrastructure files to the AI skills
+     * @param skills Skills returned by the model
+     * @param projects Project file data of every analyzed repository
+     * @returns ResumeData['skills']
      */
-    private async generateExperience(context: string, gitData: GitRepositoryData): Promise<ResumeData['experience']> {
-        const prompt = `
-Based on the following project information and Git history, generate professional experience entries.
-Each entry should include achievements and contributions.
-
-Project Information:
-${context}
-
-Generate 2-3 experience entries in JSON format:
-[
-  {
-    "projectName": "Project Name",
-    "description": "Brief project description",
-    "achievements": ["achievement1", "achievement2", "achievement3"],
-    "technologies": ["tech1", "tech2"],
-    "duration": "MM/YYYY - MM/YYYY"
-  }
-]
-
-Focus on:
-1. Quantifiable achievements
-2. Technical contributions
-3. Problem-solving examples
-4. Impact and results
-        `;
+    private mergeDetectedStack(skills: ResumeData['skills'], projects: ProjectFileData[]): ResumeData['skills'] {
+        const merge = (original: string[] | undefined, detected: string[]) => {
+            const known = new Set((original || []).map(skill => skill.toLowerCase()));
+            return [...(original || []), ...detected.filter(skill => !known.has(skill.toLowerCase()))];
+        };
+        const detected = (category: 'frameworks' | 'databases' | 'tools') =>
+            [...new Set(projects.flatMap(project => project.stack?.[category] || []))];
 
-        try {
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text().trim();
-            
-            const jsonMatch = text.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            return this.generateExperienceFallback(gitData);
-            
-        } catch (error) {
-            console.error('Error generating experience:', error);
-            return this.generateExperienceFallback(gitData);
-        }
+        return {
+            ...skills,
+            frameworks: merge(skills.frameworks, detected('frameworks')),
+            databases: merge(skills.databases, detected('databases')),
+            tools: merge(skills.tools, detected('tools'))
+        };
     }
 
     /**
      * Fallback method for experience generation
      * @param gitData Git repository data
+     * @param projectData Optional project file data for infrastructure achievements
      * @returns ResumeData['experience']
      */
-    private generateExperienceFallback(gitData: GitRepositoryData): ResumeData['experience'] {
+    private generateExperienceFallback(gitData: GitRepositoryData, projectData?: ProjectFileData): ResumeData['experience'] {
         return [{
             projectName: "Software Development Project",
             description: "Contributed to software development with focus on code quality and feature implementation",
-            achievements: [
-                `Implemented ${gitData.totalCommits} commits over ${gitData.languages.length} programming languages`,
-                "Collaborated on version control and code review processes",
-                "Developed features using modern development practices"
-            ],
+            achievements: buildFallbackAchievements(gitData, projectData),
             technologies: gitData.languages,
             duration: `${gitData.dateRange.from} - ${gitData.dateRange.to}`
         }];
     }
 
-    /**
-     * Generate projects section
-     * @param context Project context
-     * @param projectData Project file data
-     * @returns Promise<ResumeData['projects']>
-     */
-    private async generateProjects(context: string, projectData: ProjectFileData): Promise<ResumeData['projects']> {
-        const prompt = `
-Based on the following project information, generate a projects section for a resume.
-
-Project Information:
-${context}
-
-Generate 1-2 project entries in JSON format:
-[
-  {
-    "name": "Project Name",
-    "description": "Project description",
-    "technologies": ["tech1", "tech2"],
-    "highlights": ["highlight1", "highlight2", "highlight3"]
-  }
-]
-
-Focus on:
-1. Technical implementation details
-2. Key features and functionality
-3. Technologies and tools used
-4. Notable achievements or challenges solved
-        `;
-
-        try {
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text().trim();
-            
-            const jsonMatch = text.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            return this.generateProjectsFallback(projectData);
-            
-        } catch (error) {
-            console.error('Error generating projects:', error);
-            return this.generateProjectsFallback(projectData);
-        }
-    }
-
     /**
      * Fallback method for projects generation
      * @param projectData Project file data
@@ -453,12 +651,101 @@ Focus on:
         };
     }
 
+    /**
+     * Rewrite the professional summary for a job posting, using only skills the resume backs
+     * @param resumeData Resume data
+     * @param posting Parsed job posting
+     * @param report Match report of the resume against the posting
+     * @returns Promise<string> Rewritten summary
+     * @throws Error when the reply is empty or claims a skill the resume does not back
+     */
+    async tailorSummary(resumeData: ResumeData, posting: JobPosting, report: MatchReport): Promise<string> {
+        const missing = [...report.missingRequired, ...report.missingPreferred];
+        const prompt = `
+Rewrite this professional summary for a ${posting.title ? `"${posting.title}"` : 'software engineering'} application.
+
+Current summary: ${resumeData.summary}
+Skills: ${Object.values(resumeData.skills || {}).flat().join(', ')}
+Experience: ${(resumeData.experience || []).map(entry => `${entry.projectName} (${entry.description})`).join('; ')}
+Skills the posting asks for that the candidate has: ${report.matched.join(', ') || 'none'}
+${missing.length > 0 ? `Skills the posting asks for that the candidate's repositories do not show (do not mention them): ${missing.join(', ')}` : ''}
+
+Write 2-3 sentences in the same voice as the current summary, leading with the matching skills.
+Do not invent employers, years of experience or numbers. Reply with the summary only, without a heading or quotes.
+        `;
+
+        const summary = (await this.complete(prompt)).replace(/^["'“]+|["'”]+$/g, '').trim();
+        if (summary.length < 20) {
+            throw new Error('the model returned no summary');
+        }
+        const claimed = missing.filter(term => mentions(summary, term));
+        if (claimed.length > 0) {
+            throw new Error(`the rewritten summary claims skills your repositories do not show (${claimed.join(', ')})`);
+        }
+        return summary;
+    }
+
+    /**
+     * Send a short prompt to check that the configured provider answers
+     * @returns Promise<string> Provider name and its reply
+     */
+    async testConnection(): Promise<string> {
+        const reply = await this.complete('Reply with the single word: ready');
+        return `${this.provider?.name} replied: ${reply.slice(0, 100)}`;
+    }
+
     /**
      * Check if AI service is available
      * @returns boolean
      */
     isAvailable(): boolean {
-        return this.model !== null;
+        return this.provider !== null;
     }
 }
 
+/**
+ * Build experience bullets from the commit classification when AI output is unavailable
+ * @param gitData Git repository data
+ * @param projectData Optional project file data; infrastructure findings add DevOps bullets
+ * @returns string[]
+ */
+export function buildFallbackAchievements(gitData: GitRepositoryData, projectData?: ProjectFileData): string[] {
+    const stats = gitData.commitStats;
+    const count = (category: CommitCategory) => stats?.[category] || 0;
+    const latest = (category: CommitCategory) => gitData.commits
+        .find(commit => commit.category === category)?.message
+        .replace(/^\w+(\([^)]*\))?!?:\s*/, '');
+    const breakdown = describeCommitStats(stats);
+    const primaryLanguage = gitData.languageProfile?.[0];
+
+    // Without an author filter the commits are every contributor's, so they are not credited to the user
+    const achievements = [
+        `${gitData.authorFiltered ? 'Authored' : 'Project with'} ${gitData.totalCommits} commits${breakdown ? ` (${breakdown})` : ''}` +
+            (primaryLanguage ? `, primarily in ${primaryLanguage.language} (${primaryLanguage.percentage}% of changed lines)` : '')
+    ];
+
+    const bullets: { category: CommitCategory; text: (n: number) => string }[] = [
+        { category: CommitCategory.FEATURE, text: n => `Delivered ${n} feature${n === 1 ? '' : 's'}` },
+        { category: CommitCategory.FIX, text: n => `Resolved ${n} bug${n === 1 ? '' : 's'}` },
+        { category: CommitCategory.PERF, text: n => `Made ${n} performance improvement${n === 1 ? '' : 's'}` },
+        { category: CommitCategory.REFACTOR, text: n => `Refactored code in ${n} commit${n === 1 ? '' : 's'} to improve maintainability` },
+        { category: CommitCategory.TEST, text: n => `Added or updated automated tests in ${n} commit${n === 1 ? '' : 's'}` },
+        { category: CommitCategory.MIGRATION, text: n => `Wrote ${n} database migration${n === 1 ? '' : 's'}` },
+        { category: CommitCategory.CI, text: n => `Maintained CI and build configuration in ${n} commit${n === 1 ? '' : 's'}` },
+        { category: CommitCategory.DOCS, text: n => `Documented the project in ${n} commit${n === 1 ? '' : 's'}` }
+    ];
+
+    for (const bullet of bullets) {
+        const n = count(bullet.category);
+        if (n === 0) continue;
+        const example = latest(bullet.category);
+        achievements.push(example ? `${bullet.text(n)}, e.g. "${example}"` : bullet.text(n));
+        if (achievements.length >= 5) break;
+    }
+
+    // Infrastructure work rarely shows up in commit subjects, so it gets its own bullets
+    const infrastructureAchievements = (projectData?.infrastructure?.findings || []).map(finding => finding.achievement);
+    achievements.push(...infrastructureAchievements.slice(0, 2));
+
+    return achievements;
+}
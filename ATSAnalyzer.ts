@@ -0,0 +1,258 @@
+import { ResumeData } from './AIService';
+import { ResumeSection, getSectionOrder, getRenderedSkills } from './PDFService';
+import { extractPDFText } from './PDFText';
+
+/**
+ * Interface for the result of parsing a resume PDF the way an applicant tracking system would
+ */
+export interface ATSReport {
+    /** Extracted text, pages joined by blank lines */
+    text: string;
+    pages: number;
+    contact: { label: string; value?: string }[];
+    headings: { found: string[]; missing: string[] };
+    /** Date formats in use, e.g. "YYYY-MM-DD", with examples */
+    dateFormats: { format: string; examples: string[] }[];
+    /** Occurrences of each resume skill in the extracted text, and its share of all words (percent) */
+    keywords: { term: string; count: number; density: number }[];
+    /** Sections whose content did not come through; coverage is the share of their words found (percent) */
+    unreadableSections: { section: string; coverage: number }[];
+    /** Characters without a Unicode mapping (icon fonts, unmapped glyphs) */
+    unmappedCharacters: number;
+    /** Emoji, dingbats and other decorative symbols that came through as text */
+    decorativeGlyphs: string[];
+    issues: string[];
+}
+
+/**
+ * Headings parsers recognize for each section
+ */
+const standardHeadings: Record<ResumeSection, RegExp> = {
+    summary: /^(professional |career )?(summary|profile)$|^about( me)?$|^objective$/i,
+    skills: /^(technical |core )?skills( & expertise)?$|^technologies$/i,
+    workHistory: /^(work|professional|employment) (experience|history)$|^employment$/i,
+    experience: /^(professional |relevant |project )?experience$/i,
+    projects: /^(notable |personal |selected |side )?projects$/i,
+    education: /^education$/i,
+    certifications: /^(certifications?|licenses( (&|and) certifications)?)$/i
+};
+
+/**
+ * Date formats, most specific first; each match is removed before the next format is looked for
+ */
+const dateFormats: { format: string; pattern: RegExp }[] = [
+    { format: 'YYYY-MM-DD', pattern: /\b(19|20)\d\d-[01]\d-[0-3]\d\b/g },
+    { format: 'YYYY-MM', pattern: /\b(19|20)\d\d-[01]\d\b/g },
+    { format: 'MM/YYYY', pattern: /\b[01]?\d\/(19|20)\d\d\b/g },
+    { format: 'Month YYYY', pattern: /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.? (19|20)\d\d\b/g },
+    { format: 'YYYY', pattern: /\b(19|20)\d\d\b/g }
+];
+
+/**
+ * Arrows, box drawing, dingbats, private-use icon font glyphs and emoji
+ */
+const decorativePattern = /[\u2190-\u21FF\u2500-\u27BF\u2B00-\u2BFF\uE000-\uF8FF]|\p{Extended_Pictographic}/gu;
+
+/**
+ * Lowercased words of at least three letters, used to compare expected and extracted text
+ */
+const words = (text: string) => text.toLowerCase().match(/[a-z0-9][a-z0-9+#.-]{2,}/g)?.map(word => word.replace(/[.-]+$/, '')) || [];
+
+/**
+ * All string values of a value, nested ones included
+ */
+const strings = (value: unknown): string[] =>
+    typeof value === 'string' ? [value]
+        : Array.isArray(value) ? value.flatMap(strings)
+            : value && typeof value === 'object' ? Object.values(value).flatMap(strings) : [];
+
+/**
+ * Text each section should contribute to the PDF
+ */
+function sectionText(resumeData: ResumeData, section: ResumeSection): string {
+    switch (section) {
+        case 'summary': return resumeData.summary || '';
+        case 'skills': return getRenderedSkills(resumeData).join(' ');
+        case 'experience':
+            return (resumeData.experience || [])
+                .flatMap(entry => [entry.projectName, entry.description, entry.duration, ...strings(entry.achievements), ...strings(entry.technologies)])
+                .join(' ');
+        case 'projects':
+            return (resumeData.projects || [])
+                .flatMap(project => [project.name, project.description, project.url || '', ...strings(project.highlights), ...strings(project.technologies)])
+                .join(' ');
+        default: return strings(resumeData[section]).join(' ');
+    }
+}
+
+/**
+ * Find a profile link that is not written out as a URL: a link annotation, or a GitHub handle or
+ * website printed as it is in the resume (the styles print a bare handle such as "annlee" and link it)
+ * @param pdf PDF file content
+ * @param text Extracted text
+ * @param resumeData Resume the PDF was generated from
+ * @returns string | undefined
+ */
+function profileLink(pdf: Buffer, text: string, resumeData?: ResumeData): string | undefined {
+    const annotation = pdf.toString('latin1').match(/\/URI\s*\((https?:[^)]+)\)/)?.[1];
+    if (annotation) {
+        return annotation;
+    }
+    const info = resumeData?.personalInfo;
+    return [info?.github, info?.website]
+        .map(value => (value || '').trim().replace(/^https?:\/\//, '').replace(/\/+$/, ''))
+        .find(value => value && new RegExp(`(^|[^\\w.-])${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`, 'i').test(text));
+}
+
+/**
+ * Parse a resume PDF back to text and report what an applicant tracking system would get out of it
+ * @param pdf PDF file content
+ * @param resumeData Resume the PDF was generated from; enables the heading, keyword and section checks
+ * @returns ATSReport
+ * @throws Error when the file is not a PDF
+ */
+export function analyzeResumePDF(pdf: Buffer, resumeData?: ResumeData): ATSReport {
+    const pages = extractPDFText(pdf);
+    const text = pages.join('\n\n');
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const issues: string[] = [];
+
+    if (lines.length === 0) {
+        issues.push('No text could be extracted. The PDF may consist of images; parsers will see an empty resume.');
+    }
+
+    // Contact details, as a parser would pick them out of the text
+    const name = resumeData?.personalInfo.name;
+    const contact = [
+        { label: 'Name', value: name ? lines.slice(0, 3).find(line => line.includes(name)) && name : lines[0] },
+        { label: 'Email', value: text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/)?.[0] },
+        // Phone numbers have 9-15 digits, which keeps dates and date ranges out
+        { label: 'Phone', value: (text.match(/\+?\(?\d[\d ().-]{7,}\d/g) || []).find(candidate => /^\d{9,15}$/.test(candidate.replace(/\D/g, ''))) },
+        { label: 'Profile link', value: text.match(/(https?:\/\/|www\.)\S+|\b(github|linkedin|gitlab)\.com\/\S+/i)?.[0] || profileLink(pdf, text, resumeData) }
+    ];
+    if (name && !contact[0].value) {
+        issues.push(`Your name ("${name}") is not on the first lines of the text.`);
+    }
+    // Phone and links are optional; they are only missing when the resume has them
+    const info = resumeData?.personalInfo;
+    const provided = [true, !info || !!info.phone, !info || !!(info.github || info.website || resumeData?.links?.length)];
+    contact.slice(1)
+        .filter((item, index) => !item.value && provided[index])
+        .forEach(item => issues.push(`No ${item.label.toLowerCase()} found.`));
+
+    // Section headings
+    const expected = resumeData
+        ? getSectionOrder(resumeData).filter(section => words(sectionText(resumeData, section)).length > 0)
+        : (Object.keys(standardHeadings) as ResumeSection[]);
+    const found = lines.filter(line => Object.values(standardHeadings).some(pattern => pattern.test(line)));
+    const missing = expected.filter(section => !lines.some(line => standardHeadings[section].test(line)));
+    if (resumeData && missing.length > 0) {
+        issues.push(`No standard heading found for: ${missing.join(', ')}. Parsers may file that content under the wrong section.`);
+    }
+
+    // Date formats
+    let remaining = text;
+    const formats = dateFormats
+        .map(({ format, pattern }) => {
+            const examples = remaining.match(pattern) || [];
+            remaining = remaining.replace(pattern, ' ');
+            return { format, examples: [...new Set(examples)] };
+        })
+        .filter(entry => entry.examples.length > 0);
+    const specific = formats.filter(entry => entry.format !== 'YYYY');
+    if (specific.length > 1) {
+        issues.push(`Dates use ${specific.length} formats (${specific.map(entry => entry.format).join(', ')}). Use one, such as MM/YYYY or Month YYYY.`);
+    }
+    if (specific.some(entry => entry.format === 'YYYY-MM-DD')) {
+        issues.push('Full dates (YYYY-MM-DD) are often misread as ranges or ignored. Prefer MM/YYYY or Month YYYY.');
+    }
+
+    // Keyword density of the resume's own skills
+    const totalWords = Math.max(1, text.split(/\s+/).filter(Boolean).length);
+    const keywords = (resumeData ? getRenderedSkills(resumeData) : []).map(term => {
+        const count = (text.match(new RegExp(`(^|[^\\w.#+-])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w#+]|\\.\\w)`, 'gi')) || []).length;
+        return { term, count, density: Math.round(1000 * count / totalWords) / 10 };
+    });
+    const lost = keywords.filter(keyword => keyword.count === 0);
+    if (lost.length > 0) {
+        issues.push(`Skills missing from the extracted text: ${lost.map(keyword => keyword.term).join(', ')}.`);
+    }
+    const stuffed = keywords.filter(keyword => keyword.count > 3 && keyword.density > 5);
+    if (stuffed.length > 0) {
+        issues.push(`Very frequent keywords may be treated as stuffing: ${stuffed.map(keyword => `${keyword.term} (${keyword.density}%)`).join(', ')}.`);
+    }
+
+    // Sections whose words did not survive extraction (images, icon fonts, text in graphics)
+    const extracted = new Set(words(text));
+    const unreadableSections = resumeData
+        ? expected
+            .map(section => {
+                const sectionWords = [...new Set(words(sectionText(resumeData, section)))];
+                const coverage = Math.round(100 * sectionWords.filter(word => extracted.has(word)).length / sectionWords.length);
+                return { section, coverage };
+            })
+            .filter(entry => entry.coverage < 80)
+        : [];
+    unreadableSections.forEach(entry => issues.push(`Only ${entry.coverage}% of the ${entry.section} section could be read.`));
+
+    const unmappedCharacters = (text.match(/�/g) || []).length;
+    if (unmappedCharacters > 0) {
+        issues.push(`${unmappedCharacters} character(s) have no text equivalent (icons or fonts without a Unicode map).`);
+    }
+    const decorativeGlyphs = [...new Set(text.match(decorativePattern) || [])].filter(glyph => !'©®™'.includes(glyph));
+    if (decorativeGlyphs.length > 0) {
+        issues.push(`Decorative symbols come through as text: ${decorativeGlyphs.join(' ')}. Use the ATS style to leave them out.`);
+    }
+
+    return {
+        text,
+        pages: pages.length,
+        contact,
+        headings: { found, missing },
+        dateFormats: formats,
+        keywords,
+        unreadableSections,
+        unmappedCharacters,
+        decorativeGlyphs,
+        issues
+    };
+}
+
+/**
+ * Format an ATS report as Markdown for the report document
+ * @param report ATS report
+ * @param fileName Name of the analyzed PDF
+ * @returns string
+ */
+export function formatATSReport(report: ATSReport, fileName: string): string {
+    const keywordRows = report.keywords
+        .slice()
+        .sort((a, b) => b.count - a.count)
+        .map(keyword => `| ${keyword.term} | ${keyword.count} | ${keyword.density}% |`);
+
+    return [
+        `# ATS check: ${fileName}`,
+        '',
+        report.issues.length === 0 ? '**No problems found.**' : `**${report.issues.length} problem(s) found:**`,
+        ...report.issues.map(issue => `- ${issue}`),
+        '',
+        '## Contact information',
+        ...report.contact.map(item => `- ${item.label}: ${item.value || 'not found'}`),
+        '',
+        '## Section headings',
+        `- Recognized: ${report.headings.found.join(', ') || 'none'}`,
+        ...(report.headings.missing.length > 0 ? [`- Not found: ${report.headings.missing.join(', ')}`] : []),
+        '',
+        '## Dates',
+        ...(report.dateFormats.length > 0
+            ? report.dateFormats.map(entry => `- ${entry.format}: ${entry.examples.slice(0, 3).join(', ')}`)
+            : ['- No dates found']),
+        ...(keywordRows.length > 0 ? ['', '## Keyword density', '| Skill | Count | Density |', '| --- | --- | --- |', ...keywordRows] : []),
+        '',
+        `## Extracted text (${report.pages} page${report.pages === 1 ? '' : 's'})`,
+        '```text',
+        report.text,
+        '```',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,146 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as puppeteer from 'puppeteer';
+
+/**
+ * Where a browser candidate comes from, in search order
+ */
+export type BrowserSource = 'configured' | 'bundled' | 'system';
+
+/**
+ * Interface for a browser location that was checked
+ */
+export interface BrowserCandidate {
+    source: BrowserSource;
+    /** Browser name, e.g. "Google Chrome" */
+    name: string;
+    path: string;
+    found: boolean;
+}
+
+/**
+ * Interface for the result of a browser search
+ */
+export interface BrowserSearchResult {
+    /** First candidate that exists, if any */
+    browser?: BrowserCandidate;
+    /** Every location checked, in order */
+    candidates: BrowserCandidate[];
+}
+
+/**
+ * Well-known install locations of Chrome, Chromium and Edge on the current platform
+ */
+function systemBrowsers(): { name: string; path: string }[] {
+    if (process.platform === 'darwin') {
+        const applications = ['/Applications', path.join(os.homedir(), 'Applications')];
+        return applications.flatMap(folder => [
+            { name: 'Google Chrome', path: path.join(folder, 'Google Chrome.app/Contents/MacOS/Google Chrome') },
+            { name: 'Chromium', path: path.join(folder, 'Chromium.app/Contents/MacOS/Chromium') },
+            { name: 'Microsoft Edge', path: path.join(folder, 'Microsoft Edge.app/Contents/MacOS/Microsoft Edge') }
+        ]);
+    }
+
+    if (process.platform === 'win32') {
+        const roots = [process.env['PROGRAMFILES'], process.env['PROGRAMFILES(X86)'], process.env['LOCALAPPDATA']]
+            .filter((root): root is string => !!root);
+        return [
+            ...roots.map(root => ({ name: 'Google Chrome', path: path.join(root, 'Google', 'Chrome', 'Application', 'chrome.exe') })),
+            ...roots.map(root => ({ name: 'Chromium', path: path.join(root, 'Chromium', 'Application', 'chrome.exe') })),
+            ...roots.map(root => ({ name: 'Microsoft Edge', path: path.join(root, 'Microsoft', 'Edge', 'Application', 'msedge.exe') }))
+        ];
+    }
+
+    // Linux and other Unix systems: the usual executable names on PATH, then snap and flatpak exports
+    const executables = [
+        { name: 'Google Chrome', file: 'google-chrome' },
+        { name: 'Google Chrome', file: 'google-chrome-stable' },
+        { name: 'Chromium', file: 'chromium' },
+        { name: 'Chromium', file: 'chromium-browser' },
+        { name: 'Microsoft Edge', file: 'microsoft-edge' },
+        { name: 'Microsoft Edge', file: 'microsoft-edge-stable' }
+    ];
+    const folders = [...new Set([...(process.env['PATH'] || '').split(path.delimiter).filter(Boolean), '/usr/bin', '/snap/bin'])];
+    return [
+        ...executables.flatMap(executable => folders.map(folder => ({ name: executable.name, path: path.join(folder, executable.file) }))),
+        { name: 'Chromium', path: '/var/lib/flatpak/exports/bin/org.chromium.Chromium' },
+        { name: 'Google Chrome', path: '/var/lib/flatpak/exports/bin/com.google.Chrome' }
+    ];
+}
+
+/**
+ * Check whether a path is an existing file
+ */
+const isFile = (filePath: string) => {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Find a Chromium-based browser for PDF rendering. Search order: the configured path, Puppeteer's
+ * downloaded browser, then Chrome, Chromium and Edge in their usual system locations.
+ * A configured path that does not exist is reported but does not stop the search.
+ * @param configuredPath Browser executable from the resumeGenerator.browserPath setting
+ * @returns BrowserSearchResult
+ */
+export function findBrowser(configuredPath?: string): BrowserSearchResult {
+    const candidates: BrowserCandidate[] = [];
+    const check = (source: BrowserSource, name: string, candidatePath: string) => {
+        const candidate = { source, name, path: candidatePath, found: isFile(candidatePath) };
+        candidates.push(candidate);
+        return candidate.found;
+    };
+
+    const configured = configuredPath?.trim().replace(/^~(?=$|[\\/])/, os.homedir());
+    if (configured && check('configured', 'Configured browser', configured)) {
+        return { browser: candidates[candidates.length - 1], candidates };
+    }
+
+    // Honors PUPPETEER_EXECUTABLE_PATH and the Puppeteer cache directory; the path exists once the browser is downloaded
+    let bundledPath: string | undefined;
+    try {
+        bundledPath = puppeteer.executablePath();
+    } catch {
+        bundledPath = undefined;
+    }
+    if (bundledPath && check('bundled', 'Puppeteer Chrome', bundledPath)) {
+        return { browser: candidates[candidates.length - 1], candidates };
+    }
+
+    const seen = new Set<string>();
+    for (const system of systemBrowsers()) {
+        if (seen.has(system.path)) {
+            continue;
+        }
+        seen.add(system.path);
+        if (isFile(system.path)) {
+            check('system', system.name, system.path);
+            return { browser: candidates[candidates.length - 1], candidates };
+        }
+    }
+    // Missing system locations are summarized instead of listed one by one
+    candidates.push({ source: 'system', name: 'Chrome, Chromium or Edge', path: `${seen.size} usual install locations`, found: false });
+
+    return { candidates };
+}
+
+/**
+ * Describe a failed browser search and how to fix it
+ * @param result Browser search result
+ * @param launchError Error of launching the found browser, if that is what failed
+ * @returns string
+ */
+export function describeBrowserProblem(result: BrowserSearchResult, launchError?: unknown): string {
+    if (result.browser && launchError) {
+        return `${result.browser.name} (${result.browser.path}) could not be started: ${launchError instanceof Error ? launchError.message.split('\n')[0] : launchError}. ` +
+            'Set resumeGenerator.browserPath to another Chrome, Chromium or Edge executable.';
+    }
+
+    const checked = result.candidates.map(candidate => `${candidate.name} (${candidate.path})`).join(', ');
+    return `No Chrome, Chromium or Edge browser found. Checked: ${checked}. ` +
+        'Install one of them, set resumeGenerator.browserPath to its executable, or run "npx puppeteer browsers install chrome".';
+}
@@ -0,0 +1,451 @@
+import { ResumeData, RepositoryAnalysis } from './AIService';
+import { GitCommitData, CommitCategory } from './GitService';
+import { describeFinding } from './InfrastructureDetectors';
+
+/**
+ * How unsupported bullets are handled (see the resumeGenerator.claimVerification setting)
+ */
+export type ClaimVerificationMode = 'rewrite' | 'flag' | 'off';
+
+/**
+ * Interface for the verification result of one bullet
+ */
+export interface BulletEvidence {
+    /** verified: claims supported and evidence found; unverified: no claims but no evidence either; unsupported: contains claims the repository does not back */
+    status: 'verified' | 'unverified' | 'unsupported';
+    /** Abbreviated hashes of the commits behind the bullet */
+    commits: string[];
+    /** Files behind the bullet */
+    files: string[];
+    /** Claims that could not be backed, e.g. "40%", "Kubernetes" */
+    unsupportedClaims: string[];
+    /** Original text when the bullet was rewritten without its unsupported claims */
+    originalText?: string;
+}
+
+/**
+ * Verification results of a list of bullets, by position; null for bullets added after verification
+ */
+export type BulletEvidenceList = (BulletEvidence | null)[];
+
+/**
+ * Get the verification result of a bullet
+ * @param evidence Evidence of the bullet's entry; resume data saved by older versions keys it by bullet text
+ * @param index Position of the bullet
+ * @param text Bullet text
+ * @returns BulletEvidence | undefined
+ */
+export function bulletEvidence(evidence: BulletEvidenceList | Record<string, BulletEvidence> | undefined, index: number, text: string): BulletEvidence | undefined {
+    if (!evidence) {
+        return undefined;
+    }
+    return (Array.isArray(evidence) ? evidence[index] : evidence[text]) || undefined;
+}
+
+/**
+ * Interface for the outcome of a verification pass
+ */
+export interface VerificationSummary {
+    verified: number;
+    unverified: number;
+    unsupported: number;
+    rewritten: number;
+}
+
+/**
+ * What a number measures: a percentage ("40%"), a factor ("3x") or anything else ("12 services", "port 3000")
+ */
+type NumberKind = 'percent' | 'factor' | 'count';
+
+/**
+ * Interface for a number the repository backs
+ */
+interface NumberSource {
+    kind: NumberKind;
+    /** Commit quoting the number */
+    commit?: string;
+    /** File quoting the number */
+    file?: string;
+    /** Words next to a quoted number ("port", "users"); undefined for computed statistics */
+    context?: string[];
+}
+
+/**
+ * Everything a bullet may be checked against, for one repository
+ */
+interface EvidenceIndex {
+    commits: GitCommitData[];
+    /** Numbers the repository backs: computed statistics, and numbers quoted in commits, README and findings */
+    numbers: Map<string, NumberSource[]>;
+    /** Lowercased text of commit messages, paths, manifests, README and detected stack */
+    text: string;
+    technologies: Set<string>;
+    files: { path: string; tool?: string }[];
+}
+
+/**
+ * Technology names the model tends to mention; a mention must be backed by the repository
+ */
+export const commonTechnologies = [
+    'JavaScript', 'TypeScript', 'Python', 'Java', 'Kotlin', 'Scala', 'Go', 'Rust', 'Ruby', 'PHP', 'C#', 'C++', 'Swift',
+    'React', 'Vue', 'Angular', 'Svelte', 'Next.js', 'Node.js', 'Express', 'NestJS', 'Django', 'Flask', 'FastAPI', 'Spring', 'Rails', 'Laravel', '.NET',
+    'GraphQL', 'gRPC', 'WebSocket', 'Redux', 'Tailwind',
+    'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'SQLite', 'Elasticsearch', 'DynamoDB', 'Cassandra', 'Kafka', 'RabbitMQ',
+    'Docker', 'Kubernetes', 'Terraform', 'Helm', 'Ansible', 'Jenkins', 'GitHub Actions', 'GitLab CI', 'CircleCI',
+    'AWS', 'GCP', 'Azure', 'Lambda', 'S3', 'Heroku', 'Vercel', 'Netlify',
+    'Jest', 'Mocha', 'Cypress', 'Playwright', 'Selenium', 'pytest', 'JUnit',
+    'TensorFlow', 'PyTorch', 'Pandas', 'NumPy', 'Spark'
+];
+
+/**
+ * Impact claims that need a matching commit, e.g. a bullet about performance needs a performance commit
+ */
+const impactClaims: { pattern: RegExp; label: string; supported: (commit: GitCommitData) => boolean }[] = [
+    {
+        pattern: /\b(performance|faster|latency|throughput|speed(ed)? up|load time|optimi[sz]ed)\b/i,
+        label: 'performance improvement',
+        supported: commit => commit.category === CommitCategory.PERF || /\b(perf|performance|faster|speed|optimi[sz]e|latency|cache|caching)\b/i.test(commit.message)
+    },
+    {
+        pattern: /\b(security|vulnerabilit(y|ies)|secured|hardened)\b/i,
+        label: 'security work',
+        supported: commit => /\b(security|vulnerab|cve|xss|csrf|injection|sanitiz|auth)/i.test(commit.message)
+    },
+    {
+        pattern: /\b(test coverage|coverage)\b/i,
+        label: 'test coverage',
+        supported: commit => commit.category === CommitCategory.TEST || /\bcoverage\b/i.test(commit.message)
+    },
+    {
+        pattern: /\b(users?|customers?|revenue|conversion|engagement|uptime|downtime|sla)\b/i,
+        label: 'business impact',
+        supported: commit => /\b(users?|customers?|revenue|conversion|engagement|uptime|downtime|sla)\b/i.test(commit.message)
+    }
+];
+
+/**
+ * Words too common to link a bullet to a commit
+ */
+const stopWords = new Set([
+    'the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'using', 'used', 'across', 'over', 'via', 'per',
+    'implemented', 'developed', 'built', 'added', 'improved', 'created', 'designed', 'delivered', 'maintained', 'wrote',
+    'code', 'project', 'application', 'feature', 'features', 'support', 'commits', 'commit', 'changes', 'update', 'updated'
+]);
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Numbers with their unit: "40%", "40 percent", "3x", "1,200"
+ */
+const numberPattern = /(\d[\d,]*(\.\d+)?)\s*(%|x\b|percent\b)?/gi;
+
+/**
+ * Words that say nothing about what a number counts
+ */
+const contextStopWords = new Set(['by', 'of', 'to', 'in', 'on', 'at', 'for', 'the', 'and', 'or', 'a', 'an', 'with', 'than', 'over', 'up', 'about', 'around', 'nearly', 'more', 'less']);
+
+/**
+ * Read the numbers of a text with their kind and the words around them (up to three before and two after,
+ * within the same sentence)
+ * @param text Text to scan
+ * @returns Numbers without thousands separators
+ */
+function readNumbers(text: string): { value: string; claim: string; kind: NumberKind; context: string[] }[] {
+    const words = (segment: string) => segment.match(/[A-Za-z][\w+#-]*/g) || [];
+    return [...text.matchAll(numberPattern)].map(match => {
+        const index = match.index ?? 0;
+        const before = words(text.slice(Math.max(0, index - 60), index).split(/[.!?\n]\s/).pop() || '').slice(-3);
+        const after = words(text.slice(index + match[0].length, index + match[0].length + 40).split(/[.!?\n]/)[0]).slice(0, 2);
+        const unit = (match[3] || '').toLowerCase();
+        return {
+            value: match[1].replace(/,/g, ''),
+            claim: match[0].trim(),
+            kind: unit === '%' || unit === 'percent' ? 'percent' : unit === 'x' ? 'factor' : 'count',
+            // Lowercased and without a plural s, so "user" in a commit backs "users" in a bullet
+            context: [...before, ...after]
+                .map(word => word.toLowerCase().replace(/-+$/, '').replace(/(?<=\w{3})s$/, ''))
+                .filter(word => !contextStopWords.has(word))
+        };
+    });
+}
+
+/**
+ * Check whether a source backs a number of a bullet. Percentages and factors need a source of the same kind,
+ * so "50 MB" or "Node 18" never back "50%". A quoted count also needs a word in common, so "port 3000" does
+ * not back "3000 users"; computed statistics back any count
+ */
+const backs = (source: NumberSource, claim: { kind: NumberKind; context: string[] }) =>
+    source.kind === claim.kind &&
+    (source.kind !== 'count' || !source.context || source.context.some(word => claim.context.includes(word)));
+
+/**
+ * Check whether a text names a term as a whole word, case-insensitively ("Go" does not match "Google", "Node.js" does not match "Node.jsx")
+ */
+export const mentions = (text: string, term: string) =>
+    new RegExp(`(^|[^\\w.#+-])${escapeRegExp(term)}(?![\\w#+]|\\.\\w)`, 'i').test(text);
+
+/**
+ * Build the evidence index of one repository
+ * @param repository Git and project data
+ * @returns EvidenceIndex
+ */
+function buildEvidenceIndex(repository: RepositoryAnalysis): EvidenceIndex {
+    const { gitData, projectData } = repository;
+    const findings = projectData.infrastructure?.findings || [];
+
+    // Every number the repository can back: computed counts and shares, and numbers quoted in commits, README and findings
+    const counts = [
+        gitData.totalCommits,
+        gitData.commits.length,
+        gitData.authors.length,
+        gitData.languages.length,
+        ...Object.values(gitData.commitStats || {}),
+        new Set(gitData.commits.flatMap(commit => commit.files)).size,
+        gitData.commits.reduce((total, commit) => total + commit.insertions, 0),
+        gitData.commits.reduce((total, commit) => total + commit.deletions, 0),
+        ...(projectData.manifests || []).map(manifest => manifest.dependencies.length + manifest.devDependencies.length),
+        ...findings.map(finding => finding.files.length)
+    ];
+    const shares = [
+        ...(gitData.languageProfile || []).map(stat => stat.percentage),
+        ...Object.values(gitData.commitStats || {}).map(count => gitData.totalCommits > 0 ? count / gitData.totalCommits * 100 : 0)
+    ].map(Math.round);
+
+    const numbers = new Map<string, NumberSource[]>();
+    const add = (value: string, source: NumberSource) => numbers.set(value, [...(numbers.get(value) || []), source]);
+    counts.forEach(count => add(String(count), { kind: 'count' }));
+    shares.forEach(share => add(String(share), { kind: 'percent' }));
+    const addQuoted = (text: string, source: { commit?: string; file?: string }) => {
+        for (const number of readNumbers(text)) {
+            add(number.value, { ...source, kind: number.kind, context: number.context });
+        }
+    };
+    gitData.commits.forEach(commit => addQuoted(commit.message, { commit: commit.hash }));
+    addQuoted(projectData.readme?.content || '', { file: 'README.md' });
+    findings.forEach(finding => addQuoted(`${describeFinding(finding)} ${finding.achievement}`, { file: finding.files[0] }));
+
+    const technologies = [
+        ...gitData.languages,
+        ...(projectData.stack ? [...projectData.stack.frameworks, ...projectData.stack.databases, ...projectData.stack.tools] : []),
+        ...(projectData.readme?.technologies || []),
+        ...findings.flatMap(finding => [finding.tool, ...finding.providers])
+    ];
+
+    const text = [
+        ...gitData.commits.flatMap(commit => [commit.message, ...commit.files]),
+        ...(projectData.manifests || []).flatMap(manifest => [manifest.file, ...manifest.dependencies, ...manifest.devDependencies]),
+        ...findings.flatMap(finding => [describeFinding(finding), ...finding.files]),
+        projectData.readme?.content || '',
+        ...technologies
+    ].join('\n').toLowerCase();
+
+    return {
+        commits: gitData.commits,
+        numbers,
+        text,
+        technologies: new Set(technologies.map(technology => technology.toLowerCase())),
+        files: [
+            ...findings.flatMap(finding => finding.files.map(file => ({ path: file, tool: finding.tool }))),
+            ...(projectData.manifests || []).map(manifest => ({ path: manifest.file }))
+        ]
+    };
+}
+
+/**
+ * Verify one bullet against the evidence
+ * @param bullet Bullet text
+ * @param evidence Evidence index
+ * @param vocabulary Technology names to look for
+ * @returns BulletEvidence
+ */
+function verifyBullet(bullet: string, evidence: EvidenceIndex, vocabulary: string[]): BulletEvidence {
+    const unsupportedClaims: string[] = [];
+    const numberSources: NumberSource[] = [];
+
+    // Numbers: "40%", "3x", "12 services", "1,200 users"; quoted commit subjects are already evidence
+    const claimText = bullet.replace(/"[^"]*"/g, '');
+    for (const number of readNumbers(claimText)) {
+        if (/^(19|20)\d\d$/.test(number.value) && number.kind === 'count') continue; // Years
+        const source = (evidence.numbers.get(number.value) || []).find(candidate => backs(candidate, number));
+        if (source) {
+            numberSources.push(source);
+        } else {
+            unsupportedClaims.push(number.claim);
+        }
+    }
+
+    // Technologies the bullet names but the repository never mentions
+    const named = vocabulary.filter(technology => mentions(bullet, technology));
+    for (const technology of named) {
+        if (!evidence.technologies.has(technology.toLowerCase()) && !mentions(evidence.text, technology)) {
+            unsupportedClaims.push(technology);
+        }
+    }
+
+    // Impact claims need at least one commit of that kind
+    for (const claim of impactClaims) {
+        if (claim.pattern.test(bullet) && !evidence.commits.some(claim.supported)) {
+            unsupportedClaims.push(claim.label);
+        }
+    }
+
+    // Link commits sharing distinctive words with the bullet, and files of the tools it names
+    const words = [...new Set((claimText.toLowerCase().match(/[a-z][a-z0-9+#.-]{3,}/g) || []).filter(word => !stopWords.has(word)))];
+    const quotedSubjects = [...bullet.matchAll(/"([^"]+)"/g)].map(match => match[1].toLowerCase());
+    const linked = evidence.commits
+        .map(commit => {
+            const message = commit.message.toLowerCase();
+            const quotedMatch = quotedSubjects.some(subject => message.includes(subject));
+            const overlap = words.filter(word => message.includes(word) || commit.files.some(file => file.toLowerCase().includes(word))).length;
+            return { commit, score: quotedMatch ? 100 : overlap };
+        })
+        .filter(candidate => candidate.score >= Math.min(2, words.length) && candidate.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3)
+        .map(candidate => candidate.commit);
+
+    // Statistics bullets ("Resolved 12 bugs") are backed by the commits of the categories they count
+    const counted = linked.length === 0 && numberSources.length > 0
+        ? evidence.commits.filter(commit => new RegExp(`\\b${commit.category}`, 'i').test(bullet) ||
+            (commit.category === CommitCategory.FIX && /\bbugs?\b/i.test(bullet))).slice(0, 3)
+        : [];
+    const quotedIn = numberSources.map(source => source.commit).filter(Boolean) as string[];
+    const commits = [
+        ...linked,
+        ...counted,
+        ...evidence.commits.filter(commit => quotedIn.includes(commit.hash))
+    ].filter((commit, index, all) => all.indexOf(commit) === index);
+
+    const files = [...new Set([
+        ...evidence.files
+            .filter(file => (file.tool && mentions(bullet, file.tool)) || named.some(technology => file.path.toLowerCase().includes(technology.toLowerCase())))
+            .map(file => file.path),
+        ...numberSources.map(source => source.file).filter(Boolean) as string[],
+        ...linked.flatMap(commit => commit.files)
+    ])].slice(0, 5);
+
+    const backed = commits.length > 0 || files.length > 0 || numberSources.length > 0;
+    return {
+        status: unsupportedClaims.length > 0 ? 'unsupported' : backed ? 'verified' : 'unverified',
+        commits: commits.map(commit => commit.hash.slice(0, 7)),
+        files,
+        unsupportedClaims: [...new Set(unsupportedClaims)]
+    };
+}
+
+/**
+ * Remove unsupported numbers from a bullet, e.g. "Cut load time by 40% with caching" -> "Cut load time with caching".
+ * Other unsupported claims stay, and the bullet stays flagged for them
+ * @param bullet Bullet text
+ * @param claims Unsupported claims of the bullet
+ * @returns string | null Rewritten bullet, or null when it has no unsupported numbers or cannot be rewritten safely
+ */
+function rewriteBullet(bullet: string, claims: string[]): string | null {
+    // Only numeric claims can be dropped without changing what the sentence is about
+    const numeric = claims.filter(claim => /^\d/.test(claim));
+    if (numeric.length === 0) {
+        return null;
+    }
+
+    let text = bullet;
+    for (const claim of numeric) {
+        const number = escapeRegExp(claim);
+        text = text
+            .replace(new RegExp(`\\s*\\b(by|of|to|up to|over|nearly|about|around|approximately|more than|than)?\\s*~?${number}(\\s*(faster|slower|fewer|more|less|reduction|increase|improvement))?`, 'gi'), '')
+            .replace(new RegExp(`~?${number}\\s*`, 'g'), '');
+    }
+    text = text.replace(/\s+([,.;)])/g, '$1').replace(/\(\s*\)/g, '').replace(/\s{2,}/g, ' ').trim();
+
+    // Too little left means the number was the point of the bullet
+    return text.split(/\s+/).length >= 4 ? text : null;
+}
+
+/**
+ * Cross-check experience achievements and project highlights against the analyzed repositories.
+ * Each bullet gets an evidence entry (commits, files, unsupported claims); unsupported numbers are removed in rewrite mode.
+ * @param resumeData Resume data (not modified)
+ * @param repositories Analyzed repositories; entries are matched to a repository by name
+ * @param mode How to handle unsupported bullets
+ * @returns Resume data with evidence, and counts per status
+ */
+export function verifyResumeClaims(
+    resumeData: ResumeData,
+    repositories: RepositoryAnalysis[],
+    mode: ClaimVerificationMode = 'rewrite'
+): { resumeData: ResumeData; summary: VerificationSummary } {
+    const summary: VerificationSummary = { verified: 0, unverified: 0, unsupported: 0, rewritten: 0 };
+    if (mode === 'off' || repositories.length === 0) {
+        return { resumeData, summary };
+    }
+
+    const indexes = repositories.map(repository => ({ name: repository.projectData.projectName.toLowerCase(), index: buildEvidenceIndex(repository) }));
+    // Entries that match no repository (e.g. invented by the model) are checked against all of them;
+    // a number several repositories quote keeps the sources of each
+    const numbers = new Map<string, NumberSource[]>();
+    indexes.forEach(entry => entry.index.numbers.forEach((sources, value) => numbers.set(value, [...(numbers.get(value) || []), ...sources])));
+    const combined: EvidenceIndex = {
+        commits: indexes.flatMap(entry => entry.index.commits),
+        numbers,
+        text: indexes.map(entry => entry.index.text).join('\n'),
+        technologies: new Set(indexes.flatMap(entry => [...entry.index.technologies])),
+        files: indexes.flatMap(entry => entry.index.files)
+    };
+    const evidenceFor = (name: string) =>
+        indexes.length === 1 ? indexes[0].index : indexes.find(entry => entry.name === name.toLowerCase())?.index || combined;
+
+    const vocabulary = [...new Set([
+        ...commonTechnologies,
+        ...Object.values(resumeData.skills || {}).flat(),
+        ...(resumeData.experience || []).flatMap(entry => entry.technologies || []),
+        ...(resumeData.projects || []).flatMap(project => project.technologies || [])
+    ])].filter(technology => typeof technology === 'string' && technology.length > 1);
+
+    const verifyList = (bullets: string[], evidence: EvidenceIndex) => {
+        const result: { bullets: string[]; evidence: BulletEvidence[] } = { bullets: [], evidence: [] };
+        for (const bullet of bullets || []) {
+            const check = verifyBullet(bullet, evidence, vocabulary);
+            let text = bullet;
+            if (check.status === 'unsupported' && mode === 'rewrite') {
+                const rewritten = rewriteBullet(bullet, check.unsupportedClaims);
+                if (rewritten) {
+                    text = rewritten;
+                    Object.assign(check, verifyBullet(rewritten, evidence, vocabulary), { originalText: bullet });
+                    summary.rewritten++;
+                }
+            }
+            summary[check.status]++;
+            result.bullets.push(text);
+            result.evidence.push(check);
+        }
+        return result;
+    };
+
+    return {
+        resumeData: {
+            ...resumeData,
+            experience: (resumeData.experience || []).map(entry => {
+                const { bullets, evidence } = verifyList(entry.achievements, evidenceFor(entry.projectName));
+                return { ...entry, achievements: bullets, evidence };
+            }),
+            projects: (resumeData.projects || []).map(project => {
+                const { bullets, evidence } = verifyList(project.highlights, evidenceFor(project.name));
+                return { ...project, highlights: bullets, evidence };
+            })
+        },
+        summary
+    };
+}
+
+/**
+ * Describe a verification summary for the user, e.g. "12 bullets verified, 2 rewritten, 1 unsupported"
+ * @param summary Verification summary
+ * @returns string
+ */
+export function describeVerification(summary: VerificationSummary): string {
+    return [
+        `${summary.verified} verified`,
+        summary.rewritten > 0 ? `${summary.rewritten} rewritten` : '',
+        summary.unsupported > 0 ? `${summary.unsupported} unsupported` : '',
+        summary.unverified > 0 ? `${summary.unverified} without evidence` : ''
+    ].filter(Boolean).join(', ');
+}
@@ -0,0 +1,424 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import * as zlib from 'zlib';
+import { ResumeData } from './AIService';
+import { ResumeStyle, ResumeSection, getSectionOrder, getSectionTitles, githubURL } from './PDFService';
+import { safeURL, stripInlineMarkdown } from './SafeHTML';
+
+/**
+ * DOCX generation options
+ */
+export interface DocxOptions {
+    style: ResumeStyle;
+    outputPath: string;
+    format: 'A4' | 'Letter';
+}
+
+/**
+ * Fonts and colors of each style, matching the PDF styles
+ */
+const docxThemes: Record<ResumeStyle, { font: string; accent: string; uppercaseHeadings: boolean }> = {
+    [ResumeStyle.MODERN]: { font: 'Arial', accent: '667EEA', uppercaseHeadings: false },
+    [ResumeStyle.CLASSIC]: { font: 'Times New Roman', accent: '333333', uppercaseHeadings: true },
+    [ResumeStyle.MINIMAL]: { font: 'Arial', accent: '333333', uppercaseHeadings: true },
+    [ResumeStyle.DEVELOPER]: { font: 'Courier New', accent: '2D3748', uppercaseHeadings: false },
+    [ResumeStyle.ATS]: { font: 'Arial', accent: '000000', uppercaseHeadings: true }
+};
+
+/**
+ * Page sizes in twentieths of a point
+ */
+const pageSizes = {
+    A4: { width: 11906, height: 16838 },
+    Letter: { width: 12240, height: 15840 }
+};
+
+/**
+ * Page margin in twentieths of a point (0.5in, as in the PDF)
+ */
+const PAGE_MARGIN = 720;
+
+const escapeXML = (text: string) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Characters XML 1.0 does not allow
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (data: Buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Build a ZIP archive (the container of a DOCX file) with deflated entries
+ * @param entries File names and contents, in archive order
+ * @returns Buffer
+ */
+function createZip(entries: { name: string; content: string }[]): Buffer {
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts: Buffer[] = [];
+    const centralParts: Buffer[] = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.from(entry.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);             // Version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // Deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);           // Version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * Service for generating Word (DOCX) resumes with real headings, bullet lists and hyperlinks
+ */
+export class DocxService {
+    private workspaceRoot: string;
+    /** Hyperlink targets of the document being built; their index gives the relationship id */
+    private links: string[] = [];
+    /** Width between the margins, where entry dates are right-aligned */
+    private contentWidth = pageSizes.A4.width - 2 * PAGE_MARGIN;
+
+    constructor(workspaceRoot: string) {
+        this.workspaceRoot = workspaceRoot;
+    }
+
+    /**
+     * Generate a DOCX resume from resume data
+     * @param resumeData Resume data structure
+     * @param options DOCX generation options
+     * @param endorsements Skill endorsements, written as text
+     * @returns Promise<string> Path to generated DOCX
+     */
+    async generateDocx(resumeData: ResumeData, options: DocxOptions, endorsements?: Record<string, string[]>): Promise<string> {
+        try {
+            this.links = [];
+            this.contentWidth = (pageSizes[options.format] || pageSizes.A4).width - 2 * PAGE_MARGIN;
+            const theme = docxThemes[options.style] || docxThemes[ResumeStyle.MODERN];
+            const body = this.generateBody(resumeData, options.style, endorsements);
+
+            const archive = createZip([
+                { name: '[Content_Types].xml', content: this.getContentTypes() },
+                { name: '_rels/.rels', content: this.getPackageRelationships() },
+                { name: 'docProps/core.xml', content: this.getCoreProperties(resumeData) },
+                { name: 'word/document.xml', content: this.getDocument(body, options.format) },
+                { name: 'word/styles.xml', content: this.getStyles(theme) },
+                { name: 'word/numbering.xml', content: this.getNumbering(theme) },
+                { name: 'word/_rels/document.xml.rels', content: this.getDocumentRelationships() }
+            ]);
+
+            // Ensure output directory exists
+            await fs.promises.mkdir(path.dirname(options.outputPath), { recursive: true });
+            await fs.promises.writeFile(options.outputPath, archive);
+
+            return options.outputPath;
+
+        } catch (error) {
+            console.error('Error generating DOCX:', error);
+            throw new Error(`Failed to generate DOCX: ${error}`);
+        }
+    }
+
+    /**
+     * Generate the paragraphs of the resume, in section order
+     */
+    private generateBody(resumeData: ResumeData, style: ResumeStyle, endorsements?: Record<string, string[]>): string {
+        const titles = getSectionTitles(style);
+        const info = resumeData.personalInfo;
+        const contact = [
+            info.email ? this.link(info.email, `mailto:${info.email}`) : '',
+            info.phone ? this.run(info.phone) : '',
+            info.location ? this.run(info.location) : '',
+            info.github ? this.link(info.github, githubURL(info.github)) : '',
+            info.website ? this.link(info.website, info.website) : '',
+            ...(resumeData.links || []).map(link => this.run(`${link.label}: `) + this.link(link.url, link.url))
+        ].filter(Boolean);
+
+        const sections: Record<ResumeSection, () => string> = {
+            summary: () => resumeData.summary ? this.paragraph(this.run(resumeData.summary)) : '',
+            skills: () => this.generateSkills(resumeData.skills, endorsements),
+            workHistory: () => (resumeData.workHistory || []).map(job => [
+                this.itemHeading(`${job.position} - ${job.company}${job.location ? `, ${job.location}` : ''}`, `${job.startDate} - ${job.endDate || 'Present'}`, style),
+                job.summary ? this.paragraph(this.run(job.summary)) : '',
+                ...(job.highlights || []).map(highlight => this.bullet(highlight))
+            ].join('')).join(''),
+            experience: () => (resumeData.experience || []).map(exp => [
+                this.itemHeading(exp.projectName, exp.duration, style),
+                exp.description ? this.paragraph(this.run(exp.description)) : '',
+                ...(exp.achievements || []).map(achievement => this.bullet(achievement)),
+                this.technologies(exp.technologies)
+            ].join('')).join(''),
+            projects: () => (resumeData.projects || []).map(project => [
+                this.itemHeading(project.name, '', style),
+                project.url ? this.paragraph(this.link(project.url, project.url)) : '',
+                project.description ? this.paragraph(this.run(project.description)) : '',
+                ...(project.highlights || []).map(highlight => this.bullet(highlight)),
+                this.technologies(project.technologies)
+            ].join('')).join(''),
+            education: () => (resumeData.education || []).map(entry => [
+                this.itemHeading(
+                    `${entry.degree}${entry.field ? ` in ${entry.field}` : ''} - ${entry.institution}`,
+                    [entry.startDate, entry.endDate].filter(Boolean).join(' - '),
+                    style
+                ),
+                ...(entry.details || []).map(detail => this.bullet(detail))
+            ].join('')).join(''),
+            certifications: () => (resumeData.certifications || []).map(cert => this.paragraph(
+                (cert.url ? this.link(cert.name, cert.url) : this.run(cert.name)) +
+                this.run(`${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.date ? ` (${cert.date})` : ''}`),
+                'ListParagraph',
+                true
+            )).join('')
+        };
+
+        return [
+            this.paragraph(this.run(info.name), 'Title'),
+            info.title ? this.paragraph(this.run(info.title), 'Subtitle') : '',
+            contact.length > 0 ? this.paragraph(contact.join(this.run(' | '))) : '',
+            ...getSectionOrder(resumeData).map(section => {
+                const content = sections[section]();
+                return content ? this.paragraph(this.run(titles[section]), 'Heading1') + content : '';
+            })
+        ].join('');
+    }
+
+    /**
+     * Generate the skill categories, one paragraph each
+     */
+    private generateSkills(skills: ResumeData['skills'], endorsements?: Record<string, string[]>): string {
+        const categories = [
+            { title: 'Programming Languages', items: skills?.technical || [] },
+            { title: 'Frameworks & Libraries', items: skills?.frameworks || [] },
+            { title: 'Tools & Technologies', items: skills?.tools || [] },
+            { title: 'Databases', items: skills?.databases || [] }
+        ];
+
+        return categories
+            .filter(category => Array.isArray(category.items) && category.items.length > 0)
+            .map(category => {
+                const items = category.items.map(skill => {
+                    const endorsers = endorsements && endorsements[skill];
+                    return endorsers && endorsers.length > 0 ? `${skill} (endorsed by ${endorsers.length})` : skill;
+                });
+                return this.paragraph(this.run(`${category.title}: `, { bold: true }) + this.run(items.join(', ')));
+            }).join('');
+    }
+
+    /**
+     * Generate an entry heading with its dates; right-aligned on the same line, or on their own line in the ATS style
+     */
+    private itemHeading(title: string, dates: string, style: ResumeStyle): string {
+        if (!dates) {
+            return this.paragraph(this.run(title), 'Heading2');
+        }
+        if (style === ResumeStyle.ATS) {
+            return this.paragraph(this.run(title), 'Heading2') + this.paragraph(this.run(dates));
+        }
+        return `<w:p><w:pPr><w:pStyle w:val="Heading2"/><w:tabs><w:tab w:val="right" w:pos="${this.contentWidth}"/></w:tabs></w:pPr>` +
+            `${this.run(title)}<w:r><w:tab/></w:r>${this.run(dates, { italic: true, bold: false })}</w:p>`;
+    }
+
+    /**
+     * Generate the technologies line of an entry
+     */
+    private technologies(technologies: string[] | undefined): string {
+        return Array.isArray(technologies) && technologies.length > 0
+            ? this.paragraph(this.run(`Technologies: ${technologies.join(', ')}`, { italic: true }))
+            : '';
+    }
+
+    /**
+     * Generate a paragraph
+     * @param content Runs and hyperlinks
+     * @param style Paragraph style id
+     * @param listItem Make the paragraph a bullet list item
+     */
+    private paragraph(content: string, style?: string, listItem: boolean = false): string {
+        const properties = [
+            style ? `<w:pStyle w:val="${style}"/>` : '',
+            listItem ? '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>' : ''
+        ].join('');
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+    }
+
+    /**
+     * Generate a bullet list item
+     */
+    private bullet(text: string): string {
+        return this.paragraph(this.run(stripInlineMarkdown(text)), 'ListParagraph', true);
+    }
+
+    /**
+     * Generate a text run
+     */
+    private run(text: string, format: { bold?: boolean; italic?: boolean } = {}): string {
+        const properties = [
+            format.bold !== undefined ? `<w:b w:val="${format.bold ? 1 : 0}"/>` : '',
+            format.italic ? '<w:i/>' : ''
+        ].join('');
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXML(text)}</w:t></w:r>`;
+    }
+
+    /**
+     * Generate a hyperlink; the target is added to the document relationships.
+     * Targets that fail URL validation are written as plain text
+     */
+    private link(text: string, target: string): string {
+        const url = safeURL(target);
+        if (!url) {
+            return this.run(text);
+        }
+        let index = this.links.indexOf(url);
+        if (index === -1) {
+            index = this.links.push(url) - 1;
+        }
+        return `<w:hyperlink r:id="rIdLink${index + 1}"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t xml:space="preserve">${escapeXML(text)}</w:t></w:r></w:hyperlink>`;
+    }
+
+    /**
+     * Get the main document part
+     */
+    private getDocument(body: string, format: DocxOptions['format']): string {
+        const page = pageSizes[format] || pageSizes.A4;
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>${body}
+<w:sectPr><w:pgSz w:w="${page.width}" w:h="${page.height}"/><w:pgMar w:top="${PAGE_MARGIN}" w:right="${PAGE_MARGIN}" w:bottom="${PAGE_MARGIN}" w:left="${PAGE_MARGIN}" w:header="0" w:footer="0" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+    }
+
+    /**
+     * Get the style definitions for a theme
+     */
+    private getStyles(theme: typeof docxThemes[ResumeStyle]): string {
+        const caps = theme.uppercaseHeadings ? '<w:caps/>' : '';
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="${theme.font}" w:hAnsi="${theme.font}" w:cs="${theme.font}"/><w:sz w:val="21"/><w:color w:val="333333"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:b/><w:color w:val="000000"/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:rPr><w:color w:val="666666"/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="${theme.accent}"/></w:pBdr><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/>${caps}<w:color w:val="${theme.accent}"/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="40"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:color w:val="000000"/><w:sz w:val="24"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/><w:ind w:left="360"/></w:pPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="${theme.accent === '000000' ? '0563C1' : theme.accent}"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+    }
+
+    /**
+     * Get the bullet list definition
+     */
+    private getNumbering(theme: typeof docxThemes[ResumeStyle]): string {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr><w:rPr><w:rFonts w:ascii="${theme.font}" w:hAnsi="${theme.font}"/></w:rPr></w:lvl></w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+    }
+
+    /**
+     * Get the content types of the package parts
+     */
+    private getContentTypes(): string {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+    }
+
+    /**
+     * Get the package relationships
+     */
+    private getPackageRelationships(): string {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+    }
+
+    /**
+     * Get the document relationships: styles, numbering and one external relationship per hyperlink
+     */
+    private getDocumentRelationships(): string {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+${this.links.map((url, index) => `<Relationship Id="rIdLink${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXML(url)}" TargetMode="External"/>`).join('\n')}
+</Relationships>`;
+    }
+
+    /**
+     * Get the document properties (title and author shown by Word and file managers)
+     */
+    private getCoreProperties(resumeData: ResumeData): string {
+        const created = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXML(`${resumeData.personalInfo.name} - Resume`)}</dc:title>
+<dc:creator>${escapeXML(resumeData.personalInfo.name)}</dc:creator>
+<cp:keywords>${escapeXML(Object.values(resumeData.skills || {}).flat().join(', '))}</cp:keywords>
+<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+</cp:coreProperties>`;
+    }
+}
@@ -1,6 +1,9 @@
 import * as vscode from 'vscode';
 import * as fs from 'fs';
 import * as path from 'path';
+import { marked, Token, Tokens } from 'marked';
+import { ManifestData, DetectedStack, manifestDetectors, detectStack } from './ManifestDetectors';
+import { InfrastructureData, InfrastructureFile, detectInfrastructure } from './InfrastructureDetectors';
 
 /**
  * Interface for package.json data
@@ -24,10 +27,19 @@ export interface PackageJsonData {
 export interface ReadmeData {
     content: string;
     title: string;
+    /** First sentence of the introduction */
+    tagline: string;
     description: string;
     sections: string[];
     technologies: string[];
     features: string[];
+    /** Plain text of the installation / getting started section */
+    installation: string;
+    /** Plain text of the usage section */
+    usage: string;
+    /** Badges such as shields.io images */
+    badges: { label: string; image: string; url: string }[];
+    links: { text: string; url: string }[];
 }
 
 /**
@@ -36,6 +48,12 @@ export interface ReadmeData {
 export interface ProjectFileData {
     packageJson: PackageJsonData | null;
     readme: ReadmeData | null;
+    /** Every dependency manifest found (package.json, requirements.txt, go.mod, Cargo.toml, ...) */
+    manifests: ManifestData[];
+    /** Dockerfiles, CI configuration and infrastructure as code, with evidence */
+    infrastructure: InfrastructureData;
+    /** Frameworks, databases and tools detected from the manifests and infrastructure files */
+    stack: DetectedStack;
     projectName: string;
     projectPath: string;
 }
@@ -118,21 +136,23 @@ export class FileService {
                 return null;
             }
 
-            // Parse README content
-            const lines = content.split('\n');
-            const title = this.extractTitle(lines);
-            const description = this.extractDescription(lines);
-            const sections = this.extractSections(lines);
-            const technologies = this.extractTechnologies(content);
-            const features = this.extractFeatures(lines);
+            // Parse README content into a Markdown token tree
+            const tokens = marked.lexer(content);
+            const badges = this.extractBadges(tokens);
+            const description = this.extractDescription(tokens);
 
             return {
                 content,
-                title,
+                title: this.extractTitle(tokens),
+                tagline: description.split(/(?<=[.!?])\s/)[0] || '',
                 description,
-                sections,
-                technologies,
-                features
+                sections: this.extractSections(tokens),
+                technologies: this.extractTechnologies(tokens, badges),
+                features: this.extractFeatures(tokens),
+                installation: this.extractSectionText(tokens, /\b(install(ation|ing)?|getting started|setup|quick ?start)\b/i),
+                usage: this.extractSectionText(tokens, /\b(usage|how to use|examples?)\b/i),
+                badges,
+                links: this.extractLinks(tokens)
             };
 
         } catch (error) {
@@ -159,95 +179,198 @@ export class FileService {
         }
     }
 
+    /**
+     * Find and parse dependency manifests with the registered manifest detectors
+     * @param maxDepth How many directory levels below the workspace root to search (default: 3)
+     * @returns Promise<ManifestData[]> Shallowest manifests first
+     */
+    async readManifests(maxDepth: number = 3): Promise<ManifestData[]> {
+        const manifests: ManifestData[] = [];
+
+        for (const relativePath of this.findFiles(maxDepth)) {
+            const detector = manifestDetectors.find(candidate => candidate.matches(path.basename(relativePath)));
+            if (!detector) continue;
+
+            const fullPath = path.join(this.workspaceRoot, relativePath);
+            try {
+                const { packageManager, ...parsed } = detector.parse(fs.readFileSync(fullPath, 'utf8'));
+                manifests.push({
+                    file: relativePath,
+                    ecosystem: detector.ecosystem,
+                    packageManager: packageManager || detector.packageManager,
+                    ...parsed
+                });
+            } catch (error) {
+                console.error(`Error parsing ${fullPath}:`, error);
+            }
+        }
+
+        return manifests;
+    }
+
+    /**
+     * Inspect Dockerfiles, CI configuration, Terraform, Helm charts and Kubernetes manifests
+     * @param maxDepth How many directory levels below the workspace root to search (default: 4)
+     * @param authoredFiles Paths relative to the workspace root; when given, only these files are inspected, so
+     *                      file counts, providers and resources describe one author's work
+     * @returns Promise<InfrastructureData>
+     */
+    async readInfrastructure(maxDepth: number = 4, authoredFiles?: Iterable<string>): Promise<InfrastructureData> {
+        const candidatePattern = /(^|\/)(Dockerfile[^/]*|Jenkinsfile|[^/]+\.dockerfile|[^/]+\.ya?ml|[^/]+\.tf)$/i;
+        const authored = authoredFiles ? new Set(authoredFiles) : undefined;
+        const files: InfrastructureFile[] = [];
+
+        for (const relativePath of this.findFiles(maxDepth, ['.github', '.circleci'])) {
+            const normalized = relativePath.split(path.sep).join('/');
+            if (!candidatePattern.test(normalized) || (authored && !authored.has(normalized))) continue;
+
+            const fullPath = path.join(this.workspaceRoot, relativePath);
+            try {
+                // Large YAML files are generated data, not configuration
+                if (fs.statSync(fullPath).size > 256 * 1024) continue;
+                files.push({ path: normalized, content: fs.readFileSync(fullPath, 'utf8') });
+            } catch (error) {
+                console.error(`Error reading ${fullPath}:`, error);
+            }
+        }
+
+        return detectInfrastructure(files);
+    }
+
+    /**
+     * List files below the workspace root, skipping dependency, build and hidden directories
+     * @param maxDepth How many directory levels below the workspace root to search
+     * @param hiddenDirectories Hidden directories that should still be searched (e.g. .github)
+     * @returns string[] Relative paths, shallowest first
+     */
+    private findFiles(maxDepth: number, hiddenDirectories: string[] = []): string[] {
+        const files: string[] = [];
+        const skipDirectories = new Set([
+            'node_modules', 'vendor', 'target', 'dist', 'build', 'out',
+            'bin', 'obj', 'venv', '__pycache__', 'coverage'
+        ]);
+
+        const scan = (relativeDir: string, depth: number) => {
+            let entries: fs.Dirent[];
+            try {
+                entries = fs.readdirSync(path.join(this.workspaceRoot, relativeDir), { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+
+            entries.filter(entry => entry.isFile()).forEach(entry => files.push(path.join(relativeDir, entry.name)));
+
+            if (depth >= maxDepth) return;
+            for (const entry of entries) {
+                const hidden = entry.name.startsWith('.') && !hiddenDirectories.includes(entry.name);
+                if (entry.isDirectory() && !hidden && !skipDirectories.has(entry.name)) {
+                    scan(path.join(relativeDir, entry.name), depth + 1);
+                }
+            }
+        };
+
+        scan('', 0);
+        return files;
+    }
+
     /**
      * Get comprehensive project file data
+     * @param authoredFiles Files the selected author changed, relative to the workspace root; when given, only
+     *                      infrastructure in those files is reported
      * @returns Promise<ProjectFileData>
      */
-    async getProjectFileData(): Promise<ProjectFileData> {
+    async getProjectFileData(authoredFiles?: Iterable<string>): Promise<ProjectFileData> {
         const packageJson = await this.readPackageJson();
         const readme = await this.readReadme();
+        const manifests = await this.readManifests();
+        const infrastructure = await this.readInfrastructure(4, authoredFiles);
         
         const projectName = packageJson?.name || 
+                           manifests.find(manifest => manifest.name)?.name ||
                            readme?.title || 
                            path.basename(this.workspaceRoot);
 
         return {
             packageJson,
             readme,
+            manifests,
+            infrastructure,
+            stack: this.mergeInfrastructureTools(detectStack(manifests), infrastructure),
             projectName,
             projectPath: this.workspaceRoot
         };
     }
 
     /**
-     * Extract title from README content
-     * @param lines Array of README lines
+     * Extract title from README tokens (ATX, setext or HTML level-1 heading, else the first heading)
+     * @param tokens Markdown tokens
      * @returns string
      */
-    private extractTitle(lines: string[]): string {
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('# ')) {
-                return trimmed.substring(2).trim();
+    private extractTitle(tokens: Token[]): string {
+        for (const token of tokens) {
+            if (token.type === 'heading' && (token as Tokens.Heading).depth === 1) {
+                return this.plainText((token as Tokens.Heading).tokens);
+            }
+            if (token.type === 'html') {
+                const match = token.raw.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+                const title = match ? this.stripHtml(match[1]) : '';
+                if (title) return title;
             }
         }
-        return '';
+
+        const firstHeading = tokens.find(token => token.type === 'heading') as Tokens.Heading | undefined;
+        return firstHeading ? this.plainText(firstHeading.tokens) : '';
     }
 
     /**
-     * Extract description from README content
-     * @param lines Array of README lines
+     * Extract description: the introduction paragraphs before the first section, skipping badge-only paragraphs
+     * @param tokens Markdown tokens
      * @returns string
      */
-    private extractDescription(lines: string[]): string {
-        let foundTitle = false;
+    private extractDescription(tokens: Token[]): string {
         let description = '';
 
-        for (const line of lines) {
-            const trimmed = line.trim();
-            
-            if (trimmed.startsWith('# ')) {
-                foundTitle = true;
-                continue;
-            }
-
-            if (foundTitle && trimmed.length > 0 && !trimmed.startsWith('#')) {
-                description += trimmed + ' ';
-                if (description.length > 200) break; // Limit description length
+        for (const token of tokens) {
+            if (token.type === 'heading' && (token as Tokens.Heading).depth > 1 && description) {
+                break; // Stop at the first section after the introduction
             }
-
-            if (foundTitle && trimmed.startsWith('## ')) {
-                break; // Stop at next section
+            if (token.type === 'paragraph') {
+                const text = this.plainText((token as Tokens.Paragraph).tokens);
+                if (text) {
+                    description += text + ' ';
+                }
+            } else if (token.type === 'html') {
+                // Centered HTML intros: <p align="center">...</p>
+                const text = this.stripHtml(token.raw.replace(/<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>/gi, ''));
+                if (text) {
+                    description += text + ' ';
+                }
             }
+            if (description.length > 200) break; // Limit description length
         }
 
         return description.trim();
     }
 
     /**
-     * Extract section headers from README
-     * @param lines Array of README lines
+     * Extract section headers (level 2) from README
+     * @param tokens Markdown tokens
      * @returns string[]
      */
-    private extractSections(lines: string[]): string[] {
-        const sections: string[] = [];
-        
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('## ')) {
-                sections.push(trimmed.substring(3).trim());
-            }
-        }
-
-        return sections;
+    private extractSections(tokens: Token[]): string[] {
+        return tokens
+            .filter(token => token.type === 'heading' && (token as Tokens.Heading).depth === 2)
+            .map(token => this.plainText((token as Tokens.Heading).tokens));
     }
 
     /**
-     * Extract technologies mentioned in README
-     * @param content README content
+     * Extract technologies from README prose and badges, matching whole words only.
+     * Short or common-word names (C, Go, Rust, ...) must match case exactly and not start a sentence.
+     * @param tokens Markdown tokens
+     * @param badges Badges found in the README
      * @returns string[]
      */
-    private extractTechnologies(content: string): string[] {
+    private extractTechnologies(tokens: Token[], badges: ReadmeData['badges']): string[] {
         const techKeywords = [
             'React', 'Vue', 'Angular', 'Node.js', 'Express', 'TypeScript', 'JavaScript',
             'Python', 'Django', 'Flask', 'Java', 'Spring', 'C#', '.NET', 'PHP', 'Laravel',
@@ -262,13 +385,33 @@ export class FileService {
             'Machine Learning', 'TensorFlow', 'PyTorch', 'Scikit-learn',
             'Blockchain', 'Ethereum', 'Solidity', 'Web3'
         ];
+        const caseSensitive = new Set(['C', 'Go', 'Rust', 'Swift', 'Java', 'Spring', 'Express', 'Rails', 'Ruby', 'Vue', 'React', 'Flask', 'Git', 'Sass', 'Vite', 'Jest', 'Mocha', 'Rollup', 'Babel']);
+        const escape = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
+        // Prose only: code blocks are full of paths and identifiers
+        const text = this.collectText(tokens);
+        const badgeLabels = badges.map(badge => badge.label.toLowerCase());
         const foundTechnologies: string[] = [];
-        const contentLower = content.toLowerCase();
 
         for (const tech of techKeywords) {
-            if (contentLower.includes(tech.toLowerCase())) {
+            if (badgeLabels.some(label => label === tech.toLowerCase() || label.split(/[\s-]+/).includes(tech.toLowerCase()))) {
                 foundTechnologies.push(tech);
+                continue;
+            }
+
+            const strict = caseSensitive.has(tech);
+            // Word boundaries that also work for names such as "C++", "C#" and ".NET"
+            const pattern = new RegExp(`(^|[^\\w.#+-])${escape(tech)}(?![\\w#+]|\\.\\w)`, strict ? 'g' : 'gi');
+            for (const match of text.matchAll(pattern)) {
+                const index = (match.index || 0) + match[1].length;
+                const before = text.slice(Math.max(0, index - 2), index);
+                const after = text.charAt(index + tech.length);
+                // Sentence-initial "Go ahead" / "C:\\path" style false positives
+                if (strict && tech.length <= 2 && (index === 0 || /[.!?\n]\s?$/.test(before) || /[:\\/]/.test(after))) {
+                    continue;
+                }
+                foundTechnologies.push(tech);
+                break;
             }
         }
 
@@ -276,38 +419,261 @@ export class FileService {
     }
 
     /**
-     * Extract features from README
-     * @param lines Array of README lines
+     * Extract features: list items of a section such as "Features", "What it does" or "Highlights"
+     * @param tokens Markdown tokens
      * @returns string[]
      */
-    private extractFeatures(lines: string[]): string[] {
+    private extractFeatures(tokens: Token[]): string[] {
+        const section = this.findSection(tokens, /\b(features?|what it does|what (it|this) (can do|offers)|highlights|capabilities|key points)\b/i);
         const features: string[] = [];
-        let inFeaturesSection = false;
 
-        for (const line of lines) {
-            const trimmed = line.trim();
-            
-            // Check if we're entering a features section
-            if (trimmed.toLowerCase().includes('feature') && trimmed.startsWith('##')) {
-                inFeaturesSection = true;
-                continue;
+        for (const token of section) {
+            if (token.type !== 'list') continue;
+            for (const item of (token as Tokens.List).items) {
+                // Top-level text of the item; nested lists are details of the same feature
+                const feature = this.plainText(item.tokens.filter(child => child.type !== 'list'));
+                if (feature.length > 0) {
+                    features.push(feature);
+                }
             }
+        }
 
-            // Check if we're leaving the features section
-            if (inFeaturesSection && trimmed.startsWith('##')) {
-                break;
+        return features;
+    }
+
+    /**
+     * Extract the plain text of the first section whose heading matches, including code blocks
+     * @param tokens Markdown tokens
+     * @param heading Heading pattern
+     * @returns string
+     */
+    private extractSectionText(tokens: Token[], heading: RegExp): string {
+        return this.findSection(tokens, heading)
+            .map(token => token.type === 'code' ? (token as Tokens.Code).text : this.collectText([token]))
+            .filter(text => text.length > 0)
+            .join('\n')
+            .trim();
+    }
+
+    /**
+     * Extract badges (images inside links or standalone), e.g. shields.io
+     * @param tokens Markdown tokens
+     * @returns ReadmeData['badges']
+     */
+    private extractBadges(tokens: Token[]): ReadmeData['badges'] {
+        const badges: ReadmeData['badges'] = [];
+        const addBadge = (image: string, alt: string, url: string) => {
+            if (!/shields\.io|badge|travis-ci|codecov|circleci|github\.com\/.*\/workflows/i.test(image)) return;
+            badges.push({ label: this.badgeLabel(image, alt), image, url });
+        };
+
+        this.walkTokens(tokens, (token, parent) => {
+            if (token.type === 'image') {
+                const image = token as Tokens.Image;
+                addBadge(image.href, image.text, parent?.type === 'link' ? (parent as Tokens.Link).href : '');
+            } else if (token.type === 'html') {
+                for (const match of token.raw.matchAll(/<img[^>]*src=["']([^"']+)["'][^>]*>/gi)) {
+                    const alt = (match[0].match(/alt=["']([^"']*)["']/i) || [])[1] || '';
+                    addBadge(match[1], alt, '');
+                }
             }
+        });
 
-            // Extract bullet points in features section
-            if (inFeaturesSection && (trimmed.startsWith('- ') || trimmed.startsWith('* '))) {
-                const feature = trimmed.substring(2).trim();
-                if (feature.length > 0) {
-                    features.push(feature);
+        return badges;
+    }
+
+    /**
+     * Extract links, skipping badges and in-page anchors
+     * @param tokens Markdown tokens
+     * @returns ReadmeData['links']
+     */
+    private extractLinks(tokens: Token[]): ReadmeData['links'] {
+        const links: ReadmeData['links'] = [];
+
+        this.walkTokens(tokens, token => {
+            if (token.type !== 'link') return;
+            const link = token as Tokens.Link;
+            const isBadge = (link.tokens || []).some(child => child.type === 'image');
+            if (isBadge || link.href.startsWith('#')) return;
+            if (!links.some(existing => existing.url === link.href)) {
+                links.push({ text: this.plainText(link.tokens) || link.href, url: link.href });
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Get the tokens of the first section whose heading matches, up to the next heading of the same or higher level
+     * @param tokens Markdown tokens
+     * @param heading Heading pattern
+     * @returns Token[]
+     */
+    private findSection(tokens: Token[], heading: RegExp): Token[] {
+        const start = tokens.findIndex(token =>
+            token.type === 'heading' && heading.test(this.plainText((token as Tokens.Heading).tokens))
+        );
+        if (start === -1) {
+            return [];
+        }
+
+        const depth = (tokens[start] as Tokens.Heading).depth;
+        const section: Token[] = [];
+        for (const token of tokens.slice(start + 1)) {
+            if (token.type === 'heading' && (token as Tokens.Heading).depth <= depth) break;
+            section.push(token);
+        }
+        return section;
+    }
+
+    /**
+     * Get the readable text of inline tokens (images and HTML are dropped)
+     * @param tokens Inline tokens
+     * @returns string
+     */
+    private plainText(tokens: Token[] | undefined): string {
+        return (tokens || [])
+            .map(token => {
+                if (token.type === 'image' || token.type === 'html') return '';
+                if ('tokens' in token && Array.isArray(token.tokens)) return this.plainText(token.tokens);
+                if (token.type === 'br') return ' ';
+                // marked escapes text ("Tom's" arrives as "Tom&#39;s"); resume exports do their own escaping
+                return 'text' in token ? this.decodeEntities(String(token.text)) : '';
+            })
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Collect the prose of block tokens (paragraphs, headings, list items, tables), without code blocks
+     * @param tokens Block tokens
+     * @returns string One line per block
+     */
+    private collectText(tokens: Token[]): string {
+        const lines: string[] = [];
+
+        for (const token of tokens) {
+            switch (token.type) {
+                case 'code':
+                case 'space':
+                case 'hr':
+                    break;
+                case 'list':
+                    (token as Tokens.List).items.forEach(item => lines.push(this.collectText(item.tokens)));
+                    break;
+                case 'table': {
+                    const table = token as Tokens.Table;
+                    lines.push([...table.header, ...table.rows.flat()].map(cell => this.plainText(cell.tokens)).join(', '));
+                    break;
                 }
+                case 'blockquote':
+                    lines.push(this.collectText((token as Tokens.Blockquote).tokens));
+                    break;
+                case 'html':
+                    lines.push(this.stripHtml(token.raw));
+                    break;
+                default:
+                    lines.push('tokens' in token && Array.isArray(token.tokens) ? this.plainText(token.tokens) : '');
             }
         }
 
-        return features;
+        return lines.filter(line => line.length > 0).join('\n');
+    }
+
+    /**
+     * Visit every token depth-first
+     * @param tokens Tokens to visit
+     * @param visit Callback receiving each token and its parent
+     * @param parent Parent token
+     */
+    private walkTokens(tokens: Token[], visit: (token: Token, parent?: Token) => void, parent?: Token): void {
+        for (const token of tokens) {
+            visit(token, parent);
+            if (token.type === 'list') {
+                (token as Tokens.List).items.forEach(item => this.walkTokens(item.tokens, visit, item));
+            } else if (token.type === 'table') {
+                const table = token as Tokens.Table;
+                [...table.header, ...table.rows.flat()].forEach(cell => this.walkTokens(cell.tokens, visit, token));
+            } else if ('tokens' in token && Array.isArray(token.tokens)) {
+                this.walkTokens(token.tokens, visit, token);
+            }
+        }
+    }
+
+    /**
+     * Derive a badge label from a shields.io URL ("/badge/React-18-blue" -> "React") or its alt text
+     * @param image Badge image URL
+     * @param alt Alt text
+     * @returns string
+     */
+    private badgeLabel(image: string, alt: string): string {
+        const shield = image.match(/shields\.io\/badge\/([^?]+)/i);
+        if (shield) {
+            // Static badges are "label-message-color"; "--" escapes a dash and "_" a space
+            const label = this.decodeURIPart(shield[1]).split(/(?<!-)-(?!-)/)[0];
+            return label.replace(/--/g, '-').replace(/_/g, ' ').trim();
+        }
+        const logo = image.match(/[?&]logo=([^&]+)/i);
+        return (alt || (logo ? this.decodeURIPart(logo[1]) : '')).trim();
+    }
+
+    /**
+     * Decode a percent-encoded URL part, keeping it as it is when it is not valid
+     * encoding (e.g. the unescaped "%" of a "coverage-100%-green" badge)
+     * @param part URL part
+     * @returns string
+     */
+    private decodeURIPart(part: string): string {
+        try {
+            return decodeURIComponent(part);
+        } catch {
+            return part;
+        }
+    }
+
+    /**
+     * Decode HTML character references such as &amp;, &#39; and &#x27;
+     * @param text Escaped text
+     * @returns string
+     */
+    private decodeEntities(text: string): string {
+        const named: { [key: string]: string } = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+            if (name[0] !== '#') {
+                return named[name.toLowerCase()] ?? entity;
+            }
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+        });
+    }
+
+    /**
+     * Remove HTML tags and collapse whitespace
+     * @param html HTML fragment
+     * @returns string
+     */
+    private stripHtml(html: string): string {
+        return this.decodeEntities(html.replace(/<[^>]+>/g, ' '))
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Add infrastructure tools and cloud providers to the detected stack
+     * @param stack Stack detected from manifests
+     * @param infrastructure Infrastructure findings
+     * @returns DetectedStack
+     */
+    private mergeInfrastructureTools(stack: DetectedStack, infrastructure: InfrastructureData): DetectedStack {
+        return {
+            ...stack,
+            tools: [...new Set([
+                ...infrastructure.findings.map(finding => finding.tool),
+                ...infrastructure.cloudProviders,
+                ...stack.tools
+            ])]
+        };
     }
 
     /**
@@ -0,0 +1,138 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { GitHubClient } from './GitHubClient';
+
+/**
+ * Interface for a request the fake fetch received
+ */
+interface RecordedRequest {
+    url: string;
+    headers: Record<string, string>;
+}
+
+/**
+ * fetch that answers with the next queued response and records each request
+ * @param responses Responses in the order they are returned
+ */
+function fakeFetch(responses: Response[]) {
+    const requests: RecordedRequest[] = [];
+    const fetch = jest.fn(async (url: string | URL | Request, init?: RequestInit) => {
+        requests.push({ url: String(url), headers: init?.headers as Record<string, string> });
+        const response = responses.shift();
+        if (!response) {
+            throw new Error(`Unexpected request to ${url}`);
+        }
+        return response;
+    });
+    return { fetch: fetch as unknown as typeof globalThis.fetch, requests };
+}
+
+const json = (body: unknown, headers: Record<string, string> = {}, status = 200) =>
+    new Response(JSON.stringify(body), { status, headers });
+
+const repo = (name: string, extra: object = {}) => ({
+    name,
+    description: `${name} description`,
+    html_url: `https://github.com/ann/${name}`,
+    language: 'TypeScript',
+    fork: false,
+    archived: false,
+    owner: { login: 'ann' },
+    ...extra
+});
+
+describe('GitHubClient', () => {
+    let cacheDir: string;
+
+    beforeEach(() => {
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-cache-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('follows Link headers across pages and skips forks and archived repositories', async () => {
+        const { fetch, requests } = fakeFetch([
+            json([repo('one'), repo('fork', { fork: true })], { link: '<https://api.github.com/user/1/repos?page=2>; rel="next", <https://api.github.com/user/1/repos?page=2>; rel="last"' }),
+            json([repo('two'), repo('old', { archived: true })], { link: '<https://api.github.com/user/1/repos?page=1>; rel="first"' })
+        ]);
+
+        const repos = await new GitHubClient({ fetch }).listRepos('ann');
+
+        expect(repos.map(r => r.name)).toEqual(['one', 'two']);
+        expect(requests.map(r => r.url)).toEqual([
+            'https://api.github.com/users/ann/repos?type=owner&sort=pushed&per_page=100',
+            'https://api.github.com/user/1/repos?page=2'
+        ]);
+    });
+
+    it('sends the token to the API server but never to another origin named in a Link header', async () => {
+        const { fetch, requests } = fakeFetch([
+            json([repo('one')], { link: '<https://evil.example/user/1/repos?page=2>; rel="next"' })
+        ]);
+
+        await expect(new GitHubClient({ fetch, token: 'secret' }).listRepos('ann')).rejects.toThrow('not on the same server');
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].url.startsWith('https://api.github.com/')).toBe(true);
+        expect(requests[0].headers.Authorization).toBe('Bearer secret');
+    });
+
+    it('revalidates cached responses with their ETag and reuses the body on 304', async () => {
+        const first = fakeFetch([json({ login: 'ann', name: 'Ann Lee' }, { etag: '"v1"' })]);
+        expect(await new GitHubClient({ fetch: first.fetch, cacheDir }).getUser('ann')).toEqual({ login: 'ann', name: 'Ann Lee' });
+        expect(first.requests[0].headers['If-None-Match']).toBeUndefined();
+
+        const second = fakeFetch([new Response(null, { status: 304 })]);
+        expect(await new GitHubClient({ fetch: second.fetch, cacheDir }).getUser('ann')).toEqual({ login: 'ann', name: 'Ann Lee' });
+        expect(second.requests[0].headers['If-None-Match']).toBe('"v1"');
+    });
+
+    it('keeps cache entries of different tokens apart', async () => {
+        const first = fakeFetch([json({ login: 'ann' }, { etag: '"v1"' })]);
+        await new GitHubClient({ fetch: first.fetch, cacheDir, token: 'one' }).getUser('ann');
+
+        const second = fakeFetch([json({ login: 'ann' }, { etag: '"v2"' })]);
+        await new GitHubClient({ fetch: second.fetch, cacheDir, token: 'two' }).getUser('ann');
+
+        expect(second.requests[0].headers['If-None-Match']).toBeUndefined();
+    });
+
+    it('waits for a rate limit reset that is close enough and retries', async () => {
+        jest.useFakeTimers();
+        try {
+            const { fetch, requests } = fakeFetch([
+                json({ message: 'API rate limit exceeded' }, { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '0', 'retry-after': '2' }, 403),
+                json({ login: 'ann' }, { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '59', 'x-ratelimit-reset': '4102444800' })
+            ]);
+            const client = new GitHubClient({ fetch, maxRateLimitWait: 5000 });
+
+            const user = client.getUser('ann');
+            await jest.advanceTimersByTimeAsync(2000);
+
+            expect(await user).toEqual({ login: 'ann' });
+            expect(requests).toHaveLength(2);
+            expect(client.rateLimit?.remaining).toBe(59);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('gives up when the rate limit resets later than it may wait', async () => {
+        const { fetch, requests } = fakeFetch([
+            json({ message: 'API rate limit exceeded' }, { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600) }, 403)
+        ]);
+
+        await expect(new GitHubClient({ fetch, maxRateLimitWait: 1000 }).getUser('ann')).rejects.toThrow(/rate limit exceeded until .*Set GitHub Token/);
+        expect(requests).toHaveLength(1);
+    });
+
+    it('returns undefined for a repository without a README', async () => {
+        const { fetch, requests } = fakeFetch([json({ message: 'Not Found' }, {}, 404)]);
+
+        expect(await new GitHubClient({ fetch }).getReadme('ann', 'one')).toBeUndefined();
+        expect(requests[0].headers.Accept).toBe('application/vnd.github.raw+json');
+    });
+});
@@ -0,0 +1,377 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import * as crypto from 'crypto';
+import { GitHubProfileData } from './ProfileService';
+
+/**
+ * Public GitHub API; GitHub Enterprise Server uses https://<host>/api/v3
+ */
+export const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * SecretStorage key of the GitHub token
+ */
+export const GITHUB_TOKEN_SECRET = 'resumeGenerator.githubToken';
+
+/**
+ * Options of the GitHub client
+ */
+export interface GitHubClientOptions {
+    /** API root, e.g. a GitHub Enterprise server or a local mock of the API (default https://api.github.com) */
+    baseUrl?: string;
+    /** Personal access token; raises the rate limit from 60 to 5,000 requests an hour */
+    token?: string;
+    /** Folder for cached responses; conditional requests with their ETags do not count against the rate limit */
+    cacheDir?: string;
+    /** Longest wait for a rate limit reset before giving up, in milliseconds (default one minute) */
+    maxRateLimitWait?: number;
+    /** Request timeout in milliseconds */
+    timeout?: number;
+    /** fetch implementation, for replaying recorded responses in tests */
+    fetch?: typeof fetch;
+}
+
+/**
+ * Interface for which repositories a profile import includes
+ */
+export interface GitHubRepoFilter {
+    includeForks?: boolean;
+    includeArchived?: boolean;
+}
+
+/**
+ * Interface for the rate limit of the last response
+ */
+export interface GitHubRateLimit {
+    limit: number;
+    remaining: number;
+    /** When the limit resets */
+    reset: Date;
+}
+
+/**
+ * Interface for a repository as the API lists it; only the fields the importer uses
+ */
+interface GitHubRepo {
+    name: string;
+    description: string | null;
+    html_url: string;
+    language: string | null;
+    fork: boolean;
+    archived: boolean;
+    owner: { login: string };
+}
+
+/**
+ * Interface for a cached response
+ */
+interface CacheEntry {
+    etag: string;
+    body: string;
+    link: string | null;
+}
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_RATE_LIMIT_WAIT = 60000;
+
+/**
+ * Attempts of a request that hit a rate limit or a server error
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Requests kept in reserve when fetching READMEs, so a later import still gets the profile and repository list
+ */
+const README_RATE_LIMIT_RESERVE = 10;
+
+const sleep = (milliseconds: number) => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+/**
+ * URL of the next page from a Link header, e.g. `<https://api.github.com/user/1/repos?page=2>; rel="next"`
+ */
+const nextPageURL = (link: string | null) => link?.split(',').map(part => part.match(/<([^>]+)>\s*;\s*rel="next"/)?.[1]).find(Boolean);
+
+/**
+ * Short description from a README: the first paragraph that is not a heading, badge, image or HTML
+ * @param readme README text
+ * @returns string | undefined At most 200 characters
+ */
+export function readmeSummary(readme: string): string | undefined {
+    const paragraph = readme
+        .split(/\r?\n\s*\r?\n/)
+        .map(block => block.split(/\r?\n/).filter(line => !/^\s*(#|!\[|\[!\[|<|```|={3,}|-{3,})/.test(line)).join(' ').trim())
+        .find(block => block.length > 0);
+    if (!paragraph) {
+        return undefined;
+    }
+    const plain = paragraph.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_`]/g, '').replace(/\s+/g, ' ');
+    return plain.length <= 200 ? plain : `${plain.slice(0, 199).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Client for the GitHub REST API with token authentication, Link header pagination,
+ * rate limit backoff and an ETag cache on disk
+ */
+export class GitHubClient {
+    private baseUrl: string;
+    private token?: string;
+    private cacheDir?: string;
+    private maxRateLimitWait: number;
+    private timeout: number;
+    private fetch: typeof fetch;
+    private lastRateLimit?: GitHubRateLimit;
+
+    constructor(options: GitHubClientOptions = {}) {
+        this.baseUrl = (options.baseUrl || DEFAULT_GITHUB_API_URL).replace(/\/+$/, '');
+        this.token = options.token || undefined;
+        this.cacheDir = options.cacheDir;
+        this.maxRateLimitWait = options.maxRateLimitWait ?? DEFAULT_MAX_RATE_LIMIT_WAIT;
+        this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+        this.fetch = options.fetch || fetch;
+    }
+
+    /**
+     * Rate limit reported by the last response, if any
+     */
+    get rateLimit(): GitHubRateLimit | undefined {
+        return this.lastRateLimit;
+    }
+
+    /**
+     * Get a user's public profile
+     * @param username GitHub username
+     * @returns Promise with the user object of the API
+     */
+    async getUser(username: string): Promise<any> {
+        const { body } = await this.request(`/users/${encodeURIComponent(username)}`);
+        return JSON.parse(body);
+    }
+
+    /**
+     * List a user's own repositories, following every page, most recently pushed first
+     * @param username GitHub username
+     * @param filter Whether forks and archived repositories are included (both are skipped by default)
+     * @returns Promise<GitHubRepo[]>
+     */
+    async listRepos(username: string, filter: GitHubRepoFilter = {}): Promise<GitHubRepo[]> {
+        const repos: GitHubRepo[] = [];
+        let url: string | undefined = `/users/${encodeURIComponent(username)}/repos?type=owner&sort=pushed&per_page=100`;
+        while (url) {
+            const response: { body: string; link: string | null } = await this.request(url);
+            repos.push(...JSON.parse(response.body));
+            url = nextPageURL(response.link);
+        }
+        return repos.filter(repo => (filter.includeForks || !repo.fork) && (filter.includeArchived || !repo.archived));
+    }
+
+    /**
+     * Get the README of a repository as text
+     * @param owner Repository owner
+     * @param repo Repository name
+     * @returns Promise<string | undefined> Undefined when the repository has no README
+     */
+    async getReadme(owner: string, repo: string): Promise<string | undefined> {
+        try {
+            const { body } = await this.request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/readme`, 'application/vnd.github.raw+json');
+            return body;
+        } catch (error) {
+            if (error instanceof Error && / 404\b/.test(error.message)) {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Import a user's profile, languages and repositories. Repositories without a description get the
+     * start of their README, as long as the rate limit leaves requests to spare
+     * @param username GitHub username
+     * @param filter Whether forks and archived repositories are included
+     * @returns Promise<GitHubProfileData>
+     */
+    async fetchProfile(username: string, filter: GitHubRepoFilter = {}): Promise<GitHubProfileData> {
+        const profile = await this.getUser(username);
+        const repos = await this.listRepos(username, filter);
+
+        const repoDetails: GitHubProfileData['repos'] = [];
+        for (const repo of repos) {
+            let description = repo.description;
+            if (!description && (!this.lastRateLimit || this.lastRateLimit.remaining > README_RATE_LIMIT_RESERVE)) {
+                try {
+                    const readme = await this.getReadme(repo.owner.login, repo.name);
+                    description = readme ? readmeSummary(readme) || null : null;
+                } catch (error) {
+                    // A README is a nice-to-have; the repository is listed without it
+                    console.warn(`Could not read the README of ${repo.name}:`, error);
+                }
+            }
+            repoDetails.push({
+                name: repo.name,
+                description: description || 'No description provided.',
+                url: repo.html_url,
+                language: repo.language
+            });
+        }
+
+        return {
+            username,
+            name: profile.name,
+            email: profile.email,
+            bio: profile.bio,
+            company: profile.company,
+            location: profile.location,
+            blog: profile.blog,
+            githubUrl: profile.html_url,
+            languages: [...new Set(repos.map(repo => repo.language).filter((language): language is string => !!language))],
+            repos: repoDetails
+        };
+    }
+
+    /**
+     * GET an API path or URL. Responses with an ETag are cached and revalidated; rate limited requests
+     * wait for the reset when it is close enough, and server errors are retried with backoff
+     * @param pathOrUrl Path below the API root, or a full URL from a Link header
+     * @param accept Media type to request
+     * @returns Promise with the response body and Link header
+     * @throws Error with the status and GitHub's message when the request fails, or when a full URL
+     * points away from the API root, since the token must not be sent anywhere else
+     */
+    private async request(pathOrUrl: string, accept: string = 'application/vnd.github+json'): Promise<{ body: string; link: string | null }> {
+        const url = /^https?:\/\//i.test(pathOrUrl) ? pathOrUrl : `${this.baseUrl}${pathOrUrl}`;
+        if (new URL(url).origin !== new URL(this.baseUrl).origin) {
+            throw new Error(`GitHub API ${this.baseUrl} linked to ${url}, which is not on the same server.`);
+        }
+        const cached = this.readCache(url, accept);
+
+        for (let attempt = 1; ; attempt++) {
+            const response = await this.send(url, {
+                'Accept': accept,
+                'User-Agent': 'resume-generator-for-developers',
+                'X-GitHub-Api-Version': '2022-11-28',
+                ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {}),
+                ...(cached ? { 'If-None-Match': cached.etag } : {})
+            });
+            this.updateRateLimit(response.headers);
+
+            if (response.status === 304 && cached) {
+                return { body: cached.body, link: cached.link };
+            }
+
+            const body = await response.text();
+            if (response.ok) {
+                const etag = response.headers.get('etag');
+                if (etag) {
+                    this.writeCache(url, accept, { etag, body, link: response.headers.get('link') });
+                }
+                return { body, link: response.headers.get('link') };
+            }
+
+            const wait = this.retryDelay(response, attempt);
+            if (wait !== undefined && attempt < MAX_ATTEMPTS) {
+                await sleep(wait);
+                continue;
+            }
+
+            let message = body.slice(0, 300);
+            try {
+                message = JSON.parse(body).message || message;
+            } catch {
+                // Not JSON; keep the text
+            }
+            if (this.isRateLimited(response)) {
+                const reset = this.lastRateLimit?.reset;
+                message = `GitHub rate limit exceeded${reset ? ` until ${reset.toLocaleTimeString()}` : ''}.` +
+                    (this.token ? '' : ' Run "Set GitHub Token" to raise the limit.');
+            }
+            throw new Error(`GitHub API ${url} responded ${response.status}: ${message}`);
+        }
+    }
+
+    /**
+     * Send a GET request with a timeout
+     */
+    private async send(url: string, headers: Record<string, string>): Promise<Response> {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            return await this.fetch(url, { headers, signal: controller.signal });
+        } catch (error) {
+            if (error instanceof Error && error.name === 'AbortError') {
+                throw new Error(`${url} did not respond within ${Math.round(this.timeout / 1000)} seconds`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Whether a response is a primary or secondary rate limit
+     */
+    private isRateLimited(response: Response): boolean {
+        return response.status === 429 ||
+            (response.status === 403 && (response.headers.get('x-ratelimit-remaining') === '0' || response.headers.has('retry-after')));
+    }
+
+    /**
+     * How long to wait before retrying a failed request
+     * @returns Milliseconds, or undefined when the request must not be retried
+     */
+    private retryDelay(response: Response, attempt: number): number | undefined {
+        if (this.isRateLimited(response)) {
+            const retryAfter = Number(response.headers.get('retry-after'));
+            const reset = Number(response.headers.get('x-ratelimit-reset'));
+            const wait = retryAfter > 0
+                ? retryAfter * 1000
+                : reset > 0 ? reset * 1000 - Date.now() + 1000 : 60000;
+            return wait <= this.maxRateLimitWait ? Math.max(wait, 0) : undefined;
+        }
+        return response.status >= 500 ? 1000 * 2 ** (attempt - 1) : undefined;
+    }
+
+    /**
+     * Remember the rate limit headers of a response
+     */
+    private updateRateLimit(headers: Headers): void {
+        const limit = headers.get('x-ratelimit-limit');
+        const remaining = headers.get('x-ratelimit-remaining');
+        const reset = headers.get('x-ratelimit-reset');
+        if (limit !== null && remaining !== null && reset !== null) {
+            this.lastRateLimit = { limit: Number(limit), remaining: Number(remaining), reset: new Date(Number(reset) * 1000) };
+        }
+    }
+
+    /**
+     * Cache file of a request; the token is part of the key, since it can make private data visible
+     */
+    private cachePath(url: string, accept: string): string | undefined {
+        if (!this.cacheDir) {
+            return undefined;
+        }
+        const key = crypto.createHash('sha256').update(`${this.token || ''}\n${accept}\n${url}`).digest('hex');
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+
+    private readCache(url: string, accept: string): CacheEntry | undefined {
+        const file = this.cachePath(url, accept);
+        try {
+            return file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+        } catch {
+            // A damaged cache file is ignored and overwritten by the next response
+            return undefined;
+        }
+    }
+
+    private writeCache(url: string, accept: string, entry: CacheEntry): void {
+        const file = this.cachePath(url, accept);
+        if (!file) {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(entry));
+        } catch (error) {
+            console.warn('Could not write the GitHub cache:', error);
+        }
+    }
+}
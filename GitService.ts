@@ -1,6 +1,33 @@
 import * as vscode from 'vscode';
 import simpleGit, { SimpleGit, LogResult } from 'simple-git';
+import { spawn } from 'child_process';
+import * as readline from 'readline';
 import * as path from 'path';
+import * as fs from 'fs';
+
+/**
+ * Interface for per-file change statistics of a commit
+ */
+export interface GitFileChange {
+    file: string;
+    insertions: number;
+    deletions: number;
+}
+
+/**
+ * Commit categories used to summarise contributions
+ */
+export enum CommitCategory {
+    FEATURE = 'feature',
+    FIX = 'fix',
+    REFACTOR = 'refactor',
+    TEST = 'test',
+    DOCS = 'docs',
+    PERF = 'perf',
+    CI = 'ci',
+    MIGRATION = 'migration',
+    CHORE = 'chore'
+}
 
 /**
  * Interface for Git commit data
@@ -11,6 +38,10 @@ export interface GitCommitData {
     message: string;
     author: string;
     files: string[];
+    fileStats: GitFileChange[];
+    insertions: number;
+    deletions: number;
+    category: CommitCategory;
 }
 
 /**
@@ -24,7 +55,56 @@ export interface GitRepositoryData {
         to: string;
     };
     authors: string[];
+    /** Languages above the share threshold, ordered by lines changed */
     languages: string[];
+    languageProfile: LanguageStat[];
+    /** Number of commits per category */
+    commitStats: Record<CommitCategory, number>;
+    /** Whether the commits are one author's; otherwise they are every contributor's */
+    authorFiltered?: boolean;
+}
+
+/**
+ * Interface for the line-weighted share of one language
+ */
+export interface LanguageStat {
+    language: string;
+    linesAdded: number;
+    /** Insertions plus deletions */
+    linesChanged: number;
+    /** Share of all lines changed, 0-100 */
+    percentage: number;
+    firstSeen: string;
+    lastSeen: string;
+}
+
+/**
+ * Interface for an author identity filter (all names and emails that belong to one person)
+ */
+export interface AuthorFilter {
+    names: string[];
+    emails: string[];
+}
+
+/**
+ * Interface for a repository contributor
+ */
+export interface GitAuthorSummary {
+    name: string;
+    email: string;
+    commits: number;
+}
+
+/**
+ * Options for reading commit history
+ */
+export interface GitHistoryOptions {
+    /** Maximum number of commits to read; omit to walk the whole history */
+    maxCount?: number;
+    authorFilter?: AuthorFilter;
+    /** Called periodically with the number of commits parsed so far and the expected total */
+    onProgress?: (processed: number, total: number) => void;
+    token?: vscode.CancellationToken;
 }
 
 /**
@@ -42,114 +122,272 @@ export class GitService {
     /**
      * Get recent commits from the repository
      * @param limit Number of commits to retrieve (default: 50)
+     * @param authorFilter Optional identity filter; only commits by this author are returned
      * @returns Promise<GitCommitData[]>
      */
-    async getRecentCommits(limit: number = 50): Promise<GitCommitData[]> {
+    async getRecentCommits(limit: number = 50, authorFilter?: AuthorFilter): Promise<GitCommitData[]> {
         try {
-            const log = await this.git.log({
-                maxCount: limit,
-                format: {
-                    hash: '%H',
-                    date: '%ai',
-                    message: '%s',
-                    author_name: '%an',
-                    author_email: '%ae'
+            return await this.getCommitHistory({ maxCount: limit, authorFilter });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error reading Git commits: ${error}`);
+            return [];
+        }
+    }
+
+    /**
+     * Read commit history in a single streamed `git log --numstat` pass
+     * @param options History options (limit, author filter, progress and cancellation)
+     * @returns Promise<GitCommitData[]> Newest commit first
+     * @throws vscode.CancellationError when the token is cancelled
+     */
+    async getCommitHistory(options: GitHistoryOptions = {}): Promise<GitCommitData[]> {
+        const { maxCount, authorFilter, onProgress, token } = options;
+        const filterArgs = [
+            ...(maxCount !== undefined ? [`--max-count=${maxCount}`] : []),
+            ...this.buildAuthorArgs(authorFilter)
+        ];
+
+        let total = 0;
+        if (onProgress) {
+            const count = await this.git.raw(['rev-list', '--count', ...filterArgs, 'HEAD']);
+            total = parseInt(count.trim(), 10) || 0;
+        }
+
+        // %x1e marks the start of each commit header, %x1f separates its fields
+        const child = spawn('git', [
+            'log',
+            '--numstat',
+            '--format=%x1e%H%x1f%ai%x1f%aN%x1f%aE%x1f%s',
+            ...filterArgs
+        ], { cwd: this.workspaceRoot });
+
+        let stderr = '';
+        child.stderr.on('data', (chunk: Buffer) => stderr += chunk.toString());
+        const exited = new Promise<{ code: number | null; error?: Error }>(resolve => {
+            child.on('error', error => resolve({ code: null, error }));
+            child.on('close', code => resolve({ code }));
+        });
+        const cancellation = token?.onCancellationRequested(() => child.kill());
+
+        const commits: GitCommitData[] = [];
+        let current: GitCommitData | null = null;
+
+        try {
+            const reader = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+
+            for await (const line of reader) {
+                if (line.startsWith('\x1e')) {
+                    const [hash, date, authorName, authorEmail, message] = line.substring(1).split('\x1f');
+                    current = {
+                        hash,
+                        date,
+                        message: message || '',
+                        author: `${authorName} <${authorEmail}>`,
+                        files: [],
+                        fileStats: [],
+                        insertions: 0,
+                        deletions: 0,
+                        category: CommitCategory.CHORE
+                    };
+                    commits.push(current);
+
+                    if (onProgress && commits.length % 500 === 0) {
+                        onProgress(commits.length, total);
+                    }
+                    continue;
                 }
-            });
 
-            const commits: GitCommitData[] = [];
-            
-            for (let i = 0; i < log.all.length; i++) {
-                const commit = log.all[i];
-                let files: string[] = [];
-                // Only get diff if not the first commit (has a parent)
-                if (i < log.all.length - 1) {
-                    const parentHash = log.all[i + 1].hash;
-                    const diffSummary = await this.git.diffSummary([parentHash, commit.hash]);
-                    files = diffSummary.files.map((file: { file: string }) => file.file);
+                const stat = current ? this.parseNumstatLine(line) : null;
+                if (current && stat) {
+                    current.files.push(stat.file);
+                    current.fileStats.push(stat);
+                    current.insertions += stat.insertions;
+                    current.deletions += stat.deletions;
                 }
-                // For the first commit, files can be empty or you can use another method to get added files
-                commits.push({
-                    hash: commit.hash,
-                    date: commit.date,
-                    message: commit.message,
-                    author: `${commit.author_name} <${commit.author_email}>`,
-                    files: files
-                });
             }
+        } finally {
+            cancellation?.dispose();
+        }
 
-            return commits;
-        } catch (error) {
-            vscode.window.showErrorMessage(`Error reading Git commits: ${error}`);
-            return [];
+        // Classify once the file list of every commit is complete
+        commits.forEach(commit => commit.category = this.classifyCommit(commit));
+
+        const result = await exited;
+        if (token?.isCancellationRequested) {
+            throw new vscode.CancellationError();
+        }
+        if (result.error) {
+            throw result.error;
+        }
+        if (result.code !== 0) {
+            throw new Error(stderr.trim() || `git log exited with code ${result.code}`);
+        }
+
+        onProgress?.(commits.length, total);
+        return commits;
+    }
+
+    /**
+     * Classify a commit using its Conventional Commit prefix, falling back to path and message heuristics
+     * @param commit Commit with message and touched files
+     * @returns CommitCategory
+     */
+    private classifyCommit(commit: GitCommitData): CommitCategory {
+        const conventionalTypes: { [key: string]: CommitCategory } = {
+            'feat': CommitCategory.FEATURE,
+            'feature': CommitCategory.FEATURE,
+            'fix': CommitCategory.FIX,
+            'bugfix': CommitCategory.FIX,
+            'hotfix': CommitCategory.FIX,
+            'refactor': CommitCategory.REFACTOR,
+            'test': CommitCategory.TEST,
+            'tests': CommitCategory.TEST,
+            'docs': CommitCategory.DOCS,
+            'doc': CommitCategory.DOCS,
+            'perf': CommitCategory.PERF,
+            'ci': CommitCategory.CI,
+            'build': CommitCategory.CI,
+            'style': CommitCategory.CHORE,
+            'chore': CommitCategory.CHORE,
+            'revert': CommitCategory.CHORE
+        };
+
+        const message = commit.message.trim();
+        const prefix = message.match(/^(\w+)(\([^)]*\))?!?:\s/);
+        if (prefix && conventionalTypes[prefix[1].toLowerCase()]) {
+            return conventionalTypes[prefix[1].toLowerCase()];
+        }
+
+        if (/^Merge (branch|pull request|remote-tracking branch)/.test(message)) {
+            return CommitCategory.CHORE;
+        }
+
+        // Path signals: a commit that only touches one kind of file is that kind of work
+        const pathPatterns: { category: CommitCategory; pattern: RegExp }[] = [
+            { category: CommitCategory.TEST, pattern: /(^|\/)(tests?|__tests__|spec|e2e)\/|\.(test|spec)\.\w+$|_test\.(go|py)$|(^|\/)test_\w+\.py$/i },
+            { category: CommitCategory.DOCS, pattern: /(^|\/)docs?\/|\.(md|mdx|rst|adoc|txt)$|(^|\/)(LICENSE|CHANGELOG)/i },
+            { category: CommitCategory.CI, pattern: /(^|\/)\.github\/workflows\/|(^|\/)\.gitlab-ci\.yml$|(^|\/)Jenkinsfile$|(^|\/)\.circleci\/|(^|\/)\.travis\.yml$|(^|\/)azure-pipelines\.yml$/i }
+        ];
+        const files = commit.files;
+        if (files.length > 0) {
+            if (files.some(file => /(^|\/)(migrations?|migrate)\/|(^|\/)db\/migrate\//i.test(file))) {
+                return CommitCategory.MIGRATION;
+            }
+            for (const { category, pattern } of pathPatterns) {
+                if (files.every(file => pattern.test(file))) {
+                    return category;
+                }
+            }
+        }
+
+        // Message signals, most specific first
+        const messagePatterns: { category: CommitCategory; pattern: RegExp }[] = [
+            { category: CommitCategory.PERF, pattern: /\b(perf|performance|optimi[sz](e|ed|es|ation)|speed ?up|faster|latency|memory usage)\b/i },
+            { category: CommitCategory.FIX, pattern: /\b(fix(e[sd])?|bugs?|issue|resolve[sd]?|patch(ed)?|crash(es)?|broken|regression|typo)\b/i },
+            { category: CommitCategory.REFACTOR, pattern: /\b(refactor(ed|ing)?|clean ?up|restructure[sd]?|rename[sd]?|reorgani[sz]e[sd]?|simplif(y|ied|ies)|extract(ed)?|move[sd]?)\b/i },
+            { category: CommitCategory.TEST, pattern: /\b(tests?|specs?|coverage)\b/i },
+            { category: CommitCategory.DOCS, pattern: /\b(docs?|readme|documentation|changelog)\b/i },
+            { category: CommitCategory.CI, pattern: /\b(ci|pipeline|workflow|github actions|deploy(ment)?)\b/i },
+            { category: CommitCategory.FEATURE, pattern: /\b(add(s|ed)?|implement(s|ed)?|introduce[sd]?|support(s|ed)?|create[sd]?|new|feature|enable[sd]?|allow(s|ed)?)\b/i }
+        ];
+        for (const { category, pattern } of messagePatterns) {
+            if (pattern.test(message)) {
+                return category;
+            }
+        }
+
+        // Net additions usually mean new functionality
+        return commit.insertions > commit.deletions ? CommitCategory.FEATURE : CommitCategory.CHORE;
+    }
+
+    /**
+     * Count commits per category
+     * @param commits Classified commits
+     * @returns Record<CommitCategory, number>
+     */
+    private buildCommitStats(commits: GitCommitData[]): Record<CommitCategory, number> {
+        const stats = Object.values(CommitCategory).reduce((counts, category) => {
+            counts[category] = 0;
+            return counts;
+        }, {} as Record<CommitCategory, number>);
+
+        commits.forEach(commit => stats[commit.category]++);
+        return stats;
+    }
+
+    /**
+     * Parse one `--numstat` line ("<added>\t<deleted>\t<path>")
+     * @param line Raw output line
+     * @returns GitFileChange | null
+     */
+    private parseNumstatLine(line: string): GitFileChange | null {
+        const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        // Binary files report "-" for both counts
+        return {
+            file: this.resolveRenamedPath(match[3]),
+            insertions: match[1] === '-' ? 0 : parseInt(match[1], 10),
+            deletions: match[2] === '-' ? 0 : parseInt(match[2], 10)
+        };
+    }
+
+    /**
+     * Resolve the destination path of a rename ("src/{old => new}/file.ts" or "old.ts => new.ts")
+     * @param file Path as printed by numstat
+     * @returns string
+     */
+    private resolveRenamedPath(file: string): string {
+        const braced = file.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+        if (braced) {
+            return `${braced[1]}${braced[3]}${braced[4]}`.replace(/\/\//g, '/');
         }
+
+        const plain = file.split(' => ');
+        return plain.length === 2 ? plain[1] : file;
     }
 
     /**
      * Get comprehensive repository data for resume generation
      * @param commitLimit Number of recent commits to analyze
+     * @param authorFilter Optional identity filter; all figures then describe only this author
+     * @param options Set fullHistory to ignore commitLimit and walk every commit, with optional progress and cancellation;
+     *                minLanguageShare (percent) drops languages below that share from `languages`
      * @returns Promise<GitRepositoryData>
      */
-    async getRepositoryData(commitLimit: number = 100): Promise<GitRepositoryData> {
+    async getRepositoryData(
+        commitLimit: number = 100,
+        authorFilter?: AuthorFilter,
+        options: Pick<GitHistoryOptions, 'onProgress' | 'token'> & { fullHistory?: boolean; minLanguageShare?: number } = {}
+    ): Promise<GitRepositoryData> {
         try {
-            const commits = await this.getRecentCommits(commitLimit);
+            const commits = await this.getCommitHistory({
+                maxCount: options.fullHistory ? undefined : commitLimit,
+                authorFilter,
+                onProgress: options.onProgress,
+                token: options.token
+            });
             
             if (commits.length === 0) {
-                throw new Error('No commits found in repository');
+                throw new Error(authorFilter ? 'No commits found for the selected author' : 'No commits found in repository');
             }
 
             // Extract unique authors
             const authors = [...new Set(commits.map(commit => commit.author))];
             
-            // Determine date range
-            const dates = commits.map(commit => new Date(commit.date));
-            const fromDate = new Date(Math.min(...dates.map(d => d.getTime())));
-            const toDate = new Date(Math.max(...dates.map(d => d.getTime())));
-
-            // Extract programming languages from file extensions
-            const allFiles = commits.flatMap(commit => commit.files);
-            const extensions = allFiles
-                .map(file => path.extname(file).toLowerCase())
-                .filter(ext => ext.length > 0);
-            
-            const languageMap: { [key: string]: string } = {
-                '.js': 'JavaScript',
-                '.ts': 'TypeScript',
-                '.py': 'Python',
-                '.java': 'Java',
-                '.cpp': 'C++',
-                '.c': 'C',
-                '.cs': 'C#',
-                '.php': 'PHP',
-                '.rb': 'Ruby',
-                '.go': 'Go',
-                '.rs': 'Rust',
-                '.swift': 'Swift',
-                '.kt': 'Kotlin',
-                '.scala': 'Scala',
-                '.html': 'HTML',
-                '.css': 'CSS',
-                '.scss': 'SCSS',
-                '.sass': 'Sass',
-                '.less': 'Less',
-                '.vue': 'Vue.js',
-                '.jsx': 'React',
-                '.tsx': 'React TypeScript',
-                '.json': 'JSON',
-                '.xml': 'XML',
-                '.yaml': 'YAML',
-                '.yml': 'YAML',
-                '.sql': 'SQL',
-                '.sh': 'Shell Script',
-                '.dockerfile': 'Docker',
-                '.md': 'Markdown'
-            };
+            // Determine date range (reduce rather than spread, full histories can exceed the argument limit)
+            const times = commits.map(commit => new Date(commit.date).getTime());
+            const fromDate = new Date(times.reduce((min, time) => Math.min(min, time), Infinity));
+            const toDate = new Date(times.reduce((max, time) => Math.max(max, time), -Infinity));
 
-            const languages = [...new Set(
-                extensions
-                    .map(ext => languageMap[ext])
-                    .filter(lang => lang !== undefined)
-            )];
+            // Weight languages by the lines changed in them and drop those under the threshold
+            const languageProfile = this.buildLanguageProfile(commits);
+            const minShare = options.minLanguageShare ?? 0;
+            const languages = languageProfile
+                .filter(stat => stat.percentage >= minShare)
+                .map(stat => stat.language);
 
             return {
                 commits,
@@ -159,15 +397,289 @@ export class GitService {
                     to: toDate.toISOString().split('T')[0]
                 },
                 authors,
-                languages
+                languages,
+                languageProfile,
+                commitStats: this.buildCommitStats(commits),
+                authorFiltered: this.buildAuthorArgs(authorFilter).length > 0
             };
 
         } catch (error) {
-            vscode.window.showErrorMessage(`Error analyzing repository: ${error}`);
+            if (!(error instanceof vscode.CancellationError)) {
+                vscode.window.showErrorMessage(`Error analyzing repository: ${error}`);
+            }
             throw error;
         }
     }
 
+    /**
+     * Build a line-weighted language profile from commit file statistics
+     * @param commits Commits with per-file insertions and deletions
+     * @returns LanguageStat[] Sorted by share, largest first
+     */
+    private buildLanguageProfile(commits: GitCommitData[]): LanguageStat[] {
+        const languageMap: { [key: string]: string } = {
+            '.js': 'JavaScript',
+            '.ts': 'TypeScript',
+            '.py': 'Python',
+            '.java': 'Java',
+            '.cpp': 'C++',
+            '.c': 'C',
+            '.cs': 'C#',
+            '.php': 'PHP',
+            '.rb': 'Ruby',
+            '.go': 'Go',
+            '.rs': 'Rust',
+            '.swift': 'Swift',
+            '.kt': 'Kotlin',
+            '.scala': 'Scala',
+            '.html': 'HTML',
+            '.css': 'CSS',
+            '.scss': 'SCSS',
+            '.sass': 'Sass',
+            '.less': 'Less',
+            '.vue': 'Vue.js',
+            '.jsx': 'React',
+            '.tsx': 'React TypeScript',
+            '.json': 'JSON',
+            '.xml': 'XML',
+            '.yaml': 'YAML',
+            '.yml': 'YAML',
+            '.sql': 'SQL',
+            '.sh': 'Shell Script',
+            '.dockerfile': 'Docker',
+            '.md': 'Markdown'
+        };
+
+        // Lockfiles, minified bundles and build output say nothing about what was written by hand
+        const generatedPattern = /(^|\/)(node_modules|dist|build|out|vendor)\/|(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|Cargo\.lock|Gemfile\.lock|poetry\.lock)$|\.min\.(js|css)$|\.map$/;
+
+        const stats = new Map<string, LanguageStat>();
+        let totalChanged = 0;
+
+        for (const commit of commits) {
+            const day = new Date(commit.date).toISOString().split('T')[0];
+
+            for (const change of commit.fileStats) {
+                if (generatedPattern.test(change.file)) continue;
+
+                const language = languageMap[path.extname(change.file).toLowerCase()];
+                if (!language) continue;
+
+                const stat = stats.get(language) || {
+                    language,
+                    linesAdded: 0,
+                    linesChanged: 0,
+                    percentage: 0,
+                    firstSeen: day,
+                    lastSeen: day
+                };
+                stat.linesAdded += change.insertions;
+                stat.linesChanged += change.insertions + change.deletions;
+                if (day < stat.firstSeen) stat.firstSeen = day;
+                if (day > stat.lastSeen) stat.lastSeen = day;
+                stats.set(language, stat);
+
+                totalChanged += change.insertions + change.deletions;
+            }
+        }
+
+        const profile = [...stats.values()];
+        profile.forEach(stat => {
+            stat.percentage = totalChanged > 0 ? Math.round((stat.linesChanged / totalChanged) * 1000) / 10 : 0;
+        });
+
+        return profile.sort((a, b) => b.linesChanged - a.linesChanged);
+    }
+
+    /**
+     * Get every file an author changed in the whole history, independent of the commit limit of the analysis
+     * @param authorFilter Identity filter of the author
+     * @returns Promise<string[]> Paths relative to the workspace root, with forward slashes; files outside the
+     *          workspace folder (when it is a subfolder of the repository) are left out
+     */
+    async getAuthoredFiles(authorFilter: AuthorFilter): Promise<string[]> {
+        // git log prints paths relative to the repository root, which is not the workspace root in a monorepo
+        const topLevel = (await this.git.raw(['rev-parse', '--show-toplevel'])).trim();
+        const prefix = path.relative(fs.realpathSync(topLevel), fs.realpathSync(this.workspaceRoot)).split(path.sep).join('/');
+        const output = await this.git.raw(['log', '--format=', '--name-only', ...this.buildAuthorArgs(authorFilter)]);
+
+        const files = new Set<string>();
+        for (const line of output.split('\n')) {
+            const file = line.trim();
+            if (!file) continue;
+            if (!prefix) {
+                files.add(file);
+            } else if (file.startsWith(`${prefix}/`)) {
+                files.add(file.substring(prefix.length + 1));
+            }
+        }
+        return [...files];
+    }
+
+    /**
+     * Get all contributors of the repository with their commit counts (mailmap applied)
+     * @returns Promise<GitAuthorSummary[]> Sorted by commit count, highest first
+     */
+    async getAuthors(): Promise<GitAuthorSummary[]> {
+        try {
+            const output = await this.git.raw(['log', '--format=%aN%x09%aE']);
+            const counts = new Map<string, GitAuthorSummary>();
+
+            for (const line of output.split('\n')) {
+                const [name, email] = line.split('\t');
+                if (!name && !email) continue;
+
+                const key = `${(name || '').trim()} <${(email || '').trim()}>`;
+                const entry = counts.get(key);
+                if (entry) {
+                    entry.commits++;
+                } else {
+                    counts.set(key, { name: (name || '').trim(), email: (email || '').trim(), commits: 1 });
+                }
+            }
+
+            return [...counts.values()].sort((a, b) => b.commits - a.commits);
+        } catch (error) {
+            console.error('Error reading Git authors:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the identity configured in git config (user.name / user.email)
+     * @returns Promise<{ name: string; email: string }>
+     */
+    async getConfiguredIdentity(): Promise<{ name: string; email: string }> {
+        const readConfig = async (key: string): Promise<string> => {
+            try {
+                return (await this.git.raw(['config', '--get', key])).trim();
+            } catch (error) {
+                return '';
+            }
+        };
+
+        return {
+            name: await readConfig('user.name'),
+            email: await readConfig('user.email')
+        };
+    }
+
+    /**
+     * Build an author filter for one identity, expanded with the aliases found in .mailmap,
+     * git config and any extra aliases supplied by the user
+     * @param identity Name and email of the selected author
+     * @param extraAliases Additional names or emails that belong to the same person
+     * @returns Promise<AuthorFilter>
+     */
+    async resolveAuthorFilter(identity: { name: string; email: string }, extraAliases: string[] = []): Promise<AuthorFilter> {
+        const names = new Set<string>();
+        const emails = new Set<string>();
+        const addAlias = (alias: string) => {
+            const value = alias.trim();
+            if (!value) return;
+            if (value.includes('@')) {
+                emails.add(value.toLowerCase());
+            } else {
+                names.add(value);
+            }
+        };
+
+        addAlias(identity.name);
+        addAlias(identity.email);
+        extraAliases.forEach(addAlias);
+
+        // Treat the git config identity as the same person when either half matches
+        const configured = await this.getConfiguredIdentity();
+        if ((configured.email && emails.has(configured.email.toLowerCase())) || (configured.name && names.has(configured.name))) {
+            addAlias(configured.name);
+            addAlias(configured.email);
+        }
+
+        // Every .mailmap entry whose canonical or commit identity matches contributes its aliases
+        for (const entry of this.readMailmap()) {
+            const identities = [entry.canonical, entry.alias];
+            const matches = identities.some(id =>
+                (id.email && emails.has(id.email.toLowerCase())) || (id.name && names.has(id.name))
+            );
+            if (matches) {
+                identities.forEach(id => {
+                    if (id.name) addAlias(id.name);
+                    if (id.email) addAlias(id.email);
+                });
+            }
+        }
+
+        return { names: [...names], emails: [...emails] };
+    }
+
+    /**
+     * Read and parse the .mailmap file at the repository root
+     * @returns Array of canonical / alias identity pairs
+     */
+    private readMailmap(): { canonical: { name: string; email: string }; alias: { name: string; email: string } }[] {
+        try {
+            const mailmapPath = path.join(this.workspaceRoot, '.mailmap');
+            if (!fs.existsSync(mailmapPath)) {
+                return [];
+            }
+
+            const entries: { canonical: { name: string; email: string }; alias: { name: string; email: string } }[] = [];
+            const lines = fs.readFileSync(mailmapPath, 'utf8').split('\n');
+
+            for (const rawLine of lines) {
+                const line = rawLine.replace(/#.*$/, '').trim();
+                if (!line) continue;
+
+                // Formats: "Proper Name <proper@email> [Commit Name] [<commit@email>]"
+                const parts = [...line.matchAll(/([^<]*)<([^>]*)>/g)].map(match => ({
+                    name: match[1].trim(),
+                    email: match[2].trim()
+                }));
+                if (parts.length === 0) continue;
+
+                entries.push({
+                    canonical: parts[0],
+                    alias: parts[1] || { name: '', email: parts[0].email }
+                });
+            }
+
+            return entries;
+        } catch (error) {
+            console.error('Error reading .mailmap:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Convert an author filter into git log / rev-list arguments
+     * @param authorFilter Optional identity filter
+     * @returns string[]
+     */
+    private buildAuthorArgs(authorFilter?: AuthorFilter): string[] {
+        if (!authorFilter) {
+            return [];
+        }
+
+        const escape = (alias: string) => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const names = authorFilter.names.filter(name => name.length > 0).map(escape);
+        const emails = authorFilter.emails.filter(email => email.length > 0).map(escape);
+        if (names.length === 0 && emails.length === 0) {
+            return [];
+        }
+
+        // git matches --author against "Name <email>", so anchor names at the start and emails in their brackets;
+        // unanchored, "Ann" would also match "Joanne"
+        const patterns = [
+            ...(names.length > 0 ? [`^(${names.join('|')}) <`] : []),
+            ...(emails.length > 0 ? [`<(${emails.join('|')})>$`] : [])
+        ];
+        return [
+            `--author=(${patterns.join('|')})`,
+            '--extended-regexp',
+            '--regexp-ignore-case'
+        ];
+    }
+
     /**
      * Check if the current workspace is a Git repository
      * @returns Promise<boolean>
@@ -209,3 +721,104 @@ export class GitService {
     }
 }
 
+/**
+ * Order skills by the repository's language profile and drop languages that fell under the share threshold
+ * @param skills Skill names (languages not in the profile keep their relative order at the end)
+ * @param gitData Git repository data
+ * @returns string[]
+ */
+export function rankSkillsByLanguageProfile(skills: string[], gitData: GitRepositoryData): string[] {
+    const profile = gitData.languageProfile || [];
+    const rank = (skill: string) => profile.findIndex(stat => stat.language.toLowerCase() === skill.toLowerCase());
+    const kept = new Set((gitData.languages || []).map(language => language.toLowerCase()));
+
+    return skills
+        .filter(skill => rank(skill) === -1 || kept.has(skill.toLowerCase()))
+        .map((skill, index) => ({ skill, index, rank: rank(skill) }))
+        .sort((a, b) => {
+            if (a.rank === -1 && b.rank === -1) return a.index - b.index;
+            if (a.rank === -1) return 1;
+            if (b.rank === -1) return -1;
+            return a.rank - b.rank;
+        })
+        .map(entry => entry.skill);
+}
+
+/**
+ * Merge the data of several repositories into one combined timeline
+ * @param repositories Repository data to merge (at least one)
+ * @param minLanguageShare Minimum share (percent) a language needs across all repositories to stay in `languages`
+ * @returns GitRepositoryData
+ */
+export function mergeRepositoryData(repositories: GitRepositoryData[], minLanguageShare: number = 0): GitRepositoryData {
+    const commits = repositories
+        .flatMap(data => data.commits)
+        .sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+    // Sum line counts per language and recompute the shares over the combined total
+    const profile = new Map<string, LanguageStat>();
+    for (const stat of repositories.flatMap(data => data.languageProfile || [])) {
+        const merged = profile.get(stat.language);
+        if (merged) {
+            merged.linesAdded += stat.linesAdded;
+            merged.linesChanged += stat.linesChanged;
+            if (stat.firstSeen < merged.firstSeen) merged.firstSeen = stat.firstSeen;
+            if (stat.lastSeen > merged.lastSeen) merged.lastSeen = stat.lastSeen;
+        } else {
+            profile.set(stat.language, { ...stat });
+        }
+    }
+    const totalChanged = [...profile.values()].reduce((total, stat) => total + stat.linesChanged, 0);
+    const languageProfile = [...profile.values()]
+        .map(stat => ({
+            ...stat,
+            percentage: totalChanged > 0 ? Math.round((stat.linesChanged / totalChanged) * 1000) / 10 : 0
+        }))
+        .sort((a, b) => b.linesChanged - a.linesChanged);
+
+    const commitStats = { ...repositories[0].commitStats };
+    repositories.slice(1).forEach(data => {
+        (Object.keys(commitStats) as CommitCategory[]).forEach(category => {
+            commitStats[category] += data.commitStats?.[category] || 0;
+        });
+    });
+
+    return {
+        commits,
+        totalCommits: repositories.reduce((total, data) => total + data.totalCommits, 0),
+        dateRange: {
+            from: repositories.map(data => data.dateRange.from).sort()[0],
+            to: repositories.map(data => data.dateRange.to).sort().reverse()[0]
+        },
+        authors: [...new Set(repositories.flatMap(data => data.authors))],
+        languages: languageProfile.filter(stat => stat.percentage >= minLanguageShare).map(stat => stat.language),
+        languageProfile,
+        commitStats,
+        authorFiltered: repositories.every(data => data.authorFiltered)
+    };
+}
+
+/**
+ * Describe commit category counts, e.g. "62 features, 31 fixes, 14 perf improvements"
+ * @param stats Commit counts per category
+ * @returns string Largest categories first; empty categories are omitted
+ */
+export function describeCommitStats(stats: Record<CommitCategory, number>): string {
+    const labels: Record<CommitCategory, [string, string]> = {
+        [CommitCategory.FEATURE]: ['feature', 'features'],
+        [CommitCategory.FIX]: ['fix', 'fixes'],
+        [CommitCategory.REFACTOR]: ['refactor', 'refactors'],
+        [CommitCategory.TEST]: ['test change', 'test changes'],
+        [CommitCategory.DOCS]: ['docs update', 'docs updates'],
+        [CommitCategory.PERF]: ['perf improvement', 'perf improvements'],
+        [CommitCategory.CI]: ['CI/build change', 'CI/build changes'],
+        [CommitCategory.MIGRATION]: ['migration', 'migrations'],
+        [CommitCategory.CHORE]: ['chore', 'chores']
+    };
+
+    return (Object.keys(labels) as CommitCategory[])
+        .filter(category => (stats?.[category] || 0) > 0)
+        .sort((a, b) => stats[b] - stats[a])
+        .map(category => `${stats[category]} ${labels[category][stats[category] === 1 ? 0 : 1]}`)
+        .join(', ');
+}
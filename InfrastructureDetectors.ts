@@ -0,0 +1,263 @@
+import * as path from 'path';
+
+/**
+ * Interface for a configuration file handed to the infrastructure detectors
+ */
+export interface InfrastructureFile {
+    /** Path relative to the workspace root, with forward slashes */
+    path: string;
+    content: string;
+}
+
+/**
+ * Interface for one infrastructure tool found in the project, with its evidence
+ */
+export interface InfrastructureFinding {
+    tool: string;
+    files: string[];
+    /** Cloud providers referenced by these files */
+    providers: string[];
+    /** Short facts such as base images, workflow names or resource kinds */
+    details: string[];
+    /** Resume bullet describing the work behind these files */
+    achievement: string;
+}
+
+/**
+ * Interface for all infrastructure and DevOps evidence of a project
+ */
+export interface InfrastructureData {
+    findings: InfrastructureFinding[];
+    cloudProviders: string[];
+}
+
+/**
+ * Interface for an infrastructure detector; register new ones in `infrastructureDetectors`
+ */
+export interface InfrastructureDetector {
+    tool: string;
+    /**
+     * Check whether this detector handles the given file
+     * @param file Candidate configuration file
+     */
+    matches(file: InfrastructureFile): boolean;
+    /**
+     * Inspect all files claimed by this detector
+     * @param files Matching files
+     * @returns Providers and details for the finding
+     */
+    inspect(files: InfrastructureFile[]): Pick<InfrastructureFinding, 'providers' | 'details'>;
+    /**
+     * Describe the finding as a resume bullet
+     * @param finding Finding produced from this detector
+     */
+    achievement(finding: Omit<InfrastructureFinding, 'achievement'>): string;
+}
+
+/**
+ * Cloud provider hints found in image registries, action names and annotations
+ */
+const providerPatterns: { provider: string; pattern: RegExp }[] = [
+    { provider: 'AWS', pattern: /\.amazonaws\.com|aws-actions\/|\beks\.amazonaws|\bs3:\/\//i },
+    { provider: 'GCP', pattern: /\bgcr\.io\b|\.pkg\.dev\b|google-github-actions\/|cloud\.google\.com/i },
+    { provider: 'Azure', pattern: /\.azurecr\.io\b|\bazure\/[\w-]+@|\.azure\.com\b/i }
+];
+
+/**
+ * Terraform provider names mapped to display names
+ */
+const terraformProviders: { [key: string]: string } = {
+    'aws': 'AWS',
+    'google': 'GCP',
+    'google-beta': 'GCP',
+    'azurerm': 'Azure',
+    'azuread': 'Azure',
+    'digitalocean': 'DigitalOcean',
+    'cloudflare': 'Cloudflare',
+    'heroku': 'Heroku',
+    'vercel': 'Vercel'
+};
+
+const unique = (values: string[]) => [...new Set(values.filter(Boolean))];
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const findProviders = (files: InfrastructureFile[]) => unique(
+    providerPatterns
+        .filter(({ pattern }) => files.some(file => pattern.test(file.content)))
+        .map(({ provider }) => provider)
+);
+const isYaml = (file: InfrastructureFile) => /\.ya?ml$/i.test(file.path);
+
+/**
+ * Registered infrastructure detectors; each file is claimed by the first detector that matches it
+ */
+export const infrastructureDetectors: InfrastructureDetector[] = [
+    {
+        tool: 'Docker',
+        matches: file => /^Dockerfile(\.[\w.-]+)?$/.test(path.posix.basename(file.path)) || /\.dockerfile$/i.test(file.path),
+        inspect: files => {
+            const images = files.flatMap(file =>
+                [...file.content.matchAll(/^FROM\s+(?:--platform=\S+\s+)?(\S+)/gim)]
+                    .map(match => match[1])
+                    .filter(image => !/^\$/.test(image))
+            );
+            // "registry/library/node:18-alpine" -> "node"
+            const baseImages = unique(images.map(image => path.posix.basename(image.split('@')[0]).split(':')[0]));
+            const stages = images.length > files.length ? [`${images.length} build stages`] : [];
+            return {
+                providers: findProviders(files),
+                details: [...(baseImages.length > 0 ? [`base images: ${baseImages.join(', ')}`] : []), ...stages]
+            };
+        },
+        achievement: finding => `Containerized the application with Docker (${plural(finding.files.length, 'Dockerfile')}${finding.details.length > 0 ? `, ${finding.details[0]}` : ''})`
+    },
+    {
+        tool: 'Docker Compose',
+        matches: file => /^(docker-)?compose(\.[\w-]+)?\.ya?ml$/.test(path.posix.basename(file.path)),
+        inspect: files => {
+            const services = files.flatMap(file => {
+                const block = file.content.match(/^services:\s*\n((?:[ \t]+.*\n?|\s*\n)*)/m);
+                return block ? [...block[1].matchAll(/^ {2}([\w.-]+):/gm)].map(match => match[1]) : [];
+            });
+            return {
+                providers: findProviders(files),
+                details: services.length > 0 ? [`${plural(unique(services).length, 'service')}: ${unique(services).join(', ')}`] : []
+            };
+        },
+        achievement: finding => `Orchestrated multi-container environments with Docker Compose${finding.details.length > 0 ? ` (${finding.details[0]})` : ''}`
+    },
+    {
+        tool: 'GitHub Actions',
+        matches: file => /(^|\/)\.github\/workflows\/[^/]+\.ya?ml$/.test(file.path),
+        inspect: files => {
+            const names = unique(files.map(file => (file.content.match(/^name:\s*['"]?(.+?)['"]?\s*$/m) || [])[1] || ''));
+            const actions = unique(files.flatMap(file =>
+                [...file.content.matchAll(/uses:\s*['"]?([\w.-]+\/[\w.-]+)@/g)].map(match => match[1])
+            )).filter(action => !action.startsWith('actions/'));
+            return {
+                providers: findProviders(files),
+                details: [
+                    ...(names.length > 0 ? [`workflows: ${names.join(', ')}`] : []),
+                    ...(actions.length > 0 ? [`actions: ${actions.slice(0, 5).join(', ')}`] : [])
+                ]
+            };
+        },
+        achievement: finding => `Automated CI/CD with ${plural(finding.files.length, 'GitHub Actions workflow')}` +
+            (finding.providers.length > 0 ? ` deploying to ${finding.providers.join(' and ')}` : '')
+    },
+    {
+        tool: 'GitLab CI',
+        matches: file => path.posix.basename(file.path) === '.gitlab-ci.yml',
+        inspect: files => {
+            const stages = unique(files.flatMap(file => {
+                const block = file.content.match(/^stages:\s*\n((?:\s+-\s*.+\n?)+)/m);
+                return block ? [...block[1].matchAll(/-\s*['"]?([\w-]+)/g)].map(match => match[1]) : [];
+            }));
+            return {
+                providers: findProviders(files),
+                details: stages.length > 0 ? [`stages: ${stages.join(', ')}`] : []
+            };
+        },
+        achievement: finding => `Built GitLab CI pipelines${finding.details.length > 0 ? ` (${finding.details[0]})` : ''}`
+    },
+    {
+        tool: 'Jenkins',
+        matches: file => path.posix.basename(file.path) === 'Jenkinsfile',
+        inspect: files => {
+            const stages = unique(files.flatMap(file =>
+                [...file.content.matchAll(/stage\s*\(\s*['"]([^'"]+)['"]/g)].map(match => match[1])
+            ));
+            return {
+                providers: findProviders(files),
+                details: stages.length > 0 ? [`stages: ${stages.join(', ')}`] : []
+            };
+        },
+        achievement: finding => `Maintained Jenkins pipelines${finding.details.length > 0 ? ` (${finding.details[0]})` : ''}`
+    },
+    {
+        tool: 'Terraform',
+        matches: file => /\.tf$/.test(file.path),
+        inspect: files => {
+            const providerNames = files.flatMap(file => [
+                ...[...file.content.matchAll(/provider\s+"([\w-]+)"/g)].map(match => match[1]),
+                ...[...file.content.matchAll(/source\s*=\s*"(?:[\w.-]+\/)?[\w-]+\/([\w-]+)"/g)].map(match => match[1])
+            ]);
+            const resources = files.reduce((total, file) => total + [...file.content.matchAll(/^resource\s+"/gm)].length, 0);
+            return {
+                providers: unique(providerNames.map(name => terraformProviders[name] || '')),
+                details: resources > 0 ? [plural(resources, 'resource')] : []
+            };
+        },
+        achievement: finding => `Provisioned ${finding.providers.length > 0 ? `${finding.providers.join(' and ')} ` : ''}infrastructure as code with Terraform (${plural(finding.files.length, 'file')}${finding.details.length > 0 ? `, ${finding.details[0]}` : ''})`
+    },
+    {
+        tool: 'Helm',
+        matches: file => path.posix.basename(file.path) === 'Chart.yaml',
+        inspect: files => {
+            const charts = unique(files.map(file => (file.content.match(/^name:\s*['"]?([\w.-]+)/m) || [])[1] || ''));
+            return {
+                providers: findProviders(files),
+                details: charts.length > 0 ? [`charts: ${charts.join(', ')}`] : []
+            };
+        },
+        achievement: finding => `Packaged Kubernetes deployments as ${plural(finding.files.length, 'Helm chart')}${finding.details.length > 0 ? ` (${finding.details[0]})` : ''}`
+    },
+    {
+        tool: 'Kubernetes',
+        // Helm templates contain Go template syntax and are reported through their chart instead
+        matches: file => isYaml(file) && !file.content.includes('{{') &&
+            /^apiVersion:\s*\S+/m.test(file.content) && /^kind:\s*\w+/m.test(file.content),
+        inspect: files => {
+            const kinds = unique(files.flatMap(file => [...file.content.matchAll(/^kind:\s*(\w+)/gm)].map(match => match[1])));
+            return {
+                providers: findProviders(files),
+                details: kinds.length > 0 ? [`kinds: ${kinds.join(', ')}`] : []
+            };
+        },
+        achievement: finding => `Deployed services to Kubernetes with ${plural(finding.files.length, 'manifest')}${finding.details.length > 0 ? ` (${finding.details[0]})` : ''}`
+    }
+];
+
+/**
+ * Run the infrastructure detectors over candidate configuration files
+ * @param files Candidate files (Dockerfiles, YAML, Terraform, Jenkinsfiles)
+ * @returns InfrastructureData
+ */
+export function detectInfrastructure(files: InfrastructureFile[]): InfrastructureData {
+    const claimed = new Map<InfrastructureDetector, InfrastructureFile[]>();
+    for (const file of files) {
+        const detector = infrastructureDetectors.find(candidate => candidate.matches(file));
+        if (detector) {
+            claimed.set(detector, [...(claimed.get(detector) || []), file]);
+        }
+    }
+
+    const findings = infrastructureDetectors
+        .filter(detector => claimed.has(detector))
+        .map(detector => {
+            const detectorFiles = claimed.get(detector) || [];
+            const finding = {
+                tool: detector.tool,
+                files: detectorFiles.map(file => file.path),
+                ...detector.inspect(detectorFiles)
+            };
+            return { ...finding, achievement: detector.achievement(finding) };
+        });
+
+    return {
+        findings,
+        cloudProviders: unique(findings.flatMap(finding => finding.providers))
+    };
+}
+
+/**
+ * Describe a finding as evidence, e.g. "Terraform: 12 files, AWS provider (48 resources)"
+ * @param finding Infrastructure finding
+ * @returns string
+ */
+export function describeFinding(finding: InfrastructureFinding): string {
+    const providers = finding.providers.length > 0
+        ? `, ${finding.providers.join(', ')} provider${finding.providers.length === 1 ? '' : 's'}`
+        : '';
+    const details = finding.details.length > 0 ? ` (${finding.details.join('; ')})` : '';
+    return `${finding.tool}: ${plural(finding.files.length, 'file')}${providers}${details}`;
+}
@@ -0,0 +1,235 @@
+import { ResumeData } from './AIService';
+import { BulletEvidenceList, bulletEvidence, commonTechnologies, mentions } from './ClaimVerifier';
+
+/**
+ * Interface for the skills and keywords a job posting asks for
+ */
+export interface JobPosting {
+    /** Role title when the posting starts with one, e.g. "Senior Backend Engineer" */
+    title: string;
+    /** Terms listed as requirements, or anywhere outside a "nice to have" section */
+    required: string[];
+    /** Terms listed under "nice to have", "preferred", "bonus" and the like */
+    preferred: string[];
+}
+
+/**
+ * Interface for how well a resume matches a posting
+ */
+export interface MatchReport {
+    /** Share of the posting's terms the resume backs, weighting required terms double (0-100) */
+    score: number;
+    matched: string[];
+    /** Required terms the resume and its repository evidence do not back */
+    missingRequired: string[];
+    /** Preferred terms the resume and its repository evidence do not back */
+    missingPreferred: string[];
+}
+
+/**
+ * Practices and areas postings ask for besides named technologies
+ */
+const practiceKeywords = [
+    'REST', 'API', 'microservices', 'CI/CD', 'TDD', 'unit testing', 'integration testing', 'Agile', 'Scrum',
+    'distributed systems', 'cloud', 'serverless', 'DevOps', 'observability', 'monitoring', 'accessibility',
+    'security', 'performance', 'machine learning', 'data pipelines', 'open source', 'code review',
+    'frontend', 'backend', 'full stack', 'mobile'
+];
+
+const preferredHeading = /nice[ -]to[ -]have|preferred|bonus|desirable|optional|plus/i;
+const requiredHeading = /requirement|qualification|must|what you|you have|you bring|skills|experience|responsibilit/i;
+
+/**
+ * Names that are also common English words; postings must write them capitalized
+ */
+const caseSensitiveTerms = new Set(['Go', 'Rust', 'Swift', 'Spring', 'Express', 'Rails', 'Helm', 'Lambda', 'Spark', 'REST']);
+
+/**
+ * Check whether a text names a term, allowing a plural ("APIs", "microservices")
+ */
+const wants = (text: string, term: string) =>
+    (mentions(text, term) || mentions(text, `${term}s`)) && (!caseSensitiveTerms.has(term) || text.includes(term));
+
+/**
+ * Extract the role title and the required and preferred terms from a job posting
+ * @param text Posting text (plain text or Markdown)
+ * @param resumeData Resume whose skills are looked for as well, so less common technologies are recognized
+ * @returns JobPosting
+ */
+export function parseJobPosting(text: string, resumeData?: ResumeData): JobPosting {
+    const vocabulary = [...new Set([
+        ...commonTechnologies,
+        ...practiceKeywords,
+        ...Object.values(resumeData?.skills || {}).flat()
+    ])].filter(term => typeof term === 'string' && term.length > 1);
+
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const firstLine = (lines[0] || '').replace(/^#+\s*/, '').replace(/^(job title|position|role):\s*/i, '');
+    const title = firstLine.length <= 80 && !/[.:]$/.test(firstLine) ? firstLine : '';
+
+    const required = new Set<string>();
+    const preferred = new Set<string>();
+    let section: 'required' | 'preferred' = 'required';
+    for (const line of lines) {
+        const isHeading = /^#+\s/.test(line) || (line.length <= 60 && /:$/.test(line));
+        if (isHeading) {
+            section = preferredHeading.test(line) ? 'preferred' : requiredHeading.test(line) ? 'required' : section;
+            continue;
+        }
+
+        // "Kafka experience is a plus" is preferred wherever it appears
+        const target = section === 'preferred' || /nice[ -]to[ -]have|preferred|bonus|a plus\b/i.test(line) ? preferred : required;
+        vocabulary.filter(term => wants(line, term)).forEach(term => target.add(term));
+    }
+
+    return {
+        title,
+        required: [...required],
+        preferred: [...preferred].filter(term => !required.has(term))
+    };
+}
+
+/**
+ * Weight of a term for ranking: required terms count double
+ */
+function termWeight(term: string, posting: JobPosting): number {
+    const isTerm = (candidate: string) => candidate.toLowerCase() === term.toLowerCase();
+    return posting.required.some(isTerm) ? 2 : posting.preferred.some(isTerm) ? 1 : 0;
+}
+
+/**
+ * Relevance of a text to a posting: the weights of the posting terms it names
+ */
+function relevance(text: string, posting: JobPosting): number {
+    return [...posting.required, ...posting.preferred]
+        .filter(term => wants(text, term))
+        .reduce((total, term) => total + termWeight(term, posting), 0);
+}
+
+/**
+ * Sort by descending score, keeping the original order of equal scores
+ */
+function rankBy<T>(items: T[], score: (item: T) => number): T[] {
+    return items
+        .map((item, index) => ({ item, index, score: score(item) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(entry => entry.item);
+}
+
+/**
+ * Rank bullets by relevance, moving their verification results along with them
+ */
+function rankBullets(bullets: string[], evidence: BulletEvidenceList | undefined, posting: JobPosting): { bullets: string[]; evidence?: BulletEvidenceList } {
+    const ranked = rankBy(
+        bullets.map((text, index) => ({ text, evidence: bulletEvidence(evidence, index, text) || null })),
+        bullet => relevance(bullet.text, posting)
+    );
+    return {
+        bullets: ranked.map(bullet => bullet.text),
+        ...(evidence ? { evidence: ranked.map(bullet => bullet.evidence) } : {})
+    };
+}
+
+/**
+ * Re-rank skills, experience, projects and their bullets so what the posting asks for comes first.
+ * Nothing is added or removed, and bullet evidence moves with its bullet.
+ * @param resumeData Resume data (not modified)
+ * @param posting Parsed job posting
+ * @returns ResumeData
+ */
+export function tailorResume(resumeData: ResumeData, posting: JobPosting): ResumeData {
+    const skills = Object.fromEntries(
+        Object.entries(resumeData.skills || {}).map(([category, list]) => [
+            category,
+            rankBy(list || [], skill => Math.max(termWeight(skill, posting), relevance(skill, posting)))
+        ])
+    ) as ResumeData['skills'];
+
+    const experience = (resumeData.experience || []).map(entry => {
+        const { bullets, evidence } = rankBullets(entry.achievements || [], entry.evidence, posting);
+        return { ...entry, achievements: bullets, evidence };
+    });
+    const projects = (resumeData.projects || []).map(project => {
+        const { bullets, evidence } = rankBullets(project.highlights || [], project.evidence, posting);
+        return { ...project, highlights: bullets, evidence };
+    });
+
+    return {
+        ...resumeData,
+        skills,
+        experience: rankBy(experience, entry => relevance(
+            [entry.projectName, entry.description, ...(entry.technologies || []), ...entry.achievements].join('\n'), posting
+        )),
+        projects: rankBy(projects, project => relevance(
+            [project.name, project.description, ...(project.technologies || []), ...project.highlights].join('\n'), posting
+        ))
+    };
+}
+
+/**
+ * Score a resume against a posting. A term counts as backed when it is one of the resume's skills or
+ * technologies, or is named by a description or bullet that claim verification did not flag for it.
+ * @param resumeData Resume data, with bullet evidence when claim verification ran
+ * @param posting Parsed job posting
+ * @returns MatchReport
+ */
+export function scoreMatch(resumeData: ResumeData, posting: JobPosting): MatchReport {
+    const listed = [
+        ...Object.values(resumeData.skills || {}).flat(),
+        ...(resumeData.experience || []).flatMap(entry => entry.technologies || []),
+        ...(resumeData.projects || []).flatMap(project => project.technologies || [])
+    ];
+    const bullets = [
+        ...(resumeData.experience || []).flatMap(entry => (entry.achievements || []).map((text, index) => ({ text, evidence: bulletEvidence(entry.evidence, index, text) }))),
+        ...(resumeData.projects || []).flatMap(project => (project.highlights || []).map((text, index) => ({ text, evidence: bulletEvidence(project.evidence, index, text) })))
+    ];
+    const descriptions = [
+        ...(resumeData.experience || []).map(entry => entry.description),
+        ...(resumeData.projects || []).map(project => project.description)
+    ].filter(Boolean).join('\n');
+
+    const isBacked = (term: string) =>
+        listed.some(skill => skill.toLowerCase() === term.toLowerCase() || wants(skill, term)) ||
+        wants(descriptions, term) ||
+        bullets.some(bullet => wants(bullet.text, term) &&
+            !(bullet.evidence?.unsupportedClaims || []).some(claim => claim.toLowerCase() === term.toLowerCase()));
+
+    const matched = [...posting.required, ...posting.preferred].filter(isBacked);
+    const total = posting.required.length * 2 + posting.preferred.length;
+    const score = total === 0 ? 0 : Math.round(100 * matched.reduce((sum, term) => sum + termWeight(term, posting), 0) / total);
+
+    return {
+        score,
+        matched,
+        missingRequired: posting.required.filter(term => !matched.includes(term)),
+        missingPreferred: posting.preferred.filter(term => !matched.includes(term))
+    };
+}
+
+/**
+ * Format a match report as Markdown for the report document
+ * @param posting Parsed job posting
+ * @param report Match report
+ * @returns string
+ */
+export function formatMatchReport(posting: JobPosting, report: MatchReport): string {
+    const list = (terms: string[]) => terms.length > 0 ? terms.map(term => `- ${term}`).join('\n') : '- None';
+    const count = (terms: string[]) => terms.filter(term => report.matched.includes(term)).length;
+
+    return [
+        `# Resume match${posting.title ? `: ${posting.title}` : ''}`,
+        '',
+        `**Match score: ${report.score}%** (${count(posting.required)} of ${posting.required.length} required, ` +
+            `${count(posting.preferred)} of ${posting.preferred.length} preferred)`,
+        '',
+        '## Backed by your resume',
+        list(report.matched),
+        '',
+        '## Required, not backed by your repositories',
+        list(report.missingRequired),
+        '',
+        '## Preferred, not backed by your repositories',
+        list(report.missingPreferred),
+        ''
+    ].join('\n');
+}
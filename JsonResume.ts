@@ -0,0 +1,302 @@
+import { ResumeData } from './AIService';
+import { ResumeProfile } from './ProfileService';
+
+/**
+ * Schema URL written to exported files that do not declare one
+ */
+export const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * Interface for a JSON Resume document (https://jsonresume.org/schema).
+ * Only the fields this extension maps are typed; everything else is preserved as-is.
+ */
+export interface JsonResume {
+    $schema?: string;
+    basics?: {
+        name?: string;
+        label?: string;
+        image?: string;
+        email?: string;
+        phone?: string;
+        url?: string;
+        summary?: string;
+        location?: { address?: string; postalCode?: string; city?: string; countryCode?: string; region?: string };
+        profiles?: { network?: string; username?: string; url?: string; [key: string]: unknown }[];
+        [key: string]: unknown;
+    };
+    work?: {
+        name?: string;
+        position?: string;
+        location?: string;
+        url?: string;
+        startDate?: string;
+        endDate?: string;
+        summary?: string;
+        highlights?: string[];
+        [key: string]: unknown;
+    }[];
+    education?: {
+        institution?: string;
+        url?: string;
+        area?: string;
+        studyType?: string;
+        startDate?: string;
+        endDate?: string;
+        score?: string;
+        courses?: string[];
+        [key: string]: unknown;
+    }[];
+    certificates?: { name?: string; date?: string; issuer?: string; url?: string; [key: string]: unknown }[];
+    skills?: { name?: string; level?: string; keywords?: string[]; [key: string]: unknown }[];
+    projects?: {
+        name?: string;
+        description?: string;
+        highlights?: string[];
+        keywords?: string[];
+        startDate?: string;
+        endDate?: string;
+        url?: string;
+        roles?: string[];
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+/**
+ * JSON Resume skill groups for the ResumeData skill categories (same titles as the PDF)
+ */
+const skillGroups: { key: keyof ResumeData['skills']; name: string; pattern: RegExp }[] = [
+    { key: 'technical', name: 'Programming Languages', pattern: /language|programming/i },
+    { key: 'frameworks', name: 'Frameworks & Libraries', pattern: /framework|librar/i },
+    { key: 'databases', name: 'Databases', pattern: /database|storage|\bdata\b/i },
+    { key: 'tools', name: 'Tools & Technologies', pattern: /tool|devops|cloud|platform|technolog/i }
+];
+
+const isoDate = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Format a JSON Resume location object as one line
+ */
+function formatLocation(location: NonNullable<JsonResume['basics']>['location']): string {
+    if (!location) return '';
+    return [location.city, location.region, location.countryCode].filter(Boolean).join(', ');
+}
+
+/**
+ * Merge mapped entries into the entries of the original document so fields this extension
+ * does not know about survive a round trip. Entries are matched by key; unmatched originals are kept.
+ * @param original Entries of the imported document
+ * @param mapped Entries built from resume data
+ * @param key Identity of an entry
+ */
+function mergeEntries<T extends object>(original: T[] | undefined, mapped: T[], key: (entry: T) => string): T[] {
+    const remaining = [...(original || [])];
+    const merged = mapped.map(entry => {
+        const index = remaining.findIndex(candidate => key(candidate).toLowerCase() === key(entry).toLowerCase());
+        if (index === -1) return entry;
+        const [source] = remaining.splice(index, 1);
+        return { ...source, ...entry };
+    });
+    return [...merged, ...remaining];
+}
+
+/**
+ * Drop undefined and empty values so exported entries stay minimal
+ */
+function compact<T extends object>(entry: T): T {
+    return Object.fromEntries(
+        Object.entries(entry).filter(([, value]) => value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+    ) as T;
+}
+
+/**
+ * Split a "start - end" duration into JSON Resume dates when both sides are ISO dates
+ * @param duration Duration such as "2023-01-04 - 2024-06-30"
+ */
+function parseDuration(duration: string): { startDate?: string; endDate?: string } {
+    const [start, end] = (duration || '').split(/\s+[-–]\s+|\s+to\s+/i).map(part => part.trim());
+    return {
+        startDate: isoDate.test(start || '') ? start : undefined,
+        endDate: isoDate.test(end || '') ? end : undefined
+    };
+}
+
+/**
+ * Convert resume data to a JSON Resume document
+ * @param resumeData Generated resume data
+ * @param base Originally imported document; its fields and unknown properties are preserved
+ * @returns JsonResume
+ */
+export function toJsonResume(resumeData: ResumeData, base: JsonResume = {}): JsonResume {
+    const info = resumeData.personalInfo;
+    const baseBasics = base.basics || {};
+
+    // Keep the structured location when the one-line form did not change
+    const location = info.location && info.location !== formatLocation(baseBasics.location)
+        ? { ...baseBasics.location, city: info.location, region: undefined, countryCode: undefined }
+        : baseBasics.location;
+
+    const profiles = mergeEntries(baseBasics.profiles, [
+        ...(info.github ? [{ network: 'GitHub', username: info.github.replace(/\/+$/, '').split('/').pop(), url: info.github }] : []),
+        ...(resumeData.links || []).map(link => ({ network: link.label, url: link.url }))
+    ], profile => profile.network || '');
+
+    // Repository experience and notable projects both become JSON Resume projects
+    const projectEntries = [
+        ...(resumeData.experience || []).map(exp => compact({
+            name: exp.projectName,
+            description: exp.description,
+            highlights: exp.achievements,
+            keywords: exp.technologies,
+            ...parseDuration(exp.duration)
+        })),
+        ...(resumeData.projects || []).map(project => compact({
+            name: project.name,
+            description: project.description,
+            highlights: project.highlights,
+            keywords: project.technologies,
+            url: project.url
+        }))
+    ];
+    const projects = projectEntries.reduce<NonNullable<JsonResume['projects']>>((list, entry) => {
+        const existing = list.find(candidate => candidate.name?.toLowerCase() === entry.name?.toLowerCase());
+        if (!existing) {
+            return [...list, entry];
+        }
+        Object.assign(existing, {
+            ...entry,
+            ...existing,
+            highlights: [...new Set([...(existing.highlights || []), ...(entry.highlights || [])])],
+            keywords: [...new Set([...(existing.keywords || []), ...(entry.keywords || [])])]
+        });
+        return list;
+    }, []);
+
+    // Imported skill groups stay as they were; only skills they do not list yet are added
+    const knownSkills = new Set((base.skills || []).flatMap(skill => [skill.name || '', ...(skill.keywords || [])]).map(skill => skill.toLowerCase()));
+    const skills = skillGroups
+        .map(group => ({
+            name: group.name,
+            keywords: (resumeData.skills?.[group.key] || []).filter(skill => !knownSkills.has(skill.toLowerCase()))
+        }))
+        .filter(group => group.keywords.length > 0);
+
+    return compact({
+        $schema: JSON_RESUME_SCHEMA,
+        ...base,
+        basics: compact({
+            ...baseBasics,
+            name: info.name,
+            label: info.title,
+            email: info.email,
+            phone: info.phone,
+            url: info.website,
+            summary: resumeData.summary,
+            location: location && compact(location),
+            profiles
+        }),
+        work: mergeEntries(base.work, (resumeData.workHistory || []).map(job => compact({
+            name: job.company,
+            position: job.position,
+            location: job.location,
+            startDate: job.startDate,
+            endDate: job.endDate,
+            summary: job.summary,
+            highlights: job.highlights
+        })), job => `${job.name}|${job.position}`),
+        education: mergeEntries(base.education, (resumeData.education || []).map(entry => compact({
+            institution: entry.institution,
+            studyType: entry.degree,
+            area: entry.field,
+            startDate: entry.startDate,
+            endDate: entry.endDate,
+            courses: entry.details
+        })), entry => `${entry.institution}|${entry.studyType}`),
+        certificates: mergeEntries(base.certificates, (resumeData.certifications || []).map(cert => compact({
+            name: cert.name,
+            issuer: cert.issuer,
+            date: cert.date,
+            url: cert.url
+        })), cert => cert.name || ''),
+        skills: [
+            ...(base.skills || []).map(skill => {
+                const added = skills.find(group => group.name.toLowerCase() === (skill.name || '').toLowerCase());
+                return added ? { ...skill, keywords: [...(skill.keywords || []), ...added.keywords] } : skill;
+            }),
+            ...skills.filter(group => !(base.skills || []).some(skill => (skill.name || '').toLowerCase() === group.name.toLowerCase()))
+        ],
+        projects: mergeEntries(base.projects, projects, project => project.name || '')
+    });
+}
+
+/**
+ * Convert a JSON Resume document into resume profile fields; the document itself is kept in
+ * `jsonResume` so a later export can restore everything that was not mapped
+ * @param json Parsed JSON Resume document
+ * @returns Partial<ResumeProfile>
+ * @throws Error when the document does not look like a JSON Resume
+ */
+export function fromJsonResume(json: any): Partial<ResumeProfile> {
+    if (!json || typeof json !== 'object' || Array.isArray(json) || !['basics', 'work', 'projects', 'skills', 'education'].some(key => key in json)) {
+        throw new Error('Not a JSON Resume document: expected an object with basics, work, education, skills or projects');
+    }
+
+    const resume = json as JsonResume;
+    const basics = resume.basics || {};
+    const github = (basics.profiles || []).find(profile => /github/i.test(profile.network || ''));
+
+    const skills: ResumeData['skills'] = { technical: [], frameworks: [], tools: [], databases: [] };
+    for (const skill of resume.skills || []) {
+        const group = skillGroups.find(candidate => candidate.pattern.test(skill.name || ''));
+        const keywords = skill.keywords && skill.keywords.length > 0 ? skill.keywords : [skill.name || ''];
+        skills[group ? group.key : 'technical'].push(...keywords.filter(Boolean));
+    }
+
+    return {
+        personalInfo: compact({
+            name: basics.name,
+            title: basics.label,
+            email: basics.email,
+            phone: basics.phone,
+            website: basics.url,
+            location: formatLocation(basics.location),
+            github: github ? github.url || `https://github.com/${github.username}` : undefined
+        }),
+        summary: basics.summary,
+        skills: compact(skills),
+        projects: (resume.projects || []).filter(project => project.name).map(project => compact({
+            name: project.name || '',
+            description: project.description || '',
+            technologies: project.keywords || [],
+            highlights: project.highlights || [],
+            url: project.url
+        })),
+        workHistory: (resume.work || []).map(job => ({
+            company: job.name || '',
+            position: job.position || '',
+            ...(job.location ? { location: job.location } : {}),
+            startDate: job.startDate || '',
+            ...(job.endDate ? { endDate: job.endDate } : {}),
+            ...(job.summary ? { summary: job.summary } : {}),
+            highlights: job.highlights || []
+        })),
+        education: (resume.education || []).map(entry => compact({
+            institution: entry.institution || '',
+            degree: entry.studyType || '',
+            field: entry.area,
+            startDate: entry.startDate,
+            endDate: entry.endDate,
+            details: entry.courses
+        })),
+        certifications: (resume.certificates || []).filter(cert => cert.name).map(cert => compact({
+            name: cert.name || '',
+            issuer: cert.issuer,
+            date: cert.date,
+            url: cert.url
+        })),
+        links: (basics.profiles || [])
+            .filter(profile => profile !== github && profile.url)
+            .map(profile => ({ label: profile.network || profile.url || '', url: profile.url || '' })),
+        jsonResume: resume
+    };
+}
@@ -0,0 +1,118 @@
+import { createLLMProvider, OllamaProvider, OpenAICompatibleProvider } from './LLMProviders';
+
+/**
+ * Interface for a request the fake fetch received
+ */
+interface RecordedRequest {
+    url: string;
+    headers: Record<string, string>;
+    body: any;
+}
+
+const realFetch = globalThis.fetch;
+let requests: RecordedRequest[];
+
+/**
+ * Replace the global fetch with one that records each request and answers with the given function
+ * @param answer Returns the response of a request
+ */
+function stubFetch(answer: (init: RequestInit) => Promise<Response> | Response) {
+    globalThis.fetch = jest.fn(async (url: string | URL | Request, init?: RequestInit) => {
+        requests.push({ url: String(url), headers: init?.headers as Record<string, string>, body: JSON.parse(String(init?.body)) });
+        return answer(init || {});
+    }) as unknown as typeof fetch;
+}
+
+const json = (body: unknown, status = 200, statusText = '') =>
+    new Response(JSON.stringify(body), { status, statusText, headers: { 'Content-Type': 'application/json' } });
+
+describe('LLM providers', () => {
+    beforeEach(() => {
+        requests = [];
+    });
+
+    afterEach(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    describe('createLLMProvider', () => {
+        it('rejects an unknown provider', () => {
+            expect(() => createLLMProvider({ provider: 'claude' as any })).toThrow('Unknown AI provider "claude"');
+        });
+
+        it('requires an API key for OpenAI unless a custom server is set', () => {
+            expect(() => createLLMProvider({ provider: 'openai' })).toThrow('An API key is required for the openai provider');
+            expect(createLLMProvider({ provider: 'openai', baseUrl: 'http://localhost:1234/v1' }).name).toBe('OpenAI-compatible (gpt-4o-mini)');
+        });
+
+        it('uses the provider defaults for local servers', () => {
+            expect(createLLMProvider({ provider: 'ollama' }).name).toBe('Ollama (llama3.1)');
+            expect(createLLMProvider({ provider: 'llamacpp' }).name).toBe('llama.cpp (local)');
+        });
+    });
+
+    describe('OpenAICompatibleProvider', () => {
+        it('posts a chat completion with the key and JSON mode', async () => {
+            stubFetch(() => json({ choices: [{ message: { content: '{"ok":true}' } }] }));
+
+            const reply = await new OpenAICompatibleProvider('https://api.example/v1/', 'model', 'key').generate('Hello', { json: true });
+
+            expect(reply).toBe('{"ok":true}');
+            expect(requests[0].url).toBe('https://api.example/v1/chat/completions');
+            expect(requests[0].headers.Authorization).toBe('Bearer key');
+            expect(requests[0].body).toMatchObject({ model: 'model', messages: [{ role: 'user', content: 'Hello' }], response_format: { type: 'json_object' } });
+        });
+
+        it('reports the status and the server error text', async () => {
+            stubFetch(() => json({ error: { message: 'Invalid API key' } }, 401, 'Unauthorized'));
+
+            await expect(new OpenAICompatibleProvider('https://api.example/v1', 'model', 'key').generate('Hello'))
+                .rejects.toThrow(/https:\/\/api\.example\/v1\/chat\/completions responded 401 Unauthorized: .*Invalid API key/);
+        });
+
+        it('rejects a reply without message content', async () => {
+            stubFetch(() => json({ choices: [] }));
+
+            await expect(new OpenAICompatibleProvider('https://api.example/v1', 'model').generate('Hello'))
+                .rejects.toThrow('Unexpected reply from https://api.example/v1: no choices[0].message.content');
+        });
+
+        it('gives up when the server does not answer in time', async () => {
+            stubFetch(init => new Promise((_, reject) => {
+                init.signal?.addEventListener('abort', () => reject(Object.assign(new Error('This operation was aborted'), { name: 'AbortError' })));
+            }));
+
+            await expect(new OpenAICompatibleProvider('http://localhost:8080/v1', 'local', '', 50).generate('Hello'))
+                .rejects.toThrow('http://localhost:8080/v1/chat/completions did not respond within 0 seconds');
+        });
+
+        it('passes on network errors', async () => {
+            stubFetch(() => Promise.reject(new TypeError('fetch failed')));
+
+            await expect(new OpenAICompatibleProvider('http://localhost:8080/v1', 'local').generate('Hello')).rejects.toThrow('fetch failed');
+        });
+    });
+
+    describe('OllamaProvider', () => {
+        it('posts to /api/generate without streaming', async () => {
+            stubFetch(() => json({ response: 'Hi' }));
+
+            expect(await new OllamaProvider('http://localhost:11434', 'llama3.1').generate('Hello', { json: true })).toBe('Hi');
+            expect(requests[0].url).toBe('http://localhost:11434/api/generate');
+            expect(requests[0].body).toEqual({ model: 'llama3.1', prompt: 'Hello', stream: false, format: 'json' });
+        });
+
+        it('rejects a reply without response text', async () => {
+            stubFetch(() => json({ error: 'model not found' }));
+
+            await expect(new OllamaProvider('http://localhost:11434', 'llama3.1').generate('Hello'))
+                .rejects.toThrow('Unexpected reply from http://localhost:11434: no response text');
+        });
+
+        it('rejects a reply that is not JSON', async () => {
+            stubFetch(() => new Response('<html>proxy error</html>'));
+
+            await expect(new OllamaProvider('http://localhost:11434', 'llama3.1').generate('Hello')).rejects.toThrow(SyntaxError);
+        });
+    });
+});
@@ -0,0 +1,198 @@
+import { GoogleGenerativeAI, GenerativeModel } from '@google/generative-ai';
+
+/**
+ * Identifier of a supported LLM backend
+ */
+export type LLMProviderId = 'gemini' | 'openai' | 'ollama' | 'llamacpp';
+
+/**
+ * Interface for a text generation backend used by AIService
+ */
+export interface LLMProvider {
+    /** Display name, e.g. "Ollama (llama3.1)" */
+    readonly name: string;
+    /**
+     * Generate a completion for a single prompt
+     * @param prompt Prompt text
+     * @param options `json` asks backends that support it for a JSON-only reply
+     * @returns Promise<string> Reply text
+     */
+    generate(prompt: string, options?: { json?: boolean }): Promise<string>;
+}
+
+/**
+ * Settings used to create a provider (see the resumeGenerator.ai* settings)
+ */
+export interface LLMProviderSettings {
+    provider: LLMProviderId;
+    /** Model name; empty for the provider default */
+    model?: string;
+    /** Server URL; empty for the provider default */
+    baseUrl?: string;
+    apiKey?: string;
+    /** Request timeout in milliseconds */
+    timeout?: number;
+}
+
+/**
+ * Default model and base URL of each provider
+ */
+export const providerDefaults: Record<LLMProviderId, { model: string; baseUrl: string; requiresApiKey: boolean }> = {
+    gemini: { model: 'gemini-2.0-flash', baseUrl: '', requiresApiKey: true },
+    openai: { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1', requiresApiKey: true },
+    ollama: { model: 'llama3.1', baseUrl: 'http://localhost:11434', requiresApiKey: false },
+    // llama.cpp's llama-server speaks the OpenAI chat completions protocol and serves one loaded model
+    llamacpp: { model: 'local', baseUrl: 'http://localhost:8080/v1', requiresApiKey: false }
+};
+
+const DEFAULT_TIMEOUT = 120000;
+
+/**
+ * POST JSON and parse the JSON reply, with a timeout and the server's error text on failure
+ * @param url Endpoint URL
+ * @param body Request body
+ * @param headers Extra headers
+ * @param timeout Timeout in milliseconds
+ */
+async function postJSON(url: string, body: unknown, headers: Record<string, string>, timeout: number): Promise<any> {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`${url} responded ${response.status} ${response.statusText}: ${text.slice(0, 300)}`);
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        if (error instanceof Error && error.name === 'AbortError') {
+            throw new Error(`${url} did not respond within ${Math.round(timeout / 1000)} seconds`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Google Gemini through @google/generative-ai
+ */
+export class GeminiProvider implements LLMProvider {
+    readonly name: string;
+    private model: GenerativeModel;
+
+    constructor(apiKey: string, model: string) {
+        this.name = `Gemini (${model})`;
+        this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+    }
+
+    async generate(prompt: string, options?: { json?: boolean }): Promise<string> {
+        const result = await this.model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            ...(options?.json ? { generationConfig: { responseMimeType: 'application/json' } } : {})
+        });
+        return result.response.text();
+    }
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API (OpenAI, Azure-style proxies, LM Studio, vLLM, llama.cpp)
+ */
+export class OpenAICompatibleProvider implements LLMProvider {
+    readonly name: string;
+    private baseUrl: string;
+    private model: string;
+    private apiKey: string;
+    private timeout: number;
+
+    constructor(baseUrl: string, model: string, apiKey: string = '', timeout: number = DEFAULT_TIMEOUT, label: string = 'OpenAI-compatible') {
+        this.name = `${label} (${model})`;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+        this.timeout = timeout;
+    }
+
+    async generate(prompt: string, options?: { json?: boolean }): Promise<string> {
+        const reply = await postJSON(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.4,
+            ...(options?.json ? { response_format: { type: 'json_object' } } : {})
+        }, this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}, this.timeout);
+
+        const content = reply?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error(`Unexpected reply from ${this.baseUrl}: no choices[0].message.content`);
+        }
+        return content;
+    }
+}
+
+/**
+ * Local Ollama server through its native /api/generate endpoint
+ */
+export class OllamaProvider implements LLMProvider {
+    readonly name: string;
+    private baseUrl: string;
+    private model: string;
+    private timeout: number;
+
+    constructor(baseUrl: string, model: string, timeout: number = DEFAULT_TIMEOUT) {
+        this.name = `Ollama (${model})`;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.timeout = timeout;
+    }
+
+    async generate(prompt: string, options?: { json?: boolean }): Promise<string> {
+        const reply = await postJSON(`${this.baseUrl}/api/generate`, {
+            model: this.model,
+            prompt,
+            stream: false,
+            ...(options?.json ? { format: 'json' } : {})
+        }, {}, this.timeout);
+
+        if (typeof reply?.response !== 'string') {
+            throw new Error(`Unexpected reply from ${this.baseUrl}: no response text`);
+        }
+        return reply.response;
+    }
+}
+
+/**
+ * Create the provider described by the settings
+ * @param settings Provider settings
+ * @returns LLMProvider
+ * @throws Error when a required API key is missing or the provider is unknown
+ */
+export function createLLMProvider(settings: LLMProviderSettings): LLMProvider {
+    const defaults = providerDefaults[settings.provider];
+    if (!defaults) {
+        throw new Error(`Unknown AI provider "${settings.provider}". Use one of: ${Object.keys(providerDefaults).join(', ')}`);
+    }
+
+    const model = settings.model || defaults.model;
+    const baseUrl = settings.baseUrl || defaults.baseUrl;
+    // A custom base URL usually points at a proxy or local server that needs no key
+    if (defaults.requiresApiKey && !settings.apiKey && !(settings.provider === 'openai' && settings.baseUrl)) {
+        throw new Error(`An API key is required for the ${settings.provider} provider`);
+    }
+
+    switch (settings.provider) {
+        case 'gemini':
+            return new GeminiProvider(settings.apiKey || '', model);
+        case 'openai':
+            return new OpenAICompatibleProvider(baseUrl, model, settings.apiKey, settings.timeout);
+        case 'ollama':
+            return new OllamaProvider(baseUrl, model, settings.timeout);
+        case 'llamacpp':
+            return new OpenAICompatibleProvider(baseUrl, model, settings.apiKey, settings.timeout, 'llama.cpp');
+    }
+}
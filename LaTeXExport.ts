@@ -0,0 +1,333 @@
+import { ResumeData } from './AIService';
+import { ResumeSection, getSectionOrder, getSectionTitles, githubURL } from './PDFService';
+import { safeURL, stripInlineMarkdown } from './SafeHTML';
+
+/**
+ * LaTeX templates a resume can be exported to
+ */
+export type LaTeXTemplate = 'moderncv' | 'jakes';
+
+/**
+ * Names and descriptions of the LaTeX templates, for pickers
+ */
+export const LATEX_TEMPLATES: { template: LaTeXTemplate; label: string; description: string }[] = [
+    { template: 'moderncv', label: 'moderncv', description: 'Classic moderncv layout; needs the moderncv class (included in TeX Live and Overleaf)' },
+    { template: 'jakes', label: "Jake's Resume", description: 'Compact single-column article layout, compiles with pdflatex' }
+];
+
+/**
+ * Typographic characters AI text often contains, and their LaTeX equivalents
+ */
+const typography: Record<string, string> = {
+    '\u2013': '--',
+    '\u2014': '---',
+    '\u2018': '`',
+    '\u2019': "'",
+    '\u201C': '``',
+    '\u201D': "''",
+    '\u2026': '\\ldots{}',
+    '\u2022': '\\textbullet{}',
+    '\u2192': '$\\rightarrow$',
+    '\u00A0': '~'
+};
+
+/**
+ * Escape text for LaTeX: special characters become commands, typographic characters their LaTeX spelling,
+ * and emoji and icon glyphs, which pdflatex cannot typeset, are dropped
+ * @param text Plain text
+ * @returns string
+ */
+export function escapeLaTeX(text: string): string {
+    return String(text ?? '')
+        .replace(/\s*(\p{Extended_Pictographic}|[\uE000-\uF8FF\uFE0E\uFE0F\u200D])+/gu, '')
+        .replace(/\s*\r?\n\s*/g, ' ')
+        // Straight double quotes would all typeset as closing quotes
+        .replace(/(^|[\s([{])"/g, '$1``')
+        .replace(/"/g, "''")
+        .replace(/[\\{}&%$#_~^[\]<>|\u2013\u2014\u2018\u2019\u201C\u201D\u2026\u2022\u2192\u00A0]/g, char => {
+            switch (char) {
+                case '\\': return '\\textbackslash{}';
+                case '~': return '\\textasciitilde{}';
+                case '^': return '\\textasciicircum{}';
+                case '<': return '\\textless{}';
+                case '>': return '\\textgreater{}';
+                case '|': return '\\textbar{}';
+                // Brackets would be read as the optional argument of \item and \\
+                case '[': return '{[}';
+                case ']': return '{]}';
+                default: return typography[char] || `\\${char}`;
+            }
+        })
+        .trim();
+}
+
+/**
+ * Escape a URL for \href inside another command's argument, where % and # must be escaped
+ */
+const escapeURL = (url: string) => String(url ?? '').replace(/[\\{}\s]/g, '').replace(/[%#]/g, char => `\\${char}`);
+
+/**
+ * Link with escaped text; a URL that is not a safe http(s) or mailto link is written as text only
+ */
+const href = (url: string, text: string = String(url ?? '').replace(/^(https?:\/\/|mailto:)/, '')) => {
+    const target = safeURL(url);
+    return target ? `\\href{${escapeURL(target)}}{${escapeLaTeX(text)}}` : escapeLaTeX(text);
+};
+
+/**
+ * Underlined link of the contact line in Jake's template; like href, an unsafe URL is written as text only
+ */
+const underlinedLink = (url: string, text: string) => {
+    const target = safeURL(url);
+    return target ? `\\href{${escapeURL(target)}}{\\underline{${escapeLaTeX(text)}}}` : escapeLaTeX(text);
+};
+
+/**
+ * Date range of an entry, with an en dash as LaTeX writes it
+ */
+const dateRange = (start?: string, end?: string) => [start, end].filter(Boolean).map(date => escapeLaTeX(date!)).join(' -- ');
+
+/**
+ * Skill categories with their titles, empty ones left out
+ */
+function skillCategories(skills: ResumeData['skills']): { title: string; items: string[] }[] {
+    return [
+        { title: 'Languages', items: skills?.technical || [] },
+        { title: 'Frameworks', items: skills?.frameworks || [] },
+        { title: 'Tools', items: skills?.tools || [] },
+        { title: 'Databases', items: skills?.databases || [] }
+    ].filter(category => Array.isArray(category.items) && category.items.length > 0);
+}
+
+/**
+ * An itemize environment, or nothing when there are no items
+ */
+const itemize = (items: string[] | undefined, command: string = '\\item', start: string = '\\begin{itemize}', end: string = '\\end{itemize}') =>
+    (items || []).length > 0 ? [start, ...items!.map(item => `  ${command}{${escapeLaTeX(stripInlineMarkdown(item))}}`), end].join('\n') : '';
+
+/**
+ * Render a resume with the moderncv class
+ */
+function toModerncv(resumeData: ResumeData, paper: string): string {
+    const titles = getSectionTitles();
+    const info = resumeData.personalInfo;
+    const nameParts = (info.name || '').trim().split(/\s+/);
+    const lastName = nameParts.length > 1 ? nameParts.pop()! : '';
+    const github = info.github ? githubURL(info.github) : '';
+    const githubUser = github.match(/^https?:\/\/(www\.)?github\.com\/([\w-]+)\/?$/)?.[2];
+
+    const sections: Record<ResumeSection, () => string> = {
+        summary: () => resumeData.summary ? `\\cvitem{}{${escapeLaTeX(resumeData.summary)}}` : '',
+        skills: () => skillCategories(resumeData.skills)
+            .map(category => `\\cvitem{${category.title}}{${escapeLaTeX(category.items.join(', '))}}`)
+            .join('\n'),
+        workHistory: () => (resumeData.workHistory || []).map(job => `\\cventry{${dateRange(job.startDate, job.endDate || 'Present')}}` +
+            `{${escapeLaTeX(job.position)}}{${escapeLaTeX(job.company)}}{${escapeLaTeX(job.location || '')}}{}{` +
+            [job.summary ? escapeLaTeX(job.summary) : '', itemize(job.highlights)].filter(Boolean).join('\n') + '}'
+        ).join('\n'),
+        experience: () => (resumeData.experience || []).map(exp => `\\cventry{${escapeLaTeX(exp.duration || '')}}` +
+            `{${escapeLaTeX(exp.projectName)}}{}{}{${escapeLaTeX((exp.technologies || []).join(', '))}}{` +
+            [exp.description ? escapeLaTeX(exp.description) : '', itemize(exp.achievements)].filter(Boolean).join('\n') + '}'
+        ).join('\n'),
+        projects: () => (resumeData.projects || []).map(project => `\\cventry{}{${escapeLaTeX(project.name)}}` +
+            `{${project.url ? href(project.url) : ''}}{}{${escapeLaTeX((project.technologies || []).join(', '))}}{` +
+            [project.description ? escapeLaTeX(project.description) : '', itemize(project.highlights)].filter(Boolean).join('\n') + '}'
+        ).join('\n'),
+        education: () => (resumeData.education || []).map(entry => `\\cventry{${dateRange(entry.startDate, entry.endDate)}}` +
+            `{${escapeLaTeX(entry.degree)}}{${escapeLaTeX(entry.institution)}}{${escapeLaTeX(entry.field || '')}}{}{${itemize(entry.details)}}`
+        ).join('\n'),
+        certifications: () => (resumeData.certifications || []).map(cert => `\\cvitem{${escapeLaTeX(cert.date || '')}}` +
+            `{${cert.url ? href(cert.url, cert.name) : escapeLaTeX(cert.name)}${cert.issuer ? `, ${escapeLaTeX(cert.issuer)}` : ''}}`
+        ).join('\n')
+    };
+
+    return [
+        `\\documentclass[11pt,${paper}paper,sans]{moderncv}`,
+        '\\moderncvstyle{classic}',
+        '\\moderncvcolor{blue}',
+        '\\usepackage[utf8]{inputenc}',
+        '\\usepackage[T1]{fontenc}',
+        '\\usepackage[scale=0.8]{geometry}',
+        '',
+        ...[
+            `\\name{${escapeLaTeX(nameParts.join(' '))}}{${escapeLaTeX(lastName)}}`,
+            info.title ? `\\title{${escapeLaTeX(info.title)}}` : '',
+            info.location ? `\\address{${escapeLaTeX(info.location)}}{}{}` : '',
+            info.phone ? `\\phone[mobile]{${escapeLaTeX(info.phone)}}` : '',
+            info.email ? `\\email{${escapeLaTeX(info.email)}}` : '',
+            info.website ? `\\homepage{${escapeLaTeX(info.website.replace(/^https?:\/\//, ''))}}` : '',
+            githubUser ? `\\social[github]{${escapeLaTeX(githubUser)}}` : github ? `\\extrainfo{${href(github)}}` : '',
+            ...(resumeData.links || []).map(link => `\\extrainfo{${escapeLaTeX(link.label)}: ${href(link.url)}}`)
+        ].filter(Boolean),
+        '',
+        '\\begin{document}',
+        '\\makecvtitle',
+        '',
+        ...getSectionOrder(resumeData).map(section => {
+            const content = sections[section]();
+            return content ? `\\section{${escapeLaTeX(titles[section])}}\n${content}\n` : '';
+        }),
+        '\\end{document}',
+        ''
+    ].join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Preamble of Jake's resume template (https://github.com/jakegut/resume, MIT license)
+ */
+const JAKES_PREAMBLE = String.raw`\usepackage{latexsym}
+\usepackage[empty]{fullpage}
+\usepackage{titlesec}
+\usepackage[usenames,dvipsnames]{color}
+\usepackage{enumitem}
+\usepackage[hidelinks]{hyperref}
+\usepackage{fancyhdr}
+\usepackage[english]{babel}
+\usepackage{tabularx}
+\usepackage[utf8]{inputenc}
+\usepackage[T1]{fontenc}
+\input{glyphtounicode}
+
+\pagestyle{fancy}
+\fancyhf{}
+\fancyfoot{}
+\renewcommand{\headrulewidth}{0pt}
+\renewcommand{\footrulewidth}{0pt}
+
+\addtolength{\oddsidemargin}{-0.5in}
+\addtolength{\evensidemargin}{-0.5in}
+\addtolength{\textwidth}{1in}
+\addtolength{\topmargin}{-.5in}
+\addtolength{\textheight}{1.0in}
+
+\urlstyle{same}
+\raggedbottom
+\raggedright
+\setlength{\tabcolsep}{0in}
+
+\titleformat{\section}{
+  \vspace{-4pt}\scshape\raggedright\large
+}{}{0em}{}[\color{black}\titlerule \vspace{-5pt}]
+
+\pdfgentounicode=1
+
+\newcommand{\resumeItem}[1]{
+  \item\small{
+    {#1 \vspace{-2pt}}
+  }
+}
+
+\newcommand{\resumeSubheading}[4]{
+  \vspace{-2pt}\item
+    \begin{tabular*}{0.97\textwidth}[t]{l@{\extracolsep{\fill}}r}
+      \textbf{#1} & #2 \\
+      \textit{\small#3} & \textit{\small #4} \\
+    \end{tabular*}\vspace{-7pt}
+}
+
+\newcommand{\resumeProjectHeading}[2]{
+    \item
+    \begin{tabular*}{0.97\textwidth}{l@{\extracolsep{\fill}}r}
+      \small#1 & #2 \\
+    \end{tabular*}\vspace{-7pt}
+}
+
+\renewcommand\labelitemii{$\vcenter{\hbox{\tiny$\bullet$}}$}
+
+\newcommand{\resumeSubHeadingListStart}{\begin{itemize}[leftmargin=0.15in, label={}]}
+\newcommand{\resumeSubHeadingListEnd}{\end{itemize}}
+\newcommand{\resumeItemListStart}{\begin{itemize}}
+\newcommand{\resumeItemListEnd}{\end{itemize}\vspace{-5pt}}`;
+
+/**
+ * Render a resume with Jake's resume template
+ */
+function toJakes(resumeData: ResumeData, paper: string): string {
+    const titles = getSectionTitles();
+    const info = resumeData.personalInfo;
+    const items = (list: string[] | undefined) => itemize(list, '\\resumeItem', '\\resumeItemListStart', '\\resumeItemListEnd');
+    const subHeadingList = (entries: string[]) =>
+        entries.length > 0 ? ['\\resumeSubHeadingListStart', ...entries, '\\resumeSubHeadingListEnd'].join('\n') : '';
+    const contact = [
+        info.phone ? escapeLaTeX(info.phone) : '',
+        info.location ? escapeLaTeX(info.location) : '',
+        info.email ? underlinedLink(`mailto:${info.email}`, info.email) : '',
+        ...[info.github ? githubURL(info.github) : '', info.website || '', ...(resumeData.links || []).map(link => link.url)]
+            .filter(Boolean)
+            .map(url => underlinedLink(url, url.replace(/^https?:\/\//, '')))
+    ].filter(Boolean);
+
+    const sections: Record<ResumeSection, () => string> = {
+        summary: () => resumeData.summary ? `\\small{${escapeLaTeX(resumeData.summary)}}` : '',
+        skills: () => {
+            const categories = skillCategories(resumeData.skills);
+            return categories.length > 0 ? [
+                '\\begin{itemize}[leftmargin=0.15in, label={}]',
+                '  \\small{\\item{',
+                categories.map(category => `    \\textbf{${category.title}}{: ${escapeLaTeX(category.items.join(', '))}}`).join(' \\\\\n'),
+                '  }}',
+                '\\end{itemize}'
+            ].join('\n') : '';
+        },
+        workHistory: () => subHeadingList((resumeData.workHistory || []).map(job => [
+            `  \\resumeSubheading{${escapeLaTeX(job.position)}}{${dateRange(job.startDate, job.endDate || 'Present')}}` +
+                `{${escapeLaTeX(job.company)}}{${escapeLaTeX(job.location || '')}}`,
+            items([...(job.summary ? [job.summary] : []), ...(job.highlights || [])])
+        ].filter(Boolean).join('\n'))),
+        experience: () => subHeadingList((resumeData.experience || []).map(exp => [
+            `  \\resumeSubheading{${escapeLaTeX(exp.projectName)}}{${escapeLaTeX(exp.duration || '')}}` +
+                `{${escapeLaTeX((exp.technologies || []).join(', '))}}{}`,
+            items([...(exp.description ? [exp.description] : []), ...(exp.achievements || [])])
+        ].filter(Boolean).join('\n'))),
+        projects: () => subHeadingList((resumeData.projects || []).map(project => [
+            `  \\resumeProjectHeading{\\textbf{${escapeLaTeX(project.name)}}` +
+                `${(project.technologies || []).length > 0 ? ` $|$ \\emph{${escapeLaTeX(project.technologies.join(', '))}}` : ''}}` +
+                `{${project.url ? href(project.url) : ''}}`,
+            items([...(project.description ? [project.description] : []), ...(project.highlights || [])])
+        ].filter(Boolean).join('\n'))),
+        education: () => subHeadingList((resumeData.education || []).map(entry => [
+            `  \\resumeSubheading{${escapeLaTeX(entry.institution)}}{${dateRange(entry.startDate, entry.endDate)}}` +
+                `{${escapeLaTeX(entry.degree)}${entry.field ? ` in ${escapeLaTeX(entry.field)}` : ''}}{}`,
+            items(entry.details)
+        ].filter(Boolean).join('\n'))),
+        certifications: () => subHeadingList((resumeData.certifications || []).map(cert =>
+            `  \\resumeProjectHeading{\\textbf{${cert.url ? href(cert.url, cert.name) : escapeLaTeX(cert.name)}}` +
+                `${cert.issuer ? ` $|$ \\emph{${escapeLaTeX(cert.issuer)}}` : ''}}{${escapeLaTeX(cert.date || '')}}`
+        ))
+    };
+
+    return [
+        `\\documentclass[${paper}paper,11pt]{article}`,
+        '',
+        JAKES_PREAMBLE,
+        '',
+        '\\begin{document}',
+        '',
+        '\\begin{center}',
+        ...[
+            `  \\textbf{\\Huge \\scshape ${escapeLaTeX(info.name)}} \\\\ \\vspace{1pt}`,
+            info.title ? `  ${escapeLaTeX(info.title)} \\\\ \\vspace{1pt}` : '',
+            contact.length > 0 ? `  \\small ${contact.join(' $|$ ')}` : ''
+        ].filter(Boolean),
+        '\\end{center}',
+        '',
+        ...getSectionOrder(resumeData).map(section => {
+            const content = sections[section]();
+            return content ? `\\section{${escapeLaTeX(titles[section])}}\n${content}\n` : '';
+        }),
+        '\\end{document}',
+        ''
+    ].join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Render a resume as a compilable LaTeX document, ready to upload to Overleaf
+ * @param resumeData Resume data
+ * @param template LaTeX template
+ * @param format Paper size
+ * @returns string
+ */
+export function toLaTeX(resumeData: ResumeData, template: LaTeXTemplate, format: 'A4' | 'Letter' = 'A4'): string {
+    const paper = format === 'Letter' ? 'letter' : 'a4';
+    return template === 'jakes' ? toJakes(resumeData, paper) : toModerncv(resumeData, paper);
+}
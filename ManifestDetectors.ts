@@ -0,0 +1,415 @@
+import * as TOML from '@iarna/toml';
+
+/**
+ * Interface for dependency data read from one manifest file
+ */
+export interface ManifestData {
+    /** Path of the manifest relative to the workspace root */
+    file: string;
+    ecosystem: string;
+    packageManager: string;
+    name: string;
+    description: string;
+    dependencies: string[];
+    devDependencies: string[];
+}
+
+/**
+ * Interface for a manifest detector; register new ones in `manifestDetectors`
+ */
+export interface ManifestDetector {
+    ecosystem: string;
+    packageManager: string;
+    /**
+     * Check whether this detector reads the given file
+     * @param fileName Base name of the file
+     */
+    matches(fileName: string): boolean;
+    /**
+     * Parse the manifest content
+     * @param content File content
+     * @returns Name, description and dependency names; packageManager overrides the detector default
+     */
+    parse(content: string): Pick<ManifestData, 'name' | 'description' | 'dependencies' | 'devDependencies'> & { packageManager?: string };
+}
+
+/**
+ * Interface for frameworks, databases and tools detected from dependencies
+ */
+export interface DetectedStack {
+    frameworks: string[];
+    databases: string[];
+    tools: string[];
+}
+
+/**
+ * Catalogue entry mapping dependency names to a technology
+ */
+interface CatalogueEntry {
+    name: string;
+    category: keyof DetectedStack;
+    /** Exact dependency names (compared lower-case) */
+    packages: string[];
+    /** Dependency name prefixes, e.g. Maven group ids or Go module paths */
+    prefixes?: string[];
+}
+
+/**
+ * Shared catalogue used by every detector
+ */
+const dependencyCatalogue: CatalogueEntry[] = [
+    // JavaScript / TypeScript
+    { name: 'React', category: 'frameworks', packages: ['react'] },
+    { name: 'Vue.js', category: 'frameworks', packages: ['vue'] },
+    { name: 'Angular', category: 'frameworks', packages: ['angular', '@angular/core'] },
+    { name: 'Express.js', category: 'frameworks', packages: ['express'] },
+    { name: 'Next.js', category: 'frameworks', packages: ['next'] },
+    { name: 'Nuxt.js', category: 'frameworks', packages: ['nuxt'] },
+    { name: 'Svelte', category: 'frameworks', packages: ['svelte'] },
+    { name: 'NestJS', category: 'frameworks', packages: ['@nestjs/core'] },
+    { name: 'Fastify', category: 'frameworks', packages: ['fastify'] },
+    { name: 'Koa', category: 'frameworks', packages: ['koa'] },
+
+    // Python
+    { name: 'Django', category: 'frameworks', packages: ['django'] },
+    { name: 'Flask', category: 'frameworks', packages: ['flask'] },
+    { name: 'FastAPI', category: 'frameworks', packages: ['fastapi'] },
+    { name: 'NumPy', category: 'frameworks', packages: ['numpy'] },
+    { name: 'pandas', category: 'frameworks', packages: ['pandas'] },
+    { name: 'scikit-learn', category: 'frameworks', packages: ['scikit-learn', 'sklearn'] },
+    { name: 'TensorFlow', category: 'frameworks', packages: ['tensorflow'] },
+    { name: 'PyTorch', category: 'frameworks', packages: ['torch'] },
+
+    // Go
+    { name: 'Gin', category: 'frameworks', packages: [], prefixes: ['github.com/gin-gonic/gin'] },
+    { name: 'Echo', category: 'frameworks', packages: [], prefixes: ['github.com/labstack/echo'] },
+    { name: 'Fiber', category: 'frameworks', packages: [], prefixes: ['github.com/gofiber/fiber'] },
+    { name: 'Gorilla Mux', category: 'frameworks', packages: ['github.com/gorilla/mux'] },
+
+    // Rust
+    { name: 'Actix Web', category: 'frameworks', packages: ['actix-web'] },
+    { name: 'Axum', category: 'frameworks', packages: ['axum'] },
+    { name: 'Rocket', category: 'frameworks', packages: ['rocket'] },
+    { name: 'Tokio', category: 'frameworks', packages: ['tokio'] },
+
+    // Java / Kotlin
+    { name: 'Spring Boot', category: 'frameworks', packages: [], prefixes: ['org.springframework.boot:'] },
+    { name: 'Spring', category: 'frameworks', packages: [], prefixes: ['org.springframework:'] },
+    { name: 'Hibernate', category: 'frameworks', packages: [], prefixes: ['org.hibernate'] },
+    { name: 'Quarkus', category: 'frameworks', packages: [], prefixes: ['io.quarkus:'] },
+    { name: 'Micronaut', category: 'frameworks', packages: [], prefixes: ['io.micronaut'] },
+
+    // .NET
+    { name: 'ASP.NET Core', category: 'frameworks', packages: [], prefixes: ['microsoft.aspnetcore'] },
+    { name: 'Entity Framework Core', category: 'frameworks', packages: [], prefixes: ['microsoft.entityframeworkcore'] },
+
+    // Ruby / PHP
+    { name: 'Ruby on Rails', category: 'frameworks', packages: ['rails'] },
+    { name: 'Sinatra', category: 'frameworks', packages: ['sinatra'] },
+    { name: 'Laravel', category: 'frameworks', packages: ['laravel/framework'] },
+    { name: 'Symfony', category: 'frameworks', packages: [], prefixes: ['symfony/'] },
+
+    // Databases
+    { name: 'MongoDB', category: 'databases', packages: ['mongodb', 'mongoose', 'pymongo', 'motor', 'mongoid', 'mongodb.driver'], prefixes: ['go.mongodb.org/mongo-driver', 'org.mongodb:'] },
+    { name: 'PostgreSQL', category: 'databases', packages: ['pg', 'psycopg', 'psycopg2', 'psycopg2-binary', 'asyncpg', 'github.com/lib/pq', 'org.postgresql:postgresql', 'npgsql', 'tokio-postgres', 'postgres'], prefixes: ['github.com/jackc/pgx', 'npgsql.'] },
+    { name: 'MySQL', category: 'databases', packages: ['mysql', 'mysql2', 'mysqlclient', 'pymysql', 'github.com/go-sql-driver/mysql', 'mysql:mysql-connector-java', 'com.mysql:mysql-connector-j', 'mysql.data'] },
+    { name: 'SQLite', category: 'databases', packages: ['sqlite3', 'better-sqlite3', 'github.com/mattn/go-sqlite3', 'rusqlite', 'microsoft.data.sqlite', 'org.xerial:sqlite-jdbc'] },
+    { name: 'Redis', category: 'databases', packages: ['redis', 'ioredis', 'stackexchange.redis'], prefixes: ['github.com/go-redis/redis', 'github.com/redis/go-redis'] },
+    { name: 'Elasticsearch', category: 'databases', packages: ['elasticsearch', '@elastic/elasticsearch'] },
+
+    // Tools
+    { name: 'Jest', category: 'tools', packages: ['jest'] },
+    { name: 'Mocha', category: 'tools', packages: ['mocha'] },
+    { name: 'Cypress', category: 'tools', packages: ['cypress'] },
+    { name: 'Playwright', category: 'tools', packages: ['playwright', '@playwright/test'] },
+    { name: 'Puppeteer', category: 'tools', packages: ['puppeteer'] },
+    { name: 'Webpack', category: 'tools', packages: ['webpack'] },
+    { name: 'Vite', category: 'tools', packages: ['vite'] },
+    { name: 'Babel', category: 'tools', packages: ['@babel/core'] },
+    { name: 'ESLint', category: 'tools', packages: ['eslint'] },
+    { name: 'Prettier', category: 'tools', packages: ['prettier'] },
+    { name: 'pytest', category: 'tools', packages: ['pytest'] },
+    { name: 'Celery', category: 'tools', packages: ['celery'] },
+    { name: 'SQLAlchemy', category: 'tools', packages: ['sqlalchemy'] },
+    { name: 'Prisma', category: 'tools', packages: ['prisma', '@prisma/client'] },
+    { name: 'Sequelize', category: 'tools', packages: ['sequelize'] },
+    { name: 'TypeORM', category: 'tools', packages: ['typeorm'] },
+    { name: 'GORM', category: 'tools', packages: ['gorm.io/gorm'] },
+    { name: 'Diesel', category: 'tools', packages: ['diesel'] },
+    { name: 'GraphQL', category: 'tools', packages: ['graphql', 'graphene', 'graphql-java', 'hotchocolate.aspnetcore'], prefixes: ['github.com/99designs/gqlgen'] },
+    { name: 'gRPC', category: 'tools', packages: ['@grpc/grpc-js', 'grpcio', 'google.golang.org/grpc', 'tonic', 'grpc.aspnetcore'], prefixes: ['io.grpc:'] },
+    { name: 'Apache Kafka', category: 'tools', packages: ['kafkajs', 'kafka-python', 'confluent-kafka', 'github.com/segmentio/kafka-go', 'confluent.kafka'], prefixes: ['org.apache.kafka:'] },
+    { name: 'RabbitMQ', category: 'tools', packages: ['amqplib', 'pika', 'rabbitmq.client', 'github.com/rabbitmq/amqp091-go'] },
+    { name: 'JUnit', category: 'tools', packages: ['junit:junit'], prefixes: ['org.junit'] },
+    { name: 'Mockito', category: 'tools', packages: [], prefixes: ['org.mockito:'] },
+    { name: 'xUnit', category: 'tools', packages: ['xunit'] },
+    { name: 'NUnit', category: 'tools', packages: ['nunit'] },
+    { name: 'RSpec', category: 'tools', packages: ['rspec', 'rspec-rails'] },
+    { name: 'Sidekiq', category: 'tools', packages: ['sidekiq'] },
+    { name: 'PHPUnit', category: 'tools', packages: ['phpunit/phpunit'] }
+];
+
+/**
+ * Strip version specifiers, extras and markers from a Python requirement ("Django[argon2]>=4.2; python_version>'3'")
+ * @param requirement Requirement string
+ * @returns string Package name
+ */
+function pythonPackageName(requirement: string): string {
+    return requirement.trim().split(/[\s\[<>=!~;@]/)[0];
+}
+
+/**
+ * Keys of a TOML table, or the entries of a PEP 621 dependency array
+ * @param value Parsed TOML value
+ * @returns string[]
+ */
+function dependencyNames(value: any): string[] {
+    if (Array.isArray(value)) {
+        return value.map(entry => pythonPackageName(String(entry))).filter(Boolean);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value);
+    }
+    return [];
+}
+
+/**
+ * Registered manifest detectors
+ */
+export const manifestDetectors: ManifestDetector[] = [
+    {
+        ecosystem: 'Node.js',
+        packageManager: 'npm',
+        matches: fileName => fileName === 'package.json',
+        parse: content => {
+            const data = JSON.parse(content);
+            return {
+                name: data.name || '',
+                description: data.description || '',
+                dependencies: Object.keys(data.dependencies || {}),
+                devDependencies: Object.keys(data.devDependencies || {})
+            };
+        }
+    },
+    {
+        ecosystem: 'Python',
+        packageManager: 'pip',
+        matches: fileName => /^requirements([-_.]\w+)*\.txt$/.test(fileName),
+        parse: content => ({
+            name: '',
+            description: '',
+            dependencies: content
+                .split('\n')
+                .map(line => line.replace(/#.*$/, '').trim())
+                .filter(line => line.length > 0 && !line.startsWith('-'))
+                .map(pythonPackageName)
+                .filter(Boolean),
+            devDependencies: []
+        })
+    },
+    {
+        ecosystem: 'Python',
+        packageManager: 'pip',
+        matches: fileName => fileName === 'pyproject.toml',
+        parse: content => {
+            const data: any = TOML.parse(content);
+            const poetry = data.tool?.poetry || {};
+            const optional = Object.values(data.project?.['optional-dependencies'] || {}).flat();
+            const poetryGroups = Object.values(poetry.group || {}).flatMap((group: any) => dependencyNames(group.dependencies));
+            return {
+                packageManager: data.tool?.poetry ? 'Poetry' : undefined,
+                name: data.project?.name || poetry.name || '',
+                description: data.project?.description || poetry.description || '',
+                dependencies: [
+                    ...dependencyNames(data.project?.dependencies),
+                    ...dependencyNames(poetry.dependencies).filter(name => name !== 'python')
+                ],
+                devDependencies: [
+                    ...dependencyNames(optional),
+                    ...dependencyNames(poetry['dev-dependencies']),
+                    ...poetryGroups
+                ]
+            };
+        }
+    },
+    {
+        ecosystem: 'Python',
+        packageManager: 'Pipenv',
+        matches: fileName => fileName === 'Pipfile',
+        parse: content => {
+            const data: any = TOML.parse(content);
+            return {
+                name: '',
+                description: '',
+                dependencies: dependencyNames(data.packages),
+                devDependencies: dependencyNames(data['dev-packages'])
+            };
+        }
+    },
+    {
+        ecosystem: 'Go',
+        packageManager: 'Go Modules',
+        matches: fileName => fileName === 'go.mod',
+        parse: content => {
+            const moduleMatch = content.match(/^module\s+(\S+)/m);
+            const dependencies: string[] = [];
+            // Both "require foo v1" and "require ( ... )" blocks
+            for (const block of content.matchAll(/^require\s*\(([\s\S]*?)^\)/gm)) {
+                block[1].split('\n').forEach(line => {
+                    const name = line.replace(/\/\/.*$/, '').trim().split(/\s+/)[0];
+                    if (name) dependencies.push(name);
+                });
+            }
+            for (const line of content.matchAll(/^require\s+([^\s(]+)\s+\S+/gm)) {
+                dependencies.push(line[1]);
+            }
+            return {
+                name: moduleMatch ? moduleMatch[1] : '',
+                description: '',
+                dependencies,
+                devDependencies: []
+            };
+        }
+    },
+    {
+        ecosystem: 'Rust',
+        packageManager: 'Cargo',
+        matches: fileName => fileName === 'Cargo.toml',
+        parse: content => {
+            const data: any = TOML.parse(content);
+            return {
+                name: data.package?.name || '',
+                description: data.package?.description || '',
+                dependencies: [
+                    ...dependencyNames(data.dependencies),
+                    ...dependencyNames(data.workspace?.dependencies)
+                ],
+                devDependencies: [
+                    ...dependencyNames(data['dev-dependencies']),
+                    ...dependencyNames(data['build-dependencies'])
+                ]
+            };
+        }
+    },
+    {
+        ecosystem: 'Java',
+        packageManager: 'Maven',
+        matches: fileName => fileName === 'pom.xml',
+        parse: content => {
+            // Ignore the parent and plugin coordinates, only <dependency> blocks count
+            const dependencies: string[] = [];
+            const devDependencies: string[] = [];
+            for (const match of content.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+                const groupId = match[1].match(/<groupId>\s*([^<\s]+)\s*<\/groupId>/)?.[1];
+                const artifactId = match[1].match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/)?.[1];
+                if (!groupId || !artifactId) continue;
+                const scope = match[1].match(/<scope>\s*([^<\s]+)\s*<\/scope>/)?.[1];
+                (scope === 'test' ? devDependencies : dependencies).push(`${groupId}:${artifactId}`);
+            }
+            const withoutDependencies = content.replace(/<(dependencies|parent|build)>[\s\S]*?<\/\1>/g, '');
+            return {
+                name: withoutDependencies.match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/)?.[1] || '',
+                description: withoutDependencies.match(/<description>\s*([^<]*?)\s*<\/description>/)?.[1] || '',
+                dependencies,
+                devDependencies
+            };
+        }
+    },
+    {
+        ecosystem: 'Java',
+        packageManager: 'Gradle',
+        matches: fileName => fileName === 'build.gradle' || fileName === 'build.gradle.kts',
+        parse: content => {
+            const dependencies: string[] = [];
+            const devDependencies: string[] = [];
+            // implementation 'group:artifact:1.0' / testImplementation("group:artifact:1.0")
+            const pattern = /^\s*(\w+)\s*\(?\s*['"]([^'":\s]+):([^'":\s]+)(?::[^'"]*)?['"]/gm;
+            for (const match of content.matchAll(pattern)) {
+                const coordinate = `${match[2]}:${match[3]}`;
+                (/^test/i.test(match[1]) ? devDependencies : dependencies).push(coordinate);
+            }
+            return { name: '', description: '', dependencies, devDependencies };
+        }
+    },
+    {
+        ecosystem: '.NET',
+        packageManager: 'NuGet',
+        matches: fileName => fileName.endsWith('.csproj'),
+        parse: content => ({
+            name: content.match(/<AssemblyName>\s*([^<]+?)\s*<\/AssemblyName>/)?.[1] || '',
+            description: content.match(/<Description>\s*([^<]+?)\s*<\/Description>/)?.[1] || '',
+            dependencies: [...content.matchAll(/<PackageReference\s+Include\s*=\s*"([^"]+)"/g)].map(match => match[1]),
+            devDependencies: []
+        })
+    },
+    {
+        ecosystem: 'Ruby',
+        packageManager: 'Bundler',
+        matches: fileName => fileName === 'Gemfile',
+        parse: content => {
+            const dependencies: string[] = [];
+            const devDependencies: string[] = [];
+            let groupDepth = 0;
+            for (const line of content.split('\n')) {
+                const trimmed = line.replace(/#.*$/, '').trim();
+                if (/^group\b.*\bdo$/.test(trimmed)) {
+                    groupDepth++;
+                } else if (trimmed === 'end' && groupDepth > 0) {
+                    groupDepth--;
+                }
+                const gem = trimmed.match(/^gem\s+['"]([^'"]+)['"]/);
+                if (gem) {
+                    (groupDepth > 0 ? devDependencies : dependencies).push(gem[1]);
+                }
+            }
+            return { name: '', description: '', dependencies, devDependencies };
+        }
+    },
+    {
+        ecosystem: 'PHP',
+        packageManager: 'Composer',
+        matches: fileName => fileName === 'composer.json',
+        parse: content => {
+            const data = JSON.parse(content);
+            // "php" and "ext-*" entries are platform requirements, not packages
+            const packages = (section: any) => Object.keys(section || {}).filter(name => name.includes('/'));
+            return {
+                name: data.name || '',
+                description: data.description || '',
+                dependencies: packages(data.require),
+                devDependencies: packages(data['require-dev'])
+            };
+        }
+    }
+];
+
+/**
+ * Map the dependencies of all manifests to frameworks, databases and tools through the shared catalogue
+ * @param manifests Parsed manifests
+ * @returns DetectedStack Package managers are reported as tools
+ */
+export function detectStack(manifests: ManifestData[]): DetectedStack {
+    const stack: DetectedStack = { frameworks: [], databases: [], tools: [] };
+    const add = (category: keyof DetectedStack, name: string) => {
+        if (!stack[category].includes(name)) {
+            stack[category].push(name);
+        }
+    };
+
+    for (const manifest of manifests) {
+        add('tools', manifest.packageManager);
+
+        for (const dependency of [...manifest.dependencies, ...manifest.devDependencies]) {
+            const name = dependency.toLowerCase();
+            const entry = dependencyCatalogue.find(candidate =>
+                candidate.packages.includes(name) ||
+                (candidate.prefixes || []).some(prefix => name.startsWith(prefix))
+            );
+            if (entry) {
+                add(entry.category, entry.name);
+            }
+        }
+    }
+
+    return stack;
+}
@@ -0,0 +1,118 @@
+/**
+ * Interface for the document information of a PDF
+ */
+export interface PDFMetadata {
+    title: string;
+    author?: string;
+    subject?: string;
+    keywords?: string[];
+}
+
+/**
+ * Application written to the Creator entry
+ */
+const CREATOR = 'Resume Generator for Developers';
+
+/**
+ * Encode a PDF text string: a literal for printable ASCII, UTF-16BE with a byte order mark for anything else
+ * @param text Text
+ * @returns string
+ */
+export function pdfTextString(text: string): string {
+    if (/^[\x20-\x7E]*$/.test(text)) {
+        return `(${text.replace(/[\\()]/g, '\\$&')})`;
+    }
+    const utf16 = Buffer.from(text, 'utf16le').swap16();
+    return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * PDF date string of a date, e.g. D:20240131120000Z
+ */
+const pdfDate = (date: Date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Build a document information dictionary
+ * @param metadata Document information
+ * @param date Creation date
+ * @returns string PDF dictionary source
+ */
+export function infoDictionary(metadata: PDFMetadata, date: Date = new Date()): string {
+    const entries = [
+        ['Title', metadata.title],
+        ['Author', metadata.author],
+        ['Subject', metadata.subject],
+        ['Keywords', metadata.keywords && metadata.keywords.length > 0 ? metadata.keywords.join(', ') : undefined],
+        ['Creator', CREATOR]
+    ].filter((entry): entry is [string, string] => !!entry[1]);
+
+    return `<< ${entries.map(([key, value]) => `/${key} ${pdfTextString(value)}`).join(' ')} /CreationDate (${pdfDate(date)}) /ModDate (${pdfDate(date)}) >>`;
+}
+
+/**
+ * Replace the document information of a PDF by appending an incremental update, leaving the
+ * original bytes (and with them links and the structure tree) untouched. Both classic cross-reference
+ * tables and cross-reference streams, as Chromium writes them, are supported.
+ * @param pdf PDF file content
+ * @param metadata Document information
+ * @returns Buffer Updated PDF; the input unchanged when its trailer cannot be read
+ */
+export function setPDFMetadata(pdf: Buffer, metadata: PDFMetadata): Buffer {
+    const tail = pdf.subarray(Math.max(0, pdf.length - 1024)).toString('latin1');
+    const startxref = Number(tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/)?.[1]);
+    if (!Number.isFinite(startxref) || startxref >= pdf.length) {
+        return pdf;
+    }
+
+    // The last cross-reference section: a classic table followed by a trailer, or a stream object with the same entries
+    const section = pdf.subarray(startxref, Math.min(pdf.length, startxref + 65536)).toString('latin1');
+    const isTable = section.startsWith('xref');
+    const trailer = isTable
+        ? section.slice(section.indexOf('trailer'))
+        : section.slice(0, section.indexOf('stream'));
+    const root = trailer.match(/\/Root\s+(\d+\s+\d+\s+R)/)?.[1];
+    const size = Number(trailer.match(/\/Size\s+(\d+)/)?.[1]);
+    if (!root || !size || (isTable && !trailer.startsWith('trailer'))) {
+        return pdf;
+    }
+    const id = trailer.match(/\/ID\s*(\[[^\]]*\])/)?.[1];
+
+    const separator = pdf[pdf.length - 1] === 0x0A ? '' : '\n';
+    const infoNumber = size;
+    const infoOffset = pdf.length + separator.length;
+    const infoObject = `${infoNumber} 0 obj\n${infoDictionary(metadata)}\nendobj\n`;
+    const xrefOffset = infoOffset + Buffer.byteLength(infoObject, 'latin1');
+    const trailerEntries = `/Root ${root} /Info ${infoNumber} 0 R /Prev ${startxref}${id ? ` /ID ${id}` : ''}`;
+
+    let update: Buffer;
+    if (isTable) {
+        update = Buffer.from([
+            'xref',
+            `${infoNumber} 1`,
+            `${String(infoOffset).padStart(10, '0')} 00000 n `,
+            'trailer',
+            `<< /Size ${size + 1} ${trailerEntries} >>`,
+            'startxref',
+            String(xrefOffset),
+            '%%EOF',
+            ''
+        ].join('\n'), 'latin1');
+    } else {
+        // Uncompressed cross-reference stream with entries for the information dictionary and the stream itself
+        const entry = (offset: number) => {
+            const bytes = Buffer.alloc(7);
+            bytes.writeUInt8(1, 0);
+            bytes.writeUInt32BE(offset, 1);
+            bytes.writeUInt16BE(0, 5);
+            return bytes;
+        };
+        const data = Buffer.concat([entry(infoOffset), entry(xrefOffset)]);
+        update = Buffer.concat([
+            Buffer.from(`${infoNumber + 1} 0 obj\n<< /Type /XRef /Size ${size + 2} /W [1 4 2] /Index [${infoNumber} 2] ${trailerEntries} /Length ${data.length} >>\nstream\n`, 'latin1'),
+            data,
+            Buffer.from(`\nendstream\nendobj\nstartxref\n${xrefOffset}\n%%EOF\n`, 'latin1')
+        ]);
+    }
+
+    return Buffer.concat([pdf, Buffer.from(separator + infoObject, 'latin1'), update]);
+}
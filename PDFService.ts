@@ -3,6 +3,15 @@ import * as puppeteer from 'puppeteer';
 import * as path from 'path';
 import * as fs from 'fs';
 import { ResumeData } from './AIService';
+import { BulletEvidence, bulletEvidence } from './ClaimVerifier';
+import type { ResumeTheme } from './ThemeService';
+import { renderTemplate } from './TemplateEngine';
+import { BrowserCandidate, findBrowser, describeBrowserProblem } from './BrowserLocator';
+import { renderTextPDF } from './TextPDFRenderer';
+import { LayoutDensity, DEFAULT_DENSITY, PageFitReport, fitToPages } from './PageFitting';
+import { extractPDFText } from './PDFText';
+import { PDFMetadata, setPDFMetadata } from './PDFMetadata';
+import { escapeHTML, safeURL, renderInlineMarkdown, stripInlineMarkdown } from './SafeHTML';
 
 /**
  * Resume style options
@@ -11,9 +20,98 @@ export enum ResumeStyle {
     MODERN = 'modern',
     CLASSIC = 'classic',
     MINIMAL = 'minimal',
-    DEVELOPER = 'developer'
+    DEVELOPER = 'developer',
+    ATS = 'ats'
 }
 
+/**
+ * Resume sections below the header, in their default order
+ */
+export const RESUME_SECTIONS = ['summary', 'skills', 'workHistory', 'experience', 'projects', 'education', 'certifications'] as const;
+
+/**
+ * Identifier of a resume section
+ */
+export type ResumeSection = typeof RESUME_SECTIONS[number];
+
+/**
+ * Section headings of the designed styles
+ */
+const SECTION_TITLES: Record<ResumeSection, string> = {
+    summary: 'Professional Summary',
+    skills: 'Technical Skills',
+    workHistory: 'Work History',
+    experience: 'Professional Experience',
+    projects: 'Notable Projects',
+    education: 'Education',
+    certifications: 'Certifications'
+};
+
+/**
+ * Plain section headings applicant tracking systems look for, used by the ATS style
+ */
+const ATS_SECTION_TITLES: Record<ResumeSection, string> = {
+    summary: 'Summary',
+    skills: 'Skills',
+    workHistory: 'Work Experience',
+    experience: 'Experience',
+    projects: 'Projects',
+    education: 'Education',
+    certifications: 'Certifications'
+};
+
+/**
+ * Get the section headings of a style
+ * @param style Resume style
+ * @returns Record<ResumeSection, string>
+ */
+export function getSectionTitles(style?: ResumeStyle): Record<ResumeSection, string> {
+    return style === ResumeStyle.ATS ? ATS_SECTION_TITLES : SECTION_TITLES;
+}
+
+/**
+ * Get the visible sections of a resume in display order; sections missing from `sectionOrder` keep their default position at the end
+ * @param resumeData Resume data
+ * @returns ResumeSection[]
+ */
+export function getSectionOrder(resumeData: ResumeData): ResumeSection[] {
+    const order = (resumeData.sectionOrder || []).filter((section): section is ResumeSection => (RESUME_SECTIONS as readonly string[]).includes(section));
+    const hidden = new Set(resumeData.hiddenSections || []);
+    return [...new Set([...order, ...RESUME_SECTIONS])].filter(section => !hidden.has(section));
+}
+
+/**
+ * Get the skills every style prints: languages, frameworks, tools and databases (soft skills are not printed)
+ * @param resumeData Resume data
+ * @returns string[] Without duplicates
+ */
+export function getRenderedSkills(resumeData: ResumeData): string[] {
+    const skills = resumeData.skills || {};
+    return [...new Set([
+        ...(skills.technical || []),
+        ...(skills.frameworks || []),
+        ...(skills.tools || []),
+        ...(skills.databases || [])
+    ])];
+}
+
+/**
+ * Spacing overrides of the compact layout, used when fitting a resume to a page limit
+ */
+const COMPACT_CSS = `
+    body { line-height: 1.45; }
+    .header { margin-bottom: 16px; padding-bottom: 12px; }
+    .section { margin-bottom: 14px; }
+    .section-title { margin-bottom: 8px; }
+    .experience-item, .project-item, .work-item, .education-item { margin-bottom: 10px; }
+    .item-header { margin-bottom: 4px; }
+`;
+
+/**
+ * Profile URL of a GitHub username or profile URL
+ */
+export const githubURL = (github: string) => /^https?:\/\//.test(github) ? github : `https://github.com/${github.replace(/^(www\.)?github\.com\//, '')}`;
+
 /**
  * PDF generation options
  */
@@ -22,6 +120,24 @@ export interface PDFOptions {
     outputPath: string;
     format: 'A4' | 'Letter';
     includeColors: boolean;
+    /** User-defined theme; replaces the markup and CSS of the style */
+    theme?: ResumeTheme;
+    /** Page limit; longer resumes are shortened to fit (see PageFitting) */
+    maxPages?: number;
+    /** Running header with the name and footer with page numbers (default: resumeGenerator.pdfHeaderFooter) */
+    headerFooter?: boolean;
+    /** Tagged PDF with a structure tree and bookmarks for screen readers and parsers (default: resumeGenerator.taggedPdf) */
+    tagged?: boolean;
+}
+
+/**
+ * Interface for a generated PDF
+ */
+export interface PDFResult {
+    outputPath: string;
+    pages: number;
+    /** Set when a page limit was given */
+    fit?: PageFitReport;
 }
 
 /**
@@ -35,52 +151,96 @@ export class PDFService {
     }
 
     /**
-     * Generate PDF resume from resume data
+     * Generate PDF resume from resume data. Without a usable browser the resume is rendered as a
+     * plain text PDF instead, and a warning explains what was looked for.
      * @param resumeData Resume data structure
      * @param options PDF generation options
      * @returns Promise<string> Path to generated PDF
      */
     async generatePDF(resumeData: ResumeData, options: PDFOptions, endorsements?: Record<string, string[]>): Promise<string> {
+        return (await this.generatePDFWithReport(resumeData, options, endorsements)).outputPath;
+    }
+
+    /**
+     * Generate PDF resume from resume data, fitting it to options.maxPages when set
+     * @param resumeData Resume data structure
+     * @param options PDF generation options
+     * @param endorsements Skill endorsements
+     * @returns Promise<PDFResult> Path and page count of the generated PDF, and what was cut to fit the page limit
+     */
+    async generatePDFWithReport(resumeData: ResumeData, options: PDFOptions, endorsements?: Record<string, string[]>): Promise<PDFResult> {
         let browser: puppeteer.Browser | null = null;
+        const config = vscode.workspace.getConfiguration();
+        const headerFooter = options.headerFooter ?? config.get<boolean>('resumeGenerator.pdfHeaderFooter', false);
+        const tagged = options.tagged ?? config.get<boolean>('resumeGenerator.taggedPdf', true);
 
         try {
-            // Launch Puppeteer browser
-            browser = await puppeteer.launch({
-                headless: true,
-                executablePath: "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-
-            const page = await browser.newPage();
-
-            // Generate HTML content
-            const htmlContent = this.generateHTML(resumeData, options.style, endorsements);
-
-            // Set page content
-            await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-
-            // Generate PDF
-            const pdfBuffer = await page.pdf({
-                format: options.format,
-                printBackground: options.includeColors,
-                margin: {
-                    top: '0.5in',
-                    right: '0.5in',
-                    bottom: '0.5in',
-                    left: '0.5in'
+            const search = findBrowser(this.getConfiguredBrowserPath());
+            let launchError: unknown;
+            if (search.browser) {
+                try {
+                    browser = await this.launchBrowser(search.browser);
+                } catch (error) {
+                    launchError = error;
                 }
-            });
+            }
+
+            let render: (data: ResumeData, density: LayoutDensity) => Promise<Uint8Array>;
+            if (browser) {
+                const page = await browser.newPage();
+                // Resumes are static documents; theme templates must not run scripts with the personal data
+                await page.setJavaScriptEnabled(false);
+                render = async (data, density) => {
+                    // Generate HTML content
+                    const htmlContent = options.theme
+                        ? this.generateThemeHTML(data, options.theme, endorsements)
+                        : this.generateHTML(data, options.style, endorsements, density.compact);
+
+                    // Set page content
+                    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+
+                    // Generate PDF
+                    const margin = density.compact ? '0.3in' : '0.5in';
+                    return page.pdf({
+                        format: options.format,
+                        printBackground: options.includeColors,
+                        scale: density.scale,
+                        tagged,
+                        outline: tagged,
+                        ...(headerFooter ? this.getHeaderFooterTemplates(data, options.theme ? margin : `calc(${margin} + 0.5in)`) : {}),
+                        margin: {
+                            top: margin,
+                            right: margin,
+                            bottom: margin,
+                            left: margin
+                        }
+                    });
+                };
+            } else {
+                const problem = describeBrowserProblem(search, launchError);
+                console.warn(`PDF rendered without a browser: ${problem}`);
+                this.showFallbackWarning(problem);
+                render = async (data, density) => renderTextPDF(data, { ...options, ...density, headerFooter, metadata: this.getMetadata(data) }, endorsements);
+            }
 
-            // Ensure output directory exists
-            const outputDir = path.dirname(options.outputPath);
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
+            const countPages = async (data: ResumeData, density: LayoutDensity) => {
+                const output = await render(data, density);
+                return { output, pages: extractPDFText(Buffer.from(output)).length };
+            };
+            let pdfBuffer: Uint8Array;
+            let pages: number;
+            let fit: PageFitReport | undefined;
+            if (options.maxPages && options.maxPages > 0) {
+                ({ output: pdfBuffer, report: fit } = await fitToPages(resumeData, options.maxPages, countPages));
+                pages = fit.pages;
+            } else {
+                ({ output: pdfBuffer, pages } = await countPages(resumeData, DEFAULT_DENSITY));
             }
 
-            // Write PDF to file
-            fs.writeFileSync(options.outputPath, pdfBuffer);
+            // Chromium only writes the title; the text renderer already wrote all of it
+            this.writeFile(options.outputPath, browser ? setPDFMetadata(Buffer.from(pdfBuffer), this.getMetadata(resumeData)) : pdfBuffer);
 
-            return options.outputPath;
+            return { outputPath: options.outputPath, pages, fit };
 
         } catch (error) {
             console.error('Error generating PDF:', error);
@@ -92,15 +252,93 @@ export class PDFService {
         }
     }
 
+    /**
+     * Write a file, creating its directory if needed
+     */
+    private writeFile(outputPath: string, content: Uint8Array): void {
+        const outputDir = path.dirname(outputPath);
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+        fs.writeFileSync(outputPath, content);
+    }
+
+    /**
+     * Get the document information of a resume PDF
+     * @param resumeData Resume data
+     * @returns PDFMetadata Title, author, the job title as subject and the skills as keywords
+     */
+    private getMetadata(resumeData: ResumeData): PDFMetadata {
+        return {
+            title: `${resumeData.personalInfo.name} - Resume`,
+            author: resumeData.personalInfo.name,
+            subject: resumeData.personalInfo.title,
+            keywords: getRenderedSkills(resumeData)
+        };
+    }
+
+    /**
+     * Get the running header (name and title) and footer (page numbers) of the browser-rendered PDF.
+     * Chromium renders them outside the page's CSS, so they carry their own styles.
+     * @param resumeData Resume data
+     * @param inset Horizontal padding that lines the text up with the page content
+     * @returns Puppeteer header and footer options
+     */
+    private getHeaderFooterTemplates(resumeData: ResumeData, inset: string): Pick<puppeteer.PDFOptions, 'displayHeaderFooter' | 'headerTemplate' | 'footerTemplate'> {
+        const style = `font-family: Arial, sans-serif; font-size: 8px; color: #777; width: 100%; padding: 0 ${inset};`;
+        const heading = [resumeData.personalInfo.name, resumeData.personalInfo.title].filter(Boolean).join(' - ');
+        return {
+            displayHeaderFooter: true,
+            headerTemplate: `<div style="${style}">${escapeHTML(heading)}</div>`,
+            footerTemplate: `<div style="${style} text-align: right;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>`
+        };
+    }
+
+    /**
+     * Get the browser executable configured in resumeGenerator.browserPath. Only the user setting counts:
+     * a workspace must not choose which program runs when a resume is exported
+     */
+    private getConfiguredBrowserPath(): string | undefined {
+        return vscode.workspace.getConfiguration().inspect<string>('resumeGenerator.browserPath')?.globalValue || undefined;
+    }
+
+    /**
+     * Launch a headless browser
+     * @param candidate Browser to launch
+     * @returns Promise<puppeteer.Browser>
+     */
+    private launchBrowser(candidate: BrowserCandidate): Promise<puppeteer.Browser> {
+        return puppeteer.launch({
+            headless: true,
+            executablePath: candidate.path,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+    }
+
+    /**
+     * Tell the user the PDF was rendered without a browser, and how to get the styled one
+     * @param problem Why no browser could be used
+     */
+    private showFallbackWarning(problem: string): void {
+        const openSettings = 'Set Browser Path';
+        vscode.window.showWarningMessage(`The PDF was created in a plain text layout because no browser could be used. ${problem}`, openSettings)
+            .then(result => {
+                if (result === openSettings) {
+                    vscode.commands.executeCommand('workbench.action.openSettings', 'resumeGenerator.browserPath');
+                }
+            });
+    }
+
     /**
      * Generate HTML content for the resume
      * @param resumeData Resume data
      * @param style Resume style
+     * @param compact Use the compact spacing
      * @returns string HTML content
      */
-    private generateHTML(resumeData: ResumeData, style: ResumeStyle, endorsements?: Record<string, string[]>): string {
-        const css = this.getCSS(style);
-        const html = this.getHTMLTemplate(resumeData, endorsements);
+    private generateHTML(resumeData: ResumeData, style: ResumeStyle, endorsements?: Record<string, string[]>, compact: boolean = false): string {
+        const css = this.getCSS(style) + (compact ? COMPACT_CSS : '');
+        const html = this.getHTMLTemplate(resumeData, endorsements, false, style);
 
         return `
 <!DOCTYPE html>
@@ -108,7 +346,7 @@ export class PDFService {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${resumeData.personalInfo.name} - Resume</title>
+    <title>${escapeHTML(resumeData.personalInfo.name)} - Resume</title>
     <style>
         ${css}
     </style>
@@ -120,6 +358,139 @@ export class PDFService {
         `;
     }
 
+    /**
+     * Generate HTML content for the resume from a user-defined theme
+     * @param resumeData Resume data
+     * @param theme Theme with the body template and CSS
+     * @param endorsements Skill endorsements
+     * @returns string HTML content
+     */
+    private generateThemeHTML(resumeData: ResumeData, theme: ResumeTheme, endorsements?: Record<string, string[]>): string {
+        const html = renderTemplate(theme.template, this.getThemeView(resumeData, theme.baseStyle, endorsements));
+        const base = `file://${theme.directory.replace(/\\/g, '/').replace(/\/?$/, '/')}`;
+
+        return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(resumeData.personalInfo.name)} - Resume</title>
+    <base href="${encodeURI(base)}">
+    <style>
+        ${theme.css}
+    </style>
+</head>
+<body>
+    ${html}
+</body>
+</html>
+        `;
+    }
+
+    /**
+     * Get the values theme templates can use. Lists only hold entries with content, and `sections`
+     * lists the visible, non-empty sections in display order, each with an is<Section> flag
+     * @param resumeData Resume data
+     * @param style Style whose section titles are used
+     * @param endorsements Skill endorsements
+     * @returns Template view
+     */
+    private getThemeView(resumeData: ResumeData, style: ResumeStyle, endorsements?: Record<string, string[]>): Record<string, unknown> {
+        const titles = getSectionTitles(style);
+        const info = resumeData.personalInfo;
+        const bullets = (items?: string[]) => (items || []).map(stripInlineMarkdown);
+        const github = info.github && !info.github.includes('/') && !info.github.includes('.') ? `github.com/${info.github}` : info.github;
+        const dates = (start?: string, end?: string) => [start, end].filter(Boolean).join(' - ');
+        // Entries define every field, so a missing one is empty instead of resolving to a field of an
+        // enclosing context (a job without summary would otherwise show the resume summary)
+
+        const skills = [
+            { title: 'Programming Languages', items: resumeData.skills?.technical || [] },
+            { title: 'Frameworks & Libraries', items: resumeData.skills?.frameworks || [] },
+            { title: 'Tools & Technologies', items: resumeData.skills?.tools || [] },
+            { title: 'Databases', items: resumeData.skills?.databases || [] }
+        ]
+            .filter(category => Array.isArray(category.items) && category.items.length > 0)
+            .map(category => ({
+                title: category.title,
+                list: category.items.join(', '),
+                items: category.items.map(name => ({ name, endorsements: endorsements?.[name]?.length || 0 }))
+            }));
+
+        const view = {
+            personalInfo: info,
+            contact: [
+                info.email ? { label: 'Email', text: info.email, url: safeURL(`mailto:${info.email}`) } : undefined,
+                info.phone ? { label: 'Phone', text: info.phone, url: `tel:${info.phone.replace(/[^\d+]/g, '')}` } : undefined,
+                info.location ? { label: 'Location', text: info.location, url: undefined } : undefined,
+                github ? { label: 'GitHub', text: github.replace(/^https?:\/\//, ''), url: safeURL(github) } : undefined,
+                info.website ? { label: 'Website', text: info.website.replace(/^https?:\/\//, ''), url: safeURL(info.website) } : undefined,
+                ...(resumeData.links || []).map(link => ({ label: link.label, text: link.url.replace(/^https?:\/\//, ''), url: safeURL(link.url) }))
+            ].filter(Boolean),
+            summary: resumeData.summary,
+            titles,
+            skills,
+            workHistory: (resumeData.workHistory || []).map(job => ({
+                company: job.company,
+                position: job.position,
+                location: job.location || '',
+                summary: job.summary || '',
+                highlights: bullets(job.highlights),
+                dates: dates(job.startDate, job.endDate || 'Present')
+            })),
+            experience: (resumeData.experience || []).map(exp => ({
+                name: exp.projectName,
+                description: exp.description || '',
+                duration: exp.duration || '',
+                achievements: bullets(exp.achievements),
+                technologies: exp.technologies || [],
+                technologyList: (exp.technologies || []).join(', ')
+            })),
+            projects: (resumeData.projects || []).map(project => ({
+                name: project.name,
+                description: project.description || '',
+                url: safeURL(project.url),
+                highlights: bullets(project.highlights),
+                technologies: project.technologies || [],
+                technologyList: (project.technologies || []).join(', ')
+            })),
+            education: (resumeData.education || []).map(entry => ({
+                institution: entry.institution,
+                degree: entry.degree,
+                field: entry.field || '',
+                details: bullets(entry.details),
+                dates: dates(entry.startDate, entry.endDate)
+            })),
+            certifications: (resumeData.certifications || []).map(cert => ({
+                name: cert.name,
+                issuer: cert.issuer || '',
+                date: cert.date || '',
+                url: safeURL(cert.url)
+            })),
+            links: (resumeData.links || []).map(link => ({ label: link.label, url: safeURL(link.url) }))
+        };
+
+        const hasContent: Record<ResumeSection, boolean> = {
+            summary: !!view.summary,
+            skills: view.skills.length > 0,
+            workHistory: view.workHistory.length > 0,
+            experience: view.experience.length > 0,
+            projects: view.projects.length > 0,
+            education: view.education.length > 0,
+            certifications: view.certifications.length > 0
+        };
+        const sections = getSectionOrder(resumeData)
+            .filter(section => hasContent[section])
+            .map(section => ({
+                id: section,
+                title: titles[section],
+                [`is${section.charAt(0).toUpperCase()}${section.slice(1)}`]: true
+            }));
+
+        return { ...view, sections };
+    }
+
     /**
      * Get CSS styles based on resume style
      * @param style Resume style
@@ -170,6 +541,16 @@ export class PDFService {
                 margin-bottom: 25px;
             }
 
+            a {
+                color: inherit;
+                text-decoration: none;
+            }
+
+            code {
+                font-family: 'Courier New', monospace;
+                font-size: 0.95em;
+            }
+
             .section-title {
                 font-size: 18px;
                 font-weight: bold;
@@ -205,7 +586,7 @@ export class PDFService {
                 color: #555;
             }
 
-            .experience-item, .project-item {
+            .experience-item, .project-item, .work-item, .education-item {
                 margin-bottom: 20px;
                 page-break-inside: avoid;
             }
@@ -359,6 +740,57 @@ export class PDFService {
                     }
                 `;
 
+            case ResumeStyle.ATS:
+                // One column in reading order, black text, no generated content: what a parser extracts is what is printed
+                return baseCSS + `
+                    body {
+                        color: #000;
+                    }
+
+                    .header {
+                        text-align: left;
+                        border-bottom: none;
+                        margin-bottom: 20px;
+                        padding-bottom: 0;
+                    }
+
+                    .title, .contact, .skill-list, .item-description, .item-duration, .technologies {
+                        color: #000;
+                    }
+
+                    .section-title {
+                        font-size: 16px;
+                        text-transform: uppercase;
+                        border-bottom: none;
+                        margin-bottom: 8px;
+                    }
+
+                    .summary {
+                        text-align: left;
+                    }
+
+                    .skills-grid, .item-header {
+                        display: block;
+                    }
+
+                    .item-duration {
+                        font-style: normal;
+                    }
+
+                    .achievements, .highlights {
+                        list-style: disc;
+                        padding-left: 18px;
+                    }
+
+                    .achievements li, .highlights li {
+                        padding-left: 0;
+                    }
+
+                    .achievements li:before, .highlights li:before {
+                        content: none;
+                    }
+                `;
+
             default:
                 return baseCSS;
         }
@@ -367,56 +799,101 @@ export class PDFService {
     /**
      * Get HTML template for the resume
      * @param resumeData Resume data
+     * @param style Resume style; the ATS style uses plain headings and writes endorsements as text
      * @returns string HTML content
      */
-    private getHTMLTemplate(resumeData: ResumeData, endorsements?: Record<string, string[]>): string {
-        return `
-            <div class="resume">
-                <!-- Header Section -->
-                <div class="header">
-                    <div class="name">${resumeData.personalInfo.name}</div>
-                    <div class="title">${resumeData.personalInfo.title}</div>
-                    <div class="contact">
-                        ${resumeData.personalInfo.email}
-                        ${resumeData.personalInfo.github ? ` | ${resumeData.personalInfo.github}` : ''}
-                    </div>
-                </div>
-
+    private getHTMLTemplate(resumeData: ResumeData, endorsements?: Record<string, string[]>, showEvidence: boolean = false, style?: ResumeStyle): string {
+        const ats = style === ResumeStyle.ATS;
+        const titles = getSectionTitles(style);
+        const sections: Record<ResumeSection, string> = {
+            summary: `
                 <!-- Summary Section -->
-                <div class="section">
-                    <div class="section-title">Professional Summary</div>
-                    <div class="summary">${resumeData.summary}</div>
-                </div>
-
+                <section class="section">
+                    <h2 class="section-title">${titles.summary}</h2>
+                    <div class="summary">${escapeHTML(resumeData.summary)}</div>
+                </section>`,
+            skills: `
                 <!-- Skills Section -->
-                <div class="section">
-                    <div class="section-title">Technical Skills</div>
+                <section class="section">
+                    <h2 class="section-title">${titles.skills}</h2>
                     <div class="skills-grid">
-                        ${this.generateSkillsHTML(resumeData.skills, endorsements)}
+                        ${this.generateSkillsHTML(resumeData.skills, endorsements, ats)}
                     </div>
-                </div>
-
+                </section>`,
+            workHistory: resumeData.workHistory && resumeData.workHistory.length > 0 ? `
+                <!-- Work History Section -->
+                <section class="section">
+                    <h2 class="section-title">${titles.workHistory}</h2>
+                    ${resumeData.workHistory.map(job => this.generateWorkHistoryHTML(job)).join('')}
+                </section>` : '',
+            experience: `
                 <!-- Experience Section -->
-                <div class="section">
-                    <div class="section-title">Professional Experience</div>
-                    ${(resumeData.experience || []).map(exp => this.generateExperienceHTML(exp)).join('')}
-                </div>
-
+                <section class="section">
+                    <h2 class="section-title">${titles.experience}</h2>
+                    ${(resumeData.experience || []).map(exp => this.generateExperienceHTML(exp, showEvidence)).join('')}
+                </section>`,
+            projects: `
                 <!-- Projects Section -->
-                <div class="section">
-                    <div class="section-title">Notable Projects</div>
-                    ${(resumeData.projects || []).map(project => this.generateProjectHTML(project)).join('')}
-                </div>
+                <section class="section">
+                    <h2 class="section-title">${titles.projects}</h2>
+                    ${(resumeData.projects || []).map(project => this.generateProjectHTML(project, showEvidence)).join('')}
+                </section>`,
+            education: resumeData.education && resumeData.education.length > 0 ? `
+                <!-- Education Section -->
+                <section class="section">
+                    <h2 class="section-title">${titles.education}</h2>
+                    ${resumeData.education.map(entry => this.generateEducationHTML(entry)).join('')}
+                </section>` : '',
+            certifications: resumeData.certifications && resumeData.certifications.length > 0 ? `
+                <!-- Certifications Section -->
+                <section class="section">
+                    <h2 class="section-title">${titles.certifications}</h2>
+                    <ul class="highlights">
+                        ${resumeData.certifications.map(cert => `<li>${this.link(cert.url, cert.name)}${cert.issuer ? ` - ${escapeHTML(cert.issuer)}` : ''}${cert.date ? ` (${escapeHTML(cert.date)})` : ''}</li>`).join('')}
+                    </ul>
+                </section>` : ''
+        };
+
+        return `
+            <div class="resume">
+                <!-- Header Section -->
+                <header class="header">
+                    <h1 class="name">${escapeHTML(resumeData.personalInfo.name)}</h1>
+                    <div class="title">${escapeHTML(resumeData.personalInfo.title)}</div>
+                    <div class="contact">
+                        ${[
+                            resumeData.personalInfo.email ? this.link(`mailto:${resumeData.personalInfo.email}`, resumeData.personalInfo.email) : '',
+                            escapeHTML(resumeData.personalInfo.phone),
+                            escapeHTML(resumeData.personalInfo.location),
+                            resumeData.personalInfo.github ? this.link(githubURL(resumeData.personalInfo.github), resumeData.personalInfo.github) : '',
+                            resumeData.personalInfo.website ? this.link(resumeData.personalInfo.website, resumeData.personalInfo.website) : '',
+                            ...(resumeData.links || []).map(link => `${escapeHTML(link.label)}: ${this.link(link.url, link.url)}`)
+                        ].filter(Boolean).join(' | ')}
+                    </div>
+                </header>
+                ${getSectionOrder(resumeData).map(section => sections[section]).join('')}
             </div>
         `;
     }
 
+    /**
+     * Generate a link with escaped text; without a safe URL only the text is written
+     * @param url Link target
+     * @param text Link text
+     * @returns string HTML content
+     */
+    private link(url: string | undefined, text: string): string {
+        const href = safeURL(url);
+        return href ? `<a href="${escapeHTML(href)}">${escapeHTML(text)}</a>` : escapeHTML(text);
+    }
+
     /**
      * Generate HTML for skills section
      * @param skills Skills data
+     * @param plainText Write endorsements as text instead of a star glyph (ATS style)
      * @returns string HTML content
      */
-    private generateSkillsHTML(skills: ResumeData['skills'], endorsements?: Record<string, string[]>): string {
+    private generateSkillsHTML(skills: ResumeData['skills'], endorsements?: Record<string, string[]>, plainText: boolean = false): string {
         const categories = [
             { title: 'Programming Languages', items: skills?.technical || [] },
             { title: 'Frameworks & Libraries', items: skills?.frameworks || [] },
@@ -429,10 +906,13 @@ export class PDFService {
             .map(category => {
                 const itemsWithEndorsements = category.items.map(skill => {
                     const endorsers = endorsements && endorsements[skill];
+                    if (endorsers && endorsers.length > 0 && plainText) {
+                        return `${escapeHTML(skill)} (endorsed by ${endorsers.length})`;
+                    }
                     if (endorsers && endorsers.length > 0) {
-                        return `${skill} <span title="Endorsed by: ${endorsers.join(', ')}">⭐ (${endorsers.length})</span>`;
+                        return `${escapeHTML(skill)} <span title="Endorsed by: ${escapeHTML(endorsers.join(', '))}">⭐ (${endorsers.length})</span>`;
                     }
-                    return skill;
+                    return escapeHTML(skill);
                 });
                 return `
                 <div class="skill-category">
@@ -448,43 +928,109 @@ export class PDFService {
      * @param experience Experience data
      * @returns string HTML content
      */
-    private generateExperienceHTML(experience: ResumeData['experience'][0]): string {
+    private generateExperienceHTML(experience: ResumeData['experience'][0], showEvidence: boolean = false): string {
         return `
             <div class="experience-item">
                 <div class="item-header">
-                    <div class="item-title">${experience.projectName}</div>
-                    <div class="item-duration">${experience.duration}</div>
+                    <h3 class="item-title">${escapeHTML(experience.projectName)}</h3>
+                    <div class="item-duration">${escapeHTML(experience.duration)}</div>
                 </div>
-                <div class="item-description">${experience.description}</div>
+                <div class="item-description">${escapeHTML(experience.description)}</div>
                 <ul class="achievements">
-                    ${(experience.achievements || []).map(achievement => `<li>${achievement}</li>`).join('')}
+                    ${(experience.achievements || []).map((achievement, index) => this.generateBulletHTML(achievement, showEvidence ? bulletEvidence(experience.evidence, index, achievement) : undefined)).join('')}
                 </ul>
                 ${(Array.isArray(experience.technologies) && experience.technologies.length > 0) ? 
-                    `<div class="technologies">Technologies: ${experience.technologies.join(', ')}</div>` : 
+                    `<div class="technologies">Technologies: ${escapeHTML(experience.technologies.join(', '))}</div>` : 
                     ''
                 }
             </div>
         `;
     }
 
+    /**
+     * Generate HTML for a bullet, with its verification flag and evidence in previews
+     * @param text Bullet text
+     * @param evidence Verification result, only passed for previews
+     * @returns string HTML content
+     */
+    private generateBulletHTML(text: string, evidence?: BulletEvidence): string {
+        if (!evidence) {
+            return `<li>${renderInlineMarkdown(text)}</li>`;
+        }
+
+        const sources = [
+            evidence.commits.length > 0 ? `commits ${evidence.commits.join(', ')}` : '',
+            evidence.files.length > 0 ? `files ${evidence.files.join(', ')}` : ''
+        ].filter(Boolean).join('; ');
+        const notes = [
+            evidence.status === 'unsupported' ? `Unsupported: ${evidence.unsupportedClaims.join(', ')}` : '',
+            evidence.status === 'unverified' ? 'No evidence found' : '',
+            evidence.originalText ? `Rewritten from: ${evidence.originalText}` : '',
+            sources ? `Evidence: ${sources}` : ''
+        ].filter(Boolean);
+
+        return `<li class="bullet-${evidence.status}">${renderInlineMarkdown(text)}${notes.map(note => `<div class="evidence">${escapeHTML(note)}</div>`).join('')}</li>`;
+    }
+
+    /**
+     * Generate HTML for work history item
+     * @param job Work history entry
+     * @returns string HTML content
+     */
+    private generateWorkHistoryHTML(job: NonNullable<ResumeData['workHistory']>[0]): string {
+        return `
+            <div class="work-item">
+                <div class="item-header">
+                    <h3 class="item-title">${escapeHTML(`${job.position} - ${job.company}${job.location ? `, ${job.location}` : ''}`)}</h3>
+                    <div class="item-duration">${escapeHTML(`${job.startDate} - ${job.endDate || 'Present'}`)}</div>
+                </div>
+                ${job.summary ? `<div class="item-description">${escapeHTML(job.summary)}</div>` : ''}
+                <ul class="achievements">
+                    ${(job.highlights || []).map(highlight => this.generateBulletHTML(highlight)).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for education item
+     * @param entry Education entry
+     * @returns string HTML content
+     */
+    private generateEducationHTML(entry: NonNullable<ResumeData['education']>[0]): string {
+        const dates = [entry.startDate, entry.endDate].filter(Boolean).join(' - ');
+        return `
+            <div class="education-item">
+                <div class="item-header">
+                    <h3 class="item-title">${escapeHTML(`${entry.degree}${entry.field ? ` in ${entry.field}` : ''} - ${entry.institution}`)}</h3>
+                    ${dates ? `<div class="item-duration">${escapeHTML(dates)}</div>` : ''}
+                </div>
+                ${entry.details && entry.details.length > 0 ? `
+                <ul class="highlights">
+                    ${entry.details.map(detail => this.generateBulletHTML(detail)).join('')}
+                </ul>` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Generate HTML for project item
      * @param project Project data
      * @returns string HTML content
      */
-    private generateProjectHTML(project: ResumeData['projects'][0]): string {
+    private generateProjectHTML(project: ResumeData['projects'][0], showEvidence: boolean = false): string {
         return `
             <div class="project-item">
                 <div class="item-header">
-                    <div class="item-title">${project.name}</div>
-                    ${project.url ? `<div class="item-duration">${project.url}</div>` : ''}
+                    <h3 class="item-title">${escapeHTML(project.name)}</h3>
+                    ${project.url ? `<div class="item-duration">${this.link(project.url, project.url)}</div>` : ''}
                 </div>
-                <div class="item-description">${project.description}</div>
+                <div class="item-description">${escapeHTML(project.description)}</div>
                 <ul class="highlights">
-                    ${(project.highlights || []).map(highlight => `<li>${highlight}</li>`).join('')}
+                    ${(project.highlights || []).map((highlight, index) => this.generateBulletHTML(highlight, showEvidence ? bulletEvidence(project.evidence, index, highlight) : undefined)).join('')}
                 </ul>
                 ${(Array.isArray(project.technologies) && project.technologies.length > 0) ? 
-                    `<div class="technologies">Technologies: ${project.technologies.join(', ')}</div>` : 
+                    `<div class="technologies">Technologies: ${escapeHTML(project.technologies.join(', '))}</div>` : 
                     ''
                 }
             </div>
@@ -495,11 +1041,16 @@ export class PDFService {
      * Generate resume preview HTML (for display in VS Code webview)
      * @param resumeData Resume data
      * @param style Resume style
+     * @param theme User-defined theme, which replaces the style
      * @returns string HTML content for preview
      */
-    generatePreviewHTML(resumeData: ResumeData, style: ResumeStyle): string {
+    generatePreviewHTML(resumeData: ResumeData, style: ResumeStyle, theme?: ResumeTheme): string {
+        if (theme) {
+            return this.generateThemeHTML(resumeData, theme);
+        }
+
         const css = this.getCSS(style);
-        const html = this.getHTMLTemplate(resumeData);
+        const html = this.getHTMLTemplate(resumeData, undefined, true, style);
 
         return `
 <!DOCTYPE html>
@@ -515,6 +1066,27 @@ export class PDFService {
             box-shadow: 0 0 10px rgba(0,0,0,0.1);
             margin: 20px auto;
         }
+
+        /* Claim verification, shown in previews only */
+        .evidence {
+            font-size: 11px;
+            color: #888;
+        }
+
+        .bullet-unsupported {
+            background: #fff3cd;
+            outline: 1px solid #e0a800;
+        }
+
+        .bullet-unsupported .evidence:first-child {
+            color: #8a6d00;
+            font-weight: bold;
+        }
+
+        .bullet-unverified {
+            border-left: 3px dashed #bbb;
+            padding-left: 4px;
+        }
     </style>
 </head>
 <body>
@@ -533,18 +1105,26 @@ export class PDFService {
     }
 
     /**
-     * Validate PDF generation requirements
-     * @returns Promise<boolean>
+     * Validate PDF generation requirements: find a browser and check that it starts
+     * @returns Promise with whether styled PDFs can be rendered, the browser used and a message for the user
      */
-    async validateRequirements(): Promise<boolean> {
+    async validateRequirements(): Promise<{ ready: boolean; browser?: BrowserCandidate; message: string }> {
+        const search = findBrowser(this.getConfiguredBrowserPath());
+        if (!search.browser) {
+            return { ready: false, message: describeBrowserProblem(search) };
+        }
+
         try {
-            // Test Puppeteer availability
-            const browser = await puppeteer.launch({ headless: true });
+            const browser = await this.launchBrowser(search.browser);
             await browser.close();
-            return true;
+            return {
+                ready: true,
+                browser: search.browser,
+                message: `PDFs are rendered with ${search.browser.name} (${search.browser.path}, ${search.browser.source}).`
+            };
         } catch (error) {
             console.error('PDF generation requirements not met:', error);
-            return false;
+            return { ready: false, browser: search.browser, message: describeBrowserProblem(search, error) };
         }
     }
 }
@@ -0,0 +1,477 @@
+import * as zlib from 'zlib';
+
+/**
+ * Interface for an indirect object of a PDF file
+ */
+interface PDFObject {
+    /** Object source without its stream data */
+    dict: string;
+    /** Decoded stream data, if the object has a stream */
+    stream?: Buffer;
+}
+
+/**
+ * Interface for what is needed to turn the codes of a font into text
+ */
+interface FontDecoder {
+    /** Bytes per character code: 2 for composite (Type0) fonts */
+    codeLength: 1 | 2;
+    /** Character code to text, from the font's ToUnicode CMap */
+    toUnicode: Map<number, string> | null;
+}
+
+/**
+ * Content stream token
+ */
+type Token =
+    | { type: 'number'; value: number }
+    | { type: 'name'; value: string }
+    | { type: 'string'; value: string }
+    | { type: 'array'; value: Token[] }
+    | { type: 'operator'; value: string };
+
+type Matrix = [number, number, number, number, number, number];
+
+const IDENTITY: Matrix = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Multiply two PDF transformation matrices (m1 applied first)
+ */
+const multiply = (m1: Matrix, m2: Matrix): Matrix => [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+];
+
+/**
+ * Decode hex digits as UTF-16BE, the encoding of ToUnicode CMap targets
+ */
+const utf16 = (hex: string) => (hex.match(/.{1,4}/g) || []).map(unit => String.fromCharCode(parseInt(unit, 16))).join('');
+
+/**
+ * Decode a stream according to its filter; only FlateDecode (what Chromium writes) is supported
+ * @returns Buffer | undefined Undefined for filters that cannot be decoded
+ */
+function decodeStream(dict: string, data: Buffer): Buffer | undefined {
+    const filter = dict.match(/\/Filter\s*\[?\s*\/(\w+)/)?.[1];
+    if (!filter) {
+        return data;
+    }
+    if (filter !== 'FlateDecode') {
+        return undefined;
+    }
+    try {
+        return zlib.inflateSync(data);
+    } catch {
+        // Some writers leave trailing garbage after the compressed data
+        try {
+            return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch {
+            return undefined;
+        }
+    }
+}
+
+/**
+ * Read every indirect object, including those packed in object streams
+ * @param pdf PDF file content
+ * @returns Map<number, PDFObject> Objects by object number
+ */
+function readObjects(pdf: Buffer): Map<number, PDFObject> {
+    const source = pdf.toString('latin1');
+    const objects = new Map<number, PDFObject>();
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+
+    let match: RegExpExecArray | null;
+    while ((match = header.exec(source))) {
+        const start = match.index + match[0].length;
+        const objectEnd = source.indexOf('endobj', start);
+        if (objectEnd === -1) {
+            break;
+        }
+
+        // Stream data is binary and may contain anything, so it is delimited by /Length where possible
+        const streamKeyword = /\bstream(\r\n|\n|\r)/.exec(source.slice(start, objectEnd));
+        if (!streamKeyword) {
+            objects.set(Number(match[1]), { dict: source.slice(start, objectEnd) });
+            header.lastIndex = objectEnd;
+            continue;
+        }
+
+        const dict = source.slice(start, start + streamKeyword.index);
+        const dataStart = start + streamKeyword.index + streamKeyword[0].length;
+        const length = Number(dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/)?.[1]);
+        const declaredEnd = Number.isFinite(length) && /^\s*endstream/.test(source.slice(dataStart + length, dataStart + length + 12))
+            ? dataStart + length
+            : -1;
+        const dataEnd = declaredEnd !== -1 ? declaredEnd : source.indexOf('endstream', dataStart);
+        // Without a usable length, the end-of-line before "endstream" is not part of the data
+        const data = declaredEnd !== -1 ? source.slice(dataStart, dataEnd) : source.slice(dataStart, dataEnd).replace(/(\r\n|\n|\r)$/, '');
+        objects.set(Number(match[1]), { dict, stream: decodeStream(dict, Buffer.from(data, 'latin1')) });
+        header.lastIndex = Math.max(source.indexOf('endobj', dataEnd), dataEnd);
+    }
+
+    // Object streams (PDF 1.5) hold further objects without streams of their own
+    for (const object of [...objects.values()]) {
+        if (!object.stream || !/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+        const count = Number(object.dict.match(/\/N\s+(\d+)/)?.[1] || 0);
+        const first = Number(object.dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+        const content = object.stream.toString('latin1');
+        const offsets = content.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < count; i++) {
+            const end = i + 1 < count ? first + offsets[2 * i + 3] : content.length;
+            if (!objects.has(offsets[2 * i])) {
+                objects.set(offsets[2 * i], { dict: content.slice(first + offsets[2 * i + 1], end) });
+            }
+        }
+    }
+
+    return objects;
+}
+
+/**
+ * Get the raw value of a dictionary key: a nested dictionary, an array, a reference or a single token
+ * @param dict Dictionary source
+ * @param key Key without the slash
+ * @returns string | undefined
+ */
+function dictValue(dict: string, key: string): string | undefined {
+    const match = new RegExp(`/${key}(?![\\w.#-])\\s*`).exec(dict);
+    if (!match) {
+        return undefined;
+    }
+
+    const start = match.index + match[0].length;
+    const rest = dict.slice(start);
+    if (rest.startsWith('<<') || rest.startsWith('[')) {
+        const open = rest.startsWith('<<') ? '<<' : '[';
+        const close = open === '<<' ? '>>' : ']';
+        let depth = 0;
+        for (let i = 0; i < rest.length; i++) {
+            if (rest.startsWith(open, i)) {
+                depth++;
+                i += open.length - 1;
+            } else if (rest.startsWith(close, i)) {
+                depth--;
+                i += close.length - 1;
+                if (depth === 0) return rest.slice(0, i + 1);
+            }
+        }
+        return rest;
+    }
+    return rest.match(/^(\d+\s+\d+\s+R|[^\s/<>[\]()]+|\/[^\s/<>[\]()]+)/)?.[0];
+}
+
+/**
+ * Resolve a value that may be an indirect reference
+ */
+function resolve(value: string | undefined, objects: Map<number, PDFObject>): PDFObject | undefined {
+    if (!value) return undefined;
+    const reference = value.match(/^(\d+)\s+\d+\s+R$/);
+    return reference ? objects.get(Number(reference[1])) : { dict: value };
+}
+
+/**
+ * Object numbers of the references in an array or a single reference
+ */
+const references = (value: string | undefined) => [...(value || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(match => Number(match[1]));
+
+/**
+ * Parse a ToUnicode CMap
+ * @param cmap CMap source
+ * @returns Code length and code-to-text map
+ */
+function parseToUnicode(cmap: string): { codeLength: 1 | 2; map: Map<number, string> } {
+    const map = new Map<number, string>();
+    const codespace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    const codeLength = codespace && codespace[1].length <= 2 ? 1 : 2;
+
+    for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(pair[1], 16), utf16(pair[2]));
+        }
+    }
+    for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            const low = parseInt(range[1], 16);
+            const high = parseInt(range[2], 16);
+            if (range[3].startsWith('[')) {
+                [...range[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((target, index) => map.set(low + index, utf16(target[1])));
+                continue;
+            }
+            // Consecutive codes map to consecutive characters: increment the last UTF-16 unit
+            const target = range[3].slice(1, -1);
+            const prefix = utf16(target.slice(0, -4));
+            const last = parseInt(target.slice(-4), 16);
+            for (let code = low; code <= high && code - low < 65536; code++) {
+                map.set(code, prefix + String.fromCharCode(last + code - low));
+            }
+        }
+    }
+
+    return { codeLength, map };
+}
+
+/**
+ * Build decoders for the fonts of a resource dictionary, by resource name
+ */
+function readFonts(resources: PDFObject | undefined, objects: Map<number, PDFObject>): Map<string, FontDecoder> {
+    const fonts = new Map<string, FontDecoder>();
+    const fontDict = resolve(resources && dictValue(resources.dict, 'Font'), objects);
+    for (const entry of (fontDict?.dict || '').matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const font = objects.get(Number(entry[2]));
+        if (!font) continue;
+        const composite = /\/Subtype\s*\/Type0\b/.test(font.dict);
+        const cmap = resolve(dictValue(font.dict, 'ToUnicode'), objects)?.stream;
+        const parsed = cmap ? parseToUnicode(cmap.toString('latin1')) : null;
+        fonts.set(entry[1], {
+            codeLength: composite ? 2 : parsed?.codeLength || 1,
+            toUnicode: parsed?.map || null
+        });
+    }
+    return fonts;
+}
+
+/**
+ * Split a content stream into operands and operators
+ * @param content Content stream source
+ * @returns Token[]
+ */
+function tokenize(content: string): Token[] {
+    const tokens: Token[] = [];
+    const arrays: Token[][] = [];
+    const push = (token: Token) => (arrays.length > 0 ? arrays[arrays.length - 1] : tokens).push(token);
+
+    let i = 0;
+    while (i < content.length) {
+        const char = content[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (char === '(') {
+            let depth = 1;
+            let value = '';
+            i++;
+            while (i < content.length && depth > 0) {
+                const c = content[i];
+                if (c === '\\') {
+                    const next = content[i + 1];
+                    const escapes: Record<string, string> = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+                    if (/[0-7]/.test(next)) {
+                        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)![0];
+                        value += String.fromCharCode(parseInt(octal, 8));
+                        i += 1 + octal.length;
+                        continue;
+                    }
+                    if (next === '\r' || next === '\n') {
+                        i += content[i + 1] === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                        continue;
+                    }
+                    value += escapes[next] ?? next;
+                    i += 2;
+                    continue;
+                }
+                if (c === '(') depth++;
+                if (c === ')') depth--;
+                if (depth > 0) value += c;
+                i++;
+            }
+            push({ type: 'string', value });
+        } else if (content.startsWith('<<', i)) {
+            // Marked-content property lists; their contents are not text
+            let depth = 0;
+            do {
+                if (content.startsWith('<<', i)) { depth++; i += 2; }
+                else if (content.startsWith('>>', i)) { depth--; i += 2; }
+                else i++;
+            } while (depth > 0 && i < content.length);
+        } else if (char === '<') {
+            const end = content.indexOf('>', i);
+            const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+            push({ type: 'string', value: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') });
+            i = end === -1 ? content.length : end + 1;
+        } else if (char === '[') {
+            arrays.push([]);
+            i++;
+        } else if (char === ']') {
+            const array = arrays.pop() || [];
+            push({ type: 'array', value: array });
+            i++;
+        } else if (char === '/') {
+            const name = content.slice(i + 1).match(/^[^\s/<>[\]()%{}]*/)![0];
+            push({ type: 'name', value: name });
+            i += 1 + name.length;
+        } else {
+            const word = content.slice(i).match(/^[^\s/<>[\]()%{}]+/)?.[0] || char;
+            i += word.length;
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                push({ type: 'number', value: Number(word) });
+            } else if (word === 'BI') {
+                // Inline image data is binary; skip to its end
+                const end = content.indexOf('EI', content.indexOf('ID', i));
+                i = end === -1 ? content.length : end + 2;
+            } else {
+                push({ type: 'operator', value: word });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Extract the text of one page's content streams, one line per baseline
+ * @param content Concatenated content streams
+ * @param fonts Decoders of the page's fonts
+ * @returns string
+ */
+function extractPageText(content: string, fonts: Map<string, FontDecoder>): string {
+    let text = '';
+    let font: FontDecoder | undefined;
+    let ctm: Matrix = IDENTITY;
+    const ctmStack: Matrix[] = [];
+    let textMatrix: Matrix = IDENTITY;
+    let lineMatrix: Matrix = IDENTITY;
+    let leading = 0;
+    let lastY: number | null = null;
+    let moved = false;
+    let operands: Token[] = [];
+
+    const numbers = () => operands.map(token => token.type === 'number' ? token.value : 0);
+    const moveTo = (tx: number, ty: number) => {
+        lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+        textMatrix = lineMatrix;
+        moved = true;
+    };
+    const decode = (bytes: string) => {
+        if (!font) {
+            return bytes;
+        }
+        let result = '';
+        for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+            const code = font.codeLength === 2 ? (bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1) : bytes.charCodeAt(i);
+            // Without a Unicode map, single-byte codes are close enough to Latin-1; glyph ids are not
+            result += font.toUnicode?.get(code) ?? (font.codeLength === 1 ? String.fromCharCode(code) : '�');
+        }
+        return result;
+    };
+    const show = (bytes: string) => {
+        const y = multiply(textMatrix, ctm)[5];
+        if (lastY !== null && Math.abs(y - lastY) > 2) {
+            text = text.replace(/[ \t]+$/, '') + '\n';
+        } else if (moved && text && !/\s$/.test(text)) {
+            text += ' ';
+        }
+        lastY = y;
+        moved = false;
+        text += decode(bytes);
+    };
+
+    for (const token of tokenize(content)) {
+        if (token.type !== 'operator') {
+            operands.push(token);
+            continue;
+        }
+
+        const [a, b, c, d, e, f] = numbers();
+        switch (token.value) {
+            case 'q': ctmStack.push(ctm); break;
+            case 'Q': ctm = ctmStack.pop() || IDENTITY; break;
+            case 'cm': ctm = multiply([a, b, c, d, e, f], ctm); break;
+            case 'BT': textMatrix = lineMatrix = IDENTITY; moved = true; break;
+            case 'Tf': {
+                const name = operands.find(operand => operand.type === 'name');
+                font = name ? fonts.get(name.value as string) : undefined;
+                break;
+            }
+            case 'TL': leading = a; break;
+            case 'Tm': lineMatrix = textMatrix = [a, b, c, d, e, f]; moved = true; break;
+            case 'Td': moveTo(a, b); break;
+            case 'TD': leading = -b; moveTo(a, b); break;
+            case 'T*': moveTo(0, -leading); break;
+            case "'":
+            case '"': {
+                moveTo(0, -leading);
+                const string = operands.filter(operand => operand.type === 'string').pop();
+                if (string) show(string.value as string);
+                break;
+            }
+            case 'Tj': {
+                const string = operands.find(operand => operand.type === 'string');
+                if (string) show(string.value as string);
+                break;
+            }
+            case 'TJ': {
+                const array = operands.find(operand => operand.type === 'array');
+                for (const item of (array?.value as Token[]) || []) {
+                    if (item.type === 'string') {
+                        show(item.value);
+                    } else if (item.type === 'number' && item.value < -250 && !/\s$/.test(text)) {
+                        // A large positioning gap (in thousandths of an em) reads as a space
+                        text += ' ';
+                    }
+                }
+                break;
+            }
+        }
+        operands = [];
+    }
+
+    return text.replace(/[ \t]+$/gm, '');
+}
+
+/**
+ * Extract the text of a PDF the way a resume parser sees it: in content stream order, one line per baseline,
+ * with characters mapped through each font's ToUnicode CMap. Glyphs without a Unicode mapping come out as U+FFFD.
+ * Supports the uncompressed and FlateDecode streams Chromium writes; encrypted files are not supported.
+ * @param pdf PDF file content
+ * @returns string[] Text of each page, in page order
+ * @throws Error when the file is not a PDF
+ */
+export function extractPDFText(pdf: Buffer): string[] {
+    if (!pdf.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+        throw new Error('Not a PDF file');
+    }
+
+    const objects = readObjects(pdf);
+
+    // Pages in document order: walk the page tree from its root, or fall back to object order
+    const pageNumbers: number[] = [];
+    const visit = (number: number, depth: number) => {
+        const node = objects.get(number);
+        if (!node || depth > 32) return;
+        if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+            references(dictValue(node.dict, 'Kids')).forEach(kid => visit(kid, depth + 1));
+        } else if (/\/Type\s*\/Page\b/.test(node.dict)) {
+            pageNumbers.push(number);
+        }
+    };
+    const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.dict));
+    references(catalog && dictValue(catalog.dict, 'Pages')).forEach(root => visit(root, 0));
+    if (pageNumbers.length === 0) {
+        objects.forEach((object, number) => {
+            if (/\/Type\s*\/Page\b/.test(object.dict)) pageNumbers.push(number);
+        });
+    }
+
+    return pageNumbers.map(number => {
+        const page = objects.get(number)!;
+
+        // Resources may be inherited from an ancestor page tree node
+        let node: PDFObject | undefined = page;
+        let resources: PDFObject | undefined;
+        for (let depth = 0; node && !resources && depth < 32; depth++) {
+            resources = resolve(dictValue(node.dict, 'Resources'), objects);
+            node = resolve(dictValue(node.dict, 'Parent'), objects);
+        }
+
+        const content = references(dictValue(page.dict, 'Contents'))
+            .map(reference => objects.get(reference)?.stream?.toString('latin1') || '')
+            .join('\n');
+        return extractPageText(content, readFonts(resources, objects));
+    });
+}
@@ -0,0 +1,228 @@
+import { ResumeData } from './AIService';
+import { getSectionOrder } from './PDFService';
+
+/**
+ * Interface for how tightly a resume is laid out
+ */
+export interface LayoutDensity {
+    /** Narrower page margins and less space between sections and entries */
+    compact: boolean;
+    /** Factor applied to all sizes; below 1 fits more on a page */
+    scale: number;
+}
+
+/**
+ * The style's own layout
+ */
+export const DEFAULT_DENSITY: LayoutDensity = { compact: false, scale: 1 };
+
+/**
+ * Layout changes tried after all content cuts, in order; the smallest scale keeps body text readable
+ */
+const DENSITY_STEPS: { density: LayoutDensity; description: string }[] = [
+    { density: { compact: true, scale: 1 }, description: 'Reduced spacing and page margins' },
+    { density: { compact: true, scale: 0.93 }, description: 'Reduced font size to 93%' },
+    { density: { compact: true, scale: 0.86 }, description: 'Reduced font size to 86%' }
+];
+
+/**
+ * Entries at the top of work history and experience (the most recent) that keep all their bullets
+ */
+const RECENT_ENTRIES = 2;
+
+/**
+ * Projects that are never removed
+ */
+const KEPT_PROJECTS = 2;
+
+/**
+ * Interface for the result of fitting a resume to a page limit
+ */
+export interface PageFitReport {
+    maxPages: number;
+    /** Pages of the resume as it is */
+    originalPages: number;
+    /** Pages of the generated PDF */
+    pages: number;
+    fits: boolean;
+    /** What was removed or shrunk, in the order it was applied */
+    cuts: string[];
+    density: LayoutDensity;
+    /** The resume as it was rendered, without the removed projects and bullets */
+    resumeData: ResumeData;
+}
+
+/**
+ * Interface for one step of fitting; cuts are cumulative, so every step contains the ones before it
+ */
+interface FitStep {
+    resumeData: ResumeData;
+    density: LayoutDensity;
+    cuts: string[];
+}
+
+/**
+ * How much a project adds to a resume: bullets count most, then a description, a link and technologies
+ */
+function projectValue(project: NonNullable<ResumeData['projects']>[number]): number {
+    return (project.highlights || []).length * 2 +
+        (project.description ? 1 : 0) +
+        (project.url ? 1 : 0) +
+        Math.min((project.technologies || []).length, 3) * 0.5;
+}
+
+/**
+ * Plan the fitting steps in priority order: remove the lowest-value projects one at a time, shorten the
+ * bullets of older entries to two and then one, then tighten spacing and reduce the font size.
+ * Only visible sections are cut, and the most recent entries and the best projects are always kept.
+ * @param resumeData Resume data
+ * @returns FitStep[] Cumulative steps, each shorter than the one before
+ */
+function planFitSteps(resumeData: ResumeData): FitStep[] {
+    const visible = new Set(getSectionOrder(resumeData));
+    const steps: FitStep[] = [];
+    let data = resumeData;
+    let cuts: string[] = [];
+    const push = (next: ResumeData, cut: string, density: LayoutDensity = DEFAULT_DENSITY) => {
+        data = next;
+        cuts = [...cuts, cut];
+        steps.push({ resumeData: data, density, cuts });
+    };
+
+    const projects = resumeData.projects || [];
+    if (visible.has('projects') && projects.length > KEPT_PROJECTS) {
+        // Ties go to the project listed last
+        const ranked = projects
+            .map((project, index) => ({ project, index, value: projectValue(project) }))
+            .sort((a, b) => a.value - b.value || b.index - a.index)
+            .slice(0, projects.length - KEPT_PROJECTS);
+        const removed = new Set<number>();
+        for (const { project, index } of ranked) {
+            removed.add(index);
+            push({ ...data, projects: projects.filter((_, position) => !removed.has(position)) }, `Removed project "${project.name}"`);
+        }
+    }
+
+    for (const limit of [2, 1]) {
+        const shortened: string[] = [];
+        // Entries are never removed, so an index still points at the entry in the original resume
+        const shorten = <T>(items: T[], name: string, original: T[] | undefined) => {
+            shortened.push(`${name} (kept ${limit} of ${(original || items).length})`);
+            return items.slice(0, limit);
+        };
+        const next: ResumeData = {
+            ...data,
+            workHistory: visible.has('workHistory') && data.workHistory
+                ? data.workHistory.map((job, index) => index < RECENT_ENTRIES || (job.highlights || []).length <= limit
+                    ? job
+                    : { ...job, highlights: shorten(job.highlights, `${job.position} at ${job.company}`, resumeData.workHistory?.[index]?.highlights) })
+                : data.workHistory,
+            experience: visible.has('experience')
+                ? data.experience.map((exp, index) => index < RECENT_ENTRIES || (exp.achievements || []).length <= limit
+                    ? exp
+                    : { ...exp, achievements: shorten(exp.achievements, exp.projectName, resumeData.experience[index]?.achievements) })
+                : data.experience
+        };
+        if (shortened.length > 0) {
+            push(next, `Shortened older entries to ${limit} bullet${limit === 1 ? '' : 's'}: ${shortened.join(', ')}`);
+        }
+    }
+
+    for (const step of DENSITY_STEPS) {
+        push(data, step.description, step.density);
+    }
+    return steps;
+}
+
+/**
+ * Fit a resume to a page limit. The resume is rendered as it is first; when it is too long, the fitting
+ * steps are searched for the first one that fits, so only as much is cut as needed.
+ * @param resumeData Resume data
+ * @param maxPages Page limit
+ * @param render Renders resume data at a density and counts the pages of the result
+ * @returns Promise with the rendered output and a report of what was cut
+ */
+export async function fitToPages<T>(
+    resumeData: ResumeData,
+    maxPages: number,
+    render: (resumeData: ResumeData, density: LayoutDensity) => Promise<{ output: T; pages: number }>
+): Promise<{ output: T; report: PageFitReport }> {
+    const original = await render(resumeData, DEFAULT_DENSITY);
+    if (original.pages <= maxPages) {
+        return {
+            output: original.output,
+            report: { maxPages, originalPages: original.pages, pages: original.pages, fits: true, cuts: [], density: DEFAULT_DENSITY, resumeData }
+        };
+    }
+
+    // Steps are cumulative, so the page count only goes down along them: binary search for the first that fits
+    const steps = planFitSteps(resumeData);
+    const rendered = new Map<number, { output: T; pages: number }>();
+    let low = 0;
+    let high = steps.length - 1;
+    let fitting: number | undefined;
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        const result = await render(steps[middle].resumeData, steps[middle].density);
+        rendered.set(middle, result);
+        if (result.pages <= maxPages) {
+            fitting = middle;
+            high = middle - 1;
+        } else {
+            low = middle + 1;
+        }
+    }
+
+    // Nothing fits: use the shortest version
+    const index = fitting ?? steps.length - 1;
+    const result = rendered.get(index) || await render(steps[index].resumeData, steps[index].density);
+    return {
+        output: result.output,
+        report: {
+            maxPages,
+            originalPages: original.pages,
+            pages: result.pages,
+            fits: result.pages <= maxPages,
+            cuts: steps[index].cuts,
+            density: steps[index].density,
+            resumeData: steps[index].resumeData
+        }
+    };
+}
+
+/**
+ * Summarize a fit report in one sentence
+ * @param report Page fit report
+ * @returns string
+ */
+export function describePageFit(report: PageFitReport): string {
+    const pages = (count: number) => `${count} page${count === 1 ? '' : 's'}`;
+    if (report.cuts.length === 0) {
+        return `The resume fits on ${pages(report.maxPages)} as it is.`;
+    }
+    return report.fits
+        ? `Fitted from ${pages(report.originalPages)} to ${pages(report.pages)} with ${report.cuts.length} change(s).`
+        : `Still ${pages(report.pages)} after all ${report.cuts.length} change(s), over the limit of ${report.maxPages}.`;
+}
+
+/**
+ * Format a fit report as Markdown
+ * @param report Page fit report
+ * @param fileName Name of the generated PDF
+ * @returns string
+ */
+export function formatPageFitReport(report: PageFitReport, fileName: string): string {
+    return [
+        `# Page fit: ${fileName}`,
+        '',
+        `**${describePageFit(report)}**`,
+        '',
+        ...(report.cuts.length > 0 ? ['## Changes', ...report.cuts.map(cut => `- ${cut}`), ''] : []),
+        ...(report.fits ? [] : [
+            'Hide sections or remove entries with "Edit Resume" to get below the limit.',
+            ''
+        ]),
+        'Only the PDF was shortened; your saved resume data is unchanged.',
+        ''
+    ].join('\n');
+}
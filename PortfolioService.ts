@@ -0,0 +1,592 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import { ResumeData } from './AIService';
+import { ResumeStyle, ResumeSection, getSectionOrder, getSectionTitles } from './PDFService';
+import { escapeHTML, safeURL, renderInlineMarkdown, stripInlineMarkdown } from './SafeHTML';
+
+/**
+ * Portfolio site generation options
+ */
+export interface PortfolioOptions {
+    style: ResumeStyle;
+    /** Folder the site is written to; index.html ends up at its root */
+    outputDir: string;
+    /** Public URL of the site, e.g. https://user.github.io; used for canonical and og:url tags */
+    siteUrl?: string;
+    /** Also write a README.md for a GitHub profile repository */
+    includeProfileReadme?: boolean;
+}
+
+/**
+ * A project with a detail page
+ */
+interface PortfolioProject {
+    slug: string;
+    name: string;
+    description: string;
+    highlights: string[];
+    technologies: string[];
+    /** Project URL, when it is a safe http(s) link */
+    url?: string;
+    duration?: string;
+}
+
+/**
+ * Fonts and accent colors of each style, matching the PDF styles
+ */
+const siteThemes: Record<ResumeStyle, { font: string; accent: string }> = {
+    [ResumeStyle.MODERN]: { font: "'Segoe UI', Roboto, Arial, sans-serif", accent: '#667eea' },
+    [ResumeStyle.CLASSIC]: { font: "Georgia, 'Times New Roman', serif", accent: '#333333' },
+    [ResumeStyle.MINIMAL]: { font: "'Helvetica Neue', Arial, sans-serif", accent: '#333333' },
+    [ResumeStyle.DEVELOPER]: { font: "'SF Mono', Menlo, Consolas, 'Courier New', monospace", accent: '#2d3748' },
+    [ResumeStyle.ATS]: { font: 'Arial, sans-serif', accent: '#000000' }
+};
+
+/**
+ * File in the output folder listing the files the last export wrote, so the next export only removes its own pages
+ */
+export const PORTFOLIO_MANIFEST = '.portfolio-manifest.json';
+
+/**
+ * Page file name of a project name, e.g. "My API (v2)" -> "my-api-v2"
+ */
+const slugify = (name: string) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+
+/**
+ * Plain text shortened to a length for meta descriptions
+ */
+const truncate = (text: string, length: number) => {
+    const plain = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return plain.length <= length ? plain : `${plain.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+/**
+ * Portfolio Service for publishing a resume as a static site
+ */
+export class PortfolioService {
+    private workspaceRoot: string;
+
+    constructor(workspaceRoot: string) {
+        this.workspaceRoot = workspaceRoot;
+    }
+
+    /**
+     * Write the portfolio site: index.html, a page per project, the stylesheet and, optionally, a profile README.
+     * Pages the previous export wrote and this one does not, e.g. of renamed projects, are removed; other files
+     * in the folder are left alone.
+     * @param resumeData Resume data structure
+     * @param options Portfolio generation options
+     * @param endorsements Skill endorsements, written as text
+     * @returns Promise<string[]> Paths of the written files
+     */
+    async generatePortfolio(resumeData: ResumeData, options: PortfolioOptions, endorsements?: Record<string, string[]>): Promise<string[]> {
+        try {
+            const projects = this.collectProjects(resumeData);
+            const theme = siteThemes[options.style] || siteThemes[ResumeStyle.MODERN];
+            const files: { name: string; content: string }[] = [
+                { name: 'index.html', content: this.generateIndex(resumeData, projects, options, endorsements) },
+                { name: 'style.css', content: this.getCSS(theme) },
+                // Serve the files as they are instead of running them through Jekyll
+                { name: '.nojekyll', content: '' },
+                ...projects.map(project => ({
+                    name: `projects/${project.slug}.html`,
+                    content: this.generateProjectPage(resumeData, project, options)
+                }))
+            ];
+            if (options.includeProfileReadme) {
+                files.push({ name: 'README.md', content: this.generateProfileReadme(resumeData, projects, options) });
+            }
+
+            const names = files.map(file => file.name);
+            for (const name of await this.readManifest(options.outputDir) || []) {
+                if (!names.includes(name)) {
+                    await fs.promises.rm(path.join(options.outputDir, name), { force: true });
+                }
+            }
+
+            await fs.promises.mkdir(path.join(options.outputDir, 'projects'), { recursive: true });
+            const written: string[] = [];
+            for (const file of files) {
+                const filePath = path.join(options.outputDir, file.name);
+                await fs.promises.writeFile(filePath, file.content, 'utf8');
+                written.push(filePath);
+            }
+            await fs.promises.writeFile(path.join(options.outputDir, PORTFOLIO_MANIFEST), JSON.stringify(names, null, 2), 'utf8');
+
+            return written;
+
+        } catch (error) {
+            console.error('Error generating portfolio:', error);
+            throw new Error(`Failed to generate portfolio: ${error}`);
+        }
+    }
+
+    /**
+     * Whether a folder holds files that no portfolio export wrote, e.g. the user's own site
+     * @param outputDir Folder the site would be written to
+     * @returns Promise<boolean> False for a missing or empty folder and for the output of an earlier export
+     */
+    async holdsOtherFiles(outputDir: string): Promise<boolean> {
+        let entries: string[];
+        try {
+            entries = await fs.promises.readdir(outputDir);
+        } catch {
+            return false;
+        }
+        return entries.length > 0 && !(await this.readManifest(outputDir));
+    }
+
+    /**
+     * Files the previous export wrote, relative to the output folder. Names that lead out of the
+     * folder or back to it are dropped, so a tampered manifest cannot remove other files
+     */
+    private async readManifest(outputDir: string): Promise<string[] | undefined> {
+        try {
+            const names = JSON.parse(await fs.promises.readFile(path.join(outputDir, PORTFOLIO_MANIFEST), 'utf8'));
+            if (!Array.isArray(names)) {
+                return undefined;
+            }
+            return names.filter((name): name is string => {
+                if (typeof name !== 'string') {
+                    return false;
+                }
+                const relative = path.relative(outputDir, path.resolve(outputDir, name));
+                return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+            });
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Collect the projects and experience entries, each with a unique page slug; an experience entry
+     * and a project of the same name share one page
+     */
+    private collectProjects(resumeData: ResumeData): PortfolioProject[] {
+        const projects: PortfolioProject[] = [];
+        const add = (project: Omit<PortfolioProject, 'slug'>) => {
+            const existing = projects.find(candidate => candidate.name.toLowerCase() === project.name.toLowerCase());
+            if (existing) {
+                existing.url = existing.url || project.url;
+                existing.duration = existing.duration || project.duration;
+                existing.highlights = [...new Set([...existing.highlights, ...project.highlights])];
+                existing.technologies = [...new Set([...existing.technologies, ...project.technologies])];
+                return;
+            }
+            let slug = slugify(project.name);
+            for (let n = 2; projects.some(candidate => candidate.slug === slug); n++) {
+                slug = `${slugify(project.name)}-${n}`;
+            }
+            projects.push({ ...project, slug });
+        };
+
+        (resumeData.projects || []).filter(project => project.name).forEach(project => add({
+            name: project.name,
+            description: project.description || '',
+            highlights: project.highlights || [],
+            technologies: project.technologies || [],
+            url: safeURL(project.url)
+        }));
+        (resumeData.experience || []).filter(exp => exp.projectName).forEach(exp => add({
+            name: exp.projectName,
+            description: exp.description || '',
+            highlights: exp.achievements || [],
+            technologies: exp.technologies || [],
+            duration: exp.duration
+        }));
+        return projects;
+    }
+
+    /**
+     * Generate a complete page with Open Graph tags
+     * @param title Page title
+     * @param description Meta and Open Graph description
+     * @param pagePath Path of the page within the site, for og:url
+     * @param body Page content
+     * @param options Portfolio generation options
+     * @param type Open Graph type
+     */
+    private page(title: string, description: string, pagePath: string, body: string, options: PortfolioOptions, type: 'profile' | 'article'): string {
+        const siteUrl = safeURL(options.siteUrl)?.replace(/\/+$/, '');
+        const pageUrl = siteUrl ? `${siteUrl}/${pagePath === 'index.html' ? '' : pagePath}` : undefined;
+        const root = pagePath.includes('/') ? '../' : '';
+        const meta = truncate(description, 200);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)}</title>
+    <meta name="description" content="${escapeHTML(meta)}">
+    <meta property="og:title" content="${escapeHTML(title)}">
+    <meta property="og:description" content="${escapeHTML(meta)}">
+    <meta property="og:type" content="${type}">
+${pageUrl ? `    <meta property="og:url" content="${escapeHTML(pageUrl)}">
+    <link rel="canonical" href="${escapeHTML(pageUrl)}">
+` : ''}    <meta name="twitter:card" content="summary">
+    <link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Generate the home page: header, sections in resume order and project cards linking to the detail pages
+     */
+    private generateIndex(resumeData: ResumeData, projects: PortfolioProject[], options: PortfolioOptions, endorsements?: Record<string, string[]>): string {
+        const titles = getSectionTitles(options.style);
+        const info = resumeData.personalInfo;
+        const cards = (names: string[]) => names
+            .map(name => projects.find(project => project.name.toLowerCase() === name.toLowerCase()))
+            .filter((project, index, all): project is PortfolioProject => !!project && all.indexOf(project) === index)
+            .map(project => `
+            <a class="card" href="projects/${project.slug}.html">
+                <h3>${escapeHTML(project.name)}</h3>
+                ${project.duration ? `<div class="meta">${escapeHTML(project.duration)}</div>` : ''}
+                <p>${escapeHTML(truncate(project.description, 160))}</p>
+                ${this.tags(project.technologies.slice(0, 6))}
+            </a>`).join('');
+
+        const sections: Record<ResumeSection, () => string> = {
+            summary: () => resumeData.summary ? `<p class="summary">${escapeHTML(resumeData.summary)}</p>` : '',
+            skills: () => this.generateSkills(resumeData.skills, endorsements),
+            workHistory: () => (resumeData.workHistory || []).map(job => this.entry(
+                `${job.position} - ${job.company}${job.location ? `, ${job.location}` : ''}`,
+                `${job.startDate} - ${job.endDate || 'Present'}`,
+                job.summary,
+                job.highlights
+            )).join(''),
+            experience: () => {
+                const content = cards((resumeData.experience || []).map(exp => exp.projectName));
+                return content ? `<div class="cards">${content}</div>` : '';
+            },
+            projects: () => {
+                const content = cards((resumeData.projects || []).map(project => project.name));
+                return content ? `<div class="cards">${content}</div>` : '';
+            },
+            education: () => (resumeData.education || []).map(entry => this.entry(
+                `${entry.degree}${entry.field ? ` in ${entry.field}` : ''} - ${entry.institution}`,
+                [entry.startDate, entry.endDate].filter(Boolean).join(' - '),
+                undefined,
+                entry.details
+            )).join(''),
+            certifications: () => (resumeData.certifications || []).length > 0 ? `<ul>${resumeData.certifications!.map(cert =>
+                `<li>${this.link(cert.name, cert.url)}${cert.issuer ? ` - ${escapeHTML(cert.issuer)}` : ''}${cert.date ? ` (${escapeHTML(cert.date)})` : ''}</li>`
+            ).join('')}</ul>` : ''
+        };
+
+        const body = `    <header class="header">
+        <h1>${escapeHTML(info.name)}</h1>
+        ${info.title ? `<p class="title">${escapeHTML(info.title)}</p>` : ''}
+        ${this.contactLinks(resumeData)}
+    </header>
+    <main>
+${getSectionOrder(resumeData).map(section => {
+        const content = sections[section]();
+        return content ? `        <section id="${section}">
+            <h2>${escapeHTML(titles[section])}</h2>
+            ${content}
+        </section>
+` : '';
+    }).join('')}    </main>`;
+
+        return this.page(
+            `${info.name}${info.title ? ` - ${info.title}` : ''}`,
+            resumeData.summary || `${info.name}, ${info.title}`,
+            'index.html',
+            body,
+            options,
+            'profile'
+        );
+    }
+
+    /**
+     * Generate the detail page of a project
+     */
+    private generateProjectPage(resumeData: ResumeData, project: PortfolioProject, options: PortfolioOptions): string {
+        const body = `    <header class="header">
+        <a class="back" href="../index.html">&larr; ${escapeHTML(resumeData.personalInfo.name)}</a>
+        <h1>${escapeHTML(project.name)}</h1>
+        ${project.duration ? `<p class="title">${escapeHTML(project.duration)}</p>` : ''}
+        ${project.url ? `<p>${this.link(project.url.replace(/^https?:\/\//, ''), project.url)}</p>` : ''}
+    </header>
+    <main>
+        <section>
+            ${project.description ? `<p class="summary">${escapeHTML(project.description)}</p>` : ''}
+            ${project.highlights.length > 0 ? `<h2>Highlights</h2>
+            <ul>${project.highlights.map(highlight => `<li>${renderInlineMarkdown(highlight)}</li>`).join('')}</ul>` : ''}
+            ${project.technologies.length > 0 ? `<h2>Technologies</h2>
+            ${this.tags(project.technologies)}` : ''}
+        </section>
+    </main>`;
+
+        return this.page(
+            `${project.name} - ${resumeData.personalInfo.name}`,
+            project.description || stripInlineMarkdown(project.highlights[0] || '') || project.name,
+            `projects/${project.slug}.html`,
+            body,
+            options,
+            'article'
+        );
+    }
+
+    /**
+     * Generate a README.md for a GitHub profile repository (a repository named after the user)
+     */
+    private generateProfileReadme(resumeData: ResumeData, projects: PortfolioProject[], options: PortfolioOptions): string {
+        const info = resumeData.personalInfo;
+        const siteUrl = safeURL(options.siteUrl)?.replace(/\/+$/, '');
+        const skills = Object.values(resumeData.skills || {}).flat().filter(Boolean);
+        const contact = [
+            info.website && safeURL(info.website) ? `[Website](${safeURL(info.website)})` : '',
+            siteUrl ? `[Portfolio](${siteUrl}/)` : '',
+            info.email ? `[Email](mailto:${info.email})` : '',
+            ...(resumeData.links || []).filter(link => safeURL(link.url)).map(link => `[${link.label}](${safeURL(link.url)})`)
+        ].filter(Boolean);
+
+        return [
+            `# Hi, I'm ${info.name}`,
+            '',
+            ...(info.title ? [`**${info.title}**${info.location ? ` · ${info.location}` : ''}`, ''] : []),
+            ...(resumeData.summary ? [resumeData.summary, ''] : []),
+            ...(skills.length > 0 ? ['## Tech I work with', '', skills.map(skill => `\`${skill}\``).join(' '), ''] : []),
+            ...(projects.length > 0 ? [
+                '## Projects',
+                '',
+                ...projects.slice(0, 6).map(project => {
+                    const target = project.url || (siteUrl ? `${siteUrl}/projects/${project.slug}.html` : '');
+                    const name = target ? `[${project.name}](${target})` : `**${project.name}**`;
+                    return `- ${name}${project.description ? ` - ${truncate(project.description, 120)}` : ''}`;
+                }),
+                ''
+            ] : []),
+            ...(contact.length > 0 ? ['## Contact', '', contact.join(' · '), ''] : [])
+        ].join('\n');
+    }
+
+    /**
+     * Generate the skill categories as tag lists
+     */
+    private generateSkills(skills: ResumeData['skills'], endorsements?: Record<string, string[]>): string {
+        const categories = [
+            { title: 'Programming Languages', items: skills?.technical || [] },
+            { title: 'Frameworks & Libraries', items: skills?.frameworks || [] },
+            { title: 'Tools & Technologies', items: skills?.tools || [] },
+            { title: 'Databases', items: skills?.databases || [] }
+        ];
+
+        return categories
+            .filter(category => Array.isArray(category.items) && category.items.length > 0)
+            .map(category => `<div class="skill-category">
+                <h3>${escapeHTML(category.title)}</h3>
+                ${this.tags(category.items.map(skill => {
+                    const endorsers = endorsements && endorsements[skill];
+                    return endorsers && endorsers.length > 0 ? `${skill} (endorsed by ${endorsers.length})` : skill;
+                }))}
+            </div>`).join('');
+    }
+
+    /**
+     * Generate a dated entry with its bullets
+     */
+    private entry(title: string, dates: string, summary: string | undefined, bullets: string[] | undefined): string {
+        return `<div class="entry">
+                <div class="entry-header"><h3>${escapeHTML(title)}</h3>${dates ? `<span class="meta">${escapeHTML(dates)}</span>` : ''}</div>
+                ${summary ? `<p>${escapeHTML(summary)}</p>` : ''}
+                ${bullets && bullets.length > 0 ? `<ul>${bullets.map(bullet => `<li>${renderInlineMarkdown(bullet)}</li>`).join('')}</ul>` : ''}
+            </div>`;
+    }
+
+    /**
+     * Generate a tag list
+     */
+    private tags(items: string[]): string {
+        return items.length > 0 ? `<ul class="tags">${items.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>` : '';
+    }
+
+    /**
+     * Generate a link, or plain text when the URL is not http(s) or mailto
+     */
+    private link(text: string, url: string | undefined): string {
+        const href = safeURL(url);
+        return href ? `<a href="${escapeHTML(href)}" rel="noopener">${escapeHTML(text)}</a>` : escapeHTML(text);
+    }
+
+    /**
+     * Generate the contact links of the header
+     */
+    private contactLinks(resumeData: ResumeData): string {
+        const info = resumeData.personalInfo;
+        const github = info.github && !/^https?:\/\//.test(info.github) && !info.github.includes('.')
+            ? `https://github.com/${info.github}`
+            : info.github;
+        const links = [
+            info.email ? this.link(info.email, `mailto:${info.email}`) : '',
+            info.phone ? escapeHTML(info.phone) : '',
+            info.location ? escapeHTML(info.location) : '',
+            github ? this.link('GitHub', github) : '',
+            info.website ? this.link(info.website.replace(/^https?:\/\//, ''), info.website) : '',
+            ...(resumeData.links || []).map(link => this.link(link.label, link.url))
+        ].filter(Boolean);
+        return links.length > 0 ? `<ul class="contact">${links.map(link => `<li>${link}</li>`).join('')}</ul>` : '';
+    }
+
+    /**
+     * Get the responsive stylesheet of the site
+     */
+    private getCSS(theme: typeof siteThemes[ResumeStyle]): string {
+        return `:root {
+    --accent: ${theme.accent};
+    --text: #222;
+    --muted: #666;
+    --border: #e2e2e2;
+}
+
+* {
+    box-sizing: border-box;
+}
+
+body {
+    margin: 0 auto;
+    max-width: 960px;
+    padding: 2rem 1.25rem;
+    font-family: ${theme.font};
+    line-height: 1.6;
+    color: var(--text);
+}
+
+a {
+    color: var(--accent);
+}
+
+h1 {
+    margin: 0;
+    font-size: 2.25rem;
+    line-height: 1.2;
+}
+
+h2 {
+    margin: 2.5rem 0 1rem;
+    padding-bottom: 0.25rem;
+    border-bottom: 2px solid var(--accent);
+    font-size: 1.35rem;
+}
+
+h3 {
+    margin: 0 0 0.25rem;
+    font-size: 1.05rem;
+}
+
+.header .title {
+    margin: 0.25rem 0 0.75rem;
+    font-size: 1.2rem;
+    color: var(--muted);
+}
+
+.back {
+    display: inline-block;
+    margin-bottom: 1rem;
+    text-decoration: none;
+}
+
+.contact,
+.tags {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem 1rem;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+}
+
+.tags {
+    gap: 0.4rem;
+    margin-top: 0.5rem;
+}
+
+.tags li {
+    padding: 0.1rem 0.6rem;
+    border: 1px solid var(--border);
+    border-radius: 999px;
+    font-size: 0.85rem;
+}
+
+.summary {
+    font-size: 1.1rem;
+}
+
+.skill-category {
+    margin-bottom: 1rem;
+}
+
+.entry {
+    margin-bottom: 1.5rem;
+}
+
+.entry-header {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: space-between;
+    gap: 0 1rem;
+}
+
+.meta {
+    font-size: 0.9rem;
+    color: var(--muted);
+}
+
+.cards {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+    gap: 1rem;
+}
+
+.card {
+    display: block;
+    padding: 1.25rem;
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    color: inherit;
+    text-decoration: none;
+    transition: border-color 0.2s;
+}
+
+.card:hover,
+.card:focus {
+    border-color: var(--accent);
+}
+
+.card h3 {
+    color: var(--accent);
+}
+
+.card p {
+    margin: 0.5rem 0 0;
+}
+
+@media (max-width: 600px) {
+    body {
+        padding: 1.25rem 1rem;
+    }
+
+    h1 {
+        font-size: 1.75rem;
+    }
+}
+
+@media print {
+    .back {
+        display: none;
+    }
+
+    .card {
+        break-inside: avoid;
+    }
+}
+`;
+    }
+}
@@ -0,0 +1,225 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { ResumeData } from './AIService';
+import { JsonResume } from './JsonResume';
+
+/**
+ * Current version of the resume profile format; bump it and extend `migrateProfile` when the shape changes
+ */
+export const PROFILE_VERSION = 1;
+
+/**
+ * File name of the resume profile, both in the workspace and in global storage
+ */
+export const PROFILE_FILE_NAME = '.resume.json';
+
+/**
+ * Interface for the GitHub profile saved by the "Import from GitHub" command
+ */
+export interface GitHubProfileData {
+    username: string;
+    name?: string | null;
+    email?: string | null;
+    bio?: string | null;
+    company?: string | null;
+    location?: string | null;
+    blog?: string | null;
+    githubUrl?: string;
+    languages: string[];
+    repos: { name: string; description: string | null; url: string; language: string | null }[];
+}
+
+/**
+ * Interface for the persistent resume profile (.resume.json).
+ * Same shape as ResumeData with every field optional; anything set here wins over generated content.
+ */
+export interface ResumeProfile {
+    $schema?: string;
+    version: number;
+    /** Preferred resume style (see ResumeStyle) */
+    style?: string;
+    /** Preferred user-defined theme (folder name, see ThemeService); replaces the style where themes apply */
+    theme?: string;
+    personalInfo?: Partial<ResumeData['personalInfo']>;
+    summary?: string;
+    skills?: Partial<ResumeData['skills']>;
+    experience?: ResumeData['experience'];
+    projects?: ResumeData['projects'];
+    education?: ResumeData['education'];
+    workHistory?: ResumeData['workHistory'];
+    certifications?: ResumeData['certifications'];
+    links?: ResumeData['links'];
+    sectionOrder?: ResumeData['sectionOrder'];
+    hiddenSections?: ResumeData['hiddenSections'];
+    githubData?: GitHubProfileData;
+    /** Imported JSON Resume document, kept so exports preserve fields the profile does not map */
+    jsonResume?: JsonResume;
+}
+
+/**
+ * Where a new profile is created when none exists yet
+ */
+export type ProfileLocation = 'workspace' | 'global';
+
+/**
+ * Service for reading and writing the persistent resume profile
+ */
+export class ProfileService {
+    private workspaceRoot: string;
+    private globalStoragePath: string;
+
+    constructor(workspaceRoot: string, globalStoragePath: string) {
+        this.workspaceRoot = workspaceRoot;
+        this.globalStoragePath = globalStoragePath;
+    }
+
+    /**
+     * Get the path of the active profile: the workspace file if present, else the global one if present,
+     * else where a new profile would be created
+     * @param preferredLocation Location for a new profile
+     * @returns string
+     */
+    getProfilePath(preferredLocation: ProfileLocation = 'workspace'): string {
+        const workspacePath = path.join(this.workspaceRoot, PROFILE_FILE_NAME);
+        const globalPath = path.join(this.globalStoragePath, PROFILE_FILE_NAME);
+
+        if (fs.existsSync(workspacePath)) {
+            return workspacePath;
+        }
+        if (fs.existsSync(globalPath)) {
+            return globalPath;
+        }
+        return preferredLocation === 'global' ? globalPath : workspacePath;
+    }
+
+    /**
+     * Read the profile
+     * @returns Promise<ResumeProfile | null> Null when no profile exists yet
+     * @throws Error when the file exists but is not a valid profile, so it is never overwritten by accident
+     */
+    async readProfile(): Promise<ResumeProfile | null> {
+        const profilePath = this.getProfilePath();
+        if (!fs.existsSync(profilePath)) {
+            return null;
+        }
+
+        let profile: any;
+        try {
+            profile = JSON.parse(await fs.promises.readFile(profilePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid resume profile ${profilePath}: ${error instanceof Error ? error.message : error}`);
+        }
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error(`Invalid resume profile ${profilePath}: expected a JSON object`);
+        }
+
+        return migrateProfile(profile);
+    }
+
+    /**
+     * Write the profile, creating the storage directory if needed
+     * @param profile Profile to save
+     * @param preferredLocation Location for a new profile
+     * @returns Promise<string> Path of the written file
+     */
+    async saveProfile(profile: ResumeProfile, preferredLocation: ProfileLocation = 'workspace'): Promise<string> {
+        const profilePath = this.getProfilePath(preferredLocation);
+        await fs.promises.mkdir(path.dirname(profilePath), { recursive: true });
+        await fs.promises.writeFile(profilePath, JSON.stringify({ ...profile, version: PROFILE_VERSION }, null, 2) + '\n', 'utf8');
+        return profilePath;
+    }
+
+    /**
+     * Merge fields into the stored profile (top-level objects are merged one level deep) and save it
+     * @param changes Fields to set
+     * @param preferredLocation Location for a new profile
+     * @returns Promise<ResumeProfile> The saved profile
+     */
+    async updateProfile(changes: Partial<ResumeProfile>, preferredLocation: ProfileLocation = 'workspace'): Promise<ResumeProfile> {
+        const profile = (await this.readProfile()) || createEmptyProfile();
+        const updated: any = { ...profile };
+
+        for (const [key, value] of Object.entries(changes)) {
+            const current = updated[key];
+            const isObject = (item: unknown): item is object => !!item && typeof item === 'object' && !Array.isArray(item);
+            updated[key] = isObject(current) && isObject(value) ? { ...current, ...value } : value;
+        }
+
+        await this.saveProfile(updated, preferredLocation);
+        return updated;
+    }
+}
+
+/**
+ * Create an empty profile of the current version
+ * @returns ResumeProfile
+ */
+export function createEmptyProfile(): ResumeProfile {
+    return {
+        version: PROFILE_VERSION,
+        personalInfo: {},
+        skills: {},
+        education: [],
+        workHistory: [],
+        certifications: [],
+        links: []
+    };
+}
+
+/**
+ * Upgrade a profile read from disk to the current version
+ * @param profile Parsed profile of any version
+ * @returns ResumeProfile
+ * @throws Error when the profile was written by a newer version of the extension
+ */
+export function migrateProfile(profile: any): ResumeProfile {
+    const version = typeof profile.version === 'number' ? profile.version : 1;
+    if (version > PROFILE_VERSION) {
+        throw new Error(`Resume profile version ${version} is newer than supported version ${PROFILE_VERSION}; please update the extension`);
+    }
+
+    return { ...profile, version: PROFILE_VERSION };
+}
+
+/**
+ * Merge the profile into generated resume data; manual fields take precedence over generated ones.
+ * Experience and project entries with the same name are replaced by the profile's version.
+ * @param resumeData Generated resume data
+ * @param profile Stored profile
+ * @returns ResumeData
+ */
+export function applyProfile(resumeData: ResumeData, profile: ResumeProfile | null): ResumeData {
+    if (!profile) {
+        return resumeData;
+    }
+
+    const filled = Object.fromEntries(
+        Object.entries(profile.personalInfo || {}).filter(([, value]) => typeof value === 'string' && value.trim() !== '')
+    );
+    const mergeList = (manual: string[] | undefined, generated: string[] | undefined) =>
+        [...new Set([...(manual || []), ...(generated || [])])];
+    const mergeEntries = <T>(manual: T[] | undefined, generated: T[] | undefined, key: (entry: T) => string) => {
+        const names = new Set((manual || []).map(entry => key(entry).toLowerCase()));
+        return [...(manual || []), ...(generated || []).filter(entry => !names.has(key(entry).toLowerCase()))];
+    };
+
+    return {
+        ...resumeData,
+        personalInfo: { ...resumeData.personalInfo, ...filled },
+        summary: profile.summary?.trim() ? profile.summary : resumeData.summary,
+        skills: {
+            technical: mergeList(profile.skills?.technical, resumeData.skills?.technical),
+            frameworks: mergeList(profile.skills?.frameworks, resumeData.skills?.frameworks),
+            tools: mergeList(profile.skills?.tools, resumeData.skills?.tools),
+            databases: mergeList(profile.skills?.databases, resumeData.skills?.databases)
+        },
+        experience: mergeEntries(profile.experience, resumeData.experience, entry => entry.projectName),
+        projects: mergeEntries(profile.projects, resumeData.projects, entry => entry.name),
+        education: profile.education?.length ? profile.education : resumeData.education,
+        workHistory: profile.workHistory?.length ? profile.workHistory : resumeData.workHistory,
+        certifications: profile.certifications?.length ? profile.certifications : resumeData.certifications,
+        links: profile.links?.length ? profile.links : resumeData.links,
+        sectionOrder: profile.sectionOrder?.length ? profile.sectionOrder : resumeData.sectionOrder,
+        hiddenSections: profile.hiddenSections || resumeData.hiddenSections
+    };
+}
@@ -0,0 +1,602 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { ResumeData } from './AIService';
+import { FileService } from './FileService';
+import { PDFService, ResumeStyle, PDFOptions, PDFResult, RESUME_SECTIONS } from './PDFService';
+import { ResumeTheme } from './ThemeService';
+import { describePageFit } from './PageFitting';
+
+/**
+ * File the editor saves the resume data to, in the workspace root
+ */
+export const RESUME_DATA_FILE = 'resume-data.json';
+
+/**
+ * Workspace state key of the last generated or edited resume
+ */
+export const LAST_RESUME_KEY = 'resumeGenerator.lastResume';
+
+/**
+ * Workspace state key of the resumes that PDFs were shortened to, by PDF path
+ */
+export const FITTED_RESUMES_KEY = 'resumeGenerator.fittedResumes';
+
+/**
+ * Interface for the resume a PDF was shortened to, with the modification time of the PDF it belongs to
+ */
+interface FittedResume {
+    resumeData: ResumeData;
+    modified: number;
+}
+
+/**
+ * Remember what a generated PDF contains when it was shortened to fit the page limit, so checks
+ * of the PDF compare against the shortened resume instead of the saved one
+ * @param context Extension context
+ * @param pdf Generated PDF
+ */
+export async function rememberFittedResume(context: vscode.ExtensionContext, pdf: PDFResult): Promise<void> {
+    const fitted = { ...context.workspaceState.get<Record<string, FittedResume>>(FITTED_RESUMES_KEY) };
+    // Keyed like the paths of the file dialog (drive letters are lowercased on Windows)
+    const key = vscode.Uri.file(pdf.outputPath).fsPath;
+    if (pdf.fit && pdf.fit.cuts.length > 0) {
+        fitted[key] = { resumeData: pdf.fit.resumeData, modified: fs.statSync(pdf.outputPath).mtimeMs };
+    } else {
+        delete fitted[key];
+    }
+    await context.workspaceState.update(FITTED_RESUMES_KEY, fitted);
+}
+
+/**
+ * Get the resume a PDF was shortened to
+ * @param context Extension context
+ * @param pdfPath Path of the PDF
+ * @returns ResumeData | undefined Undefined when the PDF was not shortened or has been replaced since
+ */
+export function getFittedResume(context: vscode.ExtensionContext, pdfPath: string): ResumeData | undefined {
+    const fitted = context.workspaceState.get<Record<string, FittedResume>>(FITTED_RESUMES_KEY)?.[vscode.Uri.file(pdfPath).fsPath];
+    try {
+        return fitted && fs.statSync(pdfPath).mtimeMs === fitted.modified ? fitted.resumeData : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Interface for the resume data file
+ */
+export interface ResumeDataFile {
+    version: number;
+    style: ResumeStyle;
+    /** User-defined theme (folder name) the resume is rendered with, if any */
+    theme?: string;
+    /** Set when the resume was saved from the editor, so generating again does not silently replace the edits */
+    edited?: boolean;
+    resume: ResumeData;
+}
+
+/**
+ * Read the saved resume data file of a workspace
+ * @param workspaceRoot Workspace root path
+ * @returns Promise<ResumeDataFile | null> Null when the workspace has no data file
+ * @throws Error when the file is not valid JSON
+ */
+export async function readResumeDataFile(workspaceRoot: string): Promise<ResumeDataFile | null> {
+    const filePath = path.join(workspaceRoot, RESUME_DATA_FILE);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const content = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const style = Object.values(ResumeStyle).find(candidate => candidate === content.style) || ResumeStyle.MODERN;
+    const theme = typeof content.theme === 'string' && content.theme ? content.theme : undefined;
+    return { version: content.version || 1, style, theme, edited: content.edited === true, resume: content.resume };
+}
+
+/**
+ * Save the resume data file of a workspace
+ * @param workspaceRoot Workspace root path
+ * @param resume Resume data
+ * @param style Resume style
+ * @param theme User-defined theme (folder name)
+ * @param edited Whether the resume was edited by the user rather than generated
+ * @returns Promise<string> Path of the written file
+ */
+export async function saveResumeDataFile(workspaceRoot: string, resume: ResumeData, style: ResumeStyle, theme?: string, edited: boolean = false): Promise<string> {
+    const filePath = path.join(workspaceRoot, RESUME_DATA_FILE);
+    const file: ResumeDataFile = { version: 1, style, ...(theme ? { theme } : {}), ...(edited ? { edited } : {}), resume };
+    await fs.promises.writeFile(filePath, JSON.stringify(file, null, 2) + '\n', 'utf8');
+    return filePath;
+}
+
+/**
+ * Webview panel for editing a generated resume with a live preview.
+ * Edits never call the AI service; exporting renders the edited data directly.
+ */
+export class ResumeEditorPanel {
+    private static currentPanel: ResumeEditorPanel | undefined;
+
+    private panel: vscode.WebviewPanel;
+    private context: vscode.ExtensionContext;
+    private workspaceRoot: string;
+    private resumeData: ResumeData;
+    private style: ResumeStyle;
+    /** Theme replacing the style, if one is selected */
+    private theme: ResumeTheme | undefined;
+    /** Themes offered next to the built-in styles */
+    private themes: ResumeTheme[];
+    private disposables: vscode.Disposable[] = [];
+
+    /**
+     * Open the editor, or load new data into the one already open
+     * @param context Extension context
+     * @param workspaceRoot Workspace root path (data file and PDF location)
+     * @param resumeData Resume to edit
+     * @param style Initial resume style
+     * @param theme Initial theme, which replaces the style
+     * @param themes Themes to offer next to the built-in styles
+     */
+    static show(context: vscode.ExtensionContext, workspaceRoot: string, resumeData: ResumeData, style: ResumeStyle, theme?: ResumeTheme, themes: ResumeTheme[] = []): void {
+        if (ResumeEditorPanel.currentPanel) {
+            const current = ResumeEditorPanel.currentPanel;
+            current.workspaceRoot = workspaceRoot;
+            current.resumeData = resumeData;
+            current.style = style;
+            current.theme = theme;
+            current.themes = themes;
+            current.panel.reveal(vscode.ViewColumn.One);
+            current.postLoad();
+            return;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            'resumeEditor',
+            'Resume Editor',
+            vscode.ViewColumn.One,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: []
+            }
+        );
+        ResumeEditorPanel.currentPanel = new ResumeEditorPanel(panel, context, workspaceRoot, resumeData, style, theme, themes);
+    }
+
+    private constructor(panel: vscode.WebviewPanel, context: vscode.ExtensionContext, workspaceRoot: string, resumeData: ResumeData, style: ResumeStyle, theme: ResumeTheme | undefined, themes: ResumeTheme[]) {
+        this.panel = panel;
+        this.context = context;
+        this.workspaceRoot = workspaceRoot;
+        this.resumeData = resumeData;
+        this.style = style;
+        this.theme = theme;
+        this.themes = themes;
+
+        this.panel.webview.html = this.getEditorHTML();
+        this.panel.onDidDispose(() => this.dispose(), null, this.disposables);
+        this.panel.webview.onDidReceiveMessage(message => this.handleMessage(message), null, this.disposables);
+    }
+
+    /**
+     * Handle a message from the webview
+     * @param message Message with a `type`, the edited resume and the selected style, or "theme:<id>" for a theme
+     */
+    private async handleMessage(message: { type: string; data?: ResumeData; style?: string }): Promise<void> {
+        if (message.data) {
+            this.resumeData = message.data;
+        }
+        const theme = this.themes.find(candidate => message.style === `theme:${candidate.id}`);
+        const style = Object.values(ResumeStyle).find(candidate => candidate === message.style);
+        if (theme) {
+            this.theme = theme;
+            this.style = theme.baseStyle;
+        } else if (style) {
+            this.theme = undefined;
+            this.style = style;
+        }
+
+        switch (message.type) {
+            case 'ready':
+                this.postLoad();
+                break;
+            case 'update':
+                this.postPreview();
+                break;
+            case 'save':
+                await this.save();
+                break;
+            case 'export':
+                await this.exportPDF();
+                break;
+        }
+    }
+
+    /**
+     * Send the resume and editor options to the webview
+     */
+    private postLoad(): void {
+        this.panel.webview.postMessage({
+            type: 'load',
+            data: this.resumeData,
+            style: this.theme ? `theme:${this.theme.id}` : this.style,
+            styles: [
+                ...Object.values(ResumeStyle).map(value => ({ value, label: value })),
+                ...this.themes.map(theme => ({ value: `theme:${theme.id}`, label: `${theme.name} (theme)` }))
+            ],
+            sections: RESUME_SECTIONS
+        });
+        this.postPreview();
+    }
+
+    /**
+     * Render the preview for the current data and style
+     */
+    private postPreview(): void {
+        const html = new PDFService(this.workspaceRoot).generatePreviewHTML(this.resumeData, this.style, this.theme);
+        this.panel.webview.postMessage({ type: 'preview', html });
+    }
+
+    /**
+     * Save the edited resume to the data file
+     */
+    private async save(): Promise<void> {
+        try {
+            const filePath = await saveResumeDataFile(this.workspaceRoot, this.resumeData, this.style, this.theme?.id, true);
+            await this.context.workspaceState.update(LAST_RESUME_KEY, this.resumeData);
+            vscode.window.showInformationMessage(`Resume saved to ${filePath}`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to save resume: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    /**
+     * Export the edited resume as PDF, without generating any content again
+     */
+    private async exportPDF(): Promise<void> {
+        const outputPath = path.join(this.workspaceRoot, 'resume.pdf');
+        try {
+            const pdf = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: 'Exporting resume PDF...'
+            }, async () => {
+                const endorsements = await new FileService(this.workspaceRoot).readEndorsements();
+                const pdfOptions: PDFOptions = {
+                    style: this.style,
+                    outputPath,
+                    format: 'A4',
+                    includeColors: true,
+                    theme: this.theme,
+                    maxPages: vscode.workspace.getConfiguration().get<number>('resumeGenerator.maxPages') || undefined
+                };
+                return new PDFService(this.workspaceRoot).generatePDFWithReport(this.resumeData, pdfOptions, endorsements);
+            });
+            await this.context.workspaceState.update(LAST_RESUME_KEY, this.resumeData);
+            await rememberFittedResume(this.context, pdf);
+
+            const openPDF = 'Open PDF';
+            const fitNote = pdf.fit ? ` ${describePageFit(pdf.fit)}` : '';
+            const result = await vscode.window.showInformationMessage(`Resume exported to ${outputPath}.${fitNote}`, openPDF);
+            if (result === openPDF) {
+                vscode.env.openExternal(vscode.Uri.file(outputPath));
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to export resume: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    /**
+     * Dispose the panel and its listeners
+     */
+    private dispose(): void {
+        ResumeEditorPanel.currentPanel = undefined;
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+
+    /**
+     * Get the editor page; the resume arrives by message and is rendered with DOM APIs only
+     * @returns string HTML content
+     */
+    private getEditorHTML(): string {
+        const nonce = [...Array(32)].map(() => Math.floor(Math.random() * 36).toString(36)).join('');
+        const csp = [
+            `default-src 'none'`,
+            `style-src 'unsafe-inline'`,
+            `img-src ${this.panel.webview.cspSource} https: data:`,
+            `script-src 'nonce-${nonce}'`
+        ].join('; ');
+
+        return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${csp}">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Resume Editor</title>
+    <style>
+        body {
+            display: flex;
+            gap: 16px;
+            height: 100vh;
+            margin: 0;
+            padding: 0;
+            font-family: var(--vscode-font-family);
+            color: var(--vscode-foreground);
+            background: var(--vscode-editor-background);
+        }
+
+        .editor {
+            flex: 0 0 420px;
+            overflow-y: auto;
+            padding: 12px;
+        }
+
+        .preview {
+            flex: 1;
+            border: none;
+            background: white;
+        }
+
+        .toolbar {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            margin-bottom: 12px;
+        }
+
+        fieldset {
+            border: 1px solid var(--vscode-panel-border);
+            margin: 0 0 12px;
+            padding: 8px;
+        }
+
+        label {
+            display: block;
+            font-size: 12px;
+            margin-top: 6px;
+            opacity: 0.8;
+        }
+
+        input, textarea, select {
+            width: 100%;
+            box-sizing: border-box;
+            color: var(--vscode-input-foreground);
+            background: var(--vscode-input-background);
+            border: 1px solid var(--vscode-input-border, transparent);
+            font-family: inherit;
+        }
+
+        textarea {
+            min-height: 60px;
+            resize: vertical;
+        }
+
+        button {
+            color: var(--vscode-button-foreground);
+            background: var(--vscode-button-background);
+            border: none;
+            padding: 4px 10px;
+            cursor: pointer;
+        }
+
+        .section-row {
+            display: flex;
+            gap: 6px;
+            align-items: center;
+            margin: 4px 0;
+        }
+
+        .section-row span {
+            flex: 1;
+        }
+
+        .section-row input {
+            width: auto;
+        }
+
+        .entry {
+            border-top: 1px dashed var(--vscode-panel-border);
+            margin-top: 8px;
+            padding-top: 4px;
+        }
+    </style>
+</head>
+<body>
+    <div class="editor">
+        <div class="toolbar">
+            <select id="style" title="Resume style"></select>
+            <button id="save" title="Save to ${RESUME_DATA_FILE}">Save</button>
+            <button id="export">Export PDF</button>
+        </div>
+        <fieldset id="sections"><legend>Sections</legend></fieldset>
+        <div id="fields"></div>
+    </div>
+    <iframe class="preview" id="preview" sandbox="" title="Resume preview"></iframe>
+
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+        const sectionTitles = {
+            summary: 'Professional Summary',
+            skills: 'Technical Skills',
+            workHistory: 'Work History',
+            experience: 'Professional Experience',
+            projects: 'Notable Projects',
+            education: 'Education',
+            certifications: 'Certifications'
+        };
+        let data = null;
+        let style = null;
+        let sections = [];
+        let timer = null;
+
+        // Lists are edited as one item per line, skills as comma-separated text
+        const toLines = text => text.split('\\n').map(line => line.trim()).filter(Boolean);
+        const toList = text => text.split(',').map(item => item.trim()).filter(Boolean);
+
+        // Bullet evidence is stored by position, so it follows bullets that are kept, moved or edited in place
+        function setLines(entry, key, lines) {
+            const previous = entry[key] || [];
+            if (Array.isArray(entry.evidence)) {
+                const evidence = entry.evidence;
+                entry.evidence = lines.map((line, index) => {
+                    const kept = previous.indexOf(line);
+                    if (kept >= 0) return evidence[kept] || null;
+                    return index < previous.length && !lines.includes(previous[index]) ? evidence[index] || null : null;
+                });
+            }
+            entry[key] = lines;
+        }
+
+        function notify() {
+            clearTimeout(timer);
+            timer = setTimeout(() => vscode.postMessage({ type: 'update', data, style }), 250);
+        }
+
+        function element(tag, properties, children) {
+            const node = document.createElement(tag);
+            Object.assign(node, properties || {});
+            (children || []).forEach(child => node.appendChild(child));
+            return node;
+        }
+
+        function field(labelText, value, onChange, multiline) {
+            const input = element(multiline ? 'textarea' : 'input', { value: value || '' });
+            input.addEventListener('input', () => { onChange(input.value); notify(); });
+            return element('div', {}, [element('label', { textContent: labelText }), input]);
+        }
+
+        function entryEditor(list, index, fields, render) {
+            const entry = list[index];
+            const remove = element('button', { textContent: 'Remove' });
+            remove.addEventListener('click', () => { list.splice(index, 1); render(); notify(); });
+            return element('div', { className: 'entry' }, [
+                ...fields.map(([labelText, key, kind]) => field(
+                    labelText,
+                    kind === 'lines' ? (entry[key] || []).join('\\n') : kind === 'list' ? (entry[key] || []).join(', ') : entry[key],
+                    value => {
+                        if (kind === 'lines') setLines(entry, key, toLines(value));
+                        else entry[key] = kind === 'list' ? toList(value) : value;
+                    },
+                    kind === 'lines' || kind === 'text'
+                )),
+                remove
+            ]);
+        }
+
+        function entryList(title, list, fields, template) {
+            const container = element('fieldset', {}, [element('legend', { textContent: title })]);
+            const body = element('div');
+            const render = () => {
+                body.replaceChildren(...list.map((_, index) => entryEditor(list, index, fields, render)));
+            };
+            const add = element('button', { textContent: 'Add' });
+            add.addEventListener('click', () => { list.push(JSON.parse(JSON.stringify(template))); render(); notify(); });
+            render();
+            container.append(body, add);
+            return container;
+        }
+
+        function renderSections() {
+            const container = document.getElementById('sections');
+            const order = [...new Set([...(data.sectionOrder || []), ...sections])].filter(section => sections.includes(section));
+            const hidden = new Set(data.hiddenSections || []);
+            data.sectionOrder = order;
+
+            container.replaceChildren(element('legend', { textContent: 'Sections' }), ...order.map((section, index) => {
+                const visible = element('input', { type: 'checkbox', checked: !hidden.has(section), title: 'Show section' });
+                visible.addEventListener('change', () => {
+                    data.hiddenSections = visible.checked
+                        ? (data.hiddenSections || []).filter(item => item !== section)
+                        : [...(data.hiddenSections || []), section];
+                    notify();
+                });
+                const move = (offset, label) => {
+                    const button = element('button', { textContent: label, disabled: index + offset < 0 || index + offset >= order.length });
+                    button.addEventListener('click', () => {
+                        order.splice(index + offset, 0, order.splice(index, 1)[0]);
+                        renderSections();
+                        notify();
+                    });
+                    return button;
+                };
+                return element('div', { className: 'section-row' }, [
+                    visible,
+                    element('span', { textContent: sectionTitles[section] || section }),
+                    move(-1, 'Up'),
+                    move(1, 'Down')
+                ]);
+            }));
+        }
+
+        function renderFields() {
+            const info = data.personalInfo;
+            data.skills = data.skills || { technical: [], frameworks: [], tools: [], databases: [] };
+            data.experience = data.experience || [];
+            data.projects = data.projects || [];
+
+            document.getElementById('fields').replaceChildren(
+                element('fieldset', {}, [
+                    element('legend', { textContent: 'Personal Information' }),
+                    field('Name', info.name, value => { info.name = value; }),
+                    field('Title', info.title, value => { info.title = value; }),
+                    field('Email', info.email, value => { info.email = value; }),
+                    field('GitHub', info.github, value => { info.github = value; })
+                ]),
+                element('fieldset', {}, [
+                    element('legend', { textContent: 'Summary' }),
+                    field('Professional summary', data.summary, value => { data.summary = value; }, true)
+                ]),
+                element('fieldset', {}, [
+                    element('legend', { textContent: 'Skills (comma-separated)' }),
+                    field('Programming Languages', data.skills.technical.join(', '), value => { data.skills.technical = toList(value); }),
+                    field('Frameworks & Libraries', data.skills.frameworks.join(', '), value => { data.skills.frameworks = toList(value); }),
+                    field('Tools & Technologies', data.skills.tools.join(', '), value => { data.skills.tools = toList(value); }),
+                    field('Databases', data.skills.databases.join(', '), value => { data.skills.databases = toList(value); })
+                ]),
+                entryList('Experience', data.experience, [
+                    ['Project', 'projectName'],
+                    ['Duration', 'duration'],
+                    ['Description', 'description', 'text'],
+                    ['Achievements (one per line)', 'achievements', 'lines'],
+                    ['Technologies', 'technologies', 'list']
+                ], { projectName: 'New project', description: '', achievements: [], technologies: [], duration: '' }),
+                entryList('Projects', data.projects, [
+                    ['Name', 'name'],
+                    ['URL', 'url'],
+                    ['Description', 'description', 'text'],
+                    ['Highlights (one per line)', 'highlights', 'lines'],
+                    ['Technologies', 'technologies', 'list']
+                ], { name: 'New project', description: '', highlights: [], technologies: [] })
+            );
+        }
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (message.type === 'load') {
+                data = message.data;
+                style = message.style;
+                sections = message.sections;
+                const select = document.getElementById('style');
+                select.replaceChildren(...message.styles.map(option => element('option', { value: option.value, textContent: option.label, selected: option.value === style })));
+                renderSections();
+                renderFields();
+            } else if (message.type === 'preview') {
+                document.getElementById('preview').srcdoc = message.html;
+            }
+        });
+
+        document.getElementById('style').addEventListener('change', event => {
+            style = event.target.value;
+            vscode.postMessage({ type: 'update', data, style });
+        });
+        document.getElementById('save').addEventListener('click', () => vscode.postMessage({ type: 'save', data, style }));
+        document.getElementById('export').addEventListener('click', () => vscode.postMessage({ type: 'export', data, style }));
+
+        vscode.postMessage({ type: 'ready' });
+    </script>
+</body>
+</html>
+        `;
+    }
+}
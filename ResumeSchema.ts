@@ -0,0 +1,165 @@
+/**
+ * Interface for the subset of JSON Schema used to describe and validate model replies
+ */
+export interface JSONSchema {
+    type: 'object' | 'array' | 'string' | 'number' | 'boolean';
+    description?: string;
+    properties?: { [key: string]: JSONSchema };
+    required?: string[];
+    items?: JSONSchema;
+    minItems?: number;
+    maxItems?: number;
+    minLength?: number;
+}
+
+/**
+ * Resume sections written by the model
+ */
+export type AIContentSection = 'summary' | 'skills' | 'experience' | 'projects';
+
+/**
+ * Where each section of a generated resume came from: the model, the rule-based fallback, or both
+ */
+export type ContentSources = Record<AIContentSection, 'model' | 'fallback' | 'mixed'>;
+
+const stringList = (description: string, minItems: number = 0): JSONSchema => ({
+    type: 'array',
+    description,
+    items: { type: 'string', minLength: 1 },
+    minItems
+});
+
+/**
+ * Schema of the content the model is asked for; sent with the prompt and used to validate the reply
+ */
+export const resumeContentSchema: JSONSchema = {
+    type: 'object',
+    required: ['summary', 'skills', 'experience', 'projects'],
+    properties: {
+        summary: {
+            type: 'string',
+            description: 'Professional summary, 2-3 sentences',
+            minLength: 20
+        },
+        skills: {
+            type: 'object',
+            required: ['technical', 'frameworks', 'tools', 'databases'],
+            properties: {
+                technical: stringList('Programming languages, in the order of their share of changed lines', 1),
+                frameworks: stringList('Frameworks and libraries'),
+                tools: stringList('Tools and technologies'),
+                databases: stringList('Databases and storage')
+            }
+        },
+        experience: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['projectName', 'description', 'achievements', 'technologies', 'duration'],
+                properties: {
+                    projectName: { type: 'string', minLength: 1 },
+                    description: { type: 'string', minLength: 1 },
+                    achievements: stringList('Quantified achievements, using the commit breakdown for the numbers', 1),
+                    technologies: stringList('Technologies used'),
+                    duration: { type: 'string', description: 'MM/YYYY - MM/YYYY' }
+                }
+            }
+        },
+        projects: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['name', 'description', 'technologies', 'highlights'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    description: { type: 'string', minLength: 1 },
+                    technologies: stringList('Technologies used'),
+                    highlights: stringList('Key features, implementation details or challenges solved', 1)
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate a value against a schema
+ * @param value Parsed JSON value
+ * @param schema Schema to check against
+ * @param location JSON path of the value, used in messages
+ * @returns string[] Validation errors such as "$.experience[0].achievements: expected array, got string"; empty when valid
+ */
+export function validateAgainstSchema(value: unknown, schema: JSONSchema, location: string = '$'): string[] {
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actual !== schema.type) {
+        return [`${location}: expected ${schema.type}, got ${actual}`];
+    }
+
+    const errors: string[] = [];
+    if (schema.type === 'string' && schema.minLength && (value as string).trim().length < schema.minLength) {
+        errors.push(`${location}: expected at least ${schema.minLength} characters`);
+    }
+    if (schema.type === 'array') {
+        const items = value as unknown[];
+        if (schema.minItems !== undefined && items.length < schema.minItems) {
+            errors.push(`${location}: expected at least ${schema.minItems} items, got ${items.length}`);
+        }
+        if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+            errors.push(`${location}: expected at most ${schema.maxItems} items, got ${items.length}`);
+        }
+        if (schema.items) {
+            items.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items as JSONSchema, `${location}[${index}]`)));
+        }
+    }
+    if (schema.type === 'object') {
+        const object = value as { [key: string]: unknown };
+        for (const key of schema.required || []) {
+            if (!(key in object)) {
+                errors.push(`${location}.${key}: missing required property`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in object) {
+                errors.push(...validateAgainstSchema(object[key], propertySchema, `${location}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse a JSON object out of a model reply, tolerating Markdown code fences and text around it
+ * @param text Reply text
+ * @returns unknown Parsed value
+ * @throws Error when no JSON object can be parsed
+ */
+export function parseJSONReply(text: string): unknown {
+    const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : text;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('reply contains no JSON object');
+    }
+    return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Describe content sources for the user, e.g. "AI: summary, skills; fallback: projects"
+ * @param sources Content sources
+ * @returns string
+ */
+export function describeContentSources(sources: ContentSources): string {
+    const group = (source: ContentSources[AIContentSection]) =>
+        (Object.keys(sources) as AIContentSection[]).filter(section => sources[section] === source);
+    return [
+        ['AI', group('model')],
+        ['partly AI', group('mixed')],
+        ['fallback', group('fallback')]
+    ]
+        .filter(([, sections]) => sections.length > 0)
+        .map(([label, sections]) => `${label}: ${(sections as string[]).join(', ')}`)
+        .join('; ');
+}
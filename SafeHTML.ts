@@ -0,0 +1,86 @@
+/**
+ * Escape text for HTML content and attribute values
+ * @param text Text; null and undefined become empty
+ * @returns string
+ */
+export function escapeHTML(text: unknown): string {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Validate a link target: http(s) and mailto URLs are kept, bare domains ("example.com/blog") get https.
+ * Anything else, such as javascript: and data: URLs or plain text, is rejected
+ * @param url URL as written in the resume
+ * @returns string | undefined The URL to link to, or undefined when it must not be linked
+ */
+export function safeURL(url: string | undefined): string | undefined {
+    const trimmed = String(url ?? '').trim();
+    if (/[\s<>"]/.test(trimmed)) {
+        return undefined;
+    }
+    if (/^https?:\/\/[^/?#]/i.test(trimmed) || /^mailto:[^@\s]+@[^@\s]+$/i.test(trimmed)) {
+        return trimmed;
+    }
+    return /^[\w-]+(\.[\w-]+)+(\/\S*)?$/.test(trimmed) ? `https://${trimmed}` : undefined;
+}
+
+/**
+ * The Markdown subset allowed in resume bullets: `code`, [links](https://example.com), **bold** or __bold__,
+ * and *italics* or _italics_. Markers must hug their text, so "2 * 3 * 4" and snake_case stay as they are
+ */
+const inlinePattern = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^()\s]+)\)|\*\*(?=\S)([^*\n]*?\S)\*\*|(?<!\w)__(?=\S)([^_\n]*?\S)__(?!\w)|\*(?=[^\s*])([^*\n]*?[^\s*])\*|(?<!\w)_(?=[^\s_])([^_\n]*?[^\s_])_(?!\w)/g;
+
+/**
+ * Render text with the Markdown subset to HTML. Everything else is escaped, and links with an
+ * unsafe URL keep only their text
+ * @param text Resume text, e.g. an AI-written bullet
+ * @returns string HTML content
+ */
+export function renderInlineMarkdown(text: string): string {
+    const source = String(text ?? '');
+    let html = '';
+    let position = 0;
+    for (const match of source.matchAll(inlinePattern)) {
+        const index = match.index ?? 0;
+        html += escapeHTML(source.slice(position, index));
+        position = index + match[0].length;
+
+        const [, code, linkText, linkURL, bold, boldUnderscore, italic, italicUnderscore] = match;
+        if (code !== undefined) {
+            html += `<code>${escapeHTML(code)}</code>`;
+        } else if (linkText !== undefined) {
+            const href = safeURL(linkURL);
+            html += href ? `<a href="${escapeHTML(href)}">${renderInlineMarkdown(linkText)}</a>` : renderInlineMarkdown(linkText);
+        } else if (bold !== undefined || boldUnderscore !== undefined) {
+            html += `<strong>${renderInlineMarkdown(bold ?? boldUnderscore)}</strong>`;
+        } else {
+            html += `<em>${renderInlineMarkdown(italic ?? italicUnderscore)}</em>`;
+        }
+    }
+    return html + escapeHTML(source.slice(position));
+}
+
+/**
+ * Remove the Markdown subset from text, for formats without inline formatting. Links keep their URL
+ * in parentheses unless the text already shows it
+ * @param text Resume text
+ * @returns string Plain text
+ */
+export function stripInlineMarkdown(text: string): string {
+    return String(text ?? '').replace(inlinePattern, (_match, code, linkText, linkURL, bold, boldUnderscore, italic, italicUnderscore) => {
+        if (code !== undefined) {
+            return code;
+        }
+        if (linkText !== undefined) {
+            const plain = stripInlineMarkdown(linkText);
+            const href = safeURL(linkURL);
+            return href && !href.includes(plain) ? `${plain} (${linkURL})` : plain;
+        }
+        return stripInlineMarkdown(bold ?? boldUnderscore ?? italic ?? italicUnderscore);
+    });
+}
@@ -0,0 +1,154 @@
+import { escapeHTML } from './SafeHTML';
+
+/**
+ * Node of a parsed template
+ */
+type TemplateNode =
+    | { type: 'text'; value: string }
+    | { type: 'variable'; name: string; escape: boolean }
+    | { type: 'section'; name: string; inverted: boolean; children: TemplateNode[] };
+
+/**
+ * Tags: {{{raw}}}, or {{name}} with an optional #, ^, /, ! or & sigil
+ */
+const tagPattern = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([#^/!&]?)\s*([\s\S]*?)\s*\}\}/g;
+
+/**
+ * Line number of a position in a template, for error messages
+ */
+const lineAt = (template: string, index: number) => template.slice(0, index).split('\n').length;
+
+/**
+ * Parse a template into a tree of text, variables and sections
+ * @param template Template source
+ * @returns TemplateNode[]
+ * @throws Error when sections are not closed, or closed in the wrong order
+ */
+function parse(template: string): TemplateNode[] {
+    const root: TemplateNode[] = [];
+    const open: { name: string; line: number; children: TemplateNode[] }[] = [];
+    let children = root;
+    let position = 0;
+
+    for (const match of template.matchAll(tagPattern)) {
+        const index = match.index ?? 0;
+        if (index > position) {
+            children.push({ type: 'text', value: template.slice(position, index) });
+        }
+        position = index + match[0].length;
+
+        if (match[1] !== undefined) {
+            children.push({ type: 'variable', name: match[1], escape: false });
+            continue;
+        }
+
+        const [sigil, name] = [match[2], match[3]];
+        switch (sigil) {
+            case '!':
+                break;
+            case '&':
+                children.push({ type: 'variable', name, escape: false });
+                break;
+            case '#':
+            case '^': {
+                const section: TemplateNode = { type: 'section', name, inverted: sigil === '^', children: [] };
+                children.push(section);
+                open.push({ name, line: lineAt(template, index), children });
+                children = section.children;
+                break;
+            }
+            case '/': {
+                const section = open.pop();
+                if (!section) {
+                    throw new Error(`Unexpected {{/${name}}} on line ${lineAt(template, index)}`);
+                }
+                if (section.name !== name) {
+                    throw new Error(`{{/${name}}} on line ${lineAt(template, index)} closes {{#${section.name}}} from line ${section.line}`);
+                }
+                children = section.children;
+                break;
+            }
+            default:
+                children.push({ type: 'variable', name, escape: true });
+        }
+    }
+
+    if (open.length > 0) {
+        const section = open[open.length - 1];
+        throw new Error(`{{#${section.name}}} on line ${section.line} is never closed`);
+    }
+    if (position < template.length) {
+        children.push({ type: 'text', value: template.slice(position) });
+    }
+    return root;
+}
+
+/**
+ * Look a name up in the context stack, innermost context first; "." is the current context
+ * and dotted names ("personalInfo.name") walk into objects
+ */
+function lookup(stack: unknown[], name: string): unknown {
+    if (name === '.') {
+        return stack[stack.length - 1];
+    }
+
+    const [first, ...rest] = name.split('.');
+    const context = [...stack].reverse().find(candidate =>
+        candidate !== null && typeof candidate === 'object' && first in (candidate as object)
+    ) as Record<string, unknown> | undefined;
+    return rest.reduce<unknown>(
+        (value, key) => value !== null && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined,
+        context?.[first]
+    );
+}
+
+/**
+ * Render parsed nodes against a context stack
+ */
+function renderNodes(nodes: TemplateNode[], stack: unknown[]): string {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        const value = lookup(stack, node.name);
+        if (node.type === 'variable') {
+            const text = value === undefined || value === null ? '' : String(value);
+            return node.escape ? escapeHTML(text) : text;
+        }
+
+        const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+        if (node.inverted) {
+            return isEmpty ? renderNodes(node.children, stack) : '';
+        }
+        if (isEmpty) {
+            return '';
+        }
+        return Array.isArray(value)
+            ? value.map(item => renderNodes(node.children, [...stack, item])).join('')
+            : renderNodes(node.children, [...stack, value]);
+    }).join('');
+}
+
+/**
+ * Render a Mustache template (the logic-less subset Handlebars shares):
+ * {{name}} is HTML-escaped, {{{name}}} and {{& name}} are not, {{#name}}...{{/name}} repeats for each
+ * item of a list or renders once for any other truthy value, {{^name}}...{{/name}} renders for empty
+ * or falsy values, and {{! ...}} is a comment
+ * @param template Template source
+ * @param view Values the template refers to
+ * @returns string
+ * @throws Error when the template has unbalanced sections
+ */
+export function renderTemplate(template: string, view: unknown): string {
+    return renderNodes(parse(template), [view]);
+}
+
+/**
+ * Check a template for syntax errors without rendering it
+ * @param template Template source
+ * @throws Error describing the first problem found
+ */
+export function validateTemplate(template: string): void {
+    parse(template);
+}
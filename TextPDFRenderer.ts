@@ -0,0 +1,432 @@
+import * as zlib from 'zlib';
+import { ResumeData } from './AIService';
+import { ResumeStyle, ResumeSection, getSectionOrder, getSectionTitles } from './PDFService';
+import { PDFMetadata, infoDictionary, pdfTextString } from './PDFMetadata';
+import { stripInlineMarkdown } from './SafeHTML';
+
+/**
+ * Options of the text PDF renderer
+ */
+export interface TextPDFOptions {
+    style: ResumeStyle;
+    format: 'A4' | 'Letter';
+    includeColors: boolean;
+    /** Narrower page margins */
+    compact?: boolean;
+    /** Factor applied to all sizes (default 1) */
+    scale?: number;
+    /** Document information; defaults to the name as title and author */
+    metadata?: PDFMetadata;
+    /** Running header with the name and footer with page numbers */
+    headerFooter?: boolean;
+}
+
+/**
+ * Interface for a bookmark of a section heading
+ */
+interface Bookmark {
+    title: string;
+    page: number;
+    y: number;
+}
+
+/**
+ * Page sizes in points
+ */
+const pageSizes = {
+    A4: { width: 595.28, height: 841.89 },
+    Letter: { width: 612, height: 792 }
+};
+
+/**
+ * Page margin in points (0.5in, as in the browser-rendered PDF)
+ */
+const PAGE_MARGIN = 36;
+
+/**
+ * Page margin in points of the compact layout (0.3in)
+ */
+const COMPACT_PAGE_MARGIN = 21.6;
+
+/**
+ * Heading colors (RGB, 0-1) of each style; keyed by style value so this module can load before PDFService
+ */
+const accents: Record<string, [number, number, number]> = {
+    modern: [0.4, 0.49, 0.92],
+    classic: [0.2, 0.2, 0.2],
+    minimal: [0.2, 0.2, 0.2],
+    developer: [0.18, 0.22, 0.28],
+    ats: [0, 0, 0]
+};
+
+/**
+ * Glyph widths (1/1000 em) of the standard Helvetica fonts for the printable ASCII characters
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+type Font = 'regular' | 'bold' | 'italic';
+
+const fontNames: Record<Font, string> = { regular: 'F1', bold: 'F2', italic: 'F3' };
+
+/**
+ * Reduce text to Latin-1, which the standard fonts cover: typographic punctuation becomes its ASCII
+ * form and anything else outside Latin-1 (emoji, CJK) is dropped
+ */
+const toLatin1 = (text: string) => String(text ?? '')
+    .replace(/[\u2018\u2019\u201A\u2032]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u2033]/g, '"')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/\u2026/g, '...')
+    .replace(/[\u2022\u25CF\u25AA]/g, '-')
+    .replace(/\u2192/g, '->')
+    .replace(/\s+/g, ' ')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '')
+    .trim();
+
+/**
+ * Width of text in points
+ */
+function textWidth(text: string, font: Font, size: number): number {
+    const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return total * size / 1000;
+}
+
+/**
+ * Break text into lines that fit a width; words longer than a line are split
+ */
+function wrap(text: string, font: Font, size: number, width: number): string[] {
+    const lines: string[] = [];
+    let line = '';
+    for (let word of text.split(' ').filter(Boolean)) {
+        while (textWidth(word, font, size) > width) {
+            let cut = word.length - 1;
+            while (cut > 1 && textWidth(word.slice(0, cut), font, size) > width) cut--;
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(word.slice(0, cut));
+            word = word.slice(cut);
+        }
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && textWidth(candidate, font, size) > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Escape text for a PDF string literal
+ */
+const pdfString = (text: string) => `(${text.replace(/[\\()]/g, '\\$&')})`;
+
+/**
+ * Lays text out top to bottom, starting a new page when the current one is full
+ */
+class TextLayout {
+    pages: string[][] = [[]];
+    bookmarks: Bookmark[] = [];
+    private y: number;
+    readonly left: number;
+    readonly width: number;
+
+    constructor(private page: { width: number; height: number }, private accent: [number, number, number], private margin: number) {
+        this.y = page.height - margin;
+        this.left = margin;
+        this.width = page.width - 2 * margin;
+    }
+
+    private get ops(): string[] {
+        return this.pages[this.pages.length - 1];
+    }
+
+    /**
+     * Make room for a height, starting a new page if it does not fit
+     */
+    ensure(height: number): void {
+        if (this.y - height < this.margin && this.ops.length > 0) {
+            this.pages.push([]);
+            this.y = this.page.height - this.margin;
+        }
+    }
+
+    space(height: number): void {
+        this.y -= height;
+    }
+
+    /**
+     * Write one line of text at the current position
+     */
+    text(text: string, font: Font, size: number, options: { x?: number; color?: [number, number, number]; align?: 'right' } = {}): void {
+        const lineHeight = size * 1.35;
+        this.ensure(lineHeight);
+        const x = options.align === 'right' ? this.left + this.width - textWidth(text, font, size) : (options.x ?? this.left);
+        const [r, g, b] = options.color || [0.2, 0.2, 0.2];
+        this.ops.push(`BT ${r} ${g} ${b} rg /${fontNames[font]} ${size} Tf ${x.toFixed(2)} ${(this.y - size).toFixed(2)} Td ${pdfString(text)} Tj ET`);
+        if (options.align !== 'right') {
+            this.y -= lineHeight;
+        }
+    }
+
+    /**
+     * Write a wrapped paragraph
+     */
+    paragraph(text: string, font: Font = 'regular', size: number = 10, indent: number = 0, color?: [number, number, number]): void {
+        wrap(toLatin1(text), font, size, this.width - indent).forEach(line => this.text(line, font, size, { x: this.left + indent, color }));
+    }
+
+    /**
+     * Write a bullet point: a small square, then the wrapped text
+     */
+    bullet(text: string, size: number = 10): void {
+        const lines = wrap(toLatin1(stripInlineMarkdown(text)), 'regular', size, this.width - 14);
+        lines.forEach((line, index) => {
+            if (index === 0) {
+                this.ensure(size * 1.35);
+                this.ops.push(`0.3 0.3 0.3 rg ${(this.left + 4).toFixed(2)} ${(this.y - size * 0.62).toFixed(2)} 2.5 2.5 re f`);
+            }
+            this.text(line, 'regular', size, { x: this.left + 14 });
+        });
+    }
+
+    /**
+     * Write a section heading with a rule under it; keeps room for the first line of content
+     */
+    heading(title: string, uppercase: boolean): void {
+        this.space(8);
+        this.ensure(40);
+        this.bookmarks.push({ title, page: this.pages.length - 1, y: this.y });
+        this.text(toLatin1(uppercase ? title.toUpperCase() : title), 'bold', 12, { color: this.accent });
+        const [r, g, b] = this.accent;
+        this.ops.push(`${r} ${g} ${b} RG 0.75 w ${this.left} ${(this.y + 2).toFixed(2)} m ${this.left + this.width} ${(this.y + 2).toFixed(2)} l S`);
+        this.space(4);
+    }
+
+    /**
+     * Write an entry title with its dates right-aligned on the same line, or below when they do not fit
+     */
+    entry(title: string, dates: string): void {
+        this.space(3);
+        const cleanTitle = toLatin1(title);
+        const cleanDates = toLatin1(dates);
+        const datesWidth = cleanDates ? textWidth(cleanDates, 'italic', 9) + 12 : 0;
+        if (cleanDates && textWidth(cleanTitle, 'bold', 10.5) + datesWidth <= this.width) {
+            this.ensure(10.5 * 1.35);
+            this.text(cleanDates, 'italic', 9, { align: 'right', color: [0.4, 0.4, 0.4] });
+            this.text(cleanTitle, 'bold', 10.5);
+            return;
+        }
+        this.paragraph(cleanTitle, 'bold', 10.5);
+        if (cleanDates) {
+            this.text(cleanDates, 'italic', 9, { color: [0.4, 0.4, 0.4] });
+        }
+    }
+}
+
+/**
+ * Render a resume as a text-only PDF with the standard Helvetica fonts, without a browser.
+ * Used when no Chrome, Chromium or Edge is available; the layout is plain but all content and
+ * section order are kept, and the text is extractable for applicant tracking systems.
+ * @param resumeData Resume data
+ * @param options Rendering options
+ * @param endorsements Skill endorsements, written as text
+ * @returns Buffer PDF file content
+ */
+export function renderTextPDF(resumeData: ResumeData, options: TextPDFOptions, endorsements?: Record<string, string[]>): Buffer {
+    const page = pageSizes[options.format] || pageSizes.A4;
+    const accent = options.includeColors ? accents[options.style] || accents.modern : [0, 0, 0] as [number, number, number];
+    // Scaling lays the text out on a proportionally larger page that is drawn scaled down
+    const scale = options.scale || 1;
+    const margin = options.compact ? COMPACT_PAGE_MARGIN : PAGE_MARGIN;
+    const layout = new TextLayout({ width: page.width / scale, height: page.height / scale }, accent, margin / scale);
+    const titles = getSectionTitles(options.style);
+    const uppercase = options.style !== 'modern' && options.style !== 'developer';
+    const info = resumeData.personalInfo;
+
+    layout.paragraph(info.name, 'bold', 20, 0, [0.1, 0.1, 0.1]);
+    if (info.title) {
+        layout.paragraph(info.title, 'regular', 12, 0, [0.4, 0.4, 0.4]);
+    }
+    const contact = [
+        info.email, info.phone, info.location, info.github, info.website,
+        ...(resumeData.links || []).map(link => `${link.label}: ${link.url}`)
+    ].filter(Boolean).join(' | ');
+    if (contact) {
+        layout.space(2);
+        layout.paragraph(contact, 'regular', 9);
+    }
+
+    const technologies = (list: string[] | undefined) => {
+        if (Array.isArray(list) && list.length > 0) {
+            layout.paragraph(`Technologies: ${list.join(', ')}`, 'italic', 9, 0, [0.4, 0.4, 0.4]);
+        }
+    };
+    const sections: Record<ResumeSection, () => boolean> = {
+        summary: () => !!resumeData.summary,
+        skills: () => Object.values(resumeData.skills || {}).some(list => Array.isArray(list) && list.length > 0),
+        workHistory: () => (resumeData.workHistory || []).length > 0,
+        experience: () => (resumeData.experience || []).length > 0,
+        projects: () => (resumeData.projects || []).length > 0,
+        education: () => (resumeData.education || []).length > 0,
+        certifications: () => (resumeData.certifications || []).length > 0
+    };
+    const render: Record<ResumeSection, () => void> = {
+        summary: () => layout.paragraph(resumeData.summary),
+        skills: () => [
+            { title: 'Programming Languages', items: resumeData.skills?.technical || [] },
+            { title: 'Frameworks & Libraries', items: resumeData.skills?.frameworks || [] },
+            { title: 'Tools & Technologies', items: resumeData.skills?.tools || [] },
+            { title: 'Databases', items: resumeData.skills?.databases || [] }
+        ]
+            .filter(category => Array.isArray(category.items) && category.items.length > 0)
+            .forEach(category => layout.paragraph(`${category.title}: ${category.items.map(skill => {
+                const endorsers = endorsements && endorsements[skill];
+                return endorsers && endorsers.length > 0 ? `${skill} (endorsed by ${endorsers.length})` : skill;
+            }).join(', ')}`)),
+        workHistory: () => (resumeData.workHistory || []).forEach(job => {
+            layout.entry(`${job.position} - ${job.company}${job.location ? `, ${job.location}` : ''}`, `${job.startDate} - ${job.endDate || 'Present'}`);
+            if (job.summary) {
+                layout.paragraph(job.summary);
+            }
+            (job.highlights || []).forEach(highlight => layout.bullet(highlight));
+        }),
+        experience: () => (resumeData.experience || []).forEach(exp => {
+            layout.entry(exp.projectName, exp.duration || '');
+            if (exp.description) {
+                layout.paragraph(exp.description);
+            }
+            (exp.achievements || []).forEach(achievement => layout.bullet(achievement));
+            technologies(exp.technologies);
+        }),
+        projects: () => (resumeData.projects || []).forEach(project => {
+            layout.entry(project.name, project.url || '');
+            if (project.description) {
+                layout.paragraph(project.description);
+            }
+            (project.highlights || []).forEach(highlight => layout.bullet(highlight));
+            technologies(project.technologies);
+        }),
+        education: () => (resumeData.education || []).forEach(entry => {
+            layout.entry(`${entry.degree}${entry.field ? ` in ${entry.field}` : ''} - ${entry.institution}`, [entry.startDate, entry.endDate].filter(Boolean).join(' - '));
+            (entry.details || []).forEach(detail => layout.bullet(detail));
+        }),
+        certifications: () => (resumeData.certifications || []).forEach(cert =>
+            layout.bullet(`${cert.name}${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.date ? ` (${cert.date})` : ''}`)
+        )
+    };
+
+    getSectionOrder(resumeData).filter(section => sections[section]()).forEach(section => {
+        layout.heading(titles[section], uppercase);
+        render[section]();
+    });
+
+    if (options.headerFooter) {
+        // In the middle of the top and bottom margins, in the layout's scaled coordinates
+        const pageHeight = page.height / scale;
+        const headerText = toLatin1([info.name, info.title].filter(Boolean).join(' - '));
+        layout.pages.forEach((ops, index) => {
+            const footerText = `Page ${index + 1} of ${layout.pages.length}`;
+            const footerX = layout.left + layout.width - textWidth(footerText, 'regular', 8);
+            ops.push(`BT 0.5 0.5 0.5 rg /F1 8 Tf ${layout.left.toFixed(2)} ${(pageHeight - margin / scale / 2 - 3).toFixed(2)} Td ${pdfString(headerText)} Tj ET`);
+            ops.push(`BT 0.5 0.5 0.5 rg /F1 8 Tf ${footerX.toFixed(2)} ${(margin / scale / 2 - 3).toFixed(2)} Td ${pdfString(footerText)} Tj ET`);
+        });
+    }
+
+    const metadata = options.metadata || { title: `${info.name} - Resume`, author: info.name };
+    return writePDF(layout.pages, page, metadata, scale, layout.bookmarks);
+}
+
+/**
+ * Assemble the PDF file: catalog, page tree, the three standard fonts, one compressed content stream per
+ * page and an outline with a bookmark per section
+ */
+function writePDF(pages: string[][], size: { width: number; height: number }, metadata: PDFMetadata, scale: number, bookmarks: Bookmark[]): Buffer {
+    const objects: Buffer[] = [];
+    const add = (content: string | Buffer) => {
+        objects.push(typeof content === 'string' ? Buffer.from(content, 'latin1') : content);
+        return objects.length;
+    };
+
+    const catalog = add('');
+    const pageTree = add('');
+    const fonts = (['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique'] as const).map(font =>
+        add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`)
+    );
+    const info = add(infoDictionary(metadata));
+    const outline = add('');
+    const pageIds = pages.map(ops => {
+        const operations = scale === 1 ? ops : [`${scale} 0 0 ${scale} 0 0 cm`, ...ops];
+        const stream = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+        const content = add(Buffer.concat([
+            Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            stream,
+            Buffer.from('\nendstream', 'latin1')
+        ]));
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${size.width} ${size.height}] ` +
+            `/Resources << /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R /F3 ${fonts[2]} 0 R >> >> /Contents ${content} 0 R >>`);
+    });
+    // Bookmark objects follow the pages, each linked to its neighbors
+    const firstBookmark = objects.length + 1;
+    bookmarks.forEach((bookmark, index) => add(
+        `<< /Title ${pdfTextString(bookmark.title)} /Parent ${outline} 0 R` +
+        (index > 0 ? ` /Prev ${firstBookmark + index - 1} 0 R` : '') +
+        (index < bookmarks.length - 1 ? ` /Next ${firstBookmark + index + 1} 0 R` : '') +
+        ` /Dest [${pageIds[bookmark.page]} 0 R /XYZ 0 ${(bookmark.y * scale).toFixed(2)} null] >>`
+    ));
+    objects[outline - 1] = Buffer.from(bookmarks.length > 0
+        ? `<< /Type /Outlines /First ${firstBookmark} 0 R /Last ${firstBookmark + bookmarks.length - 1} 0 R /Count ${bookmarks.length} >>`
+        : '<< /Type /Outlines /Count 0 >>', 'latin1');
+    objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pageTree} 0 R /Outlines ${outline} 0 R /Lang (en) >>`, 'latin1');
+    objects[pageTree - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`, 'latin1');
+
+    const parts: Buffer[] = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let offset = parts[0].length;
+    const offsets = objects.map((object, index) => {
+        const part = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), object, Buffer.from('\nendobj\n', 'latin1')]);
+        parts.push(part);
+        const start = offset;
+        offset += part.length;
+        return start;
+    });
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        ''
+    ].join('\n');
+    parts.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(parts);
+}
@@ -0,0 +1,175 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import * as os from 'os';
+import { ResumeStyle } from './PDFService';
+import { validateTemplate } from './TemplateEngine';
+
+/**
+ * Manifest file every theme folder contains
+ */
+export const THEME_MANIFEST = 'theme.json';
+
+/**
+ * Workspace folder with the workspace's own themes
+ */
+export const WORKSPACE_THEMES_FOLDER = '.resume-themes';
+
+/**
+ * Where a theme was loaded from; a user theme overrides a bundled one with the same id, while a workspace
+ * theme never replaces either, since a cloned repository could otherwise swap a theme the user picked
+ */
+export type ThemeSource = 'extension' | 'user' | 'workspace';
+
+/**
+ * Interface for a theme manifest (theme.json)
+ */
+export interface ThemeManifest {
+    name: string;
+    description?: string;
+    version?: string;
+    author?: string;
+    /** Template file, relative to the theme folder (default template.html) */
+    template?: string;
+    /** Stylesheet, relative to the theme folder (default style.css) */
+    css?: string;
+    /** Built-in style used where themes do not apply (DOCX, portfolio); default modern */
+    baseStyle?: string;
+}
+
+/**
+ * Interface for a loaded theme
+ */
+export interface ResumeTheme {
+    /** Folder name of the theme */
+    id: string;
+    name: string;
+    description: string;
+    source: ThemeSource;
+    directory: string;
+    baseStyle: ResumeStyle;
+    /** Mustache template of the page body */
+    template: string;
+    css: string;
+}
+
+/**
+ * Theme Service for loading user-defined resume themes.
+ * A theme is a folder with a theme.json manifest, a Mustache template of the resume body and a stylesheet.
+ */
+export class ThemeService {
+    private directories: { path: string; source: ThemeSource }[];
+
+    /**
+     * @param extensionPath Extension install folder; its themes folder holds the bundled themes
+     * @param workspaceRoot Workspace root path, whose .resume-themes folder is searched; leave it out for untrusted workspaces
+     * @param userThemesPath Configured themes folder (resumeGenerator.themesPath); "~" is the home folder
+     */
+    constructor(extensionPath: string, workspaceRoot?: string, userThemesPath?: string) {
+        this.directories = [
+            { path: path.join(extensionPath, 'themes'), source: 'extension' as ThemeSource },
+            ...(userThemesPath ? [{ path: userThemesPath.replace(/^~(?=$|[\\/])/, os.homedir()), source: 'user' as ThemeSource }] : []),
+            ...(workspaceRoot ? [{ path: path.join(workspaceRoot, WORKSPACE_THEMES_FOLDER), source: 'workspace' as ThemeSource }] : [])
+        ];
+    }
+
+    /**
+     * Load all themes; broken themes are skipped and reported instead of failing the whole list
+     * @returns Promise with the themes sorted by name, and one message per theme that could not be loaded
+     */
+    async listThemes(): Promise<{ themes: ResumeTheme[]; errors: string[] }> {
+        const themes = new Map<string, ResumeTheme>();
+        const errors: string[] = [];
+
+        for (const directory of this.directories) {
+            if (!fs.existsSync(directory.path)) {
+                continue;
+            }
+
+            const entries = await fs.promises.readdir(directory.path, { withFileTypes: true });
+            for (const entry of entries.filter(candidate => candidate.isDirectory())) {
+                const themeDirectory = path.join(directory.path, entry.name);
+                try {
+                    const theme = await this.loadTheme(themeDirectory, directory.source);
+                    const existing = theme && themes.get(theme.id);
+                    if (theme && existing && theme.source === 'workspace') {
+                        errors.push(`${themeDirectory}: the ${existing.source === 'extension' ? 'bundled' : 'user'} theme "${theme.id}" takes precedence; rename the folder to use this theme`);
+                    } else if (theme) {
+                        themes.set(theme.id, theme);
+                    }
+                } catch (error) {
+                    errors.push(`${themeDirectory}: ${error instanceof Error ? error.message : error}`);
+                }
+            }
+        }
+
+        return {
+            themes: [...themes.values()].sort((a, b) => a.name.localeCompare(b.name)),
+            errors
+        };
+    }
+
+    /**
+     * Load a theme by id
+     * @param id Folder name of the theme
+     * @returns Promise<ResumeTheme | undefined> Undefined when no theme has that id or it could not be loaded
+     */
+    async getTheme(id: string): Promise<ResumeTheme | undefined> {
+        const { themes } = await this.listThemes();
+        return themes.find(theme => theme.id === id);
+    }
+
+    /**
+     * Load the theme in a folder
+     * @returns Promise<ResumeTheme | null> Null when the folder has no manifest (not a theme)
+     * @throws Error when the manifest, template or stylesheet is invalid
+     */
+    private async loadTheme(directory: string, source: ThemeSource): Promise<ResumeTheme | null> {
+        const manifestPath = path.join(directory, THEME_MANIFEST);
+        if (!fs.existsSync(manifestPath)) {
+            return null;
+        }
+
+        let manifest: ThemeManifest;
+        try {
+            manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${THEME_MANIFEST} is not valid JSON: ${error instanceof Error ? error.message : error}`);
+        }
+        if (!manifest || typeof manifest.name !== 'string' || !manifest.name.trim()) {
+            throw new Error(`${THEME_MANIFEST} needs a "name"`);
+        }
+
+        // Theme files must stay inside the theme folder
+        const themeFile = (file: string) => {
+            const filePath = path.resolve(directory, file);
+            if (path.relative(directory, filePath).startsWith('..')) {
+                throw new Error(`${file} is outside the theme folder`);
+            }
+            return filePath;
+        };
+        const templatePath = themeFile(manifest.template || 'template.html');
+        if (!fs.existsSync(templatePath)) {
+            throw new Error(`Template ${path.basename(templatePath)} not found`);
+        }
+        const template = await fs.promises.readFile(templatePath, 'utf8');
+        try {
+            validateTemplate(template);
+        } catch (error) {
+            throw new Error(`${path.basename(templatePath)}: ${error instanceof Error ? error.message : error}`);
+        }
+
+        const cssPath = themeFile(manifest.css || 'style.css');
+        const css = fs.existsSync(cssPath) ? await fs.promises.readFile(cssPath, 'utf8') : '';
+
+        return {
+            id: path.basename(directory),
+            name: manifest.name.trim(),
+            description: manifest.description || '',
+            source,
+            directory,
+            baseStyle: Object.values(ResumeStyle).find(style => style === manifest.baseStyle) || ResumeStyle.MODERN,
+            template,
+            css
+        };
+    }
+}
@@ -2,10 +2,24 @@
 // Import the module and reference it with the alias vscode in your code below
 import * as vscode from 'vscode';
 import * as path from 'path';
-import { GitService } from './GitService';
+import * as fs from 'fs';
+import { GitService, GitRepositoryData, AuthorFilter, rankSkillsByLanguageProfile, mergeRepositoryData } from './GitService';
 import { FileService } from './FileService';
-import { AIService } from './AIService';
+import { AIService, ResumeData, RepositoryAnalysis, buildFallbackAchievements } from './AIService';
 import { PDFService, ResumeStyle, PDFOptions } from './PDFService';
+import { DocxService } from './DocxService';
+import { PortfolioService } from './PortfolioService';
+import { ThemeService, ResumeTheme } from './ThemeService';
+import { ProfileService, ProfileLocation, ResumeProfile, createEmptyProfile, applyProfile } from './ProfileService';
+import { toJsonResume, fromJsonResume } from './JsonResume';
+import { LATEX_TEMPLATES, toLaTeX } from './LaTeXExport';
+import { ContentSources, describeContentSources } from './ResumeSchema';
+import { ClaimVerificationMode, verifyResumeClaims, describeVerification } from './ClaimVerifier';
+import { ResumeEditorPanel, LAST_RESUME_KEY, RESUME_DATA_FILE, readResumeDataFile, saveResumeDataFile, rememberFittedResume, getFittedResume } from './ResumeEditorPanel';
+import { parseJobPosting, tailorResume, scoreMatch, formatMatchReport } from './JobTailoring';
+import { analyzeResumePDF, formatATSReport } from './ATSAnalyzer';
+import { PageFitReport, describePageFit, formatPageFitReport } from './PageFitting';
+import { GitHubClient, GitHubRepoFilter, GITHUB_TOKEN_SECRET, DEFAULT_GITHUB_API_URL } from './GitHubClient';
 
 /**
  * Main extension activation function
@@ -19,13 +33,125 @@ export function activate(context: vscode.ExtensionContext) {
 	const generateResumeCommand = vscode.commands.registerCommand(
 		'resume-generator-for-developers.generateResume',
 		async () => {
-			await generateDeveloperResume();
+			await generateDeveloperResume(context);
 		}
 	);
 
 	// Add command to extension subscriptions
 	context.subscriptions.push(generateResumeCommand);
 
+	// Register the command for opening the persistent resume profile
+	const editProfileCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.editProfile',
+		async () => {
+			const profileService = createProfileService(context);
+			try {
+				// Validate an existing profile before opening it; create a skeleton otherwise
+				if (!(await profileService.readProfile())) {
+					await profileService.saveProfile(createEmptyProfile(), getProfileLocation());
+				}
+			} catch (error) {
+				vscode.window.showWarningMessage(`${error instanceof Error ? error.message : error}`);
+			}
+			const document = await vscode.workspace.openTextDocument(profileService.getProfilePath(getProfileLocation()));
+			await vscode.window.showTextDocument(document);
+		}
+	);
+	context.subscriptions.push(editProfileCommand);
+
+	// Register the command for checking the AI provider settings
+	const testAIProviderCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.testAIProvider',
+		async () => {
+			const aiService = new AIService();
+			if (!aiService.isAvailable()) {
+				return; // AIService already reported the configuration problem
+			}
+			try {
+				const result = await vscode.window.withProgress({
+					location: vscode.ProgressLocation.Notification,
+					title: 'Contacting AI provider...'
+				}, () => aiService.testConnection());
+				vscode.window.showInformationMessage(result);
+			} catch (error) {
+				vscode.window.showErrorMessage(`AI provider test failed: ${error instanceof Error ? error.message : error}`);
+			}
+		}
+	);
+	context.subscriptions.push(testAIProviderCommand);
+
+	// Register the command for editing the saved or last generated resume
+	const editResumeCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.editResume',
+		async () => {
+			await openResumeEditor(context);
+		}
+	);
+	context.subscriptions.push(editResumeCommand);
+
+	// Register the command for importing a JSON Resume document into the profile
+	const importJsonResumeCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.importJsonResume',
+		async () => {
+			await importJsonResume(context);
+		}
+	);
+	context.subscriptions.push(importJsonResumeCommand);
+
+	// Register the command for exporting the last generated resume as JSON Resume
+	const exportJsonResumeCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.exportJsonResume',
+		async () => {
+			await exportJsonResume(context);
+		}
+	);
+	context.subscriptions.push(exportJsonResumeCommand);
+
+	// Register the command for exporting the last resume as a LaTeX document
+	const exportLaTeXCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.exportLaTeX',
+		async () => {
+			await exportLaTeX(context);
+		}
+	);
+	context.subscriptions.push(exportLaTeXCommand);
+
+	// Register the command for publishing the last resume as a static portfolio site
+	const publishPortfolioCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.publishPortfolio',
+		async () => {
+			await publishPortfolio(context);
+		}
+	);
+	context.subscriptions.push(publishPortfolioCommand);
+
+	// Register the command for tailoring the last resume to a job description
+	const tailorResumeCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.tailorResume',
+		async () => {
+			await tailorResumeToJob(context);
+		}
+	);
+	context.subscriptions.push(tailorResumeCommand);
+
+	// Register the command for checking how a resume PDF parses in applicant tracking systems
+	const checkATSCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.checkATS',
+		async () => {
+			await checkATSCompatibility(context);
+		}
+	);
+	context.subscriptions.push(checkATSCommand);
+
+	// Register the command for checking which browser renders PDFs
+	const checkPdfSetupCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.checkPdfSetup',
+		async () => {
+			await checkPdfSetup();
+		}
+	);
+	context.subscriptions.push(checkPdfSetupCommand);
+
 	// Register the command for endorsing a skill
 	const endorseSkillCommand = vscode.commands.registerCommand(
 		'resume-generator-for-developers.endorseSkill',
@@ -88,47 +214,37 @@ export function activate(context: vscode.ExtensionContext) {
 				return;
 			}
 
-			const profileUrl = `https://api.github.com/users/${username}`;
-			const reposUrl = `https://api.github.com/users/${username}/repos?per_page=100`;
 			try {
-				const profileResp = await fetch(profileUrl);
-				const profile = await profileResp.json();
-				const reposResp = await fetch(reposUrl);
-				const repos = await reposResp.json();
-
-				// Extract languages from repos
-				const languages = new Set();
-				repos.forEach((repo: any) => {
-					if (repo.language) languages.add(repo.language);
-				});
-
-				const githubData = {
-					name: profile.name,
-					email: profile.email,
-					bio: profile.bio,
-					company: profile.company,
-					location: profile.location,
-					blog: profile.blog,
-					githubUrl: profile.html_url,
-					languages: Array.from(languages),
-					repos: repos.map((repo: any) => ({
-						name: repo.name,
-						description: repo.description,
-						url: repo.html_url,
-						language: repo.language
-					}))
-				};
+				const githubData = await vscode.window.withProgress({
+					location: vscode.ProgressLocation.Notification,
+					title: `Importing GitHub profile of ${username}...`
+				}, async () => (await createGitHubClient(context)).fetchProfile(username, getGitHubRepoFilter()));
 
-				// Store in global state for use in resume generation
-				vscode.workspace.getConfiguration().update('resumeGenerator.githubData', githubData, vscode.ConfigurationTarget.Global);
-				vscode.window.showInformationMessage('GitHub profile imported! It will be used in your next resume generation.');
+				// Store in the resume profile for use in resume generation
+				const profilePath = createProfileService(context).getProfilePath(getProfileLocation());
+				try {
+					await createProfileService(context).updateProfile({ githubData }, getProfileLocation());
+				} catch (error) {
+					vscode.window.showErrorMessage(`Could not save GitHub profile to ${profilePath}: ${error instanceof Error ? error.message : error}`);
+					return;
+				}
+				vscode.window.showInformationMessage(`GitHub profile imported into ${profilePath}! It will be used in your next resume generation.`);
 			} catch (error) {
-				vscode.window.showErrorMessage('Failed to fetch GitHub profile.');
+				vscode.window.showErrorMessage(`Failed to fetch GitHub profile: ${error instanceof Error ? error.message : error}`);
 			}
 		}
 	);
 	context.subscriptions.push(importGitHubCommand);
 
+	// Register the command for storing a GitHub token
+	const setGitHubTokenCommand = vscode.commands.registerCommand(
+		'resume-generator-for-developers.setGitHubToken',
+		async () => {
+			await setGitHubToken(context);
+		}
+	);
+	context.subscriptions.push(setGitHubTokenCommand);
+
 	// Show welcome message
 	vscode.window.showInformationMessage(
 		'Resume Generator for Developers is ready! Use "Generate Developer Resume" from the Command Palette.'
@@ -138,7 +254,7 @@ export function activate(context: vscode.ExtensionContext) {
 /**
  * Main function to generate developer resume
  */
-async function generateDeveloperResume(): Promise<void> {
+async function generateDeveloperResume(context: vscode.ExtensionContext): Promise<void> {
 	try {
 		// Get current workspace
 		const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
@@ -149,64 +265,162 @@ async function generateDeveloperResume(): Promise<void> {
 
 		const workspaceRoot = workspaceFolder.uri.fsPath;
 
+		// Load the persistent profile; a broken file is reported and left untouched
+		const profileService = createProfileService(context);
+		let profile: ResumeProfile | null = null;
+		let profileWritable = true;
+		try {
+			profile = await profileService.readProfile();
+		} catch (error) {
+			profileWritable = false;
+			vscode.window.showWarningMessage(`${error instanceof Error ? error.message : error}. Continuing without the resume profile.`);
+		}
+		const updateProfile = async (changes: Partial<ResumeProfile>) => {
+			if (!profileWritable) return;
+			try {
+				profile = await profileService.updateProfile(changes, getProfileLocation());
+			} catch (error) {
+				console.error('Error saving resume profile:', error);
+			}
+		};
+
 		// Show progress indicator
 		await vscode.window.withProgress({
 			location: vscode.ProgressLocation.Notification,
 			title: "Generating Developer Resume",
-			cancellable: false
+			cancellable: true
 		}, async (progress: vscode.Progress<{ message?: string; increment?: number }>, token: vscode.CancellationToken) => {
 			
-			// Step 1: Initialize services
+			// Step 1: Choose the repositories to include
+			const repositoryRoots = await selectRepositories();
+			if (!repositoryRoots) {
+				return; // User cancelled
+			}
+
+			// Step 2: Initialize services
 			progress.report({ increment: 10, message: "Initializing services..." });
-			const gitService = new GitService(workspaceRoot);
 			const fileService = new FileService(workspaceRoot);
 			const aiService = new AIService();
 			const pdfService = new PDFService(workspaceRoot);
 
-			// Step 2: Validate Git repository
-			progress.report({ increment: 10, message: "Checking Git repository..." });
-			const isGitRepo = await gitService.isGitRepository();
-			if (!isGitRepo) {
+			// Step 3: Validate Git repositories
+			progress.report({ increment: 5, message: "Checking Git repositories..." });
+			const gitServices: { root: string; gitService: GitService }[] = [];
+			for (const root of repositoryRoots) {
+				const gitService = new GitService(root);
+				if (await gitService.isGitRepository()) {
+					gitServices.push({ root, gitService });
+				} else if (repositoryRoots.length > 1) {
+					vscode.window.showWarningMessage(`Skipping ${root}: not a Git repository.`);
+				}
+			}
+			if (gitServices.length === 0) {
 				vscode.window.showErrorMessage('Current workspace is not a Git repository. Please initialize Git first.');
 				return;
 			}
 
-			// Step 3: Extract Git data
-			progress.report({ increment: 20, message: "Analyzing Git commits..." });
-			const gitData = await gitService.getRepositoryData();
-			if (gitData.commits.length === 0) {
+			// Step 4: Choose which contributor the resume describes
+			progress.report({ increment: 5, message: "Identifying author..." });
+			const author = await selectAuthor(gitServices.map(entry => entry.gitService));
+			if (author === null) {
+				return; // User cancelled
+			}
+			const extraAliases = vscode.workspace.getConfiguration().get<string[]>('resumeGenerator.authorAliases') || [];
+
+			// Step 5: Extract Git data and read project files of every repository
+			// (optionally the whole history, streamed with progress)
+			const fullHistory = vscode.workspace.getConfiguration().get<boolean>('resumeGenerator.analyzeFullHistory') || false;
+			const minLanguageShare = vscode.workspace.getConfiguration().get<number>('resumeGenerator.minLanguageShare') ?? 1;
+			const repositories: RepositoryAnalysis[] = [];
+			let reportedShare = 0;
+
+			for (let i = 0; i < gitServices.length; i++) {
+				const { root, gitService } = gitServices[i];
+				const label = gitServices.length > 1 ? ` (${path.basename(root)}, ${i + 1}/${gitServices.length})` : '';
+				progress.report({ message: `Analyzing Git commits${label}...` });
+
+				const authorFilter: AuthorFilter | undefined = author
+					? await gitService.resolveAuthorFilter(author, extraAliases)
+					: undefined;
+
+				let repositoryGitData: GitRepositoryData;
+				try {
+					repositoryGitData = await gitService.getRepositoryData(100, authorFilter, {
+						fullHistory,
+						minLanguageShare,
+						token,
+						onProgress: (processed, total) => {
+							// Spread this step's 30% of the progress bar across repositories and the commits parsed in each
+							const fraction = total > 0 ? Math.min(1, processed / total) : 0;
+							const share = Math.floor(((i + fraction) / gitServices.length) * 30);
+							progress.report({
+								increment: share - reportedShare,
+								message: `Analyzing Git commits${label}... ${processed}${total > 0 ? ` / ${total}` : ''}`
+							});
+							reportedShare = share;
+						}
+					});
+				} catch (error) {
+					// A repository without commits by the selected author is skipped when others remain
+					if (error instanceof vscode.CancellationError || gitServices.length === 1) {
+						throw error;
+					}
+					continue;
+				}
+
+				// With an author filter, Dockerfiles and CI files only count when the author changed them at any point,
+				// not just in the commits analyzed
+				const repositoryProjectData = await new FileService(root).getProjectFileData(
+					authorFilter ? await gitService.getAuthoredFiles(authorFilter) : undefined
+				);
+				repositories.push({ gitData: repositoryGitData, projectData: repositoryProjectData });
+			}
+			progress.report({ increment: 30 - reportedShare, message: "Reading project files..." });
+
+			if (repositories.length === 0) {
 				vscode.window.showErrorMessage('No Git commits found. Please make some commits first.');
 				return;
 			}
 
-			// Step 4: Read project files
-			progress.report({ increment: 20, message: "Reading project files..." });
-			const projectData = await fileService.getProjectFileData();
+			// The combined timeline drives skills, fallback content and the AI summary
+			const gitData = repositories.length === 1
+				? repositories[0].gitData
+				: mergeRepositoryData(repositories.map(repository => repository.gitData), minLanguageShare);
+			const projectData = repositories[0].projectData;
 
 			// Extract skills from project files
 			const extractedSkills = [
 				...(gitData.languages || []),
-				...(extractFrameworks(projectData) || []),
-				...(extractDatabases(projectData) || []),
-				...(projectData.readme?.technologies || []),
-				...(projectData.readme?.features || [])
+				...repositories.flatMap(repository => [
+					...(extractFrameworks(repository.projectData) || []),
+					...(extractDatabases(repository.projectData) || []),
+					...(repository.projectData.readme?.technologies || []),
+					...(repository.projectData.readme?.features || [])
+				])
 			];
 			const uniqueExtractedSkills = Array.from(new Set(extractedSkills.filter(Boolean)));
 
-			// Prompt user for additional skills
-			const userSkillsInput = await vscode.window.showInputBox({
-				prompt: 'Add any additional skills you want to include (comma-separated)',
-				placeHolder: 'e.g., Docker, AWS, GraphQL'
-			});
-			const userSkills = userSkillsInput ? userSkillsInput.split(',').map(s => s.trim()).filter(Boolean) : [];
+			// Prompt user for additional skills once; afterwards they live in the profile
+			let userSkills: string[] = profile?.skills?.technical || [];
+			if (!profile?.skills?.technical) {
+				const userSkillsInput = await vscode.window.showInputBox({
+					prompt: 'Add any additional skills you want to include (comma-separated, saved to your resume profile)',
+					placeHolder: 'e.g., Docker, AWS, GraphQL'
+				});
+				if (userSkillsInput === undefined) {
+					return; // User cancelled
+				}
+				userSkills = userSkillsInput.split(',').map(s => s.trim()).filter(Boolean);
+				await updateProfile({ skills: { technical: userSkills } });
+			}
 
-			// Merge all skills for the resume
+			// Merge all skills for the resume, ordered by the language profile
 			function mergeSkills(original: any) {
-				return Array.from(new Set([
+				return rankSkillsByLanguageProfile(Array.from(new Set([
 					...(original || []),
 					...uniqueExtractedSkills,
 					...userSkills
-				]));
+				])), gitData);
 			}
 
 			// Read skill endorsements
@@ -214,7 +428,7 @@ async function generateDeveloperResume(): Promise<void> {
 
 			// Prompt for GitHub username and fetch profile data
 			let githubData: any = undefined;
-			let githubUsername = vscode.workspace.getConfiguration().get<string>('resumeGenerator.githubUsername');
+			let githubUsername = vscode.workspace.getConfiguration().get<string>('resumeGenerator.githubUsername') || profile?.githubData?.username;
 			if (!githubUsername) {
 				githubUsername = await vscode.window.showInputBox({
 					prompt: 'Enter your GitHub username (optional, press Enter to skip)',
@@ -226,68 +440,35 @@ async function generateDeveloperResume(): Promise<void> {
 			}
 			if (githubUsername) {
 				try {
-					const profileUrl = `https://api.github.com/users/${githubUsername}`;
-					const reposUrl = `https://api.github.com/users/${githubUsername}/repos?per_page=100`;
-					const profileResp = await fetch(profileUrl);
-					const profile = await profileResp.json();
-					const reposResp = await fetch(reposUrl);
-					const repos = await reposResp.json();
-					const languages = new Set();
-					const repoDetails = [];
-					for (const repo of repos) {
-						if (repo.language) languages.add(repo.language);
-						let description = repo.description;
-						if (!description) {
-							try {
-								const readmeResp = await fetch(`https://api.github.com/repos/${githubUsername}/${repo.name}/readme`);
-								if (readmeResp.ok) {
-									const readmeData = await readmeResp.json();
-									const content = Buffer.from(readmeData.content, 'base64').toString('utf8');
-									description = content.split('\n').slice(0, 10).join(' ').slice(0, 200) || 'No description provided.';
-								} else {
-									description = 'No description provided.';
-								}
-							} catch {
-								description = 'No description provided.';
-							}
-						}
-						repoDetails.push({
-							name: repo.name,
-							description,
-							url: repo.html_url,
-							language: repo.language
-						});
-					}
-					githubData = {
-						name: profile.name,
-						email: profile.email,
-						bio: profile.bio,
-						company: profile.company,
-						location: profile.location,
-						blog: profile.blog,
-						githubUrl: profile.html_url,
-						languages: Array.from(languages),
-						repos: repoDetails
-					};
+					githubData = await (await createGitHubClient(context)).fetchProfile(githubUsername, getGitHubRepoFilter());
 				} catch (error) {
-					vscode.window.showWarningMessage('Failed to fetch GitHub profile.');
+					// Fall back to the last imported profile
+					githubData = profile?.githubData?.username === githubUsername ? profile.githubData : undefined;
+					vscode.window.showWarningMessage(`Failed to fetch GitHub profile: ${error instanceof Error ? error.message : error}${githubData ? ' Using the imported profile instead.' : ''}`);
 				}
 			}
 
-			// Step 5: Get user preferences
+			// Step 6: Get user preferences
 			progress.report({ increment: 10, message: "Getting user preferences..." });
-			const userPreferences = await getUserPreferences();
+			const themes = await loadThemes(context, workspaceRoot);
+			const userPreferences = await getUserPreferences(profile, themes);
 			if (!userPreferences) {
 				return; // User cancelled
 			}
+			if (userPreferences.answers) {
+				await updateProfile(userPreferences.answers);
+			}
 
-			// Step 6: Generate resume content using AI
+			// Step 7: Generate resume content using AI
 			progress.report({ increment: 20, message: "Generating resume content with AI..." });
 			let resumeData;
+			let contentSources: ContentSources | undefined;
 			
 			if (aiService.isAvailable()) {
 				try {
-					resumeData = await aiService.generateResumeContent(gitData, projectData, userPreferences.userInfo);
+					({ resumeData, sources: contentSources } = repositories.length > 1
+						? await aiService.generateMultiRepositoryContent(repositories, gitData, userPreferences.userInfo)
+						: await aiService.generateResumeContent(gitData, projectData, userPreferences.userInfo));
 					// Merge skills into resumeData if present
 					if (resumeData.skills) {
 						resumeData.skills.technical = mergeSkills(resumeData.skills.technical);
@@ -315,7 +496,7 @@ async function generateDeveloperResume(): Promise<void> {
 					}
 				} catch (error) {
 					vscode.window.showWarningMessage(`AI generation failed: ${error}. Using fallback method.`);
-					resumeData = generateFallbackResumeData(gitData, projectData, userPreferences.userInfo);
+					resumeData = generateFallbackResumeData(gitData, projectData, userPreferences.userInfo, repositories);
 					resumeData.skills.technical = mergeSkills(resumeData.skills.technical);
 					if (githubData) {
 						if (resumeData.personalInfo) {
@@ -340,7 +521,7 @@ async function generateDeveloperResume(): Promise<void> {
 				}
 			} else {
 				vscode.window.showWarningMessage('AI service not available. Using fallback method.');
-				resumeData = generateFallbackResumeData(gitData, projectData, userPreferences.userInfo);
+				resumeData = generateFallbackResumeData(gitData, projectData, userPreferences.userInfo, repositories);
 				resumeData.skills.technical = mergeSkills(resumeData.skills.technical);
 				if (githubData) {
 					if (resumeData.personalInfo) {
@@ -364,89 +545,324 @@ async function generateDeveloperResume(): Promise<void> {
 				}
 			}
 
-			// Step 7: Generate PDF
-			progress.report({ increment: 10, message: "Generating PDF..." });
+			// Check every bullet against the repositories before manual profile content is merged in
+			const verificationMode = vscode.workspace.getConfiguration().get<ClaimVerificationMode>('resumeGenerator.claimVerification') || 'rewrite';
+			const verification = verifyResumeClaims(resumeData, repositories, verificationMode);
+			resumeData = verification.resumeData;
+
+			// Manual profile fields take precedence over generated content
+			resumeData = applyProfile(resumeData, profile);
+			await context.workspaceState.update(LAST_RESUME_KEY, resumeData);
+			await saveGeneratedResume(workspaceRoot, resumeData, userPreferences.style, userPreferences.theme?.id);
+
+			// Step 8: Generate the selected formats
+			const formats = await selectOutputFormats(context);
 			const outputPath = path.join(workspaceRoot, 'resume.pdf');
-			
-			const pdfOptions: PDFOptions = {
-				style: userPreferences.style,
-				outputPath: outputPath,
-				format: 'A4',
-				includeColors: true
-			};
+			const docxPath = path.join(workspaceRoot, 'resume.docx');
+			let pageFit: PageFitReport | undefined;
 
-			await pdfService.generatePDF(resumeData, pdfOptions, endorsements);
+			if (formats.includes('pdf')) {
+				progress.report({ increment: 10, message: "Generating PDF..." });
+				const pdfOptions: PDFOptions = {
+					style: userPreferences.style,
+					outputPath: outputPath,
+					format: 'A4',
+					includeColors: true,
+					theme: userPreferences.theme,
+					maxPages: getPageLimit()
+				};
 
-			// Step 8: Show completion message
+				const pdf = await pdfService.generatePDFWithReport(resumeData, pdfOptions, endorsements);
+				await rememberFittedResume(context, pdf);
+				pageFit = pdf.fit;
+				if (pageFit && pageFit.cuts.length > 0) {
+					await showPageFitReport(pageFit, path.basename(outputPath));
+				}
+			}
+			if (formats.includes('docx')) {
+				progress.report({ message: "Generating Word document..." });
+				await new DocxService(workspaceRoot).generateDocx(resumeData, {
+					style: userPreferences.style,
+					outputPath: docxPath,
+					format: 'A4'
+				}, endorsements);
+			}
+
+			// Step 9: Show completion message
 			progress.report({ increment: 10, message: "Complete!" });
 			
 			const openPDF = 'Open PDF';
-			const showPreview = 'Show Preview';
+			const openDocx = 'Open Word Document';
+			const editResume = 'Edit Resume';
+			const outputs = [
+				...(formats.includes('pdf') ? [outputPath] : []),
+				...(formats.includes('docx') ? [docxPath] : [])
+			];
+			const sourcesNote = (contentSources ? ` Content sources: ${describeContentSources(contentSources)}.` : '') +
+				(verificationMode !== 'off' ? ` Bullets: ${describeVerification(verification.summary)}.` : '') +
+				(pageFit ? ` ${describePageFit(pageFit)}` : '');
+			if (verification.summary.unsupported > 0) {
+				vscode.window.showWarningMessage(
+					`${verification.summary.unsupported} resume bullet(s) make claims the repository does not back. Choose "Edit Resume" to review them.`
+				);
+			}
 			const result = await vscode.window.showInformationMessage(
-				`Resume generated successfully! Saved to: ${outputPath}`,
-				openPDF,
-				showPreview
+				`Resume generated successfully! Saved to: ${outputs.join(' and ')}.${sourcesNote}`,
+				...(formats.includes('pdf') ? [openPDF] : []),
+				...(formats.includes('docx') ? [openDocx] : []),
+				editResume
 			);
 
 			if (result === openPDF) {
 				// Open PDF in default application
 				vscode.env.openExternal(vscode.Uri.file(outputPath));
-			} else if (result === showPreview) {
-				// Show preview in VS Code webview
-				await showResumePreview(resumeData, userPreferences.style);
+			} else if (result === openDocx) {
+				vscode.env.openExternal(vscode.Uri.file(docxPath));
+			} else if (result === editResume) {
+				// Edit with live preview in VS Code webview
+				ResumeEditorPanel.show(context, workspaceRoot, resumeData, userPreferences.style, userPreferences.theme, themes);
 			}
 		});
 
 	} catch (error) {
+		if (error instanceof vscode.CancellationError) {
+			vscode.window.showInformationMessage('Resume generation cancelled.');
+			return;
+		}
 		console.error('Error generating resume:', error);
 		vscode.window.showErrorMessage(`Failed to generate resume: ${error}`);
 	}
 }
 
 /**
- * Get user preferences for resume generation
+ * Output formats of a generated resume
+ */
+type OutputFormat = 'pdf' | 'docx';
+
+/**
+ * Workspace state key of the last selected output formats
  */
-async function getUserPreferences(): Promise<{
+const OUTPUT_FORMATS_KEY = 'resumeGenerator.outputFormats';
+
+/**
+ * Let the user pick the output formats, preselecting the last choice
+ * @param context Extension context
+ * @returns Selected formats; PDF when the picker is dismissed or nothing is selected
+ */
+async function selectOutputFormats(context: vscode.ExtensionContext): Promise<OutputFormat[]> {
+	const previous = context.workspaceState.get<OutputFormat[]>(OUTPUT_FORMATS_KEY) || ['pdf'];
+	const options: (vscode.QuickPickItem & { value: OutputFormat })[] = [
+		{ label: 'PDF', description: 'resume.pdf', value: 'pdf' },
+		{ label: 'Word (DOCX)', description: 'resume.docx, with real headings, bullet lists and links', value: 'docx' }
+	];
+	const selected = await vscode.window.showQuickPick(
+		options.map(option => ({ ...option, picked: previous.includes(option.value) })),
+		{ canPickMany: true, placeHolder: 'Select the output formats' }
+	);
+
+	// The content is already generated, so dismissing the picker must not throw it away
+	const formats = selected && selected.length > 0 ? selected.map(option => option.value) : previous;
+	await context.workspaceState.update(OUTPUT_FORMATS_KEY, formats);
+	return formats;
+}
+
+/**
+ * Let the user pick which workspace folders and extra local repositories the resume covers
+ * @returns Repository root paths, or null if cancelled
+ */
+async function selectRepositories(): Promise<string[] | null> {
+	const config = vscode.workspace.getConfiguration();
+	const candidates = new Map<string, string>();
+	(vscode.workspace.workspaceFolders || []).forEach(folder => candidates.set(folder.uri.fsPath, folder.name));
+	(config.get<string[]>('resumeGenerator.additionalRepositories') || [])
+		.filter(repositoryPath => fs.existsSync(repositoryPath))
+		.forEach(repositoryPath => {
+			if (!candidates.has(repositoryPath)) {
+				candidates.set(repositoryPath, path.basename(repositoryPath));
+			}
+		});
+
+	// A single folder needs no prompt; extra repositories can be added through settings
+	if (candidates.size <= 1) {
+		return [...candidates.keys()];
+	}
+
+	const browseOption = {
+		label: '$(folder-opened) Browse for other repositories...',
+		description: 'Added folders are remembered in resumeGenerator.additionalRepositories',
+		root: ''
+	};
+	const repositoryOptions = [...candidates.entries()].map(([root, name]) => ({
+		label: name,
+		description: root,
+		picked: true,
+		root
+	}));
+
+	const selected = await vscode.window.showQuickPick([...repositoryOptions, browseOption], {
+		placeHolder: 'Select the repositories to include in the resume',
+		canPickMany: true
+	});
+	if (!selected || selected.length === 0) {
+		return null;
+	}
+
+	const roots = selected.filter(option => option.root).map(option => option.root);
+	if (selected.includes(browseOption)) {
+		const folders = await vscode.window.showOpenDialog({
+			canSelectFiles: false,
+			canSelectFolders: true,
+			canSelectMany: true,
+			openLabel: 'Include in Resume'
+		});
+		const added = (folders || []).map(folder => folder.fsPath).filter(root => !roots.includes(root));
+		if (added.length > 0) {
+			const remembered = config.get<string[]>('resumeGenerator.additionalRepositories') || [];
+			await config.update(
+				'resumeGenerator.additionalRepositories',
+				[...new Set([...remembered, ...added])],
+				vscode.ConfigurationTarget.Global
+			);
+			roots.push(...added);
+		}
+	}
+
+	return roots.length > 0 ? roots : null;
+}
+
+/**
+ * Let the user pick which repository author is "me"
+ * @param gitServices Services of all selected repositories; their contributors are combined
+ * @returns Identity of the chosen author, undefined for all contributors, null if cancelled
+ */
+async function selectAuthor(gitServices: GitService[]): Promise<{ name: string; email: string } | undefined | null> {
+	const authorsByKey = new Map<string, { name: string; email: string; commits: number }>();
+	for (const gitService of gitServices) {
+		for (const author of await gitService.getAuthors()) {
+			const key = `${author.name} <${author.email.toLowerCase()}>`;
+			const entry = authorsByKey.get(key);
+			if (entry) {
+				entry.commits += author.commits;
+			} else {
+				authorsByKey.set(key, { ...author });
+			}
+		}
+	}
+	const authors = [...authorsByKey.values()].sort((a, b) => b.commits - a.commits);
+	if (authors.length === 0) {
+		return undefined;
+	}
+
+	// A single-author repository needs no prompt
+	if (authors.length === 1) {
+		return authors[0];
+	}
+
+	const configured = await gitServices[0].getConfiguredIdentity();
+	const isConfigured = (author: { name: string; email: string }) =>
+		(configured.email !== '' && author.email.toLowerCase() === configured.email.toLowerCase()) ||
+		(configured.name !== '' && author.name === configured.name);
+
+	const authorOptions = authors
+		.map(author => ({
+			label: author.name || author.email,
+			description: isConfigured(author) ? `${author.email} (git config)` : author.email,
+			detail: `${author.commits} commit${author.commits === 1 ? '' : 's'}`,
+			author
+		}))
+		.sort((a, b) => Number(isConfigured(b.author)) - Number(isConfigured(a.author)));
+
+	const allContributors = {
+		label: 'All contributors',
+		description: 'Include every author\'s commits',
+		detail: `${authors.reduce((total, author) => total + author.commits, 0)} commits`,
+		author: undefined
+	};
+
+	const selected = await vscode.window.showQuickPick([...authorOptions, allContributors], {
+		placeHolder: 'Select which author you are (aliases from .mailmap and git config are merged)'
+	});
+
+	if (!selected) {
+		return null;
+	}
+
+	return selected.author;
+}
+
+/**
+ * Get user preferences for resume generation; only asks for what the profile does not provide yet
+ * @param profile Stored resume profile
+ * @param themes User-defined themes offered next to the built-in styles
+ * @returns Preferences, plus the new answers to save in the profile (if any), or null if cancelled
+ */
+async function getUserPreferences(profile: ResumeProfile | null, themes: ResumeTheme[] = []): Promise<{
 	style: ResumeStyle;
+	theme?: ResumeTheme;
 	userInfo: { name?: string; email?: string; title?: string };
+	answers?: Partial<ResumeProfile>;
 } | null> {
 	try {
+		let theme = themes.find(candidate => candidate.id === profile?.theme);
+		const knownStyle = theme?.baseStyle || Object.values(ResumeStyle).find(style => style === profile?.style);
+		const personalInfo = profile?.personalInfo || {};
+		let style = knownStyle;
+
 		// Get resume style preference
-		const styleOptions = [
-			{ label: 'Modern', description: 'Colorful gradient header with modern styling', value: ResumeStyle.MODERN },
-			{ label: 'Classic', description: 'Traditional serif fonts with formal styling', value: ResumeStyle.CLASSIC },
-			{ label: 'Minimal', description: 'Clean and simple design with minimal elements', value: ResumeStyle.MINIMAL },
-			{ label: 'Developer', description: 'Monospace fonts with tech-focused styling', value: ResumeStyle.DEVELOPER }
-		];
-
-		const selectedStyle = await vscode.window.showQuickPick(styleOptions, {
-			placeHolder: 'Select resume style'
-		});
+		if (!style) {
+			const styleOptions: (vscode.QuickPickItem & { value?: ResumeStyle; theme?: ResumeTheme })[] = [
+				{ label: 'Modern', description: 'Colorful gradient header with modern styling', value: ResumeStyle.MODERN },
+				{ label: 'Classic', description: 'Traditional serif fonts with formal styling', value: ResumeStyle.CLASSIC },
+				{ label: 'Minimal', description: 'Clean and simple design with minimal elements', value: ResumeStyle.MINIMAL },
+				{ label: 'Developer', description: 'Monospace fonts with tech-focused styling', value: ResumeStyle.DEVELOPER },
+				{ label: 'ATS', description: 'Single column with standard headings for applicant tracking systems', value: ResumeStyle.ATS },
+				...(themes.length > 0 ? [{ label: 'Themes', kind: vscode.QuickPickItemKind.Separator }] : []),
+				...themes.map(candidate => ({ label: candidate.name, description: candidate.description, detail: `${candidate.source} theme`, theme: candidate }))
+			];
 
-		if (!selectedStyle) {
-			return null; // User cancelled
+			const selectedStyle = await vscode.window.showQuickPick(styleOptions, {
+				placeHolder: 'Select resume style (saved to your resume profile)'
+			});
+
+			if (!selectedStyle) {
+				return null; // User cancelled
+			}
+			theme = selectedStyle.theme;
+			style = selectedStyle.theme?.baseStyle || selectedStyle.value || ResumeStyle.MODERN;
 		}
 
 		// Get user information
-		const name = await vscode.window.showInputBox({
+		const name = personalInfo.name ?? await vscode.window.showInputBox({
 			prompt: 'Enter your full name (optional - will use Git author if empty)',
 			placeHolder: 'John Doe'
 		});
 
-		const email = await vscode.window.showInputBox({
+		const email = personalInfo.email ?? await vscode.window.showInputBox({
 			prompt: 'Enter your email (optional - will use Git email if empty)',
 			placeHolder: 'john.doe@example.com'
 		});
 
-		const title = await vscode.window.showInputBox({
+		const title = personalInfo.title ?? await vscode.window.showInputBox({
 			prompt: 'Enter your professional title (optional)',
 			placeHolder: 'Software Developer',
 			value: 'Software Developer'
 		});
 
+		// Remember new answers; empty answers are kept too so the prompt is not repeated
+		const asked = { name, email, title };
+		const newInfo = Object.fromEntries(
+			Object.entries(asked).filter(([key, value]) => value !== undefined && (personalInfo as any)[key] === undefined)
+		);
+		const answers: Partial<ResumeProfile> = {
+			...(knownStyle ? {} : { style, ...(theme ? { theme: theme.id } : {}) }),
+			...(Object.keys(newInfo).length > 0 ? { personalInfo: newInfo } : {})
+		};
+
 		return {
-			style: selectedStyle.value,
-			userInfo: { name, email, title }
+			style,
+			theme,
+			userInfo: { name: name || undefined, email: email || undefined, title: title || undefined },
+			answers: Object.keys(answers).length > 0 ? answers : undefined
 		};
 
 	} catch (error) {
@@ -455,10 +871,327 @@ async function getUserPreferences(): Promise<{
 	}
 }
 
+/**
+ * Import a JSON Resume file (jsonresume.org) as the starting point for generation
+ * @param context Extension context
+ */
+async function importJsonResume(context: vscode.ExtensionContext): Promise<void> {
+	const files = await vscode.window.showOpenDialog({
+		canSelectMany: false,
+		filters: { 'JSON Resume': ['json'] },
+		openLabel: 'Import JSON Resume'
+	});
+	if (!files || files.length === 0) {
+		return;
+	}
+
+	try {
+		const imported = fromJsonResume(JSON.parse(await fs.promises.readFile(files[0].fsPath, 'utf8')));
+		const profileService = createProfileService(context);
+
+		const existing = await profileService.readProfile();
+		if (existing) {
+			const replace = 'Replace';
+			const answer = await vscode.window.showWarningMessage(
+				`Replace the matching fields of ${profileService.getProfilePath()} with the imported resume?`,
+				{ modal: true },
+				replace
+			);
+			if (answer !== replace) {
+				return;
+			}
+		}
+
+		const profilePath = profileService.getProfilePath(getProfileLocation());
+		await profileService.updateProfile(imported, getProfileLocation());
+		vscode.window.showInformationMessage(`Imported ${path.basename(files[0].fsPath)} into ${profilePath}. It will be used in your next resume generation.`);
+	} catch (error) {
+		vscode.window.showErrorMessage(`Failed to import JSON Resume: ${error instanceof Error ? error.message : error}`);
+	}
+}
+
+/**
+ * Export the last generated resume (or the profile alone) as a JSON Resume file
+ * @param context Extension context
+ */
+async function exportJsonResume(context: vscode.ExtensionContext): Promise<void> {
+	try {
+		const profile = await createProfileService(context).readProfile();
+		const resumeData = context.workspaceState.get<ResumeData>(LAST_RESUME_KEY)
+			|| (profile ? applyProfile(createEmptyResumeData(), profile) : undefined);
+		if (!resumeData) {
+			vscode.window.showWarningMessage('Nothing to export yet. Generate a resume or create a resume profile first.');
+			return;
+		}
+
+		const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+		const target = await vscode.window.showSaveDialog({
+			defaultUri: workspaceRoot ? vscode.Uri.file(path.join(workspaceRoot, 'resume.json')) : undefined,
+			filters: { 'JSON Resume': ['json'] },
+			saveLabel: 'Export JSON Resume'
+		});
+		if (!target) {
+			return;
+		}
+
+		const jsonResume = toJsonResume(resumeData, profile?.jsonResume);
+		await fs.promises.writeFile(target.fsPath, JSON.stringify(jsonResume, null, 2) + '\n', 'utf8');
+		vscode.window.showInformationMessage(`JSON Resume exported to ${target.fsPath}`);
+	} catch (error) {
+		vscode.window.showErrorMessage(`Failed to export JSON Resume: ${error instanceof Error ? error.message : error}`);
+	}
+}
+
+/**
+ * Export the last resume as a LaTeX document in a template of the user's choice
+ * @param context Extension context
+ */
+async function exportLaTeX(context: vscode.ExtensionContext): Promise<void> {
+	const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+	if (!workspaceRoot) {
+		vscode.window.showErrorMessage('Please open a workspace folder first.');
+		return;
+	}
+
+	try {
+		const saved = await loadSavedResume(context, workspaceRoot);
+		if (!saved) {
+			vscode.window.showWarningMessage('No resume to export yet. Run "Generate Developer Resume" first.');
+			return;
+		}
+
+		const selected = await vscode.window.showQuickPick(LATEX_TEMPLATES, { placeHolder: 'Select a LaTeX template' });
+		if (!selected) {
+			return;
+		}
+
+		const target = await vscode.window.showSaveDialog({
+			defaultUri: vscode.Uri.file(path.join(workspaceRoot, `resume-${selected.template}.tex`)),
+			filters: { 'LaTeX': ['tex'] },
+			saveLabel: 'Export LaTeX'
+		});
+		if (!target) {
+			return;
+		}
+
+		await fs.promises.writeFile(target.fsPath, toLaTeX(saved.resumeData, selected.template), 'utf8');
+
+		const openFile = 'Open File';
+		const result = await vscode.window.showInformationMessage(
+			`LaTeX resume exported to ${target.fsPath}. Compile it with pdflatex or upload it to Overleaf.`,
+			openFile
+		);
+		if (result === openFile) {
+			await vscode.window.showTextDocument(target);
+		}
+	} catch (error) {
+		vscode.window.showErrorMessage(`Failed to export LaTeX: ${error instanceof Error ? error.message : error}`);
+	}
+}
+
+/**
+ * Publish the last resume as a static portfolio site in the workspace's portfolio folder
+ * @param context Extension context
+ */
+async function publishPortfolio(context: vscode.ExtensionContext): Promise<void> {
+	const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+	if (!workspaceRoot) {
+		vscode.window.showErrorMessage('Please open a workspace folder first.');
+		return;
+	}
+
+	try {
+		const saved = await loadSavedResume(context, workspaceRoot);
+		if (!saved) {
+			vscode.window.showWarningMessage('No resume to publish yet. Run "Generate Developer Resume" first.');
+			return;
+		}
+
+		// GitHub Pages serves a user site from <user>.github.io
+		const githubUser = saved.resumeData.personalInfo.github?.replace(/^(https?:\/\/)?(www\.)?github\.com\//, '').replace(/\/.*$/, '');
+		const siteUrl = await vscode.window.showInputBox({
+			prompt: 'Public URL of the site, used for link previews (leave empty if unknown)',
+			value: githubUser && /^[\w-]+$/.test(githubUser) ? `https://${githubUser}.github.io` : '',
+			validateInput: value => !value || /^https?:\/\/\S+$/.test(value) ? undefined : 'Enter an http(s) URL'
+		});
+		if (siteUrl === undefined) {
+			return;
+		}
+
+		const withReadme = 'Site and GitHub profile README';
+		const siteOnly = 'Site only';
+		const contents = await vscode.window.showQuickPick([siteOnly, withReadme], {
+			placeHolder: 'A profile README is shown on your GitHub profile when committed to a repository named after your username'
+		});
+		if (!contents) {
+			return;
+		}
+
+		const portfolioService = new PortfolioService(workspaceRoot);
+		let outputDir = path.join(workspaceRoot, 'portfolio');
+		// Files of the same name are overwritten, so a folder the user filled themselves needs consent
+		while (await portfolioService.holdsOtherFiles(outputDir)) {
+			const writeAnyway = 'Write Anyway';
+			const chooseFolder = 'Choose Another Folder';
+			const answer = await vscode.window.showWarningMessage(
+				`${outputDir} already holds files that were not written by "Publish as Portfolio".`,
+				{ modal: true, detail: 'Files named index.html, style.css, .nojekyll, README.md or projects/<project>.html are replaced; other files are kept.' },
+				writeAnyway,
+				chooseFolder
+			);
+			if (answer === writeAnyway) {
+				break;
+			}
+			if (answer !== chooseFolder) {
+				return;
+			}
+			const folders = await vscode.window.showOpenDialog({
+				canSelectFiles: false,
+				canSelectFolders: true,
+				canSelectMany: false,
+				defaultUri: vscode.Uri.file(workspaceRoot),
+				openLabel: 'Publish Here'
+			});
+			if (!folders || folders.length === 0) {
+				return;
+			}
+			outputDir = folders[0].fsPath;
+		}
+
+		const endorsements = await new FileService(workspaceRoot).readEndorsements();
+		await portfolioService.generatePortfolio(saved.resumeData, {
+			style: saved.style,
+			outputDir,
+			siteUrl: siteUrl || undefined,
+			includeProfileReadme: contents === withReadme
+		}, endorsements);
+
+		const openSite = 'Open in Browser';
+		const revealFolder = 'Reveal Folder';
+		const result = await vscode.window.showInformationMessage(
+			`Portfolio written to ${outputDir}. Push its contents to a GitHub Pages repository to publish it.`,
+			openSite,
+			revealFolder
+		);
+		if (result === openSite) {
+			vscode.env.openExternal(vscode.Uri.file(path.join(outputDir, 'index.html')));
+		} else if (result === revealFolder) {
+			vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(outputDir));
+		}
+	} catch (error) {
+		vscode.window.showErrorMessage(`Failed to publish portfolio: ${error instanceof Error ? error.message : error}`);
+	}
+}
+
+/**
+ * Create resume data without any content, used when exporting a profile before the first generation
+ */
+function createEmptyResumeData(): ResumeData {
+	return {
+		personalInfo: { name: '', title: '', email: '', github: '' },
+		summary: '',
+		skills: { technical: [], frameworks: [], tools: [], databases: [] },
+		experience: [],
+		projects: []
+	};
+}
+
+/**
+ * Create the profile service for the current workspace
+ * @param context Extension context providing global storage
+ */
+function createProfileService(context: vscode.ExtensionContext): ProfileService {
+	const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || context.globalStorageUri.fsPath;
+	return new ProfileService(workspaceRoot, context.globalStorageUri.fsPath);
+}
+
+/**
+ * Create a GitHub client with the stored token, caching responses in global storage. The API root is
+ * only read from user settings, so a workspace cannot send the token to another server
+ * @param context Extension context providing secret and global storage
+ */
+async function createGitHubClient(context: vscode.ExtensionContext): Promise<GitHubClient> {
+	return new GitHubClient({
+		baseUrl: vscode.workspace.getConfiguration().inspect<string>('resumeGenerator.githubApiUrl')?.globalValue || DEFAULT_GITHUB_API_URL,
+		token: await context.secrets.get(GITHUB_TOKEN_SECRET),
+		cacheDir: path.join(context.globalStorageUri.fsPath, 'github-cache')
+	});
+}
+
+/**
+ * Get which repositories a GitHub import includes
+ */
+function getGitHubRepoFilter(): GitHubRepoFilter {
+	const config = vscode.workspace.getConfiguration();
+	return {
+		includeForks: config.get<boolean>('resumeGenerator.githubIncludeForks', false),
+		includeArchived: config.get<boolean>('resumeGenerator.githubIncludeArchived', false)
+	};
+}
+
+/**
+ * Store a GitHub token in secret storage, or remove it when the input is left empty
+ * @param context Extension context providing secret storage
+ */
+async function setGitHubToken(context: vscode.ExtensionContext): Promise<void> {
+	const hasToken = !!(await context.secrets.get(GITHUB_TOKEN_SECRET));
+	const token = await vscode.window.showInputBox({
+		prompt: hasToken
+			? 'Enter a new GitHub token, or leave empty to remove the stored one'
+			: 'Enter a GitHub personal access token (no scopes needed for public data)',
+		placeHolder: 'github_pat_... or ghp_...',
+		password: true,
+		ignoreFocusOut: true
+	});
+	if (token === undefined) {
+		return;
+	}
+	if (!token.trim()) {
+		if (hasToken) {
+			await context.secrets.delete(GITHUB_TOKEN_SECRET);
+			vscode.window.showInformationMessage('GitHub token removed.');
+		}
+		return;
+	}
+	await context.secrets.store(GITHUB_TOKEN_SECRET, token.trim());
+	vscode.window.showInformationMessage('GitHub token saved. GitHub imports now use it.');
+}
+
+/**
+ * Get the page limit of generated PDFs from resumeGenerator.maxPages
+ * @returns Page limit, or undefined for no limit
+ */
+function getPageLimit(): number | undefined {
+	return vscode.workspace.getConfiguration().get<number>('resumeGenerator.maxPages') || undefined;
+}
+
+/**
+ * Show what was cut to fit a PDF to the page limit
+ * @param report Page fit report
+ * @param fileName Name of the generated PDF
+ */
+async function showPageFitReport(report: PageFitReport, fileName: string): Promise<void> {
+	const reportDocument = await vscode.workspace.openTextDocument({
+		language: 'markdown',
+		content: formatPageFitReport(report, fileName)
+	});
+	await vscode.window.showTextDocument(reportDocument, { preview: true, preserveFocus: true });
+}
+
+/**
+ * Get where new resume profiles are created
+ */
+function getProfileLocation(): ProfileLocation {
+	return vscode.workspace.getConfiguration().get<ProfileLocation>('resumeGenerator.profileLocation') || 'workspace';
+}
+
 /**
  * Generate fallback resume data when AI is not available
+ * @param repositories When several repositories are selected, one experience and project entry is built per repository
  */
-function generateFallbackResumeData(gitData: any, projectData: any, userInfo?: any): any {
+function generateFallbackResumeData(gitData: any, projectData: any, userInfo?: any, repositories: RepositoryAnalysis[] = []): any {
+	const entries = repositories.length > 1 ? repositories : [{ gitData, projectData }];
+
 	// Extract personal info
 	const gitAuthor = gitData.authors[0] || '';
 	const nameMatch = gitAuthor.match(/^([^<]+)/);
@@ -476,113 +1209,346 @@ function generateFallbackResumeData(gitData: any, projectData: any, userInfo?: a
 		summary: 'Experienced software developer with expertise in modern web technologies and a passion for creating efficient, scalable solutions. Demonstrated ability to work with version control systems and collaborative development practices.',
 		skills: {
 			technical: gitData.languages.slice(0, 6),
-			frameworks: extractFrameworks(projectData),
-			tools: ['Git', 'VS Code', 'npm'],
-			databases: extractDatabases(projectData)
+			frameworks: [...new Set(entries.flatMap(entry => extractFrameworks(entry.projectData)))],
+			tools: [...new Set(['Git', 'VS Code', ...entries.flatMap(entry => extractTools(entry.projectData))])],
+			databases: [...new Set(entries.flatMap(entry => extractDatabases(entry.projectData)))]
 		},
-		experience: [{
-			projectName: projectData.projectName,
-			description: projectData.readme?.description || projectData.packageJson?.description || 'Software development project',
-			achievements: [
-				`Implemented ${gitData.totalCommits} commits across ${gitData.languages.length} programming languages`,
-				'Collaborated on version control and code review processes',
-				'Developed features using modern development practices'
-			],
-			technologies: gitData.languages,
-			duration: `${gitData.dateRange.from} - ${gitData.dateRange.to}`
-		}],
-		projects: [{
-			name: projectData.projectName,
-			description: projectData.readme?.description || projectData.packageJson?.description || 'Software development project',
-			technologies: gitData.languages,
-			highlights: projectData.readme?.features || [
+		experience: entries
+			.map(entry => ({
+				projectName: entry.projectData.projectName,
+				description: entry.projectData.readme?.description || entry.projectData.packageJson?.description || 'Software development project',
+				achievements: buildFallbackAchievements(entry.gitData, entry.projectData),
+				technologies: entry.gitData.languages,
+				duration: `${entry.gitData.dateRange.from} - ${entry.gitData.dateRange.to}`
+			}))
+			.sort((a, b) => b.duration.split(' - ')[1].localeCompare(a.duration.split(' - ')[1])),
+		projects: entries.map(entry => ({
+			name: entry.projectData.projectName,
+			description: entry.projectData.readme?.description || entry.projectData.packageJson?.description || 'Software development project',
+			technologies: entry.gitData.languages,
+			highlights: entry.projectData.readme?.features || [
 				'Implemented core functionality',
 				'Applied best practices',
 				'Maintained code quality'
 			]
-		}]
+		}))
 	};
 }
 
 /**
- * Extract frameworks from project data
+ * Extract frameworks from project data (all detected manifests)
  */
 function extractFrameworks(projectData: any): string[] {
-	const frameworks: string[] = [];
-	const dependencies = {
-		...projectData.packageJson?.dependencies,
-		...projectData.packageJson?.devDependencies
-	};
+	return projectData.stack?.frameworks || [];
+}
 
-	const frameworkMap: { [key: string]: string } = {
-		'react': 'React',
-		'vue': 'Vue.js',
-		'angular': 'Angular',
-		'express': 'Express.js',
-		'next': 'Next.js',
-		'nuxt': 'Nuxt.js',
-		'svelte': 'Svelte'
-	};
+/**
+ * Extract databases from project data (all detected manifests)
+ */
+function extractDatabases(projectData: any): string[] {
+	return projectData.stack?.databases || [];
+}
 
-	for (const [dep, framework] of Object.entries(frameworkMap)) {
-		if (dependencies && dependencies[dep]) {
-			frameworks.push(framework);
+/**
+ * Extract tools and package managers from project data (all detected manifests)
+ */
+function extractTools(projectData: any): string[] {
+	return projectData.stack?.tools || [];
+}
+
+/**
+ * Open the resume editor with the saved resume data file, or else the last generated resume
+ * @param context Extension context
+ */
+async function openResumeEditor(context: vscode.ExtensionContext): Promise<void> {
+	const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+	if (!workspaceFolder) {
+		vscode.window.showErrorMessage('Please open a workspace or folder to edit a resume.');
+		return;
+	}
+
+	const workspaceRoot = workspaceFolder.uri.fsPath;
+	try {
+		const saved = await loadSavedResume(context, workspaceRoot);
+		if (!saved) {
+			vscode.window.showWarningMessage('No resume to edit yet. Run "Generate Developer Resume" first.');
+			return;
 		}
+		ResumeEditorPanel.show(context, workspaceRoot, saved.resumeData, saved.style, saved.theme, await loadThemes(context, workspaceRoot));
+	} catch (error) {
+		vscode.window.showErrorMessage(`Failed to open resume editor: ${error instanceof Error ? error.message : error}`);
 	}
+}
 
-	return frameworks;
+/**
+ * Save a generated resume to the data file. A file with edits saved from the resume editor is only
+ * replaced when the user agrees; otherwise "Edit Resume" keeps opening the edited version
+ * @param workspaceRoot Workspace root path
+ * @param resumeData Generated resume data
+ * @param style Resume style
+ * @param theme User-defined theme (folder name)
+ */
+async function saveGeneratedResume(workspaceRoot: string, resumeData: ResumeData, style: ResumeStyle, theme?: string): Promise<void> {
+	const saved = await readResumeDataFile(workspaceRoot).catch(() => null);
+	if (saved?.edited) {
+		const replace = 'Replace Edited Resume';
+		const choice = await vscode.window.showWarningMessage(
+			`${RESUME_DATA_FILE} contains edits saved from the resume editor. Replace them with the newly generated resume?`,
+			{ modal: true, detail: 'If you keep them, "Edit Resume" keeps opening your edited resume; the new files are generated either way.' },
+			replace
+		);
+		if (choice !== replace) {
+			return;
+		}
+	}
+	await saveResumeDataFile(workspaceRoot, resumeData, style, theme);
 }
 
 /**
- * Extract databases from project data
+ * Load the saved resume data file, or else the last generated resume, with its style and theme
+ * @param context Extension context
+ * @param workspaceRoot Workspace root path
+ * @returns Resume data, style and theme (if one is selected and still available), or null when no resume was generated yet
  */
-function extractDatabases(projectData: any): string[] {
-	const databases: string[] = [];
-	const dependencies = {
-		...projectData.packageJson?.dependencies,
-		...projectData.packageJson?.devDependencies
-	};
+async function loadSavedResume(context: vscode.ExtensionContext, workspaceRoot: string): Promise<{ resumeData: ResumeData; style: ResumeStyle; theme?: ResumeTheme } | null> {
+	const saved = await readResumeDataFile(workspaceRoot);
+	const resumeData = saved?.resume || context.workspaceState.get<ResumeData>(LAST_RESUME_KEY);
+	if (!resumeData) {
+		return null;
+	}
 
-	const dbMap: { [key: string]: string } = {
-		'mongodb': 'MongoDB',
-		'mongoose': 'MongoDB',
-		'pg': 'PostgreSQL',
-		'mysql': 'MySQL',
-		'sqlite3': 'SQLite',
-		'redis': 'Redis'
-	};
+	const profile = await createProfileService(context).readProfile().catch(() => null);
+	const profileStyle = Object.values(ResumeStyle).find(style => style === profile?.style);
+	// The data file records the theme of its resume, even none; the profile only applies without a data file
+	const themeId = saved ? saved.theme : profile?.theme;
+	const theme = themeId ? (await loadThemes(context, workspaceRoot)).find(candidate => candidate.id === themeId) : undefined;
+	return { resumeData, style: saved?.style || profileStyle || ResumeStyle.MODERN, theme };
+}
 
-	for (const [dep, db] of Object.entries(dbMap)) {
-		if (dependencies && dependencies[dep]) {
-			databases.push(db);
+/**
+ * Load the bundled, user and workspace themes; themes that fail to load are reported and skipped.
+ * Workspace themes are only loaded in trusted workspaces
+ * @param context Extension context
+ * @param workspaceRoot Workspace root path
+ * @returns Promise<ResumeTheme[]>
+ */
+async function loadThemes(context: vscode.ExtensionContext, workspaceRoot?: string): Promise<ResumeTheme[]> {
+	const themesPath = vscode.workspace.getConfiguration().get<string>('resumeGenerator.themesPath') || undefined;
+	try {
+		const themeService = new ThemeService(context.extensionPath, vscode.workspace.isTrusted ? workspaceRoot : undefined, themesPath);
+		const { themes, errors } = await themeService.listThemes();
+		if (errors.length > 0) {
+			vscode.window.showWarningMessage(`${errors.length} resume theme(s) could not be loaded: ${errors.join('; ')}`);
 		}
+		return themes;
+	} catch (error) {
+		vscode.window.showWarningMessage(`Failed to load resume themes: ${error instanceof Error ? error.message : error}`);
+		return [];
 	}
+}
+
+/**
+ * Read a job description from the clipboard, the active editor or a file
+ * @returns Posting text and a name for the output file, or null if cancelled
+ */
+async function readJobDescription(): Promise<{ text: string; name: string } | null> {
+	const clipboard = 'Paste from clipboard';
+	const editor = 'Use the active editor';
+	const file = 'Open a file...';
+	const activeEditor = vscode.window.activeTextEditor;
+	const source = await vscode.window.showQuickPick(
+		activeEditor ? [clipboard, editor, file] : [clipboard, file],
+		{ placeHolder: 'Where is the job description?' }
+	);
 
-	return databases;
+	if (source === clipboard) {
+		return { text: await vscode.env.clipboard.readText(), name: '' };
+	}
+	if (source === editor && activeEditor) {
+		const selection = activeEditor.selection;
+		const text = selection.isEmpty ? activeEditor.document.getText() : activeEditor.document.getText(selection);
+		return { text, name: activeEditor.document.isUntitled ? '' : path.parse(activeEditor.document.fileName).name };
+	}
+	if (source === file) {
+		const files = await vscode.window.showOpenDialog({
+			canSelectMany: false,
+			filters: { 'Job description': ['txt', 'md'] },
+			openLabel: 'Tailor to This Job'
+		});
+		if (!files || files.length === 0) {
+			return null;
+		}
+		return { text: await fs.promises.readFile(files[0].fsPath, 'utf8'), name: path.parse(files[0].fsPath).name };
+	}
+	return null;
 }
 
 /**
- * Show resume preview in VS Code webview
+ * Tailor the last resume to a job description: re-rank its content, rewrite the summary for the role,
+ * export it next to the generic resume and show which requested skills the repositories do not back
+ * @param context Extension context
  */
-async function showResumePreview(resumeData: any, style: ResumeStyle): Promise<void> {
+async function tailorResumeToJob(context: vscode.ExtensionContext): Promise<void> {
+	const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+	if (!workspaceFolder) {
+		vscode.window.showErrorMessage('Please open a workspace or folder to tailor a resume.');
+		return;
+	}
+
+	const workspaceRoot = workspaceFolder.uri.fsPath;
 	try {
-		const panel = vscode.window.createWebviewPanel(
-			'resumePreview',
-			'Resume Preview',
-			vscode.ViewColumn.One,
-			{
-				enableScripts: false,
-				retainContextWhenHidden: true
+		const saved = await loadSavedResume(context, workspaceRoot);
+		if (!saved) {
+			vscode.window.showWarningMessage('No resume to tailor yet. Run "Generate Developer Resume" first.');
+			return;
+		}
+
+		const job = await readJobDescription();
+		if (!job) {
+			return;
+		}
+		const posting = parseJobPosting(job.text, saved.resumeData);
+		if (posting.required.length === 0 && posting.preferred.length === 0) {
+			vscode.window.showWarningMessage('No skills or keywords found in the job description.');
+			return;
+		}
+
+		const resumeData = tailorResume(saved.resumeData, posting);
+		const report = scoreMatch(resumeData, posting);
+		const slug = (posting.title || job.name || 'job').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'job';
+		const outputPath = path.join(workspaceRoot, `resume-${slug}.pdf`);
+
+		let summaryNote = 'Summary kept as it was (AI service not available).';
+		const pdf = await vscode.window.withProgress({
+			location: vscode.ProgressLocation.Notification,
+			title: 'Tailoring resume...'
+		}, async progress => {
+			const aiService = new AIService();
+			if (aiService.isAvailable()) {
+				progress.report({ message: 'Rewriting summary for the role...' });
+				try {
+					resumeData.summary = await aiService.tailorSummary(resumeData, posting, report);
+					summaryNote = 'Summary rewritten for the role.';
+				} catch (error) {
+					summaryNote = `Summary kept as it was: ${error instanceof Error ? error.message : error}.`;
+				}
 			}
-		);
 
-		const pdfService = new PDFService('');
-		const htmlContent = pdfService.generatePreviewHTML(resumeData, style);
-		panel.webview.html = htmlContent;
+			progress.report({ message: 'Generating PDF...' });
+			const endorsements = await new FileService(workspaceRoot).readEndorsements();
+			const pdfOptions: PDFOptions = {
+				style: saved.style,
+				outputPath,
+				format: 'A4',
+				includeColors: true,
+				theme: saved.theme,
+				maxPages: getPageLimit()
+			};
+			return new PDFService(workspaceRoot).generatePDFWithReport(resumeData, pdfOptions, endorsements);
+		});
+		await rememberFittedResume(context, pdf);
+
+		const fitNote = pdf.fit && pdf.fit.cuts.length > 0 ? `\n${formatPageFitReport(pdf.fit, path.basename(outputPath)).replace(/^# /, '## ')}` : '';
+		const reportDocument = await vscode.workspace.openTextDocument({
+			language: 'markdown',
+			content: `${formatMatchReport(posting, report)}\n${summaryNote} Skills, experience, projects and bullets were re-ranked for the posting.\n\nTailored resume: ${outputPath}\n${fitNote}`
+		});
+		await vscode.window.showTextDocument(reportDocument, { preview: true });
+
+		const openPDF = 'Open PDF';
+		const result = await vscode.window.showInformationMessage(`Match score ${report.score}%. Tailored resume saved to ${outputPath}`, openPDF);
+		if (result === openPDF) {
+			vscode.env.openExternal(vscode.Uri.file(outputPath));
+		}
+	} catch (error) {
+		vscode.window.showErrorMessage(`Failed to tailor resume: ${error instanceof Error ? error.message : error}`);
+	}
+}
+
+/**
+ * Parse a resume PDF back to text and report what an applicant tracking system gets out of it
+ * @param context Extension context
+ */
+async function checkATSCompatibility(context: vscode.ExtensionContext): Promise<void> {
+	const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+	const defaultPDF = workspaceRoot ? path.join(workspaceRoot, 'resume.pdf') : undefined;
+	const files = await vscode.window.showOpenDialog({
+		canSelectMany: false,
+		defaultUri: defaultPDF && fs.existsSync(defaultPDF) ? vscode.Uri.file(defaultPDF) : undefined,
+		filters: { 'PDF': ['pdf'] },
+		openLabel: 'Check ATS Compatibility'
+	});
+	if (!files || files.length === 0) {
+		return;
+	}
+
+	try {
+		// The resume data enables the heading, keyword and section checks; a PDF shortened to the page limit
+		// is compared with what it was shortened to, so removed bullets do not count as unreadable
+		const saved = workspaceRoot ? await loadSavedResume(context, workspaceRoot).catch(() => null) : null;
+		const expected = getFittedResume(context, files[0].fsPath) || saved?.resumeData;
+		const report = analyzeResumePDF(await fs.promises.readFile(files[0].fsPath), expected);
+
+		const reportDocument = await vscode.workspace.openTextDocument({
+			language: 'markdown',
+			content: formatATSReport(report, path.basename(files[0].fsPath))
+		});
+		await vscode.window.showTextDocument(reportDocument, { preview: true });
+
+		if (report.issues.length === 0) {
+			vscode.window.showInformationMessage('ATS check passed: contact details, headings and all sections came through as text.');
+			return;
+		}
 
+		const exportATS = 'Export ATS Version';
+		const result = await vscode.window.showWarningMessage(
+			`ATS check found ${report.issues.length} problem(s). See the report for details.`,
+			...(saved && workspaceRoot ? [exportATS] : [])
+		);
+		if (result === exportATS && saved && workspaceRoot) {
+			const outputPath = path.join(workspaceRoot, 'resume-ats.pdf');
+			await vscode.window.withProgress({
+				location: vscode.ProgressLocation.Notification,
+				title: 'Exporting ATS version...'
+			}, async () => {
+				const endorsements = await new FileService(workspaceRoot).readEndorsements();
+				const pdfOptions: PDFOptions = {
+					style: ResumeStyle.ATS,
+					outputPath,
+					format: 'A4',
+					includeColors: false
+				};
+				await new PDFService(workspaceRoot).generatePDF(saved.resumeData, pdfOptions, endorsements);
+			});
+			vscode.window.showInformationMessage(`ATS version saved to ${outputPath}. Run "Check ATS Compatibility" on it to compare.`);
+		}
 	} catch (error) {
-		console.error('Error showing preview:', error);
-		vscode.window.showErrorMessage(`Failed to show preview: ${error}`);
+		vscode.window.showErrorMessage(`Failed to check ATS compatibility: ${error instanceof Error ? error.message : error}`);
+	}
+}
+
+/**
+ * Check that a browser for PDF rendering is found and starts
+ */
+async function checkPdfSetup(): Promise<void> {
+	const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || process.cwd();
+	const result = await vscode.window.withProgress({
+		location: vscode.ProgressLocation.Notification,
+		title: 'Checking PDF setup...'
+	}, () => new PDFService(workspaceRoot).validateRequirements());
+
+	if (result.ready) {
+		vscode.window.showInformationMessage(result.message);
+		return;
+	}
+
+	const openSettings = 'Set Browser Path';
+	const choice = await vscode.window.showWarningMessage(
+		`${result.message} Until then, resumes are exported as plain text PDFs.`,
+		openSettings
+	);
+	if (choice === openSettings) {
+		await vscode.commands.executeCommand('workbench.action.openSettings', 'resumeGenerator.browserPath');
 	}
 }
 